@@ -30,7 +30,7 @@ const login = async (req, res) => {
     });
 
     // Authenticate user
-    const user = authenticateUser(email, password);
+    const user = await authenticateUser(email, password);
     
     if (!user) {
       logAuth('login', email, false, {
@@ -47,6 +47,21 @@ const login = async (req, res) => {
       });
     }
 
+    if (user.suspendedAt) {
+      logAuth('login', user.id, false, {
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        reason: 'Account suspended'
+      });
+
+      return res.status(403).json({
+        success: false,
+        message: 'This account has been suspended',
+        code: 'ACCOUNT_SUSPENDED',
+        statusCode: 403
+      });
+    }
+
     // Generate JWT token
     const token = generateToken(user);
     
@@ -70,6 +85,7 @@ const login = async (req, res) => {
         user: {
           id: user.id,
           name: user.name,
+          username: user.username,
           role: user.role
         },
         token,
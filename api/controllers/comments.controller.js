@@ -0,0 +1,248 @@
+const { getRepositories } = require('../repositories');
+const { compareByCreated } = require('../utils/cursor');
+const { readPagination, sendPaginationError, paginate, setLinkHeader } = require('../utils/pagination');
+const { generateId } = require('../utils/id');
+const { visibilityService } = require('../services/visibility.service');
+
+// Comments are listed oldest first, like a conversation
+const compareOldestFirst = compareByCreated('asc');
+
+const postNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: 'Post not found',
+    code: 'POST_NOT_FOUND',
+    statusCode: 404
+  });
+
+const toCommentResponse = (comment, authorName = null) => ({
+  id: comment.id,
+  post: comment.post,
+  author: comment.author,
+  authorName,
+  content: comment.content,
+  created: comment.created,
+  updatedAt: comment.updatedAt
+});
+
+/**
+ * Add a comment to a post
+ * POST /posts/:id/comments
+ * 
+ * Requires authentication
+ */
+const createComment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { content } = req.body;
+    const { user } = req;
+    const { postRepository, commentRepository } = getRepositories();
+
+    const post = await postRepository.findById(id);
+    if (!post || !(await visibilityService.canView(post, req.user))) {
+      return postNotFound(res);
+    }
+
+    const now = new Date();
+    const comment = await commentRepository.create({
+      id: generateId(),
+      post: post.id,
+      author: user.id,
+      content,
+      created: now,
+      updatedAt: now,
+      isDeleted: false
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Comment created successfully',
+      data: {
+        comment: toCommentResponse(comment, user.name || null)
+      }
+    });
+
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error during comment creation',
+      code: 'CREATE_COMMENT_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+/**
+ * List a post's comments, oldest first
+ * GET /posts/:id/comments
+ * 
+ * Query parameters:
+ * - cursor: `nextCursor` from the previous page (keyset pagination)
+ * - page: Page number (default: 1, ignored when `cursor` is set)
+ * - limit: Comments per page (default: 20, max: 50)
+ */
+const getComments = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { postRepository, commentRepository, userRepository } = getRepositories();
+
+    const paginationParams = readPagination(req.query, { limit: 20 });
+    if (paginationParams.error) {
+      return sendPaginationError(res, paginationParams.error);
+    }
+
+    const post = await postRepository.findById(id);
+    if (!post || !(await visibilityService.canView(post, req.user))) {
+      return postNotFound(res);
+    }
+
+    const comments = await commentRepository.findByPost(post.id);
+    comments.sort(compareOldestFirst);
+
+    const { items, pagination } = paginate(comments, paginationParams, compareOldestFirst);
+    setLinkHeader(req, res, pagination);
+
+    // Embed author names
+    const authors = await userRepository.findByIds([...new Set(items.map(c => c.author))]);
+    const authorNames = new Map(authors.map(a => [a.id, a.name]));
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        comments: items.map(comment => toCommentResponse(comment, authorNames.get(comment.author) || null)),
+        pagination
+      }
+    });
+
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching comments',
+      code: 'GET_COMMENTS_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+/**
+ * Middleware: 404 unless the `:id` post exists and the caller may see it
+ *
+ * Runs before the comment's ownership check, so comments on posts the caller
+ * cannot see are neither edited nor confirmed to exist.
+ */
+const requireVisiblePost = async (req, res, next) => {
+  try {
+    const post = await getRepositories().postRepository.findById(req.params.id);
+    if (!post || !(await visibilityService.canView(post, req.user))) {
+      return postNotFound(res);
+    }
+
+    next();
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while loading the post',
+      code: 'GET_POST_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+/**
+ * Edit a comment
+ * PATCH /posts/:id/comments/:commentId
+ * 
+ * The post must exist and be visible to the caller (requireVisiblePost), and
+ * the comment must belong to it.
+ *
+ * Permissions (enforced by authorizeOwnership):
+ * - Users can only edit their own comments
+ * - Admins can edit any comment
+ */
+const updateComment = async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    const { content } = req.body;
+    const { commentRepository, userRepository } = getRepositories();
+
+    const updatedComment = await commentRepository.update(commentId, {
+      content,
+      updatedAt: new Date()
+    });
+    const author = await userRepository.findById(updatedComment.author);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Comment updated successfully',
+      data: {
+        comment: toCommentResponse(updatedComment, author ? author.name : null)
+      }
+    });
+
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error during comment update',
+      code: 'UPDATE_COMMENT_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+/**
+ * Delete a comment
+ * DELETE /posts/:id/comments/:commentId
+ * 
+ * The post must exist and be visible to the caller (requireVisiblePost), and
+ * the comment must belong to it.
+ *
+ * Permissions (enforced by authorizeOwnership):
+ * - Users can only delete their own comments
+ * - Admins can delete any comment
+ */
+const deleteComment = async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    const { commentRepository } = getRepositories();
+
+    // Loaded and ownership-checked by authorizeOwnership
+    const comment = req.resource;
+
+    // Soft delete the comment (mark as deleted instead of removing)
+    const deletedComment = await commentRepository.update(commentId, {
+      isDeleted: true,
+      updatedAt: new Date()
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Comment deleted successfully',
+      data: {
+        deletedComment: {
+          id: comment.id,
+          post: comment.post,
+          author: comment.author,
+          content: comment.content,
+          created: comment.created,
+          deletedAt: deletedComment.updatedAt
+        }
+      }
+    });
+
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error during comment deletion',
+      code: 'DELETE_COMMENT_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+module.exports = {
+  createComment,
+  getComments,
+  updateComment,
+  deleteComment,
+  requireVisiblePost
+};
@@ -0,0 +1,243 @@
+const { getRepositories } = require('../repositories');
+const { compareByCreated } = require('../utils/cursor');
+const { generateId } = require('../utils/id');
+const { logAudit } = require('../utils/logger');
+const { RULE_FIELDS, normalizeText } = require('../utils/content-policy');
+const { contentPolicyService } = require('../services/content-policy.service');
+
+const ruleNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: 'Content rule not found',
+    code: 'RULE_NOT_FOUND',
+    statusCode: 404
+  });
+
+const RULE_SETTINGS = [...new Set(Object.values(RULE_FIELDS).flat())];
+
+const toRuleResponse = (rule) => ({
+  id: rule.id,
+  name: rule.name,
+  type: rule.type,
+  action: rule.action,
+  enabled: rule.enabled,
+  words: rule.words || null,
+  limit: rule.limit === undefined ? null : rule.limit,
+  similarity: rule.similarity || null,
+  windowMinutes: rule.windowMinutes || null,
+  createdBy: rule.createdBy,
+  created: rule.created,
+  updatedAt: rule.updatedAt
+});
+
+/**
+ * List the content rules, oldest first (the order they are applied in)
+ * GET /content-rules
+ *
+ * Admins only.
+ */
+const getContentRules = async (req, res) => {
+  try {
+    const { contentRuleRepository } = getRepositories();
+    const rules = (await contentRuleRepository.find()).sort(compareByCreated('asc'));
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        rules: rules.map(toRuleResponse)
+      }
+    });
+
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching content rules',
+      code: 'GET_CONTENT_RULES_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+/**
+ * Add a content rule
+ * POST /content-rules
+ *
+ * Admins only. The rule applies to posts created or edited from now on.
+ *
+ * Body:
+ * - name: Name shown to authors whose posts it rejects (max 50 chars)
+ * - type: banned-words, link-limit, repeated-characters or near-duplicate
+ * - action: reject, hold or flag
+ * - words: Banned words (banned-words rules)
+ * - limit: Most links, or longest run of one character, allowed
+ * - similarity, windowMinutes: Near-duplicate threshold (default 0.8) and
+ *   how far back to compare the author's posts
+ * - enabled: Whether the rule applies (default: true)
+ */
+const createContentRule = async (req, res) => {
+  try {
+    const { contentRuleRepository } = getRepositories();
+    const now = new Date();
+
+    const rule = await contentRuleRepository.create({
+      id: generateId(),
+      ...req.body,
+      createdBy: req.user.id,
+      created: now,
+      isDeleted: false,
+      updatedAt: now
+    });
+    logAudit('contentRules.create', req.user.id, { rule: rule.id, type: rule.type, action: rule.action });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Content rule created successfully',
+      data: {
+        rule: toRuleResponse(rule)
+      }
+    });
+
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while creating content rule',
+      code: 'CREATE_CONTENT_RULE_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+/**
+ * Change a content rule
+ * PATCH /content-rules/:id
+ *
+ * Admins only. The type of a rule cannot change, and only the settings
+ * of its type can be given (see `RULE_FIELDS`).
+ */
+const updateContentRule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { contentRuleRepository } = getRepositories();
+
+    const rule = await contentRuleRepository.findById(id);
+    if (!rule) {
+      return ruleNotFound(res);
+    }
+
+    const field = Object.keys(req.body)
+      .find(key => RULE_SETTINGS.includes(key) && !RULE_FIELDS[rule.type].includes(key));
+    if (field) {
+      return res.status(400).json({
+        success: false,
+        message: `${field} does not apply to ${rule.type} rules`,
+        code: 'INVALID_RULE_FIELD',
+        statusCode: 400
+      });
+    }
+
+    const saved = await contentRuleRepository.update(id, { ...req.body, updatedAt: new Date() });
+    logAudit('contentRules.update', req.user.id, { rule: id, changes: Object.keys(req.body) });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Content rule updated successfully',
+      data: {
+        rule: toRuleResponse(saved)
+      }
+    });
+
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while updating content rule',
+      code: 'UPDATE_CONTENT_RULE_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+/**
+ * Remove a content rule
+ * DELETE /content-rules/:id
+ *
+ * Admins only. Posts already held or flagged by the rule stay in the
+ * moderation queue.
+ */
+const deleteContentRule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { contentRuleRepository } = getRepositories();
+
+    const rule = await contentRuleRepository.findById(id);
+    if (!rule) {
+      return ruleNotFound(res);
+    }
+
+    await contentRuleRepository.update(id, { isDeleted: true, updatedAt: new Date() });
+    logAudit('contentRules.delete', req.user.id, { rule: id });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Content rule deleted successfully'
+    });
+
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while deleting content rule',
+      code: 'DELETE_CONTENT_RULE_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+/**
+ * Check sample content without posting it
+ * POST /content-rules/test
+ *
+ * Admins only. Applies the given `rules` (same shape as POST /content-rules,
+ * not saved), or the enabled rules when none are given. Near-duplicate rules
+ * compare the content with the recent posts of `author`. Responds with the
+ * outcome (allow, flag, hold or reject), the rules the content breaks, and
+ * the content as the banned-words check reads it (`normalized`).
+ *
+ * Body:
+ * - content: Sample post content
+ * - rules: Rules to try instead of the saved ones (optional)
+ * - author: User whose posts the content would join (optional)
+ */
+const testContentRules = async (req, res) => {
+  try {
+    const { content, rules, author } = req.body;
+
+    const result = await contentPolicyService.check(content, {
+      author,
+      rules: rules && rules.filter(r => r.enabled).map(r => ({ id: null, ...r }))
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        outcome: result.outcome,
+        violations: result.violations,
+        normalized: normalizeText(content)
+      }
+    });
+
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while testing content rules',
+      code: 'TEST_CONTENT_RULES_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+module.exports = {
+  getContentRules,
+  createContentRule,
+  updateContentRule,
+  deleteContentRule,
+  testContentRules
+};
@@ -1,5 +1,24 @@
-const follows = require('../models/follows.models');
-const users = require('../models/user.model');
+const { getRepositories } = require('../repositories');
+const { timelineService } = require('../services/timeline.service');
+const { compareNewestFirst } = require('../utils/cursor');
+const { generateId } = require('../utils/id');
+const { readPagination, sendPaginationError, paginate, setLinkHeader } = require('../utils/pagination');
+
+/**
+ * Paginate a follow list. Page mode keeps the order these lists always had
+ * (the order the follows were made in), so existing clients get the same
+ * pages; cursor mode pages newest first. Page-mode pages therefore offer no
+ * `nextCursor`.
+ * @param {Object[]} follows - Follow records, in repository order
+ * @param {Object} params - Result of `readPagination`
+ * @returns {{ items: Object[], pagination: Object }}
+ */
+const paginateFollows = (follows, params) => {
+  if (params.cursor !== undefined) {
+    return paginate([...follows].sort(compareNewestFirst), params);
+  }
+  return paginate(follows, params, compareNewestFirst, { pageCursors: false });
+};
 
 /**
  * Follow a user
@@ -9,6 +28,7 @@ const followUser = async (req, res) => {
   try {
     const { userId } = req.params;
     const { user: currentUser } = req;
+    const { followRepository, userRepository } = getRepositories();
     console.log('currentUser', currentUser);
     console.log('userId', userId);
     // Check if user is trying to follow themselves
@@ -22,7 +42,7 @@ const followUser = async (req, res) => {
     }
 
     // Check if target user exists
-    const targetUser = users.find(u => u.id === userId && !u.isDeleted);
+    const targetUser = await userRepository.findById(userId);
     if (!targetUser) {
       return res.status(404).json({
         success: false,
@@ -33,11 +53,7 @@ const followUser = async (req, res) => {
     }
 
     // Check if already following
-    const existingFollow = follows.find(
-      f => f.follower === currentUser.id && 
-           f.following === userId && 
-           !f.isDeleted
-    );
+    const existingFollow = await followRepository.findActive(currentUser.id, userId);
 
     if (existingFollow) {
       return res.status(400).json({
@@ -49,15 +65,14 @@ const followUser = async (req, res) => {
     }
 
     // Create new follow relationship
-    const newFollow = {
-      id: `f${follows.length + 1}`,
+    const newFollow = await followRepository.create({
+      id: generateId(),
       follower: currentUser.id,
       following: userId,
       created: new Date(),
       isDeleted: false
-    };
-
-    follows.push(newFollow);
+    });
+    await timelineService.onFollow(currentUser.id, userId);
 
     return res.status(201).json({
       success: true,
@@ -91,6 +106,7 @@ const unfollowUser = async (req, res) => {
   try {
     const { userId } = req.params;
     const { user: currentUser } = req;
+    const { followRepository, userRepository } = getRepositories();
 
     // Check if user is trying to unfollow themselves
     if (currentUser.id === userId) {
@@ -103,7 +119,7 @@ const unfollowUser = async (req, res) => {
     }
 
     // Check if target user exists
-    const targetUser = users.find(u => u.id === userId && !u.isDeleted);
+    const targetUser = await userRepository.findById(userId);
     if (!targetUser) {
       return res.status(404).json({
         success: false,
@@ -114,13 +130,9 @@ const unfollowUser = async (req, res) => {
     }
 
     // Find existing follow relationship
-    const existingFollowIndex = follows.findIndex(
-      f => f.follower === currentUser.id && 
-           f.following === userId && 
-           !f.isDeleted
-    );
+    const existingFollow = await followRepository.findActive(currentUser.id, userId);
 
-    if (existingFollowIndex === -1) {
+    if (!existingFollow) {
       return res.status(400).json({
         success: false,
         message: 'You are not following this user',
@@ -130,15 +142,18 @@ const unfollowUser = async (req, res) => {
     }
 
     // Soft delete the follow relationship
-    follows[existingFollowIndex].isDeleted = true;
-    follows[existingFollowIndex].updatedAt = new Date();
+    await followRepository.update(existingFollow.id, {
+      isDeleted: true,
+      updatedAt: new Date()
+    });
+    await timelineService.onUnfollow(currentUser.id, userId);
 
     return res.status(200).json({
       success: true,
       message: `Successfully unfollowed ${targetUser.name}`,
       data: {
         unfollowed: {
-          id: follows[existingFollowIndex].id,
+          id: existingFollow.id,
           follower: currentUser.id,
           following: userId
         }
@@ -159,14 +174,24 @@ const unfollowUser = async (req, res) => {
 /**
  * Get user's followers
  * GET /follows/followers/:userId
+ * 
+ * Query parameters:
+ * - cursor: `nextCursor` from the previous page, or empty for the first page (newest first)
+ * - page: Page number, in the order the follows were made (default: 1, ignored when `cursor` is set)
+ * - limit: Followers per page (default: 10, max: 50)
  */
 const getFollowers = async (req, res) => {
   try {
     const { userId } = req.params;
-    const { page = 1, limit = 10 } = req.query;
+    const { followRepository, userRepository } = getRepositories();
+
+    const paginationParams = readPagination(req.query);
+    if (paginationParams.error) {
+      return sendPaginationError(res, paginationParams.error);
+    }
 
     // Check if user exists
-    const targetUser = users.find(u => u.id === userId && !u.isDeleted);
+    const targetUser = await userRepository.findById(userId);
     if (!targetUser) {
       return res.status(404).json({
         success: false,
@@ -177,15 +202,22 @@ const getFollowers = async (req, res) => {
     }
 
     // Get followers
-    const userFollowers = follows.filter(
-      f => f.following === userId && !f.isDeleted
-    );
+    const userFollowers = await followRepository.findFollowers(userId);
+    const followerUsers = await userRepository.findByIds(userFollowers.map(f => f.follower));
+    const usersById = new Map(followerUsers.map(u => [u.id, u]));
+    const existingFollowers = userFollowers
+      .filter(f => usersById.has(f.follower)); // Remove any followers that don't exist
+
+    // Pagination
+    const { items, pagination } = paginateFollows(existingFollowers, paginationParams);
+    setLinkHeader(req, res, pagination);
 
     // Get follower details
-    const followersWithDetails = userFollowers.map(follow => {
-      const follower = users.find(u => u.id === follow.follower && !u.isDeleted);
+    const followersWithDetails = items.map(follow => {
+      const follower = usersById.get(follow.follower);
       return {
         id: follow.id,
+        created: follow.created,
         follower: {
           id: follower.id,
           name: follower.name,
@@ -193,23 +225,16 @@ const getFollowers = async (req, res) => {
           role: follower.role
         }
       };
-    }).filter(f => f.follower); // Remove any followers that don't exist
-
-    // Pagination
-    const pageNum = parseInt(page);
-    const limitNum = Math.min(parseInt(limit), 50);
-    const skip = (pageNum - 1) * limitNum;
-    const paginatedFollowers = followersWithDetails.slice(skip, skip + limitNum);
+    });
 
     return res.status(200).json({
       success: true,
       data: {
-        followers: paginatedFollowers,
+        followers: followersWithDetails,
         pagination: {
-          page: pageNum,
-          limit: limitNum,
-          total: followersWithDetails.length,
-          pages: Math.ceil(followersWithDetails.length / limitNum)
+          ...pagination,
+          // Deprecated alias kept for existing clients
+          pages: pagination.totalPages
         }
       }
     });
@@ -228,14 +253,24 @@ const getFollowers = async (req, res) => {
 /**
  * Get users that a user is following
  * GET /follows/following/:userId
+ * 
+ * Query parameters:
+ * - cursor: `nextCursor` from the previous page, or empty for the first page (newest first)
+ * - page: Page number, in the order the follows were made (default: 1, ignored when `cursor` is set)
+ * - limit: Users per page (default: 10, max: 50)
  */
 const getFollowing = async (req, res) => {
   try {
     const { userId } = req.params;
-    const { page = 1, limit = 10 } = req.query;
+    const { followRepository, userRepository } = getRepositories();
+
+    const paginationParams = readPagination(req.query);
+    if (paginationParams.error) {
+      return sendPaginationError(res, paginationParams.error);
+    }
 
     // Check if user exists
-    const targetUser = users.find(u => u.id === userId && !u.isDeleted);
+    const targetUser = await userRepository.findById(userId);
     if (!targetUser) {
       return res.status(404).json({
         success: false,
@@ -246,15 +281,22 @@ const getFollowing = async (req, res) => {
     }
 
     // Get following
-    const userFollowing = follows.filter(
-      f => f.follower === userId && !f.isDeleted
-    );
+    const userFollowing = await followRepository.findFollowing(userId);
+    const followingUsers = await userRepository.findByIds(userFollowing.map(f => f.following));
+    const usersById = new Map(followingUsers.map(u => [u.id, u]));
+    const existingFollowing = userFollowing
+      .filter(f => usersById.has(f.following)); // Remove any following that don't exist
+
+    // Pagination
+    const { items, pagination } = paginateFollows(existingFollowing, paginationParams);
+    setLinkHeader(req, res, pagination);
 
     // Get following details
-    const followingWithDetails = userFollowing.map(follow => {
-      const following = users.find(u => u.id === follow.following && !u.isDeleted);
+    const followingWithDetails = items.map(follow => {
+      const following = usersById.get(follow.following);
       return {
         id: follow.id,
+        created: follow.created,
         following: {
           id: following.id,
           name: following.name,
@@ -262,23 +304,16 @@ const getFollowing = async (req, res) => {
           role: following.role
         }
       };
-    }).filter(f => f.following); // Remove any following that don't exist
-
-    // Pagination
-    const pageNum = parseInt(page);
-    const limitNum = Math.min(parseInt(limit), 50);
-    const skip = (pageNum - 1) * limitNum;
-    const paginatedFollowing = followingWithDetails.slice(skip, skip + limitNum);
+    });
 
     return res.status(200).json({
       success: true,
       data: {
-        following: paginatedFollowing,
+        following: followingWithDetails,
         pagination: {
-          page: pageNum,
-          limit: limitNum,
-          total: followingWithDetails.length,
-          pages: Math.ceil(followingWithDetails.length / limitNum)
+          ...pagination,
+          // Deprecated alias kept for existing clients
+          pages: pagination.totalPages
         }
       }
     });
@@ -302,9 +337,10 @@ const checkFollowStatus = async (req, res) => {
   try {
     const { userId } = req.params;
     const { user: currentUser } = req;
+    const { followRepository, userRepository } = getRepositories();
 
     // Check if target user exists
-    const targetUser = users.find(u => u.id === userId && !u.isDeleted);
+    const targetUser = await userRepository.findById(userId);
     if (!targetUser) {
       return res.status(404).json({
         success: false,
@@ -315,11 +351,7 @@ const checkFollowStatus = async (req, res) => {
     }
 
     // Check if current user is following target user
-    const isFollowing = follows.some(
-      f => f.follower === currentUser.id && 
-           f.following === userId && 
-           !f.isDeleted
-    );
+    const isFollowing = Boolean(await followRepository.findActive(currentUser.id, userId));
 
     return res.status(200).json({
       success: true,
@@ -352,9 +384,10 @@ const checkFollowStatus = async (req, res) => {
 const getFollowStats = async (req, res) => {
   try {
     const { userId } = req.params;
+    const { followRepository, userRepository } = getRepositories();
 
     // Check if user exists
-    const targetUser = users.find(u => u.id === userId && !u.isDeleted);
+    const targetUser = await userRepository.findById(userId);
     if (!targetUser) {
       return res.status(404).json({
         success: false,
@@ -365,14 +398,10 @@ const getFollowStats = async (req, res) => {
     }
 
     // Count followers
-    const followersCount = follows.filter(
-      f => f.following === userId && !f.isDeleted
-    ).length;
+    const followersCount = (await followRepository.findFollowers(userId)).length;
 
     // Count following
-    const followingCount = follows.filter(
-      f => f.follower === userId && !f.isDeleted
-    ).length;
+    const followingCount = (await followRepository.findFollowing(userId)).length;
 
     return res.status(200).json({
       success: true,
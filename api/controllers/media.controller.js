@@ -0,0 +1,105 @@
+const { getRepositories } = require('../repositories');
+const { generateId } = require('../utils/id');
+const { sniffMediaType, contentHash, toMediaResponse, MEDIA_TYPES } = require('../utils/media');
+const { mediaService, UPLOAD_QUOTA_BYTES } = require('../services/media.service');
+
+/**
+ * Upload a media file
+ * POST /media
+ * 
+ * Requires authentication. Send `multipart/form-data` with the file in the
+ * `file` field. The type is detected from the content (JPEG, PNG, GIF, WebP
+ * or MP4). Uploading the same content again returns the existing media with
+ * 200 instead of using more quota. Earlier uploads that never made it into a
+ * post are swept first (see `mediaService.sweepUnattached`), so they do not
+ * count against the quota.
+ */
+const uploadMedia = async (req, res) => {
+  try {
+    const { user, file } = req;
+    const { mediaRepository } = getRepositories();
+
+    if (!file || file.size === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A non-empty file is required in the "file" field',
+        code: 'FILE_REQUIRED',
+        statusCode: 400
+      });
+    }
+
+    const type = sniffMediaType(file.buffer);
+    if (!type) {
+      return res.status(415).json({
+        success: false,
+        message: `Unsupported media type. Allowed types: ${MEDIA_TYPES.join(', ')}`,
+        code: 'UNSUPPORTED_MEDIA_TYPE',
+        statusCode: 415
+      });
+    }
+
+    const hash = contentHash(file.buffer);
+    await mediaService.sweepUnattached(user.id);
+    const owned = await mediaRepository.findByOwner(user.id);
+    const used = owned.reduce((total, media) => total + media.size, 0);
+
+    const existing = owned.find(media => media.hash === hash);
+    if (existing) {
+      return res.status(200).json({
+        success: true,
+        message: 'Media already uploaded',
+        data: {
+          media: toMediaResponse(existing),
+          quota: { used, limit: UPLOAD_QUOTA_BYTES }
+        }
+      });
+    }
+
+    if (used + file.size > UPLOAD_QUOTA_BYTES) {
+      return res.status(413).json({
+        success: false,
+        message: 'Upload quota exceeded',
+        code: 'UPLOAD_QUOTA_EXCEEDED',
+        statusCode: 413,
+        quota: { used, limit: UPLOAD_QUOTA_BYTES }
+      });
+    }
+
+    // Cleanup of the same file waits until the media is recorded
+    const fileName = `${hash}.${type.extension}`;
+    const media = await mediaService.withFileLock(hash, async () => {
+      await mediaService.writeFile(fileName, file.buffer);
+      return mediaRepository.create({
+        id: generateId(),
+        owner: user.id,
+        hash,
+        fileName,
+        mimeType: type.mimeType,
+        size: file.size,
+        created: new Date(),
+        isDeleted: false
+      });
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Media uploaded successfully',
+      data: {
+        media: toMediaResponse(media),
+        quota: { used: used + media.size, limit: UPLOAD_QUOTA_BYTES }
+      }
+    });
+
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error during upload',
+      code: 'UPLOAD_MEDIA_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+module.exports = {
+  uploadMedia
+};
@@ -0,0 +1,456 @@
+const { getRepositories } = require('../repositories');
+const { compareByCreated, compareByField } = require('../utils/cursor');
+const { readPagination, sendPaginationError, paginate, setLinkHeader } = require('../utils/pagination');
+const { generateId } = require('../utils/id');
+const { logAudit } = require('../utils/logger');
+const { MODERATION_ACTIONS, groupReports } = require('../utils/moderation');
+const { signature, clusterSimilar } = require('../utils/similarity');
+const { visibilityService } = require('../services/visibility.service');
+
+// Duplicate clusters are found among at most this many of the newest posts
+const DUPLICATE_SCAN_LIMIT = 2000;
+const { timelineService } = require('../services/timeline.service');
+const { searchService } = require('../services/search.service');
+const { postService } = require('../services/post.service');
+
+const notFound = (res, targetType) =>
+  res.status(404).json({
+    success: false,
+    message: targetType === 'post' ? 'Post not found' : 'User not found',
+    code: targetType === 'post' ? 'POST_NOT_FOUND' : 'USER_NOT_FOUND',
+    statusCode: 404
+  });
+
+/**
+ * Describe a report target for moderators
+ * @param {string} targetType - 'post' or 'user'
+ * @param {string} targetId - Target ID
+ * @returns {Promise<Object|null>} Summary, including posts that were deleted or hidden since
+ */
+const describeTarget = async (targetType, targetId) => {
+  const { postRepository, userRepository } = getRepositories();
+
+  if (targetType === 'post') {
+    const post = await postRepository.findById(targetId, { includeDeleted: true, includeUnpublished: true });
+    return post && {
+      id: post.id,
+      author: post.author,
+      content: post.content,
+      status: post.status || 'published',
+      isDeleted: Boolean(post.isDeleted)
+    };
+  }
+
+  const user = await userRepository.findById(targetId);
+  return user && {
+    id: user.id,
+    name: user.name,
+    role: user.role,
+    suspended: Boolean(user.suspendedAt)
+  };
+};
+
+const toReportResponse = (report) => ({
+  id: report.id,
+  reporter: report.reporter,
+  targetType: report.targetType,
+  targetId: report.target,
+  reason: report.reason,
+  details: report.details,
+  status: report.status,
+  created: report.created
+});
+
+const toActionResponse = (action, moderatorNames = new Map()) => ({
+  id: action.id,
+  targetType: action.targetType,
+  targetId: action.target,
+  action: action.action,
+  moderator: action.moderator,
+  moderatorName: moderatorNames.get(action.moderator) || null,
+  note: action.note,
+  suspendedUser: action.suspendedUser || null,
+  released: Boolean(action.released),
+  reports: action.reports,
+  created: action.created
+});
+
+/**
+ * Report a post or a user
+ * POST /reports
+ *
+ * Requires authentication. Posts can be reported by anyone who can see them.
+ * Each user can have one open report per target, and cannot report
+ * themselves or their own posts.
+ *
+ * Body:
+ * - targetType: post or user
+ * - targetId: ID of the post or user
+ * - reason: Reason category (see `REPORT_REASONS`)
+ * - details: Free-text context (optional, max 500 chars)
+ */
+const createReport = async (req, res) => {
+  try {
+    const { targetType, targetId, reason, details } = req.body;
+    const { user } = req;
+    const { postRepository, userRepository, reportRepository } = getRepositories();
+
+    let ownerId;
+    if (targetType === 'post') {
+      const post = await postRepository.findById(targetId);
+      if (!post || !(await visibilityService.canView(post, user))) {
+        return notFound(res, targetType);
+      }
+      ownerId = post.author;
+    } else {
+      const target = await userRepository.findById(targetId);
+      if (!target) {
+        return notFound(res, targetType);
+      }
+      ownerId = target.id;
+    }
+
+    if (ownerId === user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot report yourself or your own posts',
+        code: 'CANNOT_REPORT_SELF',
+        statusCode: 400
+      });
+    }
+
+    const openReports = await reportRepository.find({ status: 'open', targetType, target: targetId, reporter: user.id });
+    if (openReports.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `You have already reported this ${targetType}`,
+        code: 'ALREADY_REPORTED',
+        statusCode: 400
+      });
+    }
+
+    const report = await reportRepository.create({
+      id: generateId(),
+      reporter: user.id,
+      targetType,
+      target: targetId,
+      reason,
+      details: details || null,
+      status: 'open',
+      created: new Date()
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Report submitted successfully',
+      data: {
+        report: toReportResponse(report)
+      }
+    });
+
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while submitting report',
+      code: 'CREATE_REPORT_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+/**
+ * List open reports grouped by target, most reported first
+ * GET /moderation/queue
+ *
+ * Admins only. Targets with the same number of reports are ordered by their
+ * latest report, newest first.
+ *
+ * Query parameters:
+ * - targetType: Only posts or only users
+ * - cursor, page, limit
+ */
+const getModerationQueue = async (req, res) => {
+  try {
+    const { targetType } = req.query;
+    const { reportRepository } = getRepositories();
+    const compare = compareByField('reportCount', 'desc');
+
+    const paginationParams = readPagination(req.query, { sortField: compare.sortField });
+    if (paginationParams.error) {
+      return sendPaginationError(res, paginationParams.error);
+    }
+
+    const groups = groupReports(await reportRepository.find({ status: 'open', targetType })).sort(compare);
+    const { items, pagination } = paginate(groups, paginationParams, compare);
+    setLinkHeader(req, res, pagination);
+
+    const queue = [];
+    for (const group of items) {
+      queue.push({
+        targetType: group.targetType,
+        targetId: group.target,
+        target: await describeTarget(group.targetType, group.target),
+        reportCount: group.reportCount,
+        reasons: group.reasons,
+        firstReportedAt: group.firstReportedAt,
+        lastReportedAt: group.created,
+        reports: group.reports.map(toReportResponse)
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        queue,
+        pagination
+      }
+    });
+
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching the moderation queue',
+      code: 'GET_MODERATION_QUEUE_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+/**
+ * Act on a reported post or user, resolving all of its open reports
+ * POST /moderation/:targetType/:targetId/actions
+ *
+ * Admins only. Actions:
+ * - dismiss: Close the reports without changing anything, except that a
+ *   post the content policy held is released
+ * - hide: Hide the post from everyone but its author
+ * - delete: Delete the post, as its author would
+ * - suspend: Suspend the user (or the post's author); suspended users cannot
+ *   log in or use their tokens
+ *
+ * Every action is kept in the moderation log (GET /moderation/actions) with
+ * the moderator and their note, and written to the audit log.
+ *
+ * Body:
+ * - action: dismiss, hide, delete or suspend
+ * - note: Moderator's note (required, max 500 chars)
+ */
+const moderateTarget = async (req, res) => {
+  try {
+    const { targetType, targetId } = req.params;
+    const { action, note } = req.body;
+    const moderator = req.user;
+    const { postRepository, userRepository, reportRepository, moderationActionRepository } = getRepositories();
+
+    if (!MODERATION_ACTIONS[action].includes(targetType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot ${action} a ${targetType}`,
+        code: 'INVALID_MODERATION_ACTION',
+        statusCode: 400
+      });
+    }
+
+    const reports = await reportRepository.find({ status: 'open', targetType, target: targetId });
+    if (reports.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: `This ${targetType} has no open reports`,
+        code: 'NO_OPEN_REPORTS',
+        statusCode: 404
+      });
+    }
+
+    const now = new Date();
+    const record = {
+      id: generateId(),
+      targetType,
+      target: targetId,
+      action,
+      moderator: moderator.id,
+      note,
+      reports: reports.map(r => r.id),
+      created: now
+    };
+
+    const post = targetType === 'post'
+      ? await postRepository.findById(targetId, { includeUnpublished: true })
+      : null;
+    if (action === 'dismiss') {
+      if (post && post.status === 'held') {
+        await postService.release(post);
+        record.released = true;
+      }
+    } else {
+      if (targetType === 'post' && !post) {
+        return notFound(res, targetType);
+      }
+
+      if (action === 'hide') {
+        const hidden = await postRepository.update(post.id, { status: 'hidden', hiddenAt: now, updatedAt: now });
+        await timelineService.onPostDeleted(hidden);
+        await searchService.onPostDeleted(hidden);
+      } else if (action === 'delete') {
+        await postService.remove(post);
+      } else {
+        const user = await userRepository.findById(post ? post.author : targetId);
+        if (!user) {
+          return notFound(res, 'user');
+        }
+        if (user.role === 'admin') {
+          return res.status(400).json({
+            success: false,
+            message: 'Admins cannot be suspended',
+            code: 'CANNOT_SUSPEND_ADMIN',
+            statusCode: 400
+          });
+        }
+        await userRepository.update(user.id, { suspendedAt: now, suspendedBy: moderator.id });
+        record.suspendedUser = user.id;
+      }
+    }
+
+    const saved = await moderationActionRepository.create(record);
+    for (const report of reports) {
+      await reportRepository.update(report.id, {
+        status: 'resolved',
+        resolvedAt: now,
+        resolvedBy: moderator.id,
+        resolution: saved.id
+      });
+    }
+    logAudit(`moderation.${action}`, moderator.id, { targetType, target: targetId, note });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Moderation action recorded',
+      data: {
+        action: toActionResponse(saved, new Map([[moderator.id, moderator.name]]))
+      }
+    });
+
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while applying moderation action',
+      code: 'MODERATE_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+/**
+ * List moderation actions, newest first
+ * GET /moderation/actions
+ *
+ * Admins only.
+ *
+ * Query parameters:
+ * - targetType, targetId: Only actions on this kind of target, or this target
+ * - cursor, page, limit
+ */
+const getModerationLog = async (req, res) => {
+  try {
+    const { targetType, targetId } = req.query;
+    const { moderationActionRepository, userRepository } = getRepositories();
+    const compare = compareByCreated('desc');
+
+    const paginationParams = readPagination(req.query);
+    if (paginationParams.error) {
+      return sendPaginationError(res, paginationParams.error);
+    }
+
+    const actions = (await moderationActionRepository.find({ targetType, target: targetId })).sort(compare);
+    const { items, pagination } = paginate(actions, paginationParams, compare);
+    setLinkHeader(req, res, pagination);
+
+    const moderators = await userRepository.findByIds([...new Set(items.map(a => a.moderator))]);
+    const moderatorNames = new Map(moderators.map(m => [m.id, m.name]));
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        actions: items.map(action => toActionResponse(action, moderatorNames)),
+        pagination
+      }
+    });
+
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching the moderation log',
+      code: 'GET_MODERATION_LOG_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+/**
+ * List clusters of similar posts, largest first
+ * GET /moderation/duplicates
+ *
+ * Admins only. Groups published posts of every author whose text is alike
+ * (see utils/similarity), so copies spread across accounts show up
+ * together. Clusters of the same size are ordered by their latest post,
+ * newest first. Only the newest `DUPLICATE_SCAN_LIMIT` posts are scanned,
+ * using the signatures stored when each post was written.
+ *
+ * Query parameters:
+ * - similarity: Lowest similarity joined, 0.5-1 (default: 0.8)
+ * - since: Only posts created at or after this time
+ * - cursor, page, limit
+ */
+const getDuplicateClusters = async (req, res) => {
+  try {
+    const { similarity = 0.8, since } = req.query;
+    const { postRepository } = getRepositories();
+    const compare = compareByField('size', 'desc');
+
+    const paginationParams = readPagination(req.query, { sortField: compare.sortField });
+    if (paginationParams.error) {
+      return sendPaginationError(res, paginationParams.error);
+    }
+
+    const posts = (await postRepository.find({ limit: DUPLICATE_SCAN_LIMIT }))
+      .filter(p => p.content && (!since || new Date(p.created) >= new Date(since)))
+      .sort(compareByCreated('asc'));
+    // Posts written before signatures were stored get one computed here
+    const clusters = clusterSimilar(posts.map(p => ({ ...p, signature: p.signature || signature(p.content) })), similarity)
+      .map(({ items, similarity: lowest }) => ({
+        id: items[0].id,
+        size: items.length,
+        authors: [...new Set(items.map(p => p.author))],
+        similarity: lowest,
+        firstPostedAt: items[0].created,
+        created: items[items.length - 1].created,
+        posts: items.map(p => ({ id: p.id, author: p.author, content: p.content, created: p.created }))
+      }))
+      .sort(compare);
+    const { items, pagination } = paginate(clusters, paginationParams, compare);
+    setLinkHeader(req, res, pagination);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        clusters: items.map(({ created, ...cluster }) => ({ ...cluster, lastPostedAt: created })),
+        pagination
+      }
+    });
+
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while finding similar posts',
+      code: 'GET_DUPLICATE_CLUSTERS_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+module.exports = {
+  createReport,
+  getModerationQueue,
+  moderateTarget,
+  getModerationLog,
+  getDuplicateClusters
+};
@@ -0,0 +1,98 @@
+const { getRepositories } = require('../repositories');
+const { generateId } = require('../utils/id');
+const { visibilityService } = require('../services/visibility.service');
+const { isPollClosed, summarizePoll } = require('../utils/polls');
+
+/**
+ * Vote in a post's poll, or change your vote
+ * PUT /posts/:id/poll/vote
+ * 
+ * Requires authentication. Each user has one vote per poll, which they can
+ * change until the poll closes. The response includes the tallies, which
+ * are visible to the caller from now on.
+ * 
+ * Body:
+ * - option: Index of the chosen option
+ */
+const votePoll = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { option } = req.body;
+    const { user } = req;
+    const { postRepository, voteRepository } = getRepositories();
+
+    const post = await postRepository.findById(id);
+    if (!post || !(await visibilityService.canView(post, user))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found',
+        code: 'POST_NOT_FOUND',
+        statusCode: 404
+      });
+    }
+
+    if (!post.poll) {
+      return res.status(404).json({
+        success: false,
+        message: 'This post has no poll',
+        code: 'POLL_NOT_FOUND',
+        statusCode: 404
+      });
+    }
+
+    const now = new Date();
+    if (isPollClosed(post.poll, now)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This poll has closed',
+        code: 'POLL_CLOSED',
+        statusCode: 400
+      });
+    }
+
+    if (option >= post.poll.options.length) {
+      return res.status(400).json({
+        success: false,
+        message: `option must be between 0 and ${post.poll.options.length - 1}`,
+        code: 'INVALID_POLL_OPTION',
+        statusCode: 400
+      });
+    }
+
+    const existingVote = await voteRepository.findByVoter(post.id, user.id);
+    if (existingVote) {
+      await voteRepository.update(existingVote.id, { option, updatedAt: now });
+    } else {
+      await voteRepository.create({
+        id: generateId(),
+        post: post.id,
+        user: user.id,
+        option,
+        created: now,
+        updatedAt: now
+      });
+    }
+
+    const votes = await voteRepository.findByPosts([post.id]);
+
+    return res.status(existingVote ? 200 : 201).json({
+      success: true,
+      message: existingVote ? 'Vote changed successfully' : 'Vote recorded successfully',
+      data: {
+        poll: summarizePoll(post.poll, votes, user.id, now)
+      }
+    });
+
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while voting',
+      code: 'VOTE_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+module.exports = {
+  votePoll
+};
@@ -1,11 +1,192 @@
 const { validationResult } = require('express-validator');
-const posts = require('../models/post.model');
+const { getRepositories } = require('../repositories');
+const { compareByCreated, compareByField } = require('../utils/cursor');
+const { readPagination, sendPaginationError, paginate, buildPagination, setLinkHeader } = require('../utils/pagination');
+const { timelineService } = require('../services/timeline.service');
+const { searchService } = require('../services/search.service');
+const { generateId } = require('../utils/id');
+const { summarizeReactions } = require('../utils/reactions');
+const { buildThread } = require('../utils/threads');
+const { parseEntities, linkEntities } = require('../utils/entities');
+const { toMediaResponse } = require('../utils/media');
+const { signature } = require('../utils/similarity');
+const { postScheduler } = require('../services/scheduler.service');
+const { isPublished } = require('../utils/publishing');
+const { logAudit } = require('../utils/logger');
+const { VISIBILITIES, visibilityOf, canView } = require('../utils/visibility');
+const { visibilityService } = require('../services/visibility.service');
+const { revisionService } = require('../services/revision.service');
+const { MAX_PINS, pinService } = require('../services/pin.service');
+const { summarizePoll } = require('../utils/polls');
+const { isPlainRepost, postService } = require('../services/post.service');
+const { contentPolicyService } = require('../services/content-policy.service');
+
+
+/**
+ * Attach reply, repost, comment and reaction counts to each post. Replies
+ * and reposts the viewer may not see are not counted.
+ * @param {Object[]} posts - Posts
+ * @param {Object|null} viewer - From `visibilityService.viewerFor`, also for `viewerReactions` and `viewerReposted`
+ * @returns {Promise<Object[]>} Copies with `replyCount`, `repostCount`,
+ *   `quoteCount`, `viewerReposted`, `commentCount`, `reactionCount`,
+ *   `reactionCounts` and `viewerReactions`
+ */
+const withEngagement = async (posts, viewer) => {
+  const { postRepository, commentRepository, reactionRepository } = getRepositories();
+  const viewerId = viewer && viewer.id;
+  const postIds = posts.map(p => p.id);
+  const replies = (await postRepository.find({ repliesTo: postIds })).filter(p => canView(p, viewer));
+  const reposts = (await postRepository.find({ repostsOf: postIds })).filter(p => canView(p, viewer));
+  const comments = await commentRepository.countByPosts(postIds);
+  const reactions = summarizeReactions(await reactionRepository.findByPosts(postIds), postIds, viewerId);
+
+  return posts.map((post) => {
+    const shares = reposts.filter(r => r.repostOf === post.id);
+    const plain = shares.filter(isPlainRepost);
+    return {
+      ...post,
+      replyCount: replies.filter(r => r.replyTo === post.id).length,
+      repostCount: plain.length,
+      quoteCount: shares.length - plain.length,
+      viewerReposted: Boolean(viewerId) && plain.some(r => r.author === viewerId),
+      commentCount: comments.get(post.id) || 0,
+      ...reactions.get(post.id)
+    };
+  });
+};
+
+/**
+ * Embed the reshared post into reposts and quote posts, with attribution.
+ * A deleted original, or one the viewer may not see, is replaced by a tombstone.
+ * @param {Object[]} posts - Posts
+ * @param {Object|null} viewer - From `visibilityService.viewerFor`
+ * @returns {Promise<Object[]>} Copies with `original` (null for other posts)
+ */
+const withOriginals = async (posts, viewer) => {
+  const { postRepository, userRepository } = getRepositories();
+  const ids = [...new Set(posts.map(p => p.repostOf).filter(Boolean))];
+  const originals = (await Promise.all(ids.map(id => postRepository.findById(id, { includeDeleted: true }))))
+    .filter(Boolean);
+
+  const authors = await userRepository.findByIds([...new Set(originals.map(o => o.author))]);
+  const authorNames = new Map(authors.map(a => [a.id, a.name]));
+  const byId = new Map(originals.map(o => [o.id, o]));
+
+  const toOriginal = (id) => {
+    const original = byId.get(id);
+    if (!original || original.isDeleted || !canView(original, viewer)) {
+      return { id, isDeleted: true, author: null, authorName: null, content: null, created: null };
+    }
+    return {
+      id: original.id,
+      isDeleted: false,
+      author: original.author,
+      authorName: authorNames.get(original.author) || null,
+      content: original.content,
+      created: original.created
+    };
+  };
+
+  return posts.map(post => ({ ...post, original: post.repostOf ? toOriginal(post.repostOf) : null }));
+};
+
+/**
+ * Replace attachment IDs with the attached media
+ * @param {Object[]} posts - Posts
+ * @returns {Promise<Object[]>} Copies with `attachments` as media objects
+ */
+const withAttachments = async (posts) => {
+  const { mediaRepository } = getRepositories();
+  const ids = [...new Set(posts.flatMap(p => p.attachments || []))];
+  const media = ids.length > 0 ? await mediaRepository.findByIds(ids) : [];
+  const byId = new Map(media.map(m => [m.id, toMediaResponse(m)]));
+
+  return posts.map(post => ({
+    ...post,
+    attachments: (post.attachments || []).map(id => byId.get(id)).filter(Boolean)
+  }));
+};
+
+/**
+ * Replace stored polls with their tallies, as the viewer may see them
+ * @param {Object[]} posts - Posts
+ * @param {string} [viewerId] - Current user
+ * @returns {Promise<Object[]>} Copies with `poll` summarized (see `utils/polls.js`)
+ */
+const withPolls = async (posts, viewerId) => {
+  const { voteRepository } = getRepositories();
+  const ids = posts.filter(p => p.poll).map(p => p.id);
+  const votes = ids.length > 0 ? await voteRepository.findByPosts(ids) : [];
+
+  return posts.map(post => (post.poll
+    ? { ...post, poll: summarizePoll(post.poll, votes.filter(v => v.post === post.id), viewerId) }
+    : post));
+};
+
+// Everything a post response adds to the stored post, for a viewer from `visibilityService.viewerFor`
+const present = async (posts, viewer) =>
+  withPolls(
+    await withAttachments(await withOriginals(await withEngagement(posts, viewer), viewer)),
+    viewer && viewer.id
+  );
+
+/**
+ * The fields stored on a post that derive from its content: parsed hashtags
+ * and mentions, and the MinHash signature that duplicate detection compares
+ * (null for plain reposts, which have no content)
+ * @param {string} content - Post content
+ * @returns {Promise<Object>} `entities`, `hashtags`, `mentionedUsers` and `signature`
+ */
+const contentFields = async (content) => {
+  const { userRepository } = getRepositories();
+  const parsed = parseEntities(content);
+  const users = parsed.mentions.length > 0
+    ? await userRepository.findByUsernames([...new Set(parsed.mentions.map(m => m.username))])
+    : [];
+  return { ...linkEntities(parsed, users), signature: content ? signature(content) : null };
+};
+
+/**
+ * Load a post the viewer may see; unpublished posts are only visible to their author
+ * @param {string} id - Post ID
+ * @param {Object|null} viewer - From `visibilityService.viewerFor`
+ * @returns {Promise<Object|null>}
+ */
+const findVisiblePost = async (id, viewer) => {
+  const { postRepository } = getRepositories();
+  const post = await postRepository.findById(id, { includeUnpublished: true });
+  const isAuthor = Boolean(post && viewer) && post.author === viewer.id;
+  return post && (isAuthor || (isPublished(post) && canView(post, viewer))) ? post : null;
+};
+
+// Thread, repost and engagement fields included in every post response
+const engagementFields = (post) => ({
+  visibility: visibilityOf(post),
+  status: post.status || 'published',
+  publishAt: post.publishAt || null,
+  edited: Boolean(post.editedAt),
+  editedAt: post.editedAt || null,
+  poll: post.poll || null,
+  entities: post.entities || { hashtags: [], mentions: [] },
+  attachments: post.attachments,
+  replyTo: post.replyTo || null,
+  repostOf: post.repostOf || null,
+  original: post.original || null,
+  replyCount: post.replyCount,
+  repostCount: post.repostCount,
+  quoteCount: post.quoteCount,
+  viewerReposted: post.viewerReposted,
+  commentCount: post.commentCount,
+  reactionCount: post.reactionCount,
+  reactionCounts: post.reactionCounts,
+  viewerReactions: post.viewerReactions
+});
 
 /**
  * Delete a post by ID
  * DELETE /posts/:id
  * 
- * Permissions:
+ * Permissions (enforced by authorizeOwnership):
  * - Users can only delete their own posts
  * - Admins can delete any post
  */
@@ -23,40 +204,11 @@ const deletePost = async (req, res) => {
       });
     }
 
-    const { id } = req.params;
-    const { user } = req;
-
-    // Find the post
-    const postIndex = posts.findIndex(post => post.id === id && !post.isDeleted);
-    
-    if (postIndex === -1) {
-      return res.status(404).json({
-        success: false,
-        message: 'Post not found',
-        code: 'POST_NOT_FOUND',
-        statusCode: 404
-      });
-    }
-
-    const post = posts[postIndex];
-
-    // Check if user can delete this post
-    // Users can only delete their own posts, admins can delete any post
-    if (user.role !== 'admin' && post.author !== user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'You can only delete your own posts',
-        code: 'DELETE_PERMISSION_DENIED',
-        statusCode: 403,
-        postAuthor: post.author,
-        userRole: user.role,
-        requiredRole: 'admin or post owner'
-      });
-    }
+    // Loaded and ownership-checked by authorizeOwnership
+    const post = req.resource;
 
     // Soft delete the post (mark as deleted instead of removing)
-    posts[postIndex].isDeleted = true;
-    posts[postIndex].updatedAt = new Date();
+    const deletedPost = await postService.remove(post);
 
     return res.status(200).json({
       success: true,
@@ -67,7 +219,7 @@ const deletePost = async (req, res) => {
           author: post.author,
           content: post.content,
           created: post.created,
-          deletedAt: posts[postIndex].updatedAt
+          deletedAt: deletedPost.updatedAt
         }
       }
     });
@@ -87,67 +239,104 @@ const deletePost = async (req, res) => {
  * GET /posts
  * 
  * Query parameters:
- * - page: Page number (default: 1)
+ * - cursor: `nextCursor` from the previous page (keyset pagination)
+ * - page: Page number (default: 1, ignored when `cursor` is set)
  * - limit: Posts per page (default: 10, max: 50)
  * - author: Filter by author ID
+ * - sortBy: Sort by creation time, comment count or reaction count (created, comments, reactions)
+ * - sortOrder: Sort order (asc, desc)
+ * - includeDrafts: Also list everyone's drafts (admins only, audit-logged)
+ * - pinnedFirst: List the author's pinned posts first, in pin order, each
+ *   post with a `pinned` flag (requires `author` and the default newest-first order)
+ * 
+ * With a token (optionalAuth), `viewerReactions` lists the caller's reactions.
  */
 const getAllPosts = async (req, res) => {
   try {
     const { 
-      page = 1, 
-      limit = 10, 
       author,   
       sortBy = 'created',
       sortOrder = 'desc'
     } = req.query;
 
-    // Validate pagination parameters
-    const pageNum = parseInt(page);
-    const limitNum = Math.min(parseInt(limit), 50); // Max 50 posts per page
-    const skip = (pageNum - 1) * limitNum;
+    // Sort posts by (created, id), or by (count, created, id), so cursors stay stable
+    const order = sortOrder === 'asc' ? 'asc' : 'desc';
+    const countField = { comments: 'commentCount', reactions: 'reactionCount' }[sortBy];
+    const pinnedFirst = req.query.pinnedFirst === 'true';
+    let compare = countField ? compareByField(countField, order) : compareByCreated(order);
+    const viewer = await visibilityService.viewerFor(req.user);
+    const includeDrafts = req.query.includeDrafts === 'true';
 
-    if (pageNum < 1 || limitNum < 1) {
-      return res.status(400).json({
+    if (pinnedFirst) {
+      if (!author || countField || order !== 'desc') {
+        return res.status(400).json({
+          success: false,
+          message: 'pinnedFirst requires an author and the default newest-first order',
+          code: 'INVALID_PINNED_FIRST',
+          statusCode: 400
+        });
+      }
+      // Pins rank above everything else, the first pin highest
+      compare = compareByField('pinWeight', 'desc');
+    }
+
+    if (includeDrafts && !(req.user && req.user.role === 'admin')) {
+      return res.status(403).json({
         success: false,
-        message: 'Invalid pagination parameters',
-        code: 'INVALID_PAGINATION',
-        statusCode: 400
+        message: 'Only admins can list drafts',
+        code: 'INSUFFICIENT_PERMISSIONS',
+        statusCode: 403
       });
     }
 
-    // Filter posts
-    let filteredPosts = posts.filter(post => !post.isDeleted);
-
-    // Apply filters
-    if (author) {
-      filteredPosts = filteredPosts.filter(post => post.author === author);
+    // Validate pagination parameters
+    const paginationParams = readPagination(req.query, { sortField: compare.sortField });
+    if (paginationParams.error) {
+      return sendPaginationError(res, paginationParams.error);
     }
 
-    // Sort posts
-    const sortMultiplier = sortOrder === 'desc' ? -1 : 1;
-    filteredPosts.sort((a, b) => (new Date(a.created) - new Date(b.created)) * sortMultiplier);
+    // Filter posts, counting engagement up front only when sorting by it
+    const { postRepository } = getRepositories();
+    const found = (await postRepository.find({ author })).filter(post => canView(post, viewer));
+    if (includeDrafts) {
+      logAudit('posts.listDrafts', viewer.id, { author: author || null });
+      found.push(...await postRepository.find({ author, status: 'draft' }));
+    }
+    if (pinnedFirst) {
+      const pinned = (await pinService.pinnedPosts(author)).map(p => p.id);
+      found.forEach((post, i) => {
+        const position = pinned.indexOf(post.id);
+        found[i] = { ...post, pinWeight: position === -1 ? 0 : pinned.length - position };
+      });
+    }
+    const filteredPosts = countField ? await withEngagement(found, viewer) : found;
+    filteredPosts.sort(compare);
 
     // Apply pagination
-    const totalPosts = filteredPosts.length;
-    const totalPages = Math.ceil(totalPosts / limitNum);
-    const paginatedPosts = filteredPosts.slice(skip, skip + limitNum);
+    const { items, pagination } = paginate(filteredPosts, paginationParams, compare);
+    setLinkHeader(req, res, pagination);
+
+    const posts = countField
+      ? await withPolls(await withAttachments(await withOriginals(items, viewer)), viewer && viewer.id)
+      : await present(items, viewer);
 
     return res.status(200).json({
       success: true,
       data: {
-        posts: paginatedPosts.map(post => ({
+        posts: posts.map(post => ({
           id: post.id,
           author: post.author,
           content: post.content,
           created: post.created,
+          ...engagementFields(post),
+          ...(pinnedFirst ? { pinned: post.pinWeight > 0 } : {}),
         })),
         pagination: {
-          currentPage: pageNum,
-          totalPages,
-          totalPosts,
-          postsPerPage: limitNum,
-          hasNextPage: pageNum < totalPages,
-          hasPrevPage: pageNum > 1
+          ...pagination,
+          // Deprecated aliases kept for existing clients
+          currentPage: pagination.page,
+          totalPosts: pagination.total,
+          postsPerPage: pagination.limit
         }
       }
     });
@@ -164,14 +353,18 @@ const getAllPosts = async (req, res) => {
 /**
  * Get a specific post by ID
  * GET /posts/:id
+ * 
+ * Scheduled posts are only visible to their author until published. Posts
+ * the caller may not see (see `utils/visibility.js`) are reported as missing.
  */
 const getPostById = async (req, res) => {
   try {
     const { id } = req.params;
+    const viewer = await visibilityService.viewerFor(req.user);
     
-    const post = posts.find(post => post.id === id && !post.isDeleted);
+    const found = await findVisiblePost(id, viewer);
     
-    if (!post) {
+    if (!found) {
       return res.status(404).json({
         success: false,
         message: 'Post not found',
@@ -180,6 +373,8 @@ const getPostById = async (req, res) => {
       });
     }
 
+    const [post] = await present([found], viewer);
+
     return res.status(200).json({
       success: true,
       data: {
@@ -189,7 +384,8 @@ const getPostById = async (req, res) => {
           content: post.content,
           created: post.created,
           updatedAt: post.updatedAt,
-          isDeleted: post.isDeleted
+          isDeleted: post.isDeleted,
+          ...engagementFields(post)
         }
       }
     });
@@ -205,37 +401,134 @@ const getPostById = async (req, res) => {
   }
 };
 
+const sendPolicyViolation = (res, { violations }) =>
+  res.status(400).json({
+    success: false,
+    message: `Post violates the content policy: ${violations.filter(v => v.action === 'reject').map(v => v.name).join(', ')}`,
+    code: 'CONTENT_POLICY_VIOLATION',
+    statusCode: 400
+  });
+
 /**
  * Create a new post
  * POST /posts
  * 
- * Requires authentication
+ * Requires authentication. Set `replyTo` to answer another post, and
+ * `attachments` to the IDs of media you uploaded (POST /media). With a
+ * future `publishAt` the post is scheduled: only its author sees it until
+ * the scheduler publishes it. With `draft: true` it is saved as a draft,
+ * which only its author sees until they publish it (POST /posts/:id/publish).
+ * `visibility` limits who can see the post once published (default: public).
+ * `poll` attaches a poll with 2-4 options that closes at `closesAt`.
+ * 
+ * The content policy may reject the post, hold it for review (only its
+ * author sees it until a moderator releases it) or flag it for moderators.
  */
 const createPost = async (req, res) => {
   try {
-    const { content } = req.body;
+    const {
+      content, replyTo, attachments = [], publishAt, draft = false, visibility = 'public', poll
+    } = req.body;
     const { user } = req;
+    const { postRepository, mediaRepository } = getRepositories();
+
+    const media = attachments.length > 0 ? await mediaRepository.findByIds(attachments) : [];
+    if (media.length !== attachments.length || media.some(m => m.owner !== user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Attachments must be media you uploaded',
+        code: 'INVALID_ATTACHMENT',
+        statusCode: 400
+      });
+    }
 
-    const newPost = {
-      id: `p${Date.now()}`,
+    // Replies join the parent's conversation (rooted at the first post)
+    const thread = {};
+    if (replyTo) {
+      const parent = await postRepository.findById(replyTo);
+      if (!parent || !(await visibilityService.canView(parent, user))) {
+        return res.status(404).json({
+          success: false,
+          message: 'The post you are replying to was not found',
+          code: 'REPLY_PARENT_NOT_FOUND',
+          statusCode: 404
+        });
+      }
+      thread.replyTo = parent.id;
+      thread.conversationId = parent.conversationId || parent.id;
+    }
+
+    const text = content.trim();
+    const policy = await contentPolicyService.check(text, { author: user.id });
+    if (policy.outcome === 'reject') {
+      return sendPolicyViolation(res, policy);
+    }
+
+    let publishing = {};
+    if (publishAt) {
+      publishing = { status: 'scheduled', publishAt };
+    } else if (draft) {
+      publishing = { status: 'draft' };
+    }
+    if (policy.outcome === 'hold') {
+      publishing = { ...publishing, status: 'held', heldStatus: publishing.status || 'published' };
+    }
+
+    const newPost = await postRepository.create({
+      id: generateId(),
       author: user.id,
-      content: content.trim(),
+      content: text,
+      ...await contentFields(text),
+      ...thread,
+      attachments,
+      visibility,
+      ...(poll ? { poll: { options: poll.options, closesAt: poll.closesAt } } : {}),
+      ...publishing,
       created: new Date(),
       isDeleted: false,
       updatedAt: new Date()
-    };
-
-    posts.push(newPost);
+    });
+    if (newPost.status === 'scheduled') {
+      await postScheduler.reschedule();
+    } else if (isPublished(newPost)) {
+      await timelineService.onPostCreated(newPost);
+      await searchService.onPostCreated(newPost);
+    }
+    await contentPolicyService.report(newPost, policy);
 
+    const messages = {
+      scheduled: 'Post scheduled successfully',
+      draft: 'Draft saved successfully',
+      held: 'Post held for review'
+    };
     return res.status(201).json({
       success: true,
-      message: 'Post created successfully',
+      message: messages[newPost.status] || 'Post created successfully',
       data: {
         post: {
           id: newPost.id,
           author: newPost.author,
           content: newPost.content,
           created: newPost.created,
+          visibility: newPost.visibility,
+          status: newPost.status || 'published',
+          publishAt: newPost.publishAt || null,
+          edited: false,
+          editedAt: null,
+          poll: newPost.poll ? summarizePoll(newPost.poll, [], user.id) : null,
+          entities: newPost.entities,
+          attachments: attachments.map(id => toMediaResponse(media.find(m => m.id === id))),
+          replyTo: newPost.replyTo || null,
+          repostOf: null,
+          original: null,
+          replyCount: 0,
+          repostCount: 0,
+          quoteCount: 0,
+          viewerReposted: false,
+          commentCount: 0,
+          reactionCount: 0,
+          reactionCounts: {},
+          viewerReactions: [],
         }
       }
     });
@@ -250,9 +543,1166 @@ const createPost = async (req, res) => {
   }
 };
 
+/**
+ * Update a post
+ * PUT /posts/:id   - full update (all editable fields required)
+ * PATCH /posts/:id - partial update
+ * 
+ * Permissions (enforced by authorizeOwnership):
+ * - Users can only update their own posts
+ * - Admins can update any post
+ * 
+ * `publishAt` moves a scheduled post, or schedules a draft; published
+ * posts cannot be rescheduled. `visibility` changes who can see the post.
+ * 
+ * Content edits of published posts are kept as revisions (GET /posts/:id/revisions).
+ * Edited content is checked against the content policy like new posts.
+ * Posts hidden by a moderator or held for review cannot be edited, and
+ * plain reposts have no content to edit.
+ */
+const updatePost = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { content, publishAt, visibility } = req.body;
+    const { postRepository } = getRepositories();
+
+    if (req.resource.status === 'hidden') {
+      return res.status(400).json({
+        success: false,
+        message: 'Posts hidden by a moderator cannot be edited',
+        code: 'POST_HIDDEN',
+        statusCode: 400
+      });
+    }
+    if (req.resource.status === 'held') {
+      return res.status(400).json({
+        success: false,
+        message: 'Posts held for review cannot be edited',
+        code: 'POST_HELD',
+        statusCode: 400
+      });
+    }
+
+    if (content !== undefined && isPlainRepost(req.resource)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Plain reposts have no content to edit; quote the post instead',
+        code: 'REPOST_NOT_EDITABLE',
+        statusCode: 400
+      });
+    }
+
+    if (publishAt !== undefined && isPublished(req.resource)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only scheduled posts can be rescheduled',
+        code: 'POST_ALREADY_PUBLISHED',
+        statusCode: 400
+      });
+    }
+
+    const changes = { updatedAt: new Date() };
+    let policy = null;
+    if (content !== undefined) {
+      changes.content = content.trim();
+      if (changes.content !== req.resource.content) {
+        policy = await contentPolicyService.check(changes.content, { author: req.resource.author, exclude: id });
+        if (policy.outcome === 'reject') {
+          return sendPolicyViolation(res, policy);
+        }
+      }
+      Object.assign(changes, await contentFields(changes.content));
+    }
+    // Drafts and scheduled posts have no history until they are published
+    if (changes.content !== undefined && changes.content !== req.resource.content && isPublished(req.resource)) {
+      await revisionService.recordEdit(req.resource, changes.content, req.user.id, changes.updatedAt);
+      changes.editedAt = changes.updatedAt;
+    }
+    if (publishAt !== undefined) {
+      Object.assign(changes, { status: 'scheduled', publishAt });
+    }
+    if (visibility !== undefined) {
+      changes.visibility = visibility;
+    }
+    if (policy && policy.outcome === 'hold') {
+      Object.assign(changes, { status: 'held', heldStatus: changes.status || req.resource.status || 'published' });
+    }
+
+    const saved = await postRepository.update(id, changes);
+    await searchService.onPostUpdated(saved);
+    if (publishAt !== undefined || saved.status !== req.resource.status) {
+      await postScheduler.reschedule();
+    }
+    if (isPublished(req.resource) && !isPublished(saved)) {
+      await timelineService.onPostDeleted(saved);
+    } else if (isPublished(saved) && visibilityOf(saved) !== visibilityOf(req.resource)) {
+      // Re-fan-out, so the post enters or leaves followers' timelines
+      await timelineService.onPostDeleted(saved);
+      await timelineService.onPostCreated(saved);
+    }
+    if (policy) {
+      await contentPolicyService.report(saved, policy);
+    }
+    const [updatedPost] = await present([saved], await visibilityService.viewerFor(req.user));
+
+    return res.status(200).json({
+      success: true,
+      message: saved.status === 'held' ? 'Post held for review' : 'Post updated successfully',
+      data: {
+        post: {
+          id: updatedPost.id,
+          author: updatedPost.author,
+          content: updatedPost.content,
+          created: updatedPost.created,
+          updatedAt: updatedPost.updatedAt,
+          isDeleted: updatedPost.isDeleted,
+          ...engagementFields(updatedPost)
+        }
+      }
+    });
+
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error during post update',
+      code: 'UPDATE_POST_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+/**
+ * Get the current user's home feed
+ * GET /posts/feed
+ * 
+ * Recent non-deleted posts from the users the caller follows, newest first.
+ * 
+ * Query parameters:
+ * - limit: Posts per page (default: 10, max: 50)
+ * - cursor: `nextCursor` from the previous page
+ * - includeOwn: Include the caller's own posts (default: false)
+ */
+const getFeed = async (req, res) => {
+  try {
+    const { includeOwn } = req.query;
+    const { user } = req;
+    const { userRepository } = getRepositories();
+
+    const { limit, cursor, after, error: paginationError } = readPagination(req.query);
+    if (paginationError) {
+      return sendPaginationError(res, paginationError);
+    }
+
+    // Served from the fan-out-on-write timeline cache
+    const { posts, nextCursor } = await timelineService.read(user.id, { after, limit, includeOwn });
+    const items = await present(posts, await visibilityService.viewerFor(user));
+    const pagination = buildPagination({ limit, nextCursor, hasPrevPage: Boolean(cursor) });
+    setLinkHeader(req, res, pagination);
+
+    // Embed author names
+    const authors = await userRepository.findByIds([...new Set(items.map(p => p.author))]);
+    const authorNames = new Map(authors.map(a => [a.id, a.name]));
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        posts: items.map(post => ({
+          id: post.id,
+          author: post.author,
+          authorName: authorNames.get(post.author) || null,
+          content: post.content,
+          created: post.created,
+          ...engagementFields(post),
+        })),
+        pagination
+      }
+    });
+
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching feed',
+      code: 'GET_FEED_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+/**
+ * Send a newest-first page of the posts matching a repository filter that
+ * the caller may see, with author names
+ * @param {Object} req - Express request (`limit`, `cursor`, `page` in the query)
+ * @param {Object} res - Express response
+ * @param {Object} filter - `postRepository.find` filter
+ */
+const sendPostList = async (req, res, filter) => {
+  const { postRepository, userRepository } = getRepositories();
+  const compare = compareByCreated('desc');
+
+  const paginationParams = readPagination(req.query);
+  if (paginationParams.error) {
+    return sendPaginationError(res, paginationParams.error);
+  }
+
+  const viewer = await visibilityService.viewerFor(req.user);
+  const found = (await postRepository.find(filter)).filter(post => canView(post, viewer)).sort(compare);
+  const { items, pagination } = paginate(found, paginationParams, compare);
+  setLinkHeader(req, res, pagination);
+
+  const posts = await present(items, viewer);
+  const authors = await userRepository.findByIds([...new Set(posts.map(p => p.author))]);
+  const authorNames = new Map(authors.map(a => [a.id, a.name]));
+
+  return res.status(200).json({
+    success: true,
+    data: {
+      posts: posts.map(post => ({
+        id: post.id,
+        author: post.author,
+        authorName: authorNames.get(post.author) || null,
+        content: post.content,
+        created: post.created,
+        ...engagementFields(post),
+      })),
+      pagination
+    }
+  });
+};
+
+/**
+ * List posts with a hashtag, newest first
+ * GET /tags/:tag
+ * 
+ * Tags match case-insensitively. Query parameters: cursor, page, limit.
+ */
+const getTaggedPosts = async (req, res) => {
+  try {
+    return await sendPostList(req, res, { hashtag: req.params.tag });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching tagged posts',
+      code: 'GET_TAGGED_POSTS_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+/**
+ * List posts that mention a user, newest first
+ * GET /users/:userId/mentions
+ * 
+ * Query parameters: cursor, page, limit.
+ */
+const getMentions = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { userRepository } = getRepositories();
+
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        code: 'USER_NOT_FOUND',
+        statusCode: 404
+      });
+    }
+
+    return await sendPostList(req, res, { mentionedUser: user.id });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching mentions',
+      code: 'GET_MENTIONS_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+/**
+ * List the current user's drafts, newest first
+ * GET /posts/drafts
+ * 
+ * Query parameters: cursor, page, limit.
+ */
+const getDrafts = async (req, res) => {
+  try {
+    return await sendPostList(req, res, { author: req.user.id, status: 'draft' });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching drafts',
+      code: 'GET_DRAFTS_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+/**
+ * Publish a draft as a normal post, dated now
+ * POST /posts/:id/publish
+ * 
+ * Permissions (enforced by authorizeOwnership): drafts are only visible to,
+ * and publishable by, their author.
+ */
+const publishDraft = async (req, res) => {
+  try {
+    const { postRepository } = getRepositories();
+    const draft = req.resource;
+
+    if (draft.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only drafts can be published',
+        code: 'POST_NOT_DRAFT',
+        statusCode: 400
+      });
+    }
+
+    const now = new Date();
+    const saved = await postRepository.update(draft.id, { status: 'published', created: now, updatedAt: now });
+    await timelineService.onPostCreated(saved);
+    await searchService.onPostCreated(saved);
+    const [post] = await present([saved], await visibilityService.viewerFor(req.user));
+
+    return res.status(200).json({
+      success: true,
+      message: 'Draft published successfully',
+      data: {
+        post: {
+          id: post.id,
+          author: post.author,
+          content: post.content,
+          created: post.created,
+          updatedAt: post.updatedAt,
+          isDeleted: post.isDeleted,
+          ...engagementFields(post)
+        }
+      }
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while publishing draft',
+      code: 'PUBLISH_DRAFT_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+/**
+ * List the current user's scheduled posts, soonest first
+ * GET /posts/scheduled
+ * 
+ * Query parameters: cursor, page, limit.
+ */
+const getScheduledPosts = async (req, res) => {
+  try {
+    const { postRepository } = getRepositories();
+    // Cursors need a numeric sort key
+    const compare = compareByField('publishTime', 'asc');
+
+    const paginationParams = readPagination(req.query, { sortField: compare.sortField });
+    if (paginationParams.error) {
+      return sendPaginationError(res, paginationParams.error);
+    }
+
+    const found = (await postRepository.find({ author: req.user.id, status: 'scheduled' }))
+      .map(post => ({ ...post, publishTime: new Date(post.publishAt).getTime() }))
+      .sort(compare);
+    const { items, pagination } = paginate(found, paginationParams, compare);
+    setLinkHeader(req, res, pagination);
+
+    const posts = await present(items, await visibilityService.viewerFor(req.user));
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        posts: posts.map(post => ({
+          id: post.id,
+          author: post.author,
+          content: post.content,
+          created: post.created,
+          updatedAt: post.updatedAt,
+          ...engagementFields(post),
+        })),
+        pagination
+      }
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching scheduled posts',
+      code: 'GET_SCHEDULED_POSTS_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+/**
+ * Repost a post, or quote it with commentary
+ * POST /posts/:id/repost
+ * 
+ * Requires authentication. Without `content` this is a plain repost (once
+ * per user, not of your own posts); with `content` it is a quote post.
+ * Reposting a plain repost reshares its original. Only public posts can
+ * be reposted. Quote posts are checked against the content policy.
+ * 
+ * Body:
+ * - content: Commentary for a quote post (optional, max 1000 chars)
+ */
+const createRepost = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { content } = req.body;
+    const { user } = req;
+    const { postRepository } = getRepositories();
+
+    const viewer = await visibilityService.viewerFor(user);
+    const target = await postRepository.findById(id);
+    const original = target && isPlainRepost(target)
+      ? await postRepository.findById(target.repostOf)
+      : target;
+    if (!original || !canView(target, viewer) || !canView(original, viewer)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found',
+        code: 'POST_NOT_FOUND',
+        statusCode: 404
+      });
+    }
+
+    // Resharing would show the post to people its author did not choose
+    if (visibilityOf(original) !== 'public') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only public posts can be reposted',
+        code: 'CANNOT_REPOST_RESTRICTED_POST',
+        statusCode: 400
+      });
+    }
+
+    const quote = content ? content.trim() : '';
+    const policy = quote ? await contentPolicyService.check(quote, { author: user.id }) : null;
+    if (policy && policy.outcome === 'reject') {
+      return sendPolicyViolation(res, policy);
+    }
+    if (!quote) {
+      if (original.author === user.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot repost your own post',
+          code: 'CANNOT_REPOST_OWN_POST',
+          statusCode: 400
+        });
+      }
+
+      const ownReposts = await postRepository.find({ author: user.id, repostsOf: [original.id] });
+      if (ownReposts.some(isPlainRepost)) {
+        return res.status(400).json({
+          success: false,
+          message: 'You have already reposted this post',
+          code: 'ALREADY_REPOSTED',
+          statusCode: 400
+        });
+      }
+    }
+
+    const repost = await postRepository.create({
+      id: generateId(),
+      author: user.id,
+      content: quote,
+      ...await contentFields(quote),
+      repostOf: original.id,
+      visibility: 'public',
+      ...(policy && policy.outcome === 'hold' ? { status: 'held', heldStatus: 'published' } : {}),
+      created: new Date(),
+      isDeleted: false,
+      updatedAt: new Date()
+    });
+    if (isPublished(repost)) {
+      await timelineService.onPostCreated(repost);
+      await searchService.onPostCreated(repost);
+    }
+    if (policy) {
+      await contentPolicyService.report(repost, policy);
+    }
+
+    const [post] = await present([repost], viewer);
+
+    return res.status(201).json({
+      success: true,
+      message: repost.status === 'held'
+        ? 'Post held for review'
+        : quote ? 'Quote post created successfully' : 'Post reposted successfully',
+      data: {
+        post: {
+          id: post.id,
+          author: post.author,
+          content: post.content,
+          created: post.created,
+          ...engagementFields(post)
+        }
+      }
+    });
+
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while reposting',
+      code: 'REPOST_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+/**
+ * Undo a plain repost
+ * DELETE /posts/:id/repost
+ * 
+ * Requires authentication. Quote posts are deleted like any other post.
+ */
+const undoRepost = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { user } = req;
+    const { postRepository } = getRepositories();
+
+    const ownReposts = await postRepository.find({ author: user.id, repostsOf: [id] });
+    const repost = ownReposts.find(isPlainRepost);
+    if (!repost) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have not reposted this post',
+        code: 'REPOST_NOT_FOUND',
+        statusCode: 404
+      });
+    }
+
+    const removed = await postRepository.update(repost.id, {
+      isDeleted: true,
+      updatedAt: new Date()
+    });
+    await timelineService.onPostDeleted(repost);
+    await searchService.onPostDeleted(repost);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Repost removed successfully',
+      data: {
+        removed: {
+          id: repost.id,
+          repostOf: repost.repostOf,
+          deletedAt: removed.updatedAt
+        }
+      }
+    });
+
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while removing repost',
+      code: 'UNDO_REPOST_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+/**
+ * Bookmark a post
+ * POST /posts/:id/bookmark
+ * 
+ * Requires authentication. Any post the caller may see can be bookmarked;
+ * bookmarks are private to the user who made them.
+ */
+const bookmarkPost = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { user } = req;
+    const { postRepository, bookmarkRepository } = getRepositories();
+
+    const post = await postRepository.findById(id);
+    if (!post || !(await visibilityService.canView(post, user))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found',
+        code: 'POST_NOT_FOUND',
+        statusCode: 404
+      });
+    }
+
+    if (await bookmarkRepository.findActive(user.id, post.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already bookmarked this post',
+        code: 'ALREADY_BOOKMARKED',
+        statusCode: 400
+      });
+    }
+
+    const bookmark = await bookmarkRepository.create({
+      id: generateId(),
+      user: user.id,
+      post: post.id,
+      created: new Date(),
+      isDeleted: false
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Post bookmarked successfully',
+      data: {
+        bookmark: {
+          postId: bookmark.post,
+          created: bookmark.created
+        }
+      }
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while bookmarking post',
+      code: 'BOOKMARK_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+/**
+ * Remove a bookmark
+ * DELETE /posts/:id/bookmark
+ * 
+ * Requires authentication. Works even if the post has been deleted since.
+ */
+const removeBookmark = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { bookmarkRepository } = getRepositories();
+
+    const bookmark = await bookmarkRepository.findActive(req.user.id, id);
+    if (!bookmark) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have not bookmarked this post',
+        code: 'BOOKMARK_NOT_FOUND',
+        statusCode: 404
+      });
+    }
+
+    const removed = await bookmarkRepository.update(bookmark.id, { isDeleted: true, updatedAt: new Date() });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Bookmark removed successfully',
+      data: {
+        removed: {
+          postId: bookmark.post,
+          deletedAt: removed.updatedAt
+        }
+      }
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while removing bookmark',
+      code: 'REMOVE_BOOKMARK_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+/**
+ * List the current user's bookmarked posts, most recently bookmarked first
+ * GET /posts/bookmarks
+ * 
+ * Posts deleted since, or that the user may no longer see, are left out.
+ * Query parameters: cursor, page, limit.
+ */
+const getBookmarks = async (req, res) => {
+  try {
+    const { bookmarkRepository, postRepository, userRepository } = getRepositories();
+    // Cursors need a numeric sort key
+    const compare = compareByField('bookmarkTime', 'desc');
+
+    const paginationParams = readPagination(req.query, { sortField: compare.sortField });
+    if (paginationParams.error) {
+      return sendPaginationError(res, paginationParams.error);
+    }
+
+    const viewer = await visibilityService.viewerFor(req.user);
+    const bookmarks = await bookmarkRepository.findByUser(req.user.id);
+    const byId = new Map((await postRepository.findByIds(bookmarks.map(b => b.post))).map(p => [p.id, p]));
+    const found = bookmarks
+      .filter(bookmark => byId.has(bookmark.post) && canView(byId.get(bookmark.post), viewer))
+      .map(bookmark => ({
+        ...byId.get(bookmark.post),
+        bookmarkedAt: bookmark.created,
+        bookmarkTime: new Date(bookmark.created).getTime()
+      }))
+      .sort(compare);
+    const { items, pagination } = paginate(found, paginationParams, compare);
+    setLinkHeader(req, res, pagination);
+
+    const posts = await present(items, viewer);
+    const authors = await userRepository.findByIds([...new Set(posts.map(p => p.author))]);
+    const authorNames = new Map(authors.map(a => [a.id, a.name]));
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        posts: posts.map(post => ({
+          id: post.id,
+          author: post.author,
+          authorName: authorNames.get(post.author) || null,
+          content: post.content,
+          created: post.created,
+          bookmarkedAt: post.bookmarkedAt,
+          ...engagementFields(post),
+        })),
+        pagination
+      }
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching bookmarks',
+      code: 'GET_BOOKMARKS_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+/**
+ * Pin one of your posts to your profile, after any existing pins
+ * POST /posts/:id/pin
+ * 
+ * Requires authentication. Only your own published posts can be pinned,
+ * up to `MAX_PINS` at a time.
+ */
+const pinPost = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { user } = req;
+    const { postRepository } = getRepositories();
+
+    const post = await postRepository.findById(id);
+    if (!post || !(await visibilityService.canView(post, user))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found',
+        code: 'POST_NOT_FOUND',
+        statusCode: 404
+      });
+    }
+
+    if (post.author !== user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only pin your own posts',
+        code: 'PIN_PERMISSION_DENIED',
+        statusCode: 403
+      });
+    }
+
+    const pinned = (await pinService.pinnedPosts(user.id)).map(p => p.id);
+    if (pinned.includes(post.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This post is already pinned',
+        code: 'ALREADY_PINNED',
+        statusCode: 400
+      });
+    }
+
+    if (pinned.length >= MAX_PINS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can pin at most ${MAX_PINS} posts`,
+        code: 'PIN_LIMIT_REACHED',
+        statusCode: 400
+      });
+    }
+
+    const pins = await pinService.save(user.id, [...pinned, post.id]);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Post pinned successfully',
+      data: { pins }
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while pinning post',
+      code: 'PIN_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+/**
+ * Unpin one of your posts
+ * DELETE /posts/:id/pin
+ * 
+ * Requires authentication.
+ */
+const unpinPost = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { user } = req;
+
+    const pinned = (await pinService.pinnedPosts(user.id)).map(p => p.id);
+    if (!pinned.includes(id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'This post is not pinned',
+        code: 'PIN_NOT_FOUND',
+        statusCode: 404
+      });
+    }
+
+    const pins = await pinService.save(user.id, pinned.filter(postId => postId !== id));
+
+    return res.status(200).json({
+      success: true,
+      message: 'Post unpinned successfully',
+      data: { pins }
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while unpinning post',
+      code: 'UNPIN_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+/**
+ * Reorder your pinned posts
+ * PUT /posts/pins
+ * 
+ * Requires authentication. `postIds` must list exactly the currently pinned
+ * posts, in the new order.
+ */
+const reorderPins = async (req, res) => {
+  try {
+    const { postIds } = req.body;
+    const { user } = req;
+
+    const pinned = (await pinService.pinnedPosts(user.id)).map(p => p.id);
+    if (postIds.length !== pinned.length || !postIds.every(id => pinned.includes(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'postIds must list exactly your pinned posts',
+        code: 'INVALID_PIN_ORDER',
+        statusCode: 400
+      });
+    }
+
+    const pins = await pinService.save(user.id, postIds);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Pins reordered successfully',
+      data: { pins }
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while reordering pins',
+      code: 'REORDER_PINS_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+/**
+ * List a user's pinned posts, in pin order
+ * GET /users/:userId/pins
+ * 
+ * Pinned posts the caller may not see are left out.
+ */
+const getPinnedPosts = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { userRepository } = getRepositories();
+
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        code: 'USER_NOT_FOUND',
+        statusCode: 404
+      });
+    }
+
+    const viewer = await visibilityService.viewerFor(req.user);
+    const pinned = (await pinService.pinnedPosts(user.id)).filter(post => canView(post, viewer));
+    const posts = await present(pinned, viewer);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        posts: posts.map(post => ({
+          id: post.id,
+          author: post.author,
+          authorName: user.name,
+          content: post.content,
+          created: post.created,
+          ...engagementFields(post),
+        }))
+      }
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching pinned posts',
+      code: 'GET_PINS_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+// Tombstones keep their place in the tree but hide the author and content
+const toThreadNode = (post, authorNames) => {
+  const deleted = Boolean(post.isDeleted);
+  return {
+    id: post.id,
+    replyTo: post.replyTo || null,
+    isDeleted: deleted,
+    author: deleted ? null : post.author,
+    authorName: deleted ? null : authorNames.get(post.author) || null,
+    content: deleted ? null : post.content,
+    created: post.created
+  };
+};
+
+/**
+ * Get a conversation tree
+ * GET /posts/:id/conversation
+ * 
+ * Returns the replies below a post up to `depth` levels (oldest first) and
+ * its ancestors up to the thread root. Deleted posts that still have replies
+ * appear as tombstones, as do posts the caller may not see; nodes cut off by
+ * the depth limit set `hasMoreReplies`.
+ * 
+ * Query parameters:
+ * - depth: Reply levels to include (default: 5, max: 10)
+ */
+const getConversation = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { depth } = req.query;
+    const { postRepository, userRepository } = getRepositories();
+
+    const viewer = await visibilityService.viewerFor(req.user);
+    const post = await postRepository.findById(id, { includeDeleted: true });
+    if (!post || !canView(post, viewer)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found',
+        code: 'POST_NOT_FOUND',
+        statusCode: 404
+      });
+    }
+
+    // Every post in the thread, including tombstones
+    const conversationId = post.conversationId || post.id;
+    const root = conversationId === post.id
+      ? post
+      : await postRepository.findById(conversationId, { includeDeleted: true });
+    const replies = await postRepository.find({ conversationId, includeDeleted: true });
+    const posts = (root ? [root, ...replies] : replies)
+      .map(p => (canView(p, viewer) ? p : { ...p, isDeleted: true }));
+
+    const authors = await userRepository.findByIds([...new Set(posts.map(p => p.author))]);
+    const authorNames = new Map(authors.map(a => [a.id, a.name]));
+
+    const thread = buildThread(posts, post.id, {
+      depth,
+      toNode: node => toThreadNode(node, authorNames)
+    });
+
+    if (!thread) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found',
+        code: 'POST_NOT_FOUND',
+        statusCode: 404
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        conversationId,
+        depth,
+        ancestors: thread.ancestors,
+        post: thread.post
+      }
+    });
+
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching conversation',
+      code: 'GET_CONVERSATION_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+/**
+ * List a post's revisions with word diffs
+ * GET /posts/:id/revisions
+ * 
+ * Revisions are oldest first; revision 1 is the content the post was
+ * published with. Each later revision has a `diff` from the one before:
+ * `equal`, `insert` and `delete` parts in reading order.
+ */
+const getRevisions = async (req, res) => {
+  try {
+    const { userRepository } = getRepositories();
+    const post = await findVisiblePost(req.params.id, await visibilityService.viewerFor(req.user));
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found',
+        code: 'POST_NOT_FOUND',
+        statusCode: 404
+      });
+    }
+
+    const revisions = await revisionService.history(post);
+    const editors = await userRepository.findByIds([...new Set(revisions.map(r => r.editor))]);
+    const editorNames = new Map(editors.map(e => [e.id, e.name]));
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        postId: post.id,
+        revisions: revisions.map(revision => ({
+          revision: revision.revision,
+          content: revision.content,
+          editor: revision.editor,
+          editorName: editorNames.get(revision.editor) || null,
+          created: revision.created,
+          diff: revision.diff
+        }))
+      }
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching revisions',
+      code: 'GET_REVISIONS_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+/**
+ * Restore an earlier revision of a post
+ * POST /posts/:id/revisions/:revision/restore
+ * 
+ * Admins only. The restored content becomes a new revision, so the history
+ * is never rewritten.
+ */
+const restoreRevision = async (req, res) => {
+  try {
+    const { id, revision: number } = req.params;
+    const { postRepository } = getRepositories();
+
+    const post = await postRepository.findById(id);
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found',
+        code: 'POST_NOT_FOUND',
+        statusCode: 404
+      });
+    }
+
+    const revision = (await revisionService.history(post)).find(r => r.revision === number);
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found',
+        code: 'REVISION_NOT_FOUND',
+        statusCode: 404
+      });
+    }
+    if (revision.content === post.content) {
+      return res.status(400).json({
+        success: false,
+        message: 'The post already has this content',
+        code: 'REVISION_IS_CURRENT',
+        statusCode: 400
+      });
+    }
+
+    const now = new Date();
+    const restored = await revisionService.recordEdit(post, revision.content, req.user.id, now);
+    const saved = await postRepository.update(id, {
+      content: revision.content,
+      ...await contentFields(revision.content),
+      editedAt: now,
+      updatedAt: now
+    });
+    await searchService.onPostUpdated(saved);
+    const [updatedPost] = await present([saved], await visibilityService.viewerFor(req.user));
+
+    return res.status(200).json({
+      success: true,
+      message: `Revision ${number} restored successfully`,
+      data: {
+        revision: restored.revision,
+        post: {
+          id: updatedPost.id,
+          author: updatedPost.author,
+          content: updatedPost.content,
+          created: updatedPost.created,
+          updatedAt: updatedPost.updatedAt,
+          isDeleted: updatedPost.isDeleted,
+          ...engagementFields(updatedPost)
+        }
+      }
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while restoring revision',
+      code: 'RESTORE_REVISION_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
 module.exports = {
   deletePost,
   getAllPosts,
   getPostById,
-  createPost
+  createPost,
+  updatePost,
+  getFeed,
+  getConversation,
+  getRevisions,
+  restoreRevision,
+  getScheduledPosts,
+  getDrafts,
+  publishDraft,
+  createRepost,
+  undoRepost,
+  bookmarkPost,
+  removeBookmark,
+  getBookmarks,
+  pinPost,
+  unpinPost,
+  reorderPins,
+  getPinnedPosts,
+  getTaggedPosts,
+  getMentions
 }; 
\ No newline at end of file
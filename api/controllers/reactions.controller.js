@@ -0,0 +1,243 @@
+const { getRepositories } = require('../repositories');
+const { compareNewestFirst } = require('../utils/cursor');
+const { readPagination, sendPaginationError, paginate, setLinkHeader } = require('../utils/pagination');
+const { generateId } = require('../utils/id');
+const { visibilityService } = require('../services/visibility.service');
+const { REACTION_EMOJI, summarizeReactions } = require('../utils/reactions');
+
+const postNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: 'Post not found',
+    code: 'POST_NOT_FOUND',
+    statusCode: 404
+  });
+
+// Aggregated counts for one post, from the viewer's point of view
+const summarizePost = async (postId, viewerId) => {
+  const { reactionRepository } = getRepositories();
+  const reactions = await reactionRepository.findByPosts([postId]);
+  return summarizeReactions(reactions, [postId], viewerId).get(postId);
+};
+
+/**
+ * React to a post
+ * POST /posts/:id/reactions/:type
+ * 
+ * Requires authentication. A user can add several reaction types to the
+ * same post, but each type only once.
+ */
+const addReaction = async (req, res) => {
+  try {
+    const { id, type } = req.params;
+    const { user } = req;
+    const { postRepository, reactionRepository } = getRepositories();
+
+    const post = await postRepository.findById(id);
+    if (!post || !(await visibilityService.canView(post, req.user))) {
+      return postNotFound(res);
+    }
+
+    const existingReaction = await reactionRepository.findActive(post.id, user.id, type);
+    if (existingReaction) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already added this reaction',
+        code: 'ALREADY_REACTED',
+        statusCode: 400
+      });
+    }
+
+    const reaction = await reactionRepository.create({
+      id: generateId(),
+      post: post.id,
+      user: user.id,
+      type,
+      created: new Date(),
+      isDeleted: false
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Reaction added successfully',
+      data: {
+        reaction: {
+          id: reaction.id,
+          post: reaction.post,
+          user: reaction.user,
+          type: reaction.type,
+          created: reaction.created
+        },
+        reactions: await summarizePost(post.id, user.id)
+      }
+    });
+
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while adding reaction',
+      code: 'ADD_REACTION_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+/**
+ * Remove your reaction from a post
+ * DELETE /posts/:id/reactions/:type
+ * 
+ * Requires authentication
+ */
+const removeReaction = async (req, res) => {
+  try {
+    const { id, type } = req.params;
+    const { user } = req;
+    const { postRepository, reactionRepository } = getRepositories();
+
+    const post = await postRepository.findById(id);
+    if (!post || !(await visibilityService.canView(post, req.user))) {
+      return postNotFound(res);
+    }
+
+    const existingReaction = await reactionRepository.findActive(post.id, user.id, type);
+    if (!existingReaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have not added this reaction',
+        code: 'REACTION_NOT_FOUND',
+        statusCode: 404
+      });
+    }
+
+    // Soft delete the reaction
+    await reactionRepository.update(existingReaction.id, {
+      isDeleted: true,
+      updatedAt: new Date()
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Reaction removed successfully',
+      data: {
+        removed: {
+          id: existingReaction.id,
+          post: existingReaction.post,
+          type: existingReaction.type
+        },
+        reactions: await summarizePost(post.id, user.id)
+      }
+    });
+
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while removing reaction',
+      code: 'REMOVE_REACTION_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+/**
+ * Get aggregated reaction counts for a post
+ * GET /posts/:id/reactions
+ * 
+ * `viewerReactions` lists the caller's own reactions when a token is sent.
+ */
+const getReactions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { postRepository } = getRepositories();
+
+    const post = await postRepository.findById(id);
+    if (!post || !(await visibilityService.canView(post, req.user))) {
+      return postNotFound(res);
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        reactions: await summarizePost(post.id, req.user && req.user.id),
+        emoji: REACTION_EMOJI
+      }
+    });
+
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching reactions',
+      code: 'GET_REACTIONS_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+/**
+ * List who reacted to a post, newest first
+ * GET /posts/:id/reactions/users
+ * 
+ * Query parameters:
+ * - type: Only this reaction type
+ * - cursor: `nextCursor` from the previous page (keyset pagination)
+ * - page: Page number (default: 1, ignored when `cursor` is set)
+ * - limit: Reactions per page (default: 20, max: 50)
+ */
+const getReactors = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { type } = req.query;
+    const { postRepository, reactionRepository, userRepository } = getRepositories();
+
+    const paginationParams = readPagination(req.query, { limit: 20 });
+    if (paginationParams.error) {
+      return sendPaginationError(res, paginationParams.error);
+    }
+
+    const post = await postRepository.findById(id);
+    if (!post || !(await visibilityService.canView(post, req.user))) {
+      return postNotFound(res);
+    }
+
+    const reactions = (await reactionRepository.findByPosts([post.id]))
+      .filter(r => !type || r.type === type)
+      .sort(compareNewestFirst);
+
+    const { items, pagination } = paginate(reactions, paginationParams);
+    setLinkHeader(req, res, pagination);
+
+    // Embed user names
+    const users = await userRepository.findByIds([...new Set(items.map(r => r.user))]);
+    const names = new Map(users.map(u => [u.id, u.name]));
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        reactions: items.map(reaction => ({
+          id: reaction.id,
+          type: reaction.type,
+          created: reaction.created,
+          user: {
+            id: reaction.user,
+            name: names.get(reaction.user) || null
+          }
+        })),
+        pagination
+      }
+    });
+
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching reactions',
+      code: 'GET_REACTORS_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+module.exports = {
+  addReaction,
+  removeReaction,
+  getReactions,
+  getReactors
+};
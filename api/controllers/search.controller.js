@@ -0,0 +1,119 @@
+const { getRepositories } = require('../repositories');
+const { compareByField } = require('../utils/cursor');
+const { readPagination, sendPaginationError, paginate, setLinkHeader } = require('../utils/pagination');
+const { parseQuery, highlight } = require('../utils/search');
+const { searchService } = require('../services/search.service');
+const { visibilityService } = require('../services/visibility.service');
+
+// Relevance is reported rounded; the unrounded rank orders and pages results
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Posts behind the hits that the caller may see, by ID. findByIds skips
+// deleted posts, whatever the index says.
+const loadVisiblePosts = async (hits, user) => {
+  const { postRepository } = getRepositories();
+  const posts = await visibilityService.filterVisible(await postRepository.findByIds(hits.map(h => h.id)), user);
+  return new Map(posts.map(p => [p.id, p]));
+};
+
+/**
+ * Search posts or users
+ * GET /search
+ * 
+ * Matches every word of the query, as a whole word or a prefix, and quoted
+ * phrases word for word. Posts are ranked by relevance and recency, users by
+ * relevance. Each result has a `snippet` with `highlights` (offsets into the
+ * snippet) marking the matched words. Only posts the caller may see are
+ * returned (see `utils/visibility.js`).
+ * 
+ * Query parameters:
+ * - q: Search query (required, max 200 chars)
+ * - type: What to search (posts, users; default: posts)
+ * - cursor: `nextCursor` from the previous page
+ * - page: Page number (default: 1, ignored when `cursor` is set)
+ * - limit: Results per page (default: 10, max: 50)
+ */
+const search = async (req, res) => {
+  try {
+    const { q, type } = req.query;
+    const { userRepository } = getRepositories();
+
+    const clauses = parseQuery(q);
+    if (clauses.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query must contain at least one letter or number',
+        code: 'INVALID_SEARCH_QUERY',
+        statusCode: 400
+      });
+    }
+
+    const compare = compareByField('rank', 'desc');
+    const paginationParams = readPagination(req.query, { sortField: compare.sortField });
+    if (paginationParams.error) {
+      return sendPaginationError(res, paginationParams.error);
+    }
+
+    const found = await searchService.search(clauses, { type });
+    const posts = type === 'users' ? new Map() : await loadVisiblePosts(found, req.user);
+    const hits = (type === 'users' ? found : found.filter(hit => posts.has(hit.id))).sort(compare);
+    const { items, pagination } = paginate(hits, paginationParams, compare);
+    setLinkHeader(req, res, pagination);
+
+    if (type === 'users') {
+      const users = new Map((await userRepository.findByIds(items.map(h => h.id))).map(u => [u.id, u]));
+      return res.status(200).json({
+        success: true,
+        data: {
+          query: q,
+          users: items.filter(hit => users.has(hit.id)).map((hit) => {
+            const user = users.get(hit.id);
+            return {
+              id: user.id,
+              name: user.name,
+              username: user.username || null,
+              relevance: round(hit.relevance),
+              ...highlight(user.name, clauses)
+            };
+          }),
+          pagination
+        }
+      });
+    }
+
+    const authors = await userRepository.findByIds([...new Set([...posts.values()].map(p => p.author))]);
+    const authorNames = new Map(authors.map(a => [a.id, a.name]));
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        query: q,
+        posts: items.map((hit) => {
+          const post = posts.get(hit.id);
+          return {
+            id: post.id,
+            author: post.author,
+            authorName: authorNames.get(post.author) || null,
+            content: post.content,
+            created: post.created,
+            relevance: round(hit.relevance),
+            ...highlight(post.content, clauses)
+          };
+        }),
+        pagination
+      }
+    });
+
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while searching',
+      code: 'SEARCH_INTERNAL_ERROR',
+      statusCode: 500
+    });
+  }
+};
+
+module.exports = {
+  search
+};
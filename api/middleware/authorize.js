@@ -2,10 +2,12 @@
  * Role-Based Access Control (RBAC) Middleware
  * 
  * This middleware verifies JWT tokens and checks user roles for authorization.
+ * Suspended accounts are rejected even while their tokens are still valid.
  * It follows the principle of least privilege and provides detailed error messages.
  */
 
 const { verifyToken, extractTokenFromHeader } = require('./jwt');
+const { getRepositories } = require('../repositories');
 
 /**
  * Custom middleware for role-based authorization
@@ -13,7 +15,7 @@ const { verifyToken, extractTokenFromHeader } = require('./jwt');
  * @returns {Function} Express middleware function
  */
 const authorize = (roles = []) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     try {
       console.log('=== Authorization Middleware Debug ===');
       console.log('Request URL:', req.url);
@@ -67,6 +69,17 @@ const authorize = (roles = []) => {
         });
       }
 
+      // Tokens outlive a suspension, so check the account on every request
+      const account = await getRepositories().userRepository.findById(decoded.id);
+      if (account && account.suspendedAt) {
+        return res.status(403).json({
+          success: false,
+          message: 'This account has been suspended',
+          code: 'ACCOUNT_SUSPENDED',
+          statusCode: 403
+        });
+      }
+
       console.log('Authorization successful for user:', decoded.id, 'role:', decoded.role);
 
       // Attach user information to request object
@@ -93,6 +106,68 @@ const authorize = (roles = []) => {
   };
 };
 
+/**
+ * Resource-ownership authorization
+ *
+ * Loads the target resource and allows the request when the current user owns
+ * it or has one of the listed roles. Must run after an authentication
+ * middleware (e.g. `requireAuth`) has set `req.user`. `load` should return null
+ * for resources the caller may not see, so they get a 404 rather than a 403
+ * that confirms the resource exists. The loaded resource is
+ * attached to `req.resource` so handlers do not need to load it again.
+ *
+ * @param {Object} options
+ * @param {(req: Object) => Promise<Object|null>} options.load - Loads the target resource
+ * @param {string} options.resourceName - Singular name used in messages and codes (e.g. 'Post')
+ * @param {string[]} [options.roles] - Roles allowed regardless of ownership
+ * @param {string} [options.ownerField] - Resource field holding the owner's user ID
+ * @returns {Function} Express middleware function
+ */
+const authorizeOwnership = ({ load, resourceName, roles = ['admin'], ownerField = 'author' }) => {
+  const actions = { DELETE: 'delete', PUT: 'update', PATCH: 'update' };
+
+  return async (req, res, next) => {
+    try {
+      const resource = await load(req);
+
+      if (!resource) {
+        return res.status(404).json({
+          success: false,
+          message: `${resourceName} not found`,
+          code: `${resourceName.toUpperCase()}_NOT_FOUND`,
+          statusCode: 404
+        });
+      }
+
+      const { user } = req;
+      const isOwner = resource[ownerField] === user.id;
+
+      if (!isOwner && !roles.includes(user.role)) {
+        const action = actions[req.method] || 'modify';
+        return res.status(403).json({
+          success: false,
+          message: `You can only ${action} your own ${resourceName.toLowerCase()}s`,
+          code: `${action.toUpperCase()}_PERMISSION_DENIED`,
+          statusCode: 403,
+          userRole: user.role,
+          requiredRole: `${roles.join(' or ')} or ${resourceName.toLowerCase()} owner`
+        });
+      }
+
+      req.resource = resource;
+      next();
+    } catch (error) {
+      console.error('Ownership authorization error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error during authorization',
+        code: 'AUTH_INTERNAL_ERROR',
+        statusCode: 500
+      });
+    }
+  };
+};
+
 /**
  * Middleware for admin-only access
  */
@@ -137,6 +212,7 @@ const optionalAuth = (req, res, next) => {
 
 module.exports = {
   authorize,
+  authorizeOwnership,
   requireAdmin,
   requireUserOrAdmin,
   requireAuth,
@@ -6,7 +6,7 @@
 
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
-const users = require('../models/user.model');
+const { getRepositories } = require('../repositories');
 
 // JWT Configuration
 const JWT_CONFIG = {
@@ -93,11 +93,12 @@ const extractTokenFromHeader = (authHeader) => {
  * Get user by credentials (simulated authentication)
  * @param {string} email - email or user ID
  * @param {string} password - Password to verify
- * @returns {Object|null} User object or null if not found
+ * @returns {Promise<Object|null>} User object or null if not found
  */
-const authenticateUser = (email, password) => {
+const authenticateUser = async (email, password) => {
   // Find user by email
-  const user = users.find(user => user.email === email);
+  const { userRepository } = getRepositories();
+  const user = await userRepository.findByEmail(email);
   
   if (!user) {
     return null;
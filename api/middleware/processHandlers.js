@@ -4,6 +4,9 @@
  * Handles process-level errors and graceful shutdown
  */
 const { logError, logWarn, logInfo } = require('../utils/logger');
+const { closeRepositories } = require('../repositories');
+const { mediaService } = require('../services/media.service');
+const { postScheduler } = require('../services/scheduler.service');
 
 /**
  * Setup process error handlers
@@ -52,7 +55,12 @@ const setupProcessHandlers = (server) => {
         uptime: process.uptime(),
         timestamp: new Date().toISOString()
       });
-      process.exit(0);
+      postScheduler.stop();
+      // Pending media cleanups are not persisted, so run them before closing
+      mediaService.flushCleanup()
+        .then(() => closeRepositories())
+        .catch((error) => logError('Failed to close storage backend', error))
+        .finally(() => process.exit(0));
     });
   });
 
@@ -70,7 +78,12 @@ const setupProcessHandlers = (server) => {
         uptime: process.uptime(),
         timestamp: new Date().toISOString()
       });
-      process.exit(0);
+      postScheduler.stop();
+      // Pending media cleanups are not persisted, so run them before closing
+      mediaService.flushCleanup()
+        .then(() => closeRepositories())
+        .catch((error) => logError('Failed to close storage backend', error))
+        .finally(() => process.exit(0));
     });
   });
 
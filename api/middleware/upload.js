@@ -0,0 +1,49 @@
+/**
+ * Multipart Upload Middleware
+ *
+ * Buffers a single uploaded file in memory (up to `MEDIA_MAX_BYTES`) and
+ * turns multer errors into the API's error envelope.
+ */
+
+const multer = require('multer');
+const { MAX_UPLOAD_BYTES } = require('../services/media.service');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1, fields: 10 }
+});
+
+/**
+ * Accept one file in a multipart field, exposed as `req.file`
+ * @param {string} field - Form field name
+ * @returns {Function} Express middleware
+ */
+const receiveFile = (field) => (req, res, next) => {
+  upload.single(field)(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        success: false,
+        message: `File cannot exceed ${MAX_UPLOAD_BYTES} bytes`,
+        code: 'FILE_TOO_LARGE',
+        statusCode: 413
+      });
+    }
+
+    return res.status(400).json({
+      success: false,
+      message: error instanceof multer.MulterError
+        ? `Invalid upload: ${error.message}`
+        : 'Invalid multipart request',
+      code: 'INVALID_UPLOAD',
+      statusCode: 400
+    });
+  });
+};
+
+module.exports = {
+  receiveFile
+};
@@ -0,0 +1,19 @@
+// A few comments on the most recent posts (p100 is the newest)
+const seed = [
+  { post: 'p100', author: 'u1', content: 'Congratulations, well deserved!' },
+  { post: 'p100', author: 'u3', content: 'Looks great, share the details?' },
+  { post: 'p100', author: 'u4', content: 'Nice work!' },
+  { post: 'p99', author: 'u2', content: 'Same here, it never gets old.' },
+  { post: 'p99', author: 'u5', content: 'Any tips for getting started?' },
+  { post: 'p97', author: 'u1', content: 'Thanks for sharing.' }
+];
+
+let comments = seed.map((comment, i) => ({
+  id: `c${i + 1}`,
+  ...comment,
+  created: new Date(Date.now() - (seed.length - i) * 3600000), // an hour apart
+  updatedAt: new Date(Date.now() - (seed.length - i) * 3600000),
+  isDeleted: false
+}));
+
+module.exports = comments;
@@ -0,0 +1,20 @@
+// Flag authors repeating themselves; admins can tune or disable the rule
+const created = new Date(Date.now() - 30 * 24 * 3600000); // a month ago
+
+let contentRules = [
+  {
+    id: 'cr1',
+    name: 'Repeated posts',
+    type: 'near-duplicate',
+    action: 'flag',
+    similarity: 0.8,
+    windowMinutes: parseInt(process.env.NEAR_DUPLICATE_WINDOW_MINUTES) || 60,
+    enabled: true,
+    createdBy: null,
+    created,
+    updatedAt: created,
+    isDeleted: false
+  }
+];
+
+module.exports = contentRules;
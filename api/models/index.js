@@ -1,9 +1,15 @@
 const users = require('./user.model');
 const posts = require('./post.model');
 const follows = require('./follows.models');
+const comments = require('./comment.model');
+const reactions = require('./reaction.model');
+const contentRules = require('./content-rule.model');
 
 module.exports = {
   users,
   posts,
-  follows
+  follows,
+  comments,
+  reactions,
+  contentRules
 };
@@ -0,0 +1,19 @@
+// A few reactions on recent posts
+const seed = [
+  { post: 'p100', user: 'u1', type: 'like' },
+  { post: 'p100', user: 'u3', type: 'love' },
+  { post: 'p98', user: 'u1', type: 'like' },
+  { post: 'p98', user: 'u2', type: 'like' },
+  { post: 'p98', user: 'u4', type: 'laugh' },
+  { post: 'p98', user: 'u5', type: 'wow' },
+  { post: 'p95', user: 'u2', type: 'like' }
+];
+
+let reactions = seed.map((reaction, i) => ({
+  id: `r${i + 1}`,
+  ...reaction,
+  created: new Date(Date.now() - (seed.length - i) * 3600000), // an hour apart
+  isDeleted: false
+}));
+
+module.exports = reactions;
@@ -9,6 +9,7 @@ const users = [
   {
     id: 'u1',
     name: 'John Doe',
+    username: 'johndoe',
     email: 'john.doe@example.com',
     role: 'admin',
     password: hashPassword('password'),
@@ -18,6 +19,7 @@ const users = [
   {
     id: 'u2',
     name: 'Jane Doe',
+    username: 'janedoe',
     email: 'jane.doe@example.com',
     role: 'user',
     password: hashPassword('password'),
@@ -27,6 +29,7 @@ const users = [
   {
     id: 'u3',
     name: 'Jim Doe',
+    username: 'jimdoe',
     email: 'jim.doe@example.com',
     role: 'user',
     password: hashPassword('password'),
@@ -36,6 +39,7 @@ const users = [
   {
     id: 'u4',
     name: 'Jill Doe',
+    username: 'jilldoe',
     email: 'jill.doe@example.com',
     role: 'user',
     password: hashPassword('password'),
@@ -45,6 +49,7 @@ const users = [
   {
     id: 'u5',
     name: 'Jack Doe',
+    username: 'jackdoe',
     email: 'jack.doe@example.com',
     role: 'user',
     password: hashPassword('password'),
@@ -0,0 +1,83 @@
+const models = require('../../models');
+const { openJournalStore } = require('./journal');
+const { createPostRepository } = require('../memory/post.repository');
+const { createFollowRepository } = require('../memory/follow.repository');
+const { createUserRepository } = require('../memory/user.repository');
+const { createCommentRepository } = require('../memory/comment.repository');
+const { createReactionRepository } = require('../memory/reaction.repository');
+const { createMediaRepository } = require('../memory/media.repository');
+const { createRevisionRepository } = require('../memory/revision.repository');
+const { createBookmarkRepository } = require('../memory/bookmark.repository');
+const { createPinRepository } = require('../memory/pin.repository');
+const { createVoteRepository } = require('../memory/vote.repository');
+const { createReportRepository } = require('../memory/report.repository');
+const { createModerationActionRepository } = require('../memory/moderation-action.repository');
+const { createContentRuleRepository } = require('../memory/content-rule.repository');
+
+/**
+ * Route a memory repository's writes through the journal. Reads are served
+ * by the memory repository over the store's arrays; `create` and `update`
+ * are appended to the journal, which applies them once they are durable.
+ * @param {Object} repository - Memory repository over `store.data[collection]`
+ * @param {Object} store - Journal store
+ * @param {string} collection - Collection name
+ * @returns {Object} Journaled repository
+ */
+const journaled = (repository, store, collection) => ({
+  ...repository,
+
+  async create(record) {
+    store.append({ op: 'insert', collection, record: { ...record } });
+    return { ...record };
+  },
+
+  async update(id, changes) {
+    if (!store.data[collection].some(r => r.id === id)) {
+      return null;
+    }
+
+    store.append({ op: 'update', collection, id, changes });
+    return { ...store.data[collection].find(r => r.id === id) };
+  }
+});
+
+/**
+ * Open the file-backed storage backend
+ * @param {string} dir - Data directory
+ * @param {Object} [options]
+ * @param {number} [options.compactEvery] - Journal entries between snapshots
+ * @param {Object} [options.seed] - Initial data for a new store (defaults to the models)
+ * @returns {import('../interfaces').Repositories}
+ */
+const openFileRepositories = (dir, { compactEvery, seed = models } = {}) => {
+  const store = openJournalStore(dir, { compactEvery, seed });
+  const {
+    users, posts, follows, comments, reactions, media, revisions, bookmarks, pins, votes, reports, moderationActions,
+    contentRules
+  } = store.data;
+
+  return {
+    postRepository: journaled(createPostRepository(posts), store, 'posts'),
+    followRepository: journaled(createFollowRepository(follows), store, 'follows'),
+    userRepository: journaled(createUserRepository(users), store, 'users'),
+    commentRepository: journaled(createCommentRepository(comments), store, 'comments'),
+    reactionRepository: journaled(createReactionRepository(reactions), store, 'reactions'),
+    mediaRepository: journaled(createMediaRepository(media), store, 'media'),
+    revisionRepository: journaled(createRevisionRepository(revisions), store, 'revisions'),
+    bookmarkRepository: journaled(createBookmarkRepository(bookmarks), store, 'bookmarks'),
+    pinRepository: journaled(createPinRepository(pins), store, 'pins'),
+    voteRepository: journaled(createVoteRepository(votes), store, 'votes'),
+    reportRepository: journaled(createReportRepository(reports), store, 'reports'),
+    moderationActionRepository: journaled(
+      createModerationActionRepository(moderationActions), store, 'moderationActions'
+    ),
+    contentRuleRepository: journaled(createContentRuleRepository(contentRules), store, 'contentRules'),
+    async close() {
+      store.close();
+    }
+  };
+};
+
+module.exports = {
+  openFileRepositories
+};
@@ -0,0 +1,226 @@
+/**
+ * Journaled File Store
+ *
+ * Keeps every collection in `COLLECTIONS` in memory and makes them durable
+ * with a write-ahead journal:
+ *
+ * - `snapshot.json` holds the full dataset and the sequence number of the
+ *   last journal entry folded into it.
+ * - `journal.log` holds one JSON entry per line. Every mutation is appended
+ *   and fsynced *before* it is applied in memory.
+ * - Every `compactEvery` entries the dataset is written to a temporary file,
+ *   fsynced and atomically renamed over the snapshot, then the journal is
+ *   truncated.
+ *
+ * On open the snapshot is loaded and newer journal entries are replayed. A
+ * torn final line (crash mid-append) is discarded; entries already folded
+ * into the snapshot (crash between rename and truncate) are skipped by `seq`.
+ * File I/O is synchronous so journal order always matches memory order.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logInfo, logWarn } = require('../../utils/logger');
+
+const COLLECTIONS = ['users', 'posts', 'follows', 'comments', 'reactions', 'media', 'revisions',
+  'bookmarks', 'pins', 'votes', 'reports', 'moderationActions', 'contentRules'];
+const SNAPSHOT_FILE = 'snapshot.json';
+const JOURNAL_FILE = 'journal.log';
+
+// Dates are tagged so they survive the JSON round trip unambiguously
+function replacer(key, value) {
+  return this[key] instanceof Date ? { $date: value } : value;
+}
+
+const reviver = (key, value) =>
+  (value && typeof value === 'object' && Object.keys(value).length === 1 && typeof value.$date === 'string'
+    ? new Date(value.$date)
+    : value);
+
+const serialize = (value) => JSON.stringify(value, replacer);
+const deserialize = (text) => JSON.parse(text, reviver);
+
+/**
+ * Apply a journal entry to the dataset (idempotent)
+ * @param {Object} data - Collections keyed by name
+ * @param {Object} entry - Journal entry
+ */
+const applyEntry = (data, entry) => {
+  const records = data[entry.collection];
+  if (!records) {
+    throw new Error(`Unknown collection in journal: ${entry.collection}`);
+  }
+
+  const index = records.findIndex(r => r.id === (entry.op === 'insert' ? entry.record.id : entry.id));
+
+  if (entry.op === 'insert') {
+    if (index === -1) {
+      records.push(entry.record);
+    }
+  } else if (entry.op === 'update') {
+    if (index !== -1) {
+      records[index] = { ...records[index], ...entry.changes };
+    }
+  } else {
+    throw new Error(`Unknown journal operation: ${entry.op}`);
+  }
+};
+
+/**
+ * Write a file durably: temp file, fsync, atomic rename
+ * @param {string} filePath - Destination
+ * @param {string} contents - File contents
+ */
+const writeFileAtomic = (filePath, contents) => {
+  const tmpPath = `${filePath}.tmp`;
+  const fd = fs.openSync(tmpPath, 'w');
+  try {
+    fs.writeSync(fd, contents);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, filePath);
+};
+
+/**
+ * Read journal entries, discarding a torn final line
+ * @param {string} journalPath - Journal file
+ * @returns {{ entries: Object[], validBytes: number }}
+ */
+const readJournal = (journalPath) => {
+  if (!fs.existsSync(journalPath)) {
+    return { entries: [], validBytes: 0 };
+  }
+
+  const contents = fs.readFileSync(journalPath, 'utf8');
+  const lines = contents.split('\n');
+  const entries = [];
+  let validBytes = 0;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const isLast = i === lines.length - 1 || (i === lines.length - 2 && lines[i + 1] === '');
+    if (line === '') {
+      continue;
+    }
+
+    try {
+      entries.push(deserialize(line));
+      validBytes += Buffer.byteLength(line) + 1;
+    } catch (error) {
+      if (!isLast) {
+        throw new Error(`Corrupt journal entry at line ${i + 1}`);
+      }
+      logWarn('Discarding torn journal entry', { journalPath, line: i + 1 });
+    }
+  }
+
+  return { entries, validBytes };
+};
+
+/**
+ * Open (or create) a journaled file store
+ * @param {string} dir - Data directory
+ * @param {Object} [options]
+ * @param {Object} [options.seed] - Initial data when no snapshot exists
+ * @param {number} [options.compactEvery] - Journal entries between snapshots
+ * @returns {Object} Store with `data`, `append`, `compact` and `close`
+ */
+const openJournalStore = (dir, { seed = {}, compactEvery = 100 } = {}) => {
+  fs.mkdirSync(dir, { recursive: true });
+  const snapshotPath = path.join(dir, SNAPSHOT_FILE);
+  const journalPath = path.join(dir, JOURNAL_FILE);
+
+  // 1. Load the last snapshot (or start from the seed data)
+  let seq = 0;
+  const data = {};
+  if (fs.existsSync(snapshotPath)) {
+    const snapshot = deserialize(fs.readFileSync(snapshotPath, 'utf8'));
+    seq = snapshot.seq;
+    COLLECTIONS.forEach((name) => {
+      data[name] = snapshot.data[name] || [];
+    });
+  } else {
+    COLLECTIONS.forEach((name) => {
+      data[name] = (seed[name] || []).map(record => deserialize(serialize(record)));
+    });
+  }
+
+  // 2. Replay journal entries newer than the snapshot
+  const { entries, validBytes } = readJournal(journalPath);
+  let replayed = 0;
+  entries.forEach((entry) => {
+    if (entry.seq > seq) {
+      applyEntry(data, entry);
+      seq = entry.seq;
+      replayed++;
+    }
+  });
+
+  if (fs.existsSync(journalPath) && fs.statSync(journalPath).size !== validBytes) {
+    fs.truncateSync(journalPath, validBytes);
+  }
+
+  let journalFd = fs.openSync(journalPath, 'a');
+  let pending = entries.length;
+
+  logInfo('File store opened', { dir, seq, replayed });
+
+  const store = {
+    data,
+
+    /**
+     * Durably record a mutation, then apply it to `data`
+     * @param {Object} entry - `{ op: 'insert', collection, record }` or `{ op: 'update', collection, id, changes }`
+     */
+    append(entry) {
+      if (journalFd === null) {
+        throw new Error('File store is closed');
+      }
+
+      const journalEntry = { seq: seq + 1, ...entry };
+      fs.writeSync(journalFd, `${serialize(journalEntry)}\n`);
+      fs.fsyncSync(journalFd);
+      applyEntry(data, journalEntry);
+      seq++;
+      pending++;
+
+      if (pending >= compactEvery) {
+        store.compact();
+      }
+    },
+
+    /**
+     * Fold the journal into a new snapshot
+     */
+    compact() {
+      writeFileAtomic(snapshotPath, serialize({ seq, savedAt: new Date(), data }));
+      fs.ftruncateSync(journalFd, 0);
+      fs.fsyncSync(journalFd);
+      pending = 0;
+    },
+
+    close() {
+      if (journalFd === null) {
+        return;
+      }
+      store.compact();
+      fs.closeSync(journalFd);
+      journalFd = null;
+    }
+  };
+
+  if (replayed > 0 || !fs.existsSync(snapshotPath)) {
+    store.compact();
+  }
+
+  return store;
+};
+
+module.exports = {
+  openJournalStore,
+  applyEntry,
+  serialize,
+  deserialize
+};
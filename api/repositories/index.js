@@ -0,0 +1,81 @@
+/**
+ * Data Access Layer
+ *
+ * Holds the active storage backend. Controllers resolve repositories through
+ * `getRepositories()` on each request so the backend can be swapped at startup
+ * (or in tests) without touching controller code.
+ */
+
+const { assertRepositories } = require('./interfaces');
+const { createMemoryRepositories } = require('./memory');
+const { connectMongoRepositories } = require('./mongo');
+const { openFileRepositories } = require('./file');
+const { logInfo } = require('../utils/logger');
+
+let activeRepositories = createMemoryRepositories();
+
+/**
+ * Get the active repositories
+ * @returns {import('./interfaces').Repositories}
+ */
+const getRepositories = () => activeRepositories;
+
+/**
+ * Replace the active repositories
+ * @param {import('./interfaces').Repositories} repositories - New backend
+ * @returns {import('./interfaces').Repositories}
+ */
+const setRepositories = (repositories) => {
+  activeRepositories = assertRepositories(repositories);
+  return activeRepositories;
+};
+
+/**
+ * Select and initialise the storage backend from the environment
+ *
+ * - MONGODB_URI set: MongoDB (MONGODB_DB_NAME, MONGODB_SEED=true to seed empty collections)
+ * - FILE_STORE_DIR set: journaled JSON files (FILE_STORE_COMPACT_EVERY entries per snapshot)
+ * - otherwise: in-memory arrays
+ *
+ * @param {Object} [env] - Environment variables
+ * @returns {Promise<import('./interfaces').Repositories>}
+ */
+const initRepositories = async (env = process.env) => {
+  let backend = 'memory';
+  let repositories;
+
+  if (env.MONGODB_URI) {
+    backend = 'mongodb';
+    repositories = await connectMongoRepositories(env.MONGODB_URI, {
+      dbName: env.MONGODB_DB_NAME,
+      seed: env.MONGODB_SEED === 'true'
+    });
+  } else if (env.FILE_STORE_DIR) {
+    backend = 'file';
+    repositories = openFileRepositories(env.FILE_STORE_DIR, {
+      compactEvery: env.FILE_STORE_COMPACT_EVERY ? parseInt(env.FILE_STORE_COMPACT_EVERY) : undefined
+    });
+  } else {
+    repositories = createMemoryRepositories();
+  }
+
+  logInfo('Storage backend initialised', { backend });
+  return setRepositories(repositories);
+};
+
+/**
+ * Close the active backend
+ * @returns {Promise<void>}
+ */
+const closeRepositories = async () => {
+  if (activeRepositories.close) {
+    await activeRepositories.close();
+  }
+};
+
+module.exports = {
+  getRepositories,
+  setRepositories,
+  initRepositories,
+  closeRepositories
+};
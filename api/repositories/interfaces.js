@@ -0,0 +1,179 @@
+/**
+ * Repository Interfaces
+ *
+ * Describes the data-access contract every storage backend must implement.
+ * Controllers only talk to these interfaces, never to the underlying store.
+ * All methods are async and return plain objects (copies), so callers must
+ * persist changes through `create`/`update` instead of mutating results.
+ */
+
+/**
+ * @typedef {Object} PostRepository
+ * @property {(id: string, options?: { includeDeleted?: boolean, includeUnpublished?: boolean }) => Promise<Object|null>} findById
+ * @property {(ids: string[]) => Promise<Object[]>} findByIds - Published, non-deleted posts with the given IDs
+ * @property {(filter?: { author?: string, authors?: string[], conversationId?: string, repliesTo?: string[], repostsOf?: string[], hashtag?: string, mentionedUser?: string, attachment?: string, status?: string, until?: Date, excludePrivate?: boolean, includeDeleted?: boolean, includeUnpublished?: boolean, limit?: number }) => Promise<Object[]>} find
+ *   Published posts only, unless `status` selects one publishing state or `includeUnpublished` is set.
+ *   `until` keeps posts created at or before that time; `excludePrivate` leaves out private posts.
+ *   With `limit`, only the newest `limit` matches, newest first; otherwise in no particular order
+ * @property {(post: Object) => Promise<Object>} create
+ * @property {(id: string, changes: Object) => Promise<Object|null>} update
+ */
+
+/**
+ * @typedef {Object} FollowRepository
+ * @property {(id: string) => Promise<Object|null>} findById
+ * @property {(follower: string, following: string) => Promise<Object|null>} findActive
+ * @property {(userId: string) => Promise<Object[]>} findFollowers
+ * @property {(userId: string) => Promise<Object[]>} findFollowing
+ * @property {() => Promise<number>} count - Total relationships, including unfollowed ones
+ * @property {(follow: Object) => Promise<Object>} create
+ * @property {(id: string, changes: Object) => Promise<Object|null>} update
+ */
+
+/**
+ * @typedef {Object} CommentRepository
+ * @property {(id: string, options?: { includeDeleted?: boolean }) => Promise<Object|null>} findById
+ * @property {(postId: string) => Promise<Object[]>} findByPost - Non-deleted comments on a post
+ * @property {(postIds: string[]) => Promise<Map<string, number>>} countByPosts - Non-deleted comments per post
+ * @property {(comment: Object) => Promise<Object>} create
+ * @property {(id: string, changes: Object) => Promise<Object|null>} update
+ */
+
+/**
+ * @typedef {Object} ReactionRepository
+ * @property {(post: string, user: string, type: string) => Promise<Object|null>} findActive
+ * @property {(postIds: string[]) => Promise<Object[]>} findByPosts - Non-deleted reactions on the posts
+ * @property {(reaction: Object) => Promise<Object>} create
+ * @property {(id: string, changes: Object) => Promise<Object|null>} update
+ */
+
+/**
+ * @typedef {Object} MediaRepository
+ * @property {(id: string) => Promise<Object|null>} findById
+ * @property {(ids: string[]) => Promise<Object[]>} findByIds - Non-deleted media with the given IDs
+ * @property {(owner: string) => Promise<Object[]>} findByOwner - Non-deleted media uploaded by a user
+ * @property {(hash: string) => Promise<Object[]>} findByHash - Non-deleted media stored in the same file
+ * @property {(media: Object) => Promise<Object>} create
+ * @property {(id: string, changes: Object) => Promise<Object|null>} update
+ */
+
+/**
+ * @typedef {Object} RevisionRepository
+ * @property {(postId: string) => Promise<Object[]>} findByPost - A post's revisions, oldest first
+ * @property {(revision: Object) => Promise<Object>} create
+ */
+
+/**
+ * @typedef {Object} BookmarkRepository
+ * @property {(userId: string, postId: string) => Promise<Object|null>} findActive
+ * @property {(userId: string) => Promise<Object[]>} findByUser - A user's current bookmarks, in no particular order
+ * @property {(bookmark: Object) => Promise<Object>} create
+ * @property {(id: string, changes: Object) => Promise<Object|null>} update
+ */
+
+/**
+ * @typedef {Object} PinRepository
+ * @property {(userId: string) => Promise<Object|null>} findByUser - The user's pins record; `posts` holds pinned post IDs in display order
+ * @property {(pins: Object) => Promise<Object>} create
+ * @property {(id: string, changes: Object) => Promise<Object|null>} update
+ */
+
+/**
+ * @typedef {Object} VoteRepository
+ * @property {(postId: string, userId: string) => Promise<Object|null>} findByVoter - A user's vote in a post's poll
+ * @property {(postIds: string[]) => Promise<Object[]>} findByPosts - All votes in the posts' polls
+ * @property {(vote: Object) => Promise<Object>} create
+ * @property {(id: string, changes: Object) => Promise<Object|null>} update
+ */
+
+/**
+ * @typedef {Object} ReportRepository
+ * @property {(filter?: { status?: string, targetType?: string, target?: string, reporter?: string }) => Promise<Object[]>} find
+ * @property {(report: Object) => Promise<Object>} create
+ * @property {(id: string, changes: Object) => Promise<Object|null>} update
+ */
+
+/**
+ * @typedef {Object} ModerationActionRepository
+ * @property {(filter?: { targetType?: string, target?: string }) => Promise<Object[]>} find
+ * @property {(action: Object) => Promise<Object>} create
+ */
+
+/**
+ * @typedef {Object} ContentRuleRepository
+ * @property {(id: string) => Promise<Object|null>} findById - Non-deleted rules only
+ * @property {(filter?: { enabled?: boolean }) => Promise<Object[]>} find - Non-deleted rules
+ * @property {(rule: Object) => Promise<Object>} create
+ * @property {(id: string, changes: Object) => Promise<Object|null>} update
+ */
+
+/**
+ * @typedef {Object} UserRepository
+ * @property {(id: string) => Promise<Object|null>} findById
+ * @property {(ids: string[]) => Promise<Object[]>} findByIds
+ * @property {(email: string) => Promise<Object|null>} findByEmail
+ * @property {(usernames: string[]) => Promise<Object[]>} findByUsernames - Case-insensitive
+ * @property {() => Promise<Object[]>} find
+ * @property {(id: string, changes: Object) => Promise<Object|null>} update - Moderation state only (e.g. `suspendedAt`)
+ */
+
+/**
+ * @typedef {Object} Repositories
+ * @property {PostRepository} postRepository
+ * @property {FollowRepository} followRepository
+ * @property {CommentRepository} commentRepository
+ * @property {ReactionRepository} reactionRepository
+ * @property {MediaRepository} mediaRepository
+ * @property {RevisionRepository} revisionRepository
+ * @property {BookmarkRepository} bookmarkRepository
+ * @property {PinRepository} pinRepository
+ * @property {VoteRepository} voteRepository
+ * @property {ReportRepository} reportRepository
+ * @property {ModerationActionRepository} moderationActionRepository
+ * @property {ContentRuleRepository} contentRuleRepository
+ * @property {UserRepository} userRepository
+ * @property {() => Promise<void>} [close] - Release backend resources
+ */
+
+const REPOSITORY_METHODS = {
+  postRepository: ['findById', 'findByIds', 'find', 'create', 'update'],
+  followRepository: ['findById', 'findActive', 'findFollowers', 'findFollowing', 'count', 'create', 'update'],
+  commentRepository: ['findById', 'findByPost', 'countByPosts', 'create', 'update'],
+  reactionRepository: ['findActive', 'findByPosts', 'create', 'update'],
+  mediaRepository: ['findById', 'findByIds', 'findByOwner', 'findByHash', 'create', 'update'],
+  revisionRepository: ['findByPost', 'create'],
+  bookmarkRepository: ['findActive', 'findByUser', 'create', 'update'],
+  pinRepository: ['findByUser', 'create', 'update'],
+  voteRepository: ['findByVoter', 'findByPosts', 'create', 'update'],
+  reportRepository: ['find', 'create', 'update'],
+  moderationActionRepository: ['find', 'create'],
+  contentRuleRepository: ['findById', 'find', 'create', 'update'],
+  userRepository: ['findById', 'findByIds', 'findByEmail', 'findByUsernames', 'find', 'update']
+};
+
+/**
+ * Verify that a backend implements every repository method
+ * @param {Repositories} repositories - Backend to check
+ * @returns {Repositories} The same backend
+ */
+const assertRepositories = (repositories) => {
+  Object.entries(REPOSITORY_METHODS).forEach(([name, methods]) => {
+    const repository = repositories[name];
+    if (!repository) {
+      throw new Error(`Storage backend is missing ${name}`);
+    }
+
+    methods.forEach((method) => {
+      if (typeof repository[method] !== 'function') {
+        throw new Error(`${name} does not implement ${method}()`);
+      }
+    });
+  });
+
+  return repositories;
+};
+
+module.exports = {
+  REPOSITORY_METHODS,
+  assertRepositories
+};
@@ -0,0 +1,43 @@
+/**
+ * In-memory Bookmark Repository
+ *
+ * Stores bookmarks in a plain array. Removing a bookmark is a soft delete.
+ */
+
+const clone = (bookmark) => (bookmark ? { ...bookmark } : null);
+
+/**
+ * Create an in-memory bookmark repository
+ * @param {Object[]} bookmarks - Backing array
+ * @returns {import('../interfaces').BookmarkRepository}
+ */
+const createBookmarkRepository = (bookmarks) => ({
+  async findActive(user, post) {
+    return clone(bookmarks.find(b => b.user === user && b.post === post && !b.isDeleted));
+  },
+
+  async findByUser(user) {
+    return bookmarks
+      .filter(b => b.user === user && !b.isDeleted)
+      .map(clone);
+  },
+
+  async create(bookmark) {
+    bookmarks.push({ ...bookmark });
+    return clone(bookmark);
+  },
+
+  async update(id, changes) {
+    const index = bookmarks.findIndex(b => b.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    bookmarks[index] = { ...bookmarks[index], ...changes };
+    return clone(bookmarks[index]);
+  }
+});
+
+module.exports = {
+  createBookmarkRepository
+};
@@ -0,0 +1,55 @@
+/**
+ * In-memory Comment Repository
+ *
+ * Stores comments in a plain array (by default the seeded
+ * `models/comment.model.js`). Deleting a comment is a soft delete.
+ */
+
+const clone = (comment) => (comment ? { ...comment } : null);
+
+/**
+ * Create an in-memory comment repository
+ * @param {Object[]} comments - Backing array
+ * @returns {import('../interfaces').CommentRepository}
+ */
+const createCommentRepository = (comments) => ({
+  async findById(id, { includeDeleted = false } = {}) {
+    const comment = comments.find(c => c.id === id);
+    return comment && (includeDeleted || !comment.isDeleted) ? clone(comment) : null;
+  },
+
+  async findByPost(postId) {
+    return comments
+      .filter(c => c.post === postId && !c.isDeleted)
+      .map(clone);
+  },
+
+  async countByPosts(postIds) {
+    const counts = new Map(postIds.map(id => [id, 0]));
+    comments.forEach((comment) => {
+      if (!comment.isDeleted && counts.has(comment.post)) {
+        counts.set(comment.post, counts.get(comment.post) + 1);
+      }
+    });
+    return counts;
+  },
+
+  async create(comment) {
+    comments.push({ ...comment });
+    return clone(comment);
+  },
+
+  async update(id, changes) {
+    const index = comments.findIndex(c => c.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    comments[index] = { ...comments[index], ...changes };
+    return clone(comments[index]);
+  }
+});
+
+module.exports = {
+  createCommentRepository
+};
@@ -0,0 +1,45 @@
+/**
+ * In-memory Content Rule Repository
+ *
+ * Stores content-policy rules in a plain array. Removing a rule is a soft
+ * delete.
+ */
+
+const clone = (rule) => (rule ? { ...rule } : null);
+
+/**
+ * Create an in-memory content rule repository
+ * @param {Object[]} rules - Backing array
+ * @returns {import('../interfaces').ContentRuleRepository}
+ */
+const createContentRuleRepository = (rules) => ({
+  async findById(id) {
+    return clone(rules.find(r => r.id === id && !r.isDeleted));
+  },
+
+  async find({ enabled } = {}) {
+    return rules
+      .filter(r => !r.isDeleted)
+      .filter(r => enabled === undefined || r.enabled === enabled)
+      .map(clone);
+  },
+
+  async create(rule) {
+    rules.push({ ...rule });
+    return clone(rule);
+  },
+
+  async update(id, changes) {
+    const index = rules.findIndex(r => r.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    rules[index] = { ...rules[index], ...changes };
+    return clone(rules[index]);
+  }
+});
+
+module.exports = {
+  createContentRuleRepository
+};
@@ -0,0 +1,63 @@
+/**
+ * In-memory Follow Repository
+ *
+ * Stores follow relationships in a plain array (by default the seeded
+ * `models/follows.models.js`). Unfollowing is a soft delete.
+ */
+
+const clone = (follow) => (follow ? { ...follow } : null);
+
+/**
+ * Create an in-memory follow repository
+ * @param {Object[]} follows - Backing array
+ * @returns {import('../interfaces').FollowRepository}
+ */
+const createFollowRepository = (follows) => ({
+  async findById(id) {
+    return clone(follows.find(f => f.id === id));
+  },
+
+  async findActive(follower, following) {
+    const follow = follows.find(
+      f => f.follower === follower &&
+           f.following === following &&
+           !f.isDeleted
+    );
+    return clone(follow);
+  },
+
+  async findFollowers(userId) {
+    return follows
+      .filter(f => f.following === userId && !f.isDeleted)
+      .map(clone);
+  },
+
+  async findFollowing(userId) {
+    return follows
+      .filter(f => f.follower === userId && !f.isDeleted)
+      .map(clone);
+  },
+
+  async count() {
+    return follows.length;
+  },
+
+  async create(follow) {
+    follows.push({ ...follow });
+    return clone(follow);
+  },
+
+  async update(id, changes) {
+    const index = follows.findIndex(f => f.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    follows[index] = { ...follows[index], ...changes };
+    return clone(follows[index]);
+  }
+});
+
+module.exports = {
+  createFollowRepository
+};
@@ -0,0 +1,44 @@
+const models = require('../../models');
+const { createPostRepository } = require('./post.repository');
+const { createFollowRepository } = require('./follow.repository');
+const { createUserRepository } = require('./user.repository');
+const { createCommentRepository } = require('./comment.repository');
+const { createReactionRepository } = require('./reaction.repository');
+const { createMediaRepository } = require('./media.repository');
+const { createRevisionRepository } = require('./revision.repository');
+const { createBookmarkRepository } = require('./bookmark.repository');
+const { createPinRepository } = require('./pin.repository');
+const { createVoteRepository } = require('./vote.repository');
+const { createReportRepository } = require('./report.repository');
+const { createModerationActionRepository } = require('./moderation-action.repository');
+const { createContentRuleRepository } = require('./content-rule.repository');
+
+/**
+ * Create the in-memory storage backend
+ * @param {Object} [data] - Backing arrays (defaults to the seeded models)
+ * @returns {import('../interfaces').Repositories}
+ */
+const createMemoryRepositories = ({
+  users, posts, follows, comments = [], reactions = [], media = [], revisions = [],
+  bookmarks = [], pins = [], votes = [], reports = [], moderationActions = [],
+  contentRules = []
+} = models) => ({
+  postRepository: createPostRepository(posts),
+  followRepository: createFollowRepository(follows),
+  userRepository: createUserRepository(users),
+  commentRepository: createCommentRepository(comments),
+  reactionRepository: createReactionRepository(reactions),
+  mediaRepository: createMediaRepository(media),
+  revisionRepository: createRevisionRepository(revisions),
+  bookmarkRepository: createBookmarkRepository(bookmarks),
+  pinRepository: createPinRepository(pins),
+  voteRepository: createVoteRepository(votes),
+  reportRepository: createReportRepository(reports),
+  moderationActionRepository: createModerationActionRepository(moderationActions),
+  contentRuleRepository: createContentRuleRepository(contentRules),
+  async close() {}
+});
+
+module.exports = {
+  createMemoryRepositories
+};
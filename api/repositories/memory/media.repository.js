@@ -0,0 +1,57 @@
+/**
+ * In-memory Media Repository
+ *
+ * Stores uploaded media records in a plain array. Records point at files in
+ * the uploads directory by content hash; several records (one per owner)
+ * can share a file. Deleting a record is a soft delete.
+ */
+
+const clone = (media) => (media ? { ...media } : null);
+
+/**
+ * Create an in-memory media repository
+ * @param {Object[]} media - Backing array
+ * @returns {import('../interfaces').MediaRepository}
+ */
+const createMediaRepository = (media) => ({
+  async findById(id) {
+    return clone(media.find(m => m.id === id && !m.isDeleted));
+  },
+
+  async findByIds(ids) {
+    return media
+      .filter(m => ids.includes(m.id) && !m.isDeleted)
+      .map(clone);
+  },
+
+  async findByOwner(owner) {
+    return media
+      .filter(m => m.owner === owner && !m.isDeleted)
+      .map(clone);
+  },
+
+  async findByHash(hash) {
+    return media
+      .filter(m => m.hash === hash && !m.isDeleted)
+      .map(clone);
+  },
+
+  async create(record) {
+    media.push({ ...record });
+    return clone(record);
+  },
+
+  async update(id, changes) {
+    const index = media.findIndex(m => m.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    media[index] = { ...media[index], ...changes };
+    return clone(media[index]);
+  }
+});
+
+module.exports = {
+  createMediaRepository
+};
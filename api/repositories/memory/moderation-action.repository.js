@@ -0,0 +1,31 @@
+/**
+ * In-memory Moderation Action Repository
+ *
+ * Stores the moderation log in a plain array. Entries never change once
+ * written.
+ */
+
+const clone = (action) => (action ? { ...action, reports: [...action.reports] } : null);
+
+/**
+ * Create an in-memory moderation action repository
+ * @param {Object[]} actions - Backing array
+ * @returns {import('../interfaces').ModerationActionRepository}
+ */
+const createModerationActionRepository = (actions) => ({
+  async find({ targetType, target } = {}) {
+    return actions
+      .filter(a => !targetType || a.targetType === targetType)
+      .filter(a => !target || a.target === target)
+      .map(clone);
+  },
+
+  async create(action) {
+    actions.push(clone(action));
+    return clone(action);
+  }
+});
+
+module.exports = {
+  createModerationActionRepository
+};
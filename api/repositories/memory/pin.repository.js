@@ -0,0 +1,38 @@
+/**
+ * In-memory Pin Repository
+ *
+ * Stores one record per user holding their pinned post IDs in display order
+ * (`posts`), so reordering is a single update.
+ */
+
+const clone = (pins) => (pins ? { ...pins, posts: [...pins.posts] } : null);
+
+/**
+ * Create an in-memory pin repository
+ * @param {Object[]} pins - Backing array
+ * @returns {import('../interfaces').PinRepository}
+ */
+const createPinRepository = (pins) => ({
+  async findByUser(user) {
+    return clone(pins.find(p => p.user === user));
+  },
+
+  async create(record) {
+    pins.push(clone(record));
+    return clone(record);
+  },
+
+  async update(id, changes) {
+    const index = pins.findIndex(p => p.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    pins[index] = { ...pins[index], ...changes };
+    return clone(pins[index]);
+  }
+});
+
+module.exports = {
+  createPinRepository
+};
@@ -0,0 +1,95 @@
+/**
+ * In-memory Post Repository
+ *
+ * Stores posts in a plain array (by default the seeded `models/post.model.js`).
+ * An id -> position index keeps lookups by id O(1); posts are only ever
+ * appended or replaced in place, so the index is rebuilt only when the
+ * array grows. Unpublished (scheduled) posts are left out unless requested.
+ */
+
+const { isPublished } = require('../../utils/publishing');
+const { compareByCreated } = require('../../utils/cursor');
+
+const compareNewestFirst = compareByCreated('desc');
+
+const clone = (post) => (post ? { ...post } : null);
+
+/**
+ * Create an in-memory post repository
+ * @param {Object[]} posts - Backing array
+ * @returns {import('../interfaces').PostRepository}
+ */
+const createPostRepository = (posts) => {
+  const positions = new Map();
+  let indexedLength = -1;
+
+  const positionOf = (id) => {
+    if (indexedLength !== posts.length) {
+      positions.clear();
+      posts.forEach((post, index) => {
+        if (!positions.has(post.id)) {
+          positions.set(post.id, index);
+        }
+      });
+      indexedLength = posts.length;
+    }
+    return positions.has(id) ? positions.get(id) : -1;
+  };
+
+  const lookup = (id, { includeDeleted = false, includeUnpublished = false } = {}) => {
+    const post = posts[positionOf(id)];
+    return post && (includeDeleted || !post.isDeleted) && (includeUnpublished || isPublished(post)) ? post : null;
+  };
+
+  return {
+    async findById(id, options) {
+      return clone(lookup(id, options));
+    },
+
+    async findByIds(ids) {
+      return ids
+        .map(id => lookup(id))
+        .filter(Boolean)
+        .map(clone);
+    },
+
+    async find({
+      author, authors, conversationId, repliesTo, repostsOf, hashtag, mentionedUser, attachment, status,
+      until, excludePrivate = false, includeDeleted = false, includeUnpublished = false, limit
+    } = {}) {
+      const found = posts
+        .filter(p => includeDeleted || !p.isDeleted)
+        .filter(p => (status ? p.status === status : includeUnpublished || isPublished(p)))
+        .filter(p => !author || p.author === author)
+        .filter(p => !authors || authors.includes(p.author))
+        .filter(p => !conversationId || p.conversationId === conversationId)
+        .filter(p => !repliesTo || (p.replyTo && repliesTo.includes(p.replyTo)))
+        .filter(p => !repostsOf || (p.repostOf && repostsOf.includes(p.repostOf)))
+        .filter(p => !hashtag || (p.hashtags || []).includes(hashtag))
+        .filter(p => !mentionedUser || (p.mentionedUsers || []).includes(mentionedUser))
+        .filter(p => !attachment || (p.attachments || []).includes(attachment))
+        .filter(p => !until || new Date(p.created) <= new Date(until))
+        .filter(p => !excludePrivate || p.visibility !== 'private');
+      return (limit ? found.sort(compareNewestFirst).slice(0, limit) : found).map(clone);
+    },
+
+    async create(post) {
+      posts.push({ ...post });
+      return clone(post);
+    },
+
+    async update(id, changes) {
+      const index = positionOf(id);
+      if (index === -1) {
+        return null;
+      }
+
+      posts[index] = { ...posts[index], ...changes };
+      return clone(posts[index]);
+    }
+  };
+};
+
+module.exports = {
+  createPostRepository
+};
@@ -0,0 +1,51 @@
+/**
+ * In-memory Reaction Repository
+ *
+ * Stores reactions in a plain array (by default the seeded
+ * `models/reaction.model.js`). Removing a reaction is a soft delete.
+ */
+
+const clone = (reaction) => (reaction ? { ...reaction } : null);
+
+/**
+ * Create an in-memory reaction repository
+ * @param {Object[]} reactions - Backing array
+ * @returns {import('../interfaces').ReactionRepository}
+ */
+const createReactionRepository = (reactions) => ({
+  async findActive(post, user, type) {
+    const reaction = reactions.find(
+      r => r.post === post &&
+           r.user === user &&
+           r.type === type &&
+           !r.isDeleted
+    );
+    return clone(reaction);
+  },
+
+  async findByPosts(postIds) {
+    const ids = new Set(postIds);
+    return reactions
+      .filter(r => ids.has(r.post) && !r.isDeleted)
+      .map(clone);
+  },
+
+  async create(reaction) {
+    reactions.push({ ...reaction });
+    return clone(reaction);
+  },
+
+  async update(id, changes) {
+    const index = reactions.findIndex(r => r.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    reactions[index] = { ...reactions[index], ...changes };
+    return clone(reactions[index]);
+  }
+});
+
+module.exports = {
+  createReactionRepository
+};
@@ -0,0 +1,43 @@
+/**
+ * In-memory Report Repository
+ *
+ * Stores reports of posts and users in a plain array. Reports are never
+ * removed; moderation resolves them.
+ */
+
+const clone = (report) => (report ? { ...report } : null);
+
+/**
+ * Create an in-memory report repository
+ * @param {Object[]} reports - Backing array
+ * @returns {import('../interfaces').ReportRepository}
+ */
+const createReportRepository = (reports) => ({
+  async find({ status, targetType, target, reporter } = {}) {
+    return reports
+      .filter(r => !status || r.status === status)
+      .filter(r => !targetType || r.targetType === targetType)
+      .filter(r => !target || r.target === target)
+      .filter(r => !reporter || r.reporter === reporter)
+      .map(clone);
+  },
+
+  async create(report) {
+    reports.push({ ...report });
+    return clone(report);
+  },
+
+  async update(id, changes) {
+    const index = reports.findIndex(r => r.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    reports[index] = { ...reports[index], ...changes };
+    return clone(reports[index]);
+  }
+});
+
+module.exports = {
+  createReportRepository
+};
@@ -0,0 +1,31 @@
+/**
+ * In-memory Revision Repository
+ *
+ * Stores post revisions in a plain array. Revisions are numbered per post
+ * from 1 (the original content) and never change once written.
+ */
+
+const clone = (revision) => (revision ? { ...revision } : null);
+
+/**
+ * Create an in-memory revision repository
+ * @param {Object[]} revisions - Backing array
+ * @returns {import('../interfaces').RevisionRepository}
+ */
+const createRevisionRepository = (revisions) => ({
+  async findByPost(postId) {
+    return revisions
+      .filter(r => r.post === postId)
+      .sort((a, b) => a.revision - b.revision)
+      .map(clone);
+  },
+
+  async create(revision) {
+    revisions.push({ ...revision });
+    return clone(revision);
+  }
+});
+
+module.exports = {
+  createRevisionRepository
+};
@@ -0,0 +1,55 @@
+/**
+ * In-memory User Repository
+ *
+ * Reads users from a plain array (by default the seeded `models/user.model.js`).
+ * Deleted users are never returned. Accounts are created elsewhere; `update`
+ * only changes moderation state such as suspensions.
+ */
+
+const clone = (user) => (user ? { ...user } : null);
+
+/**
+ * Create an in-memory user repository
+ * @param {Object[]} users - Backing array
+ * @returns {import('../interfaces').UserRepository}
+ */
+const createUserRepository = (users) => ({
+  async findById(id) {
+    return clone(users.find(u => u.id === id && !u.isDeleted));
+  },
+
+  async findByIds(ids) {
+    return users
+      .filter(u => ids.includes(u.id) && !u.isDeleted)
+      .map(clone);
+  },
+
+  async findByEmail(email) {
+    return clone(users.find(u => u.email === email && !u.isDeleted));
+  },
+
+  async findByUsernames(usernames) {
+    const wanted = usernames.map(name => name.toLowerCase());
+    return users
+      .filter(u => wanted.includes(u.username) && !u.isDeleted)
+      .map(clone);
+  },
+
+  async find() {
+    return users.filter(u => !u.isDeleted).map(clone);
+  },
+
+  async update(id, changes) {
+    const index = users.findIndex(u => u.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    users[index] = { ...users[index], ...changes };
+    return clone(users[index]);
+  }
+});
+
+module.exports = {
+  createUserRepository
+};
@@ -0,0 +1,45 @@
+/**
+ * In-memory Vote Repository
+ *
+ * Stores poll votes in a plain array, one record per `(post, user)`.
+ * Changing a vote updates that record.
+ */
+
+const clone = (vote) => (vote ? { ...vote } : null);
+
+/**
+ * Create an in-memory vote repository
+ * @param {Object[]} votes - Backing array
+ * @returns {import('../interfaces').VoteRepository}
+ */
+const createVoteRepository = (votes) => ({
+  async findByVoter(post, user) {
+    return clone(votes.find(v => v.post === post && v.user === user));
+  },
+
+  async findByPosts(postIds) {
+    const ids = new Set(postIds);
+    return votes
+      .filter(v => ids.has(v.post))
+      .map(clone);
+  },
+
+  async create(vote) {
+    votes.push({ ...vote });
+    return clone(vote);
+  },
+
+  async update(id, changes) {
+    const index = votes.findIndex(v => v.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    votes[index] = { ...votes[index], ...changes };
+    return clone(votes[index]);
+  }
+});
+
+module.exports = {
+  createVoteRepository
+};
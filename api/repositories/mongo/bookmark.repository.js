@@ -0,0 +1,57 @@
+/**
+ * MongoDB Bookmark Repository
+ *
+ * Stores bookmarks in the `bookmarks` collection. That collection has a
+ * unique `{ user, post }` index, so bookmarking a post again after removing
+ * the bookmark revives the existing document instead of inserting one.
+ */
+
+const { toDocument, fromDocument, NOT_DELETED } = require('./document');
+
+/**
+ * Create a MongoDB bookmark repository
+ * @param {import('mongodb').Db} db - Connected database
+ * @returns {import('../interfaces').BookmarkRepository}
+ */
+const createBookmarkRepository = (db) => {
+  const collection = db.collection('bookmarks');
+
+  return {
+    async findActive(user, post) {
+      return fromDocument(await collection.findOne({ user, post, ...NOT_DELETED }));
+    },
+
+    async findByUser(user) {
+      const documents = await collection.find({ user, ...NOT_DELETED }).toArray();
+      return documents.map(fromDocument);
+    },
+
+    async create(bookmark) {
+      const { user, post, created } = bookmark;
+      const revived = await collection.findOneAndUpdate(
+        { user, post, isDeleted: true },
+        { $set: { created, isDeleted: false, updatedAt: created } },
+        { returnDocument: 'after' }
+      );
+      if (revived) {
+        return fromDocument(revived);
+      }
+
+      await collection.insertOne(toDocument(bookmark));
+      return { ...bookmark };
+    },
+
+    async update(id, changes) {
+      const document = await collection.findOneAndUpdate(
+        { _id: id },
+        { $set: changes },
+        { returnDocument: 'after' }
+      );
+      return fromDocument(document);
+    }
+  };
+};
+
+module.exports = {
+  createBookmarkRepository
+};
@@ -0,0 +1,54 @@
+/**
+ * MongoDB Comment Repository
+ *
+ * Stores comments in the `comments` collection, indexed by
+ * `{ post, created }`.
+ */
+
+const { toDocument, fromDocument, NOT_DELETED } = require('./document');
+
+/**
+ * Create a MongoDB comment repository
+ * @param {import('mongodb').Db} db - Connected database
+ * @returns {import('../interfaces').CommentRepository}
+ */
+const createCommentRepository = (db) => {
+  const collection = db.collection('comments');
+
+  return {
+    async findById(id, { includeDeleted = false } = {}) {
+      const filter = includeDeleted ? { _id: id } : { _id: id, ...NOT_DELETED };
+      return fromDocument(await collection.findOne(filter));
+    },
+
+    async findByPost(postId) {
+      const documents = await collection.find({ post: postId, ...NOT_DELETED }).toArray();
+      return documents.map(fromDocument);
+    },
+
+    async countByPosts(postIds) {
+      const counts = new Map(postIds.map(id => [id, 0]));
+      const documents = await collection.find({ post: { $in: postIds }, ...NOT_DELETED }).toArray();
+      documents.forEach(({ post }) => counts.set(post, counts.get(post) + 1));
+      return counts;
+    },
+
+    async create(comment) {
+      await collection.insertOne(toDocument(comment));
+      return { ...comment };
+    },
+
+    async update(id, changes) {
+      const document = await collection.findOneAndUpdate(
+        { _id: id },
+        { $set: changes },
+        { returnDocument: 'after' }
+      );
+      return fromDocument(document);
+    }
+  };
+};
+
+module.exports = {
+  createCommentRepository
+};
@@ -0,0 +1,50 @@
+/**
+ * MongoDB Content Rule Repository
+ *
+ * Stores content-policy rules in the `contentRules` collection.
+ */
+
+const { toDocument, fromDocument, NOT_DELETED } = require('./document');
+
+/**
+ * Create a MongoDB content rule repository
+ * @param {import('mongodb').Db} db - Connected database
+ * @returns {import('../interfaces').ContentRuleRepository}
+ */
+const createContentRuleRepository = (db) => {
+  const collection = db.collection('contentRules');
+
+  return {
+    async findById(id) {
+      return fromDocument(await collection.findOne({ _id: id, ...NOT_DELETED }));
+    },
+
+    async find({ enabled } = {}) {
+      const filter = { ...NOT_DELETED };
+      if (enabled !== undefined) {
+        filter.enabled = enabled;
+      }
+
+      const documents = await collection.find(filter).toArray();
+      return documents.map(fromDocument);
+    },
+
+    async create(rule) {
+      await collection.insertOne(toDocument(rule));
+      return { ...rule };
+    },
+
+    async update(id, changes) {
+      const document = await collection.findOneAndUpdate(
+        { _id: id },
+        { $set: changes },
+        { returnDocument: 'after' }
+      );
+      return fromDocument(document);
+    }
+  };
+};
+
+module.exports = {
+  createContentRuleRepository
+};
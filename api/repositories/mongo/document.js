@@ -0,0 +1,38 @@
+/**
+ * Document Mapping
+ *
+ * The collections in `db/aggregation.js` key documents by `_id`, while the
+ * API exposes `id`. These helpers translate between the two shapes.
+ */
+
+/**
+ * Convert an API entity to a Mongo document
+ * @param {Object} entity - Entity with an `id`
+ * @returns {Object} Document with an `_id`
+ */
+const toDocument = ({ id, ...rest }) => ({ _id: id, ...rest });
+
+/**
+ * Convert a Mongo document to an API entity
+ * @param {Object|null} document - Document with an `_id`
+ * @returns {Object|null} Entity with an `id`
+ */
+const fromDocument = (document) => {
+  if (!document) {
+    return null;
+  }
+
+  const { _id, ...rest } = document;
+  return { id: _id, ...rest };
+};
+
+/**
+ * Filter matching documents that are not soft deleted
+ */
+const NOT_DELETED = { isDeleted: { $ne: true } };
+
+module.exports = {
+  toDocument,
+  fromDocument,
+  NOT_DELETED
+};
@@ -0,0 +1,70 @@
+/**
+ * MongoDB Follow Repository
+ *
+ * Stores follow relationships in the `follows` collection. That collection
+ * has a unique `{ follower, following }` index, so following someone again
+ * after unfollowing revives the existing document instead of inserting one.
+ */
+
+const { toDocument, fromDocument, NOT_DELETED } = require('./document');
+
+/**
+ * Create a MongoDB follow repository
+ * @param {import('mongodb').Db} db - Connected database
+ * @returns {import('../interfaces').FollowRepository}
+ */
+const createFollowRepository = (db) => {
+  const collection = db.collection('follows');
+
+  return {
+    async findById(id) {
+      return fromDocument(await collection.findOne({ _id: id }));
+    },
+
+    async findActive(follower, following) {
+      return fromDocument(await collection.findOne({ follower, following, ...NOT_DELETED }));
+    },
+
+    async findFollowers(userId) {
+      const documents = await collection.find({ following: userId, ...NOT_DELETED }).toArray();
+      return documents.map(fromDocument);
+    },
+
+    async findFollowing(userId) {
+      const documents = await collection.find({ follower: userId, ...NOT_DELETED }).toArray();
+      return documents.map(fromDocument);
+    },
+
+    async count() {
+      return collection.countDocuments({});
+    },
+
+    async create(follow) {
+      const { follower, following, created } = follow;
+      const revived = await collection.findOneAndUpdate(
+        { follower, following, isDeleted: true },
+        { $set: { created, isDeleted: false, updatedAt: created } },
+        { returnDocument: 'after' }
+      );
+      if (revived) {
+        return fromDocument(revived);
+      }
+
+      await collection.insertOne(toDocument(follow));
+      return { ...follow };
+    },
+
+    async update(id, changes) {
+      const document = await collection.findOneAndUpdate(
+        { _id: id },
+        { $set: changes },
+        { returnDocument: 'after' }
+      );
+      return fromDocument(document);
+    }
+  };
+};
+
+module.exports = {
+  createFollowRepository
+};
@@ -0,0 +1,131 @@
+const { MongoClient } = require('mongodb');
+const { createIndexes } = require('../../../db/aggregation');
+const models = require('../../models');
+const { toDocument } = require('./document');
+const { createPostRepository } = require('./post.repository');
+const { createFollowRepository } = require('./follow.repository');
+const { createUserRepository } = require('./user.repository');
+const { createCommentRepository } = require('./comment.repository');
+const { createReactionRepository } = require('./reaction.repository');
+const { createMediaRepository } = require('./media.repository');
+const { createRevisionRepository } = require('./revision.repository');
+const { createBookmarkRepository } = require('./bookmark.repository');
+const { createPinRepository } = require('./pin.repository');
+const { createVoteRepository } = require('./vote.repository');
+const { createReportRepository } = require('./report.repository');
+const { createModerationActionRepository } = require('./moderation-action.repository');
+const { createContentRuleRepository } = require('./content-rule.repository');
+const { logInfo } = require('../../utils/logger');
+
+/**
+ * Create the MongoDB storage backend on an existing database handle
+ * @param {import('mongodb').Db} db - Database (a real one or an in-memory stand-in)
+ * @param {Object} [options]
+ * @param {import('mongodb').MongoClient} [options.client] - Client to close on shutdown
+ * @returns {import('../interfaces').Repositories}
+ */
+const createMongoRepositories = (db, { client } = {}) => ({
+  postRepository: createPostRepository(db),
+  followRepository: createFollowRepository(db),
+  userRepository: createUserRepository(db),
+  commentRepository: createCommentRepository(db),
+  reactionRepository: createReactionRepository(db),
+  mediaRepository: createMediaRepository(db),
+  revisionRepository: createRevisionRepository(db),
+  bookmarkRepository: createBookmarkRepository(db),
+  pinRepository: createPinRepository(db),
+  voteRepository: createVoteRepository(db),
+  reportRepository: createReportRepository(db),
+  moderationActionRepository: createModerationActionRepository(db),
+  contentRuleRepository: createContentRuleRepository(db),
+  async close() {
+    if (client) {
+      await client.close();
+    }
+  }
+});
+
+/**
+ * Copy the seeded in-memory models into any empty collection
+ * @param {import('mongodb').Db} db - Database to seed
+ * @param {Object} [data] - Seed data (defaults to the in-memory models)
+ * @returns {Promise<void>}
+ */
+const seedCollections = async (db, data = models) => {
+  const collections = [
+    'users', 'posts', 'follows', 'comments', 'reactions', 'media', 'revisions', 'bookmarks', 'pins', 'votes',
+    'reports', 'moderationActions', 'contentRules'
+  ];
+  for (const name of collections) {
+    const collection = db.collection(name);
+    if (await collection.countDocuments({}) === 0 && (data[name] || []).length > 0) {
+      await collection.insertMany(data[name].map(toDocument));
+      logInfo('Seeded MongoDB collection', { collection: name, count: data[name].length });
+    }
+  }
+};
+
+/**
+ * Prepare a database for the API: create indexes and optionally seed it
+ * @param {import('mongodb').Db} db - Database to prepare
+ * @param {Object} [options]
+ * @param {boolean} [options.seed] - Seed empty collections from the models
+ * @returns {Promise<void>}
+ */
+const prepareDatabase = async (db, { seed = false } = {}) => {
+  await createIndexes(db);
+  await db.collection('users').createIndex({ email: 1 }, { unique: true });
+  await db.collection('users').createIndex({ username: 1 }, { unique: true, sparse: true });
+  await db.collection('posts').createIndex({ conversationId: 1, created: 1 });
+  await db.collection('posts').createIndex({ replyTo: 1 });
+  await db.collection('posts').createIndex({ repostOf: 1 });
+  await db.collection('posts').createIndex({ hashtags: 1, created: -1 });
+  await db.collection('posts').createIndex({ mentionedUsers: 1, created: -1 });
+  await db.collection('comments').createIndex({ post: 1, created: 1 });
+  await db.collection('reactions').createIndex({ post: 1, user: 1, type: 1 }, { unique: true });
+  await db.collection('posts').createIndex({ attachments: 1 });
+  await db.collection('posts').createIndex({ status: 1, publishAt: 1 });
+  await db.collection('revisions').createIndex({ post: 1, revision: 1 }, { unique: true });
+  await db.collection('bookmarks').createIndex({ user: 1, post: 1 }, { unique: true });
+  await db.collection('pins').createIndex({ user: 1 }, { unique: true });
+  await db.collection('votes').createIndex({ post: 1, user: 1 }, { unique: true });
+  await db.collection('reports').createIndex({ status: 1, targetType: 1, target: 1 });
+  await db.collection('moderationActions').createIndex({ targetType: 1, target: 1 });
+  await db.collection('media').createIndex({ owner: 1 });
+  await db.collection('media').createIndex({ hash: 1 });
+
+  if (seed) {
+    await seedCollections(db);
+  }
+};
+
+/**
+ * Connect to MongoDB and create the storage backend
+ * @param {string} uri - MongoDB connection string
+ * @param {Object} [options]
+ * @param {string} [options.dbName] - Database name (defaults to the one in the URI)
+ * @param {boolean} [options.seed] - Seed empty collections from the models
+ * @returns {Promise<import('../interfaces').Repositories>}
+ */
+const connectMongoRepositories = async (uri, { dbName, seed = false } = {}) => {
+  const client = new MongoClient(uri);
+  await client.connect();
+
+  try {
+    const db = client.db(dbName);
+    await prepareDatabase(db, { seed });
+
+    logInfo('Connected to MongoDB', { dbName: db.databaseName });
+    return createMongoRepositories(db, { client });
+  } catch (error) {
+    await client.close();
+    throw error;
+  }
+};
+
+module.exports = {
+  createMongoRepositories,
+  connectMongoRepositories,
+  prepareDatabase,
+  seedCollections
+};
@@ -0,0 +1,56 @@
+/**
+ * MongoDB Media Repository
+ *
+ * Stores uploaded media records in the `media` collection, indexed by
+ * `{ owner }` (for quotas) and `{ hash }` (for shared files).
+ */
+
+const { toDocument, fromDocument, NOT_DELETED } = require('./document');
+
+/**
+ * Create a MongoDB media repository
+ * @param {import('mongodb').Db} db - Connected database
+ * @returns {import('../interfaces').MediaRepository}
+ */
+const createMediaRepository = (db) => {
+  const collection = db.collection('media');
+
+  return {
+    async findById(id) {
+      return fromDocument(await collection.findOne({ _id: id, ...NOT_DELETED }));
+    },
+
+    async findByIds(ids) {
+      const documents = await collection.find({ _id: { $in: ids }, ...NOT_DELETED }).toArray();
+      return documents.map(fromDocument);
+    },
+
+    async findByOwner(owner) {
+      const documents = await collection.find({ owner, ...NOT_DELETED }).toArray();
+      return documents.map(fromDocument);
+    },
+
+    async findByHash(hash) {
+      const documents = await collection.find({ hash, ...NOT_DELETED }).toArray();
+      return documents.map(fromDocument);
+    },
+
+    async create(media) {
+      await collection.insertOne(toDocument(media));
+      return { ...media };
+    },
+
+    async update(id, changes) {
+      const document = await collection.findOneAndUpdate(
+        { _id: id },
+        { $set: changes },
+        { returnDocument: 'after' }
+      );
+      return fromDocument(document);
+    }
+  };
+};
+
+module.exports = {
+  createMediaRepository
+};
@@ -0,0 +1,40 @@
+/**
+ * MongoDB Moderation Action Repository
+ *
+ * Stores the moderation log in the `moderationActions` collection.
+ */
+
+const { toDocument, fromDocument } = require('./document');
+
+/**
+ * Create a MongoDB moderation action repository
+ * @param {import('mongodb').Db} db - Connected database
+ * @returns {import('../interfaces').ModerationActionRepository}
+ */
+const createModerationActionRepository = (db) => {
+  const collection = db.collection('moderationActions');
+
+  return {
+    async find({ targetType, target } = {}) {
+      const filter = {};
+      if (targetType) {
+        filter.targetType = targetType;
+      }
+      if (target) {
+        filter.target = target;
+      }
+
+      const documents = await collection.find(filter).toArray();
+      return documents.map(fromDocument);
+    },
+
+    async create(action) {
+      await collection.insertOne(toDocument(action));
+      return { ...action, reports: [...action.reports] };
+    }
+  };
+};
+
+module.exports = {
+  createModerationActionRepository
+};
@@ -0,0 +1,41 @@
+/**
+ * MongoDB Pin Repository
+ *
+ * Stores each user's pinned post IDs, in display order, in one document of
+ * the `pins` collection (unique on `{ user }`).
+ */
+
+const { toDocument, fromDocument } = require('./document');
+
+/**
+ * Create a MongoDB pin repository
+ * @param {import('mongodb').Db} db - Connected database
+ * @returns {import('../interfaces').PinRepository}
+ */
+const createPinRepository = (db) => {
+  const collection = db.collection('pins');
+
+  return {
+    async findByUser(user) {
+      return fromDocument(await collection.findOne({ user }));
+    },
+
+    async create(pins) {
+      await collection.insertOne(toDocument(pins));
+      return { ...pins, posts: [...pins.posts] };
+    },
+
+    async update(id, changes) {
+      const document = await collection.findOneAndUpdate(
+        { _id: id },
+        { $set: changes },
+        { returnDocument: 'after' }
+      );
+      return fromDocument(document);
+    }
+  };
+};
+
+module.exports = {
+  createPinRepository
+};
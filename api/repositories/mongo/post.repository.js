@@ -0,0 +1,104 @@
+/**
+ * MongoDB Post Repository
+ *
+ * Stores posts in the `posts` collection described in `db/aggregation.js`.
+ * Replies carry `replyTo` (parent) and `conversationId` (thread root);
+ * reposts and quote posts carry `repostOf` (the original). `hashtags`,
+ * `mentionedUsers` and `attachments` are arrays, matched element-wise by
+ * equality filters. Unpublished posts carry a `status` (see
+ * `utils/publishing.js`) and are filtered out by default.
+ */
+
+const { toDocument, fromDocument, NOT_DELETED } = require('./document');
+const { UNPUBLISHED_STATUSES } = require('../../utils/publishing');
+
+// Posts without a status are published
+const PUBLISHED = { status: { $nin: UNPUBLISHED_STATUSES } };
+
+/**
+ * Create a MongoDB post repository
+ * @param {import('mongodb').Db} db - Connected database
+ * @returns {import('../interfaces').PostRepository}
+ */
+const createPostRepository = (db) => {
+  const collection = db.collection('posts');
+
+  return {
+    async findById(id, { includeDeleted = false, includeUnpublished = false } = {}) {
+      const filter = {
+        _id: id,
+        ...(includeDeleted ? {} : NOT_DELETED),
+        ...(includeUnpublished ? {} : PUBLISHED)
+      };
+      return fromDocument(await collection.findOne(filter));
+    },
+
+    async findByIds(ids) {
+      const documents = await collection.find({ _id: { $in: ids }, ...NOT_DELETED, ...PUBLISHED }).toArray();
+      return documents.map(fromDocument);
+    },
+
+    async find({
+      author, authors, conversationId, repliesTo, repostsOf, hashtag, mentionedUser, attachment, status,
+      until, excludePrivate = false, includeDeleted = false, includeUnpublished = false, limit
+    } = {}) {
+      const filter = includeDeleted ? {} : { ...NOT_DELETED };
+      if (status) {
+        filter.status = status;
+      } else if (!includeUnpublished) {
+        Object.assign(filter, PUBLISHED);
+      }
+      if (author) {
+        filter.author = author;
+      } else if (authors) {
+        filter.author = { $in: authors };
+      }
+      if (conversationId) {
+        filter.conversationId = conversationId;
+      }
+      if (repliesTo) {
+        filter.replyTo = { $in: repliesTo };
+      }
+      if (repostsOf) {
+        filter.repostOf = { $in: repostsOf };
+      }
+      if (hashtag) {
+        filter.hashtags = hashtag;
+      }
+      if (mentionedUser) {
+        filter.mentionedUsers = mentionedUser;
+      }
+      if (attachment) {
+        filter.attachments = attachment;
+      }
+      if (until) {
+        filter.created = { $lte: new Date(until) };
+      }
+      if (excludePrivate) {
+        filter.visibility = { $ne: 'private' };
+      }
+
+      const cursor = collection.find(filter);
+      const documents = await (limit ? cursor.sort({ created: -1, _id: -1 }).limit(limit) : cursor).toArray();
+      return documents.map(fromDocument);
+    },
+
+    async create(post) {
+      await collection.insertOne(toDocument(post));
+      return { ...post };
+    },
+
+    async update(id, changes) {
+      const document = await collection.findOneAndUpdate(
+        { _id: id },
+        { $set: changes },
+        { returnDocument: 'after' }
+      );
+      return fromDocument(document);
+    }
+  };
+};
+
+module.exports = {
+  createPostRepository
+};
@@ -0,0 +1,57 @@
+/**
+ * MongoDB Reaction Repository
+ *
+ * Stores reactions in the `reactions` collection. That collection has a
+ * unique `{ post, user, type }` index, so reacting again after removing a
+ * reaction revives the existing document instead of inserting one.
+ */
+
+const { toDocument, fromDocument, NOT_DELETED } = require('./document');
+
+/**
+ * Create a MongoDB reaction repository
+ * @param {import('mongodb').Db} db - Connected database
+ * @returns {import('../interfaces').ReactionRepository}
+ */
+const createReactionRepository = (db) => {
+  const collection = db.collection('reactions');
+
+  return {
+    async findActive(post, user, type) {
+      return fromDocument(await collection.findOne({ post, user, type, ...NOT_DELETED }));
+    },
+
+    async findByPosts(postIds) {
+      const documents = await collection.find({ post: { $in: postIds }, ...NOT_DELETED }).toArray();
+      return documents.map(fromDocument);
+    },
+
+    async create(reaction) {
+      const { post, user, type, created } = reaction;
+      const revived = await collection.findOneAndUpdate(
+        { post, user, type, isDeleted: true },
+        { $set: { created, isDeleted: false, updatedAt: created } },
+        { returnDocument: 'after' }
+      );
+      if (revived) {
+        return fromDocument(revived);
+      }
+
+      await collection.insertOne(toDocument(reaction));
+      return { ...reaction };
+    },
+
+    async update(id, changes) {
+      const document = await collection.findOneAndUpdate(
+        { _id: id },
+        { $set: changes },
+        { returnDocument: 'after' }
+      );
+      return fromDocument(document);
+    }
+  };
+};
+
+module.exports = {
+  createReactionRepository
+};
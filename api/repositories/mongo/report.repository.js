@@ -0,0 +1,55 @@
+/**
+ * MongoDB Report Repository
+ *
+ * Stores reports of posts and users in the `reports` collection.
+ */
+
+const { toDocument, fromDocument } = require('./document');
+
+/**
+ * Create a MongoDB report repository
+ * @param {import('mongodb').Db} db - Connected database
+ * @returns {import('../interfaces').ReportRepository}
+ */
+const createReportRepository = (db) => {
+  const collection = db.collection('reports');
+
+  return {
+    async find({ status, targetType, target, reporter } = {}) {
+      const filter = {};
+      if (status) {
+        filter.status = status;
+      }
+      if (targetType) {
+        filter.targetType = targetType;
+      }
+      if (target) {
+        filter.target = target;
+      }
+      if (reporter) {
+        filter.reporter = reporter;
+      }
+
+      const documents = await collection.find(filter).toArray();
+      return documents.map(fromDocument);
+    },
+
+    async create(report) {
+      await collection.insertOne(toDocument(report));
+      return { ...report };
+    },
+
+    async update(id, changes) {
+      const document = await collection.findOneAndUpdate(
+        { _id: id },
+        { $set: changes },
+        { returnDocument: 'after' }
+      );
+      return fromDocument(document);
+    }
+  };
+};
+
+module.exports = {
+  createReportRepository
+};
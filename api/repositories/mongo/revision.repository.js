@@ -0,0 +1,33 @@
+/**
+ * MongoDB Revision Repository
+ *
+ * Stores post revisions in the `revisions` collection, unique on
+ * `{ post, revision }`, so two concurrent edits cannot claim the same number.
+ */
+
+const { toDocument, fromDocument } = require('./document');
+
+/**
+ * Create a MongoDB revision repository
+ * @param {import('mongodb').Db} db - Connected database
+ * @returns {import('../interfaces').RevisionRepository}
+ */
+const createRevisionRepository = (db) => {
+  const collection = db.collection('revisions');
+
+  return {
+    async findByPost(postId) {
+      const documents = await collection.find({ post: postId }).toArray();
+      return documents.map(fromDocument).sort((a, b) => a.revision - b.revision);
+    },
+
+    async create(revision) {
+      await collection.insertOne(toDocument(revision));
+      return { ...revision };
+    }
+  };
+};
+
+module.exports = {
+  createRevisionRepository
+};
@@ -0,0 +1,56 @@
+/**
+ * MongoDB User Repository
+ *
+ * Reads users from the `users` collection. Deleted users are never returned.
+ * `update` only changes moderation state such as suspensions.
+ */
+
+const { fromDocument, NOT_DELETED } = require('./document');
+
+/**
+ * Create a MongoDB user repository
+ * @param {import('mongodb').Db} db - Connected database
+ * @returns {import('../interfaces').UserRepository}
+ */
+const createUserRepository = (db) => {
+  const collection = db.collection('users');
+
+  return {
+    async findById(id) {
+      return fromDocument(await collection.findOne({ _id: id, ...NOT_DELETED }));
+    },
+
+    async findByIds(ids) {
+      const documents = await collection.find({ _id: { $in: ids }, ...NOT_DELETED }).toArray();
+      return documents.map(fromDocument);
+    },
+
+    async findByEmail(email) {
+      return fromDocument(await collection.findOne({ email, ...NOT_DELETED }));
+    },
+
+    async findByUsernames(usernames) {
+      const wanted = usernames.map(name => name.toLowerCase());
+      const documents = await collection.find({ username: { $in: wanted }, ...NOT_DELETED }).toArray();
+      return documents.map(fromDocument);
+    },
+
+    async find() {
+      const documents = await collection.find({ ...NOT_DELETED }).toArray();
+      return documents.map(fromDocument);
+    },
+
+    async update(id, changes) {
+      const document = await collection.findOneAndUpdate(
+        { _id: id },
+        { $set: changes },
+        { returnDocument: 'after' }
+      );
+      return fromDocument(document);
+    }
+  };
+};
+
+module.exports = {
+  createUserRepository
+};
@@ -0,0 +1,63 @@
+/**
+ * MongoDB Vote Repository
+ *
+ * Stores poll votes in the `votes` collection, which has a unique
+ * `{ post, user }` index: each user has at most one vote per poll. When two
+ * first votes from one user race, the later insert hits that index and
+ * updates the vote the earlier one stored instead.
+ */
+
+const { toDocument, fromDocument } = require('./document');
+
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Create a MongoDB vote repository
+ * @param {import('mongodb').Db} db - Connected database
+ * @returns {import('../interfaces').VoteRepository}
+ */
+const createVoteRepository = (db) => {
+  const collection = db.collection('votes');
+
+  return {
+    async findByVoter(post, user) {
+      return fromDocument(await collection.findOne({ post, user }));
+    },
+
+    async findByPosts(postIds) {
+      const documents = await collection.find({ post: { $in: postIds } }).toArray();
+      return documents.map(fromDocument);
+    },
+
+    async create(vote) {
+      try {
+        await collection.insertOne(toDocument(vote));
+        return { ...vote };
+      } catch (error) {
+        if (error.code !== DUPLICATE_KEY) {
+          throw error;
+        }
+        const { post, user, option, updatedAt } = vote;
+        const document = await collection.findOneAndUpdate(
+          { post, user },
+          { $set: { option, updatedAt } },
+          { returnDocument: 'after' }
+        );
+        return fromDocument(document);
+      }
+    },
+
+    async update(id, changes) {
+      const document = await collection.findOneAndUpdate(
+        { _id: id },
+        { $set: changes },
+        { returnDocument: 'after' }
+      );
+      return fromDocument(document);
+    }
+  };
+};
+
+module.exports = {
+  createVoteRepository
+};
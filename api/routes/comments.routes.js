@@ -0,0 +1,73 @@
+/**
+ * Comments Routes
+ * 
+ * Nested under /posts/:id/comments
+ * Features:
+ * - Public, paginated listing
+ * - Create for authenticated users
+ * - Edit and soft delete for the comment owner or an admin
+ */
+
+const express = require('express');
+const {
+  createComment,
+  getComments,
+  updateComment,
+  deleteComment,
+  requireVisiblePost,
+} = require('../controllers/comments.controller');
+const { requireUserOrAdmin, authorizeOwnership, optionalAuth } = require('../middleware/authorize');
+const { validate } = require('../middleware/validator');
+const { postIdSchema } = require('../validators/post.validators');
+const { commentBodySchema, commentIdSchema, commentQuerySchema } = require('../validators/comment.validators');
+const { getRepositories } = require('../repositories');
+
+// `:id` comes from the parent posts router
+const router = express.Router({ mergeParams: true });
+
+// Comment owner or admin; the comment must belong to the post in the URL
+const requireCommentOwnerOrAdmin = authorizeOwnership({
+  resourceName: 'Comment',
+  load: async (req) => {
+    const comment = await getRepositories().commentRepository.findById(req.params.commentId);
+    return comment && comment.post === req.params.id ? comment : null;
+  }
+});
+
+/**
+ * GET /posts/:id/comments
+ * List a post's comments, oldest first
+ * Query parameters:
+ * - cursor: nextCursor from the previous page
+ * - page: Page number (default: 1)
+ * - limit: Comments per page (default: 20, max: 50)
+ */
+router.get('/', optionalAuth, validate({ ...postIdSchema, ...commentQuerySchema }), getComments);
+
+/**
+ * POST /posts/:id/comments
+ * Comment on a post (requires authentication)
+ * Body:
+ * - content: Comment content (required, max 500 chars)
+ */
+router.post('/', requireUserOrAdmin, validate({ ...postIdSchema, ...commentBodySchema }), createComment);
+
+/**
+ * PATCH /posts/:id/comments/:commentId
+ * Edit a comment (requires authentication)
+ * Users can only edit their own comments, admins can edit any comment
+ * 404 when the post is missing or hidden from the caller
+ * Body:
+ * - content: Comment content (required, max 500 chars)
+ */
+router.patch('/:commentId', requireUserOrAdmin, validate({ ...commentIdSchema, ...commentBodySchema }), requireVisiblePost, requireCommentOwnerOrAdmin, updateComment);
+
+/**
+ * DELETE /posts/:id/comments/:commentId
+ * Delete a comment (requires authentication)
+ * Users can only delete their own comments, admins can delete any comment
+ * 404 when the post is missing or hidden from the caller
+ */
+router.delete('/:commentId', requireUserOrAdmin, validate(commentIdSchema), requireVisiblePost, requireCommentOwnerOrAdmin, deleteComment);
+
+module.exports = router;
@@ -0,0 +1,73 @@
+/**
+ * Content Rules Routes
+ * 
+ * Admin management of the content policy applied to new and edited posts.
+ * Every route requires the admin role.
+ */
+
+const express = require('express');
+const {
+  getContentRules,
+  createContentRule,
+  updateContentRule,
+  deleteContentRule,
+  testContentRules,
+} = require('../controllers/content-rules.controller');
+const { requireAdmin } = require('../middleware/authorize');
+const { validate } = require('../middleware/validator');
+const {
+  ruleIdSchema,
+  createContentRuleSchema,
+  updateContentRuleSchema,
+  testContentRulesSchema,
+} = require('../validators/content-rule.validators');
+
+const router = express.Router();
+
+/**
+ * GET /content-rules
+ * Every content rule, in the order they are applied
+ */
+router.get('/', requireAdmin, getContentRules);
+
+/**
+ * POST /content-rules
+ * Add a rule
+ * Body:
+ * - name: Rule name (max 50 chars)
+ * - type: banned-words, link-limit, repeated-characters or near-duplicate
+ * - action: reject, hold or flag
+ * - words: Banned words (banned-words rules only)
+ * - limit: Most links, or longest run of one character, allowed
+ *   (link-limit and repeated-characters rules only)
+ * - similarity, windowMinutes: Posts at least `similarity` alike (default 0.8)
+ *   to one of the author's posts of the last `windowMinutes` break the rule
+ *   (near-duplicate rules only)
+ * - enabled: Whether the rule applies (default: true)
+ */
+router.post('/', requireAdmin, validate(createContentRuleSchema), createContentRule);
+
+/**
+ * POST /content-rules/test
+ * Check sample content against the enabled rules, or against `rules` given
+ * in the body, without saving anything
+ * Body:
+ * - content: Sample post content
+ * - rules: Rules to try, shaped like POST /content-rules (optional)
+ * - author: Compare with this user's recent posts for near-duplicate rules (optional)
+ */
+router.post('/test', requireAdmin, validate(testContentRulesSchema), testContentRules);
+
+/**
+ * PATCH /content-rules/:id
+ * Change a rule's name, action or settings, or enable or disable it
+ */
+router.patch('/:id', requireAdmin, validate(updateContentRuleSchema), updateContentRule);
+
+/**
+ * DELETE /content-rules/:id
+ * Remove a rule
+ */
+router.delete('/:id', requireAdmin, validate(ruleIdSchema), deleteContentRule);
+
+module.exports = router;
@@ -5,6 +5,13 @@ const router = express.Router();
 const authRoutes = require('./auth.routes');
 const postRoutes = require('./posts.routes');
 const followRoutes = require('./follows.routes');
+const tagRoutes = require('./tags.routes');
+const userRoutes = require('./users.routes');
+const searchRoutes = require('./search.routes');
+const mediaRoutes = require('./media.routes');
+const reportRoutes = require('./reports.routes');
+const moderationRoutes = require('./moderation.routes');
+const contentRuleRoutes = require('./content-rules.routes');
 
 // Health check route
 router.get('/health', (req, res) => {
@@ -23,4 +30,25 @@ router.use('/posts', postRoutes);
 // Follow routes
 router.use('/follows', followRoutes);
 
+// Tag routes
+router.use('/tags', tagRoutes);
+
+// User routes
+router.use('/users', userRoutes);
+
+// Search routes
+router.use('/search', searchRoutes);
+
+// Media routes
+router.use('/media', mediaRoutes);
+
+// Report routes
+router.use('/reports', reportRoutes);
+
+// Moderation routes
+router.use('/moderation', moderationRoutes);
+
+// Content rule routes
+router.use('/content-rules', contentRuleRoutes);
+
 module.exports = router;
@@ -0,0 +1,22 @@
+/**
+ * Media Routes
+ * 
+ * Uploads for post attachments
+ */
+
+const express = require('express');
+const { uploadMedia } = require('../controllers/media.controller');
+const { requireUserOrAdmin } = require('../middleware/authorize');
+const { receiveFile } = require('../middleware/upload');
+
+const router = express.Router();
+
+/**
+ * POST /media
+ * Upload an image or video (requires authentication)
+ * Body (multipart/form-data):
+ * - file: JPEG, PNG, GIF, WebP or MP4 (max MEDIA_MAX_BYTES, default 5 MB)
+ */
+router.post('/', requireUserOrAdmin, receiveFile('file'), uploadMedia);
+
+module.exports = router;
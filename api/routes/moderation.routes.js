@@ -0,0 +1,73 @@
+/**
+ * Moderation Routes
+ * 
+ * Admin moderation queue and log. Every route requires the admin role.
+ */
+
+const express = require('express');
+const {
+  getModerationQueue,
+  moderateTarget,
+  getModerationLog,
+  getDuplicateClusters,
+} = require('../controllers/moderation.controller');
+const { requireAdmin } = require('../middleware/authorize');
+const { validate } = require('../middleware/validator');
+const {
+  moderationQueueQuerySchema,
+  moderationTargetSchema,
+  moderationActionSchema,
+  moderationLogQuerySchema,
+  duplicateClustersQuerySchema,
+} = require('../validators/moderation.validators');
+
+const router = express.Router();
+
+/**
+ * GET /moderation/queue
+ * Open reports grouped by target, most reported first
+ * Query parameters:
+ * - targetType: post or user (optional)
+ * - limit: Targets per page (default: 10, max: 50)
+ * - page / cursor: Page number or nextCursor from the previous page
+ */
+router.get('/queue', requireAdmin, validate(moderationQueueQuerySchema), getModerationQueue);
+
+/**
+ * GET /moderation/actions
+ * The moderation log, newest first
+ * Query parameters:
+ * - targetType, targetId: Only actions on these targets (optional)
+ * - limit: Actions per page (default: 10, max: 50)
+ * - page / cursor: Page number or nextCursor from the previous page
+ */
+router.get('/actions', requireAdmin, validate(moderationLogQuerySchema), getModerationLog);
+
+/**
+ * GET /moderation/duplicates
+ * Clusters of similar posts among the newest 2000 posts of all users, largest first
+ * Query parameters:
+ * - similarity: Lowest similarity joined, 0.5-1 (default: 0.8)
+ * - since: Only posts created at or after this time (optional)
+ * - limit: Clusters per page (default: 10, max: 50)
+ * - page / cursor: Page number or nextCursor from the previous page
+ */
+router.get('/duplicates', requireAdmin, validate(duplicateClustersQuerySchema), getDuplicateClusters);
+
+/**
+ * POST /moderation/:targetType/:targetId/actions
+ * Dismiss the reports on a target (releasing a held post), hide or delete a
+ * post, or suspend a user (or a post's author); resolves every open report
+ * on the target
+ * Body:
+ * - action: dismiss, hide, delete or suspend
+ * - note: Moderator's note (required, max 500 chars)
+ */
+router.post(
+  '/:targetType/:targetId/actions',
+  requireAdmin,
+  validate({ ...moderationTargetSchema, ...moderationActionSchema }),
+  moderateTarget
+);
+
+module.exports = router;
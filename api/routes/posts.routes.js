@@ -16,44 +16,253 @@ const {
   getPostById, 
   createPost,
   updatePost,
+  getFeed,
+  getConversation,
+  getRevisions,
+  restoreRevision,
+  getScheduledPosts,
+  getDrafts,
+  publishDraft,
+  createRepost,
+  undoRepost,
+  bookmarkPost,
+  removeBookmark,
+  getBookmarks,
+  pinPost,
+  unpinPost,
+  reorderPins,
 } = require('../controllers/posts.controller');
-const { requireUserOrAdmin, requireAdmin } = require('../middleware/authorize');
+const { votePoll } = require('../controllers/polls.controller');
+const { requireUserOrAdmin, requireAdmin, authorizeOwnership, optionalAuth } = require('../middleware/authorize');
 const { validate } = require('../middleware/validator');
-const { createPostSchema, updatePostSchema, postIdSchema } = require('../validators/post.validators');
+const {
+  createPostSchema,
+  replacePostSchema,
+  updatePostSchema,
+  postIdSchema,
+  revisionParamsSchema,
+  feedQuerySchema,
+  conversationQuerySchema,
+  repostSchema,
+  pinOrderSchema,
+  pollVoteSchema,
+  postListQuerySchema,
+} = require('../validators/post.validators');
+const { getRepositories } = require('../repositories');
+const { visibilityService } = require('../services/visibility.service');
+const { isPublished, MODERATED_STATUSES } = require('../utils/publishing');
+const commentRoutes = require('./comments.routes');
+const reactionRoutes = require('./reactions.routes');
 
 const router = express.Router();
 
+// Post owner or admin; others get a 404 for posts they may not see, as on
+// GET /posts/:id. An unpublished post exists only for its author, and for
+// admins too once moderation hid or held it
+const requirePostOwnerOrAdmin = authorizeOwnership({
+  resourceName: 'Post',
+  load: async (req) => {
+    const post = await getRepositories().postRepository.findById(req.params.id, { includeUnpublished: true });
+    if (!post || post.author === req.user.id) {
+      return post;
+    }
+    if (req.user.role === 'admin') {
+      return isPublished(post) || MODERATED_STATUSES.includes(post.status) ? post : null;
+    }
+    return isPublished(post) && await visibilityService.canView(post, req.user) ? post : null;
+  }
+});
+
 /**
  * GET /posts
  * Get all posts with pagination and filtering
+ * Lists the posts the caller may see (only public posts without a token)
+ * Reaction data is viewer-aware when a token is sent
  * Query parameters:
  * - page: Page number (default: 1)
  * - limit: Posts per page (default: 10, max: 50)
  * - author: Filter by author ID
- * - sortBy: Sort by field (created)
+ * - sortBy: Sort by field (created, comments, reactions)
  * - sortOrder: Sort order (asc, desc)
+ * - includeDrafts: Also list drafts (admins only, audit-logged)
+ * - pinnedFirst: Put the author's pinned posts first (with author, newest-first order only)
+ */
+router.get('/', optionalAuth, getAllPosts);
+
+/**
+ * GET /posts/feed
+ * Get the current user's home feed (requires authentication)
+ * Query parameters:
+ * - limit: Posts per page (default: 10, max: 50)
+ * - cursor: nextCursor from the previous page
+ * - includeOwn: Include the user's own posts (default: false)
+ */
+router.get('/feed', requireUserOrAdmin, validate(feedQuerySchema), getFeed);
+
+/**
+ * GET /posts/scheduled
+ * List the current user's scheduled posts, soonest first (requires authentication)
+ * Edit them with PATCH /posts/:id and cancel them with DELETE /posts/:id
+ * Query parameters:
+ * - limit: Posts per page (default: 10, max: 50)
+ * - page / cursor: Page number or nextCursor from the previous page
+ */
+router.get('/scheduled', requireUserOrAdmin, validate(postListQuerySchema), getScheduledPosts);
+
+/**
+ * GET /posts/drafts
+ * List the current user's drafts, newest first (requires authentication)
+ * Edit them with PATCH /posts/:id, publish them with POST /posts/:id/publish
+ * Query parameters:
+ * - limit: Posts per page (default: 10, max: 50)
+ * - page / cursor: Page number or nextCursor from the previous page
+ */
+router.get('/drafts', requireUserOrAdmin, validate(postListQuerySchema), getDrafts);
+
+/**
+ * GET /posts/bookmarks
+ * List the posts you bookmarked, most recently bookmarked first (requires authentication)
+ * Deleted posts and posts you may no longer see are left out
+ * Query parameters:
+ * - limit: Posts per page (default: 10, max: 50)
+ * - page / cursor: Page number or nextCursor from the previous page
  */
-router.get('/', getAllPosts);
+router.get('/bookmarks', requireUserOrAdmin, validate(postListQuerySchema), getBookmarks);
+
+/**
+ * PUT /posts/pins
+ * Reorder your pinned posts (requires authentication)
+ * Body:
+ * - postIds: Your currently pinned post IDs, in the new order
+ */
+router.put('/pins', requireUserOrAdmin, validate(pinOrderSchema), reorderPins);
 
 /**
  * GET /posts/:id
  * Get a specific post by ID
+ * Posts the caller may not see are reported as not found
+ * Reaction data is viewer-aware when a token is sent
+ */
+router.get('/:id', optionalAuth, validate(postIdSchema), getPostById);
+
+/**
+ * GET /posts/:id/conversation
+ * Get the reply tree below a post, plus its ancestors up to the thread root
+ * Deleted posts with replies, and posts the caller may not see, are returned as tombstones
+ * Query parameters:
+ * - depth: Reply levels to include (default: 5, max: 10)
+ */
+router.get('/:id/conversation', optionalAuth, validate({ ...postIdSchema, ...conversationQuerySchema }), getConversation);
+
+/**
+ * GET /posts/:id/revisions
+ * List a post's revisions, oldest first, each with a word diff from the one before
  */
-router.get('/:id', validate(postIdSchema), getPostById);
+router.get('/:id/revisions', optionalAuth, validate(postIdSchema), getRevisions);
+
+/**
+ * POST /posts/:id/revisions/:revision/restore
+ * Restore an earlier revision as the post's content (admins only)
+ */
+router.post('/:id/revisions/:revision/restore', requireAdmin, validate(revisionParamsSchema), restoreRevision);
 
 /**
  * POST /posts
  * Create a new post (requires authentication)
  * Body:
  * - content: Post content (required, max 1000 chars)
+ * - replyTo: ID of the post being answered (optional)
+ * - attachments: IDs of media uploaded by the caller (optional)
+ * - publishAt: Future time to publish the post at (optional)
+ * - draft: Save as a draft only you can see (optional)
+ * - visibility: public, followers or private (optional, default: public)
+ * - poll: { options: 2-4 choices, closesAt: future time } (optional)
  */
 router.post('/', requireUserOrAdmin, validate(createPostSchema), createPost);
 
+/**
+ * PUT /posts/:id
+ * Replace a post's editable fields (requires authentication)
+ * Users can only update their own posts, admins can update any post
+ * Body:
+ * - content: Post content (required, max 1000 chars)
+ */
+router.put('/:id', requireUserOrAdmin, validate({ ...postIdSchema, ...replacePostSchema }), requirePostOwnerOrAdmin, updatePost);
+
+/**
+ * PATCH /posts/:id
+ * Partially update a post (requires authentication)
+ * Users can only update their own posts, admins can update any post
+ * Body:
+ * - content: Post content (optional, max 1000 chars)
+ * - publishAt: New publish time (optional; schedules a draft, moves a scheduled post)
+ * - visibility: public, followers or private (optional)
+ */
+router.patch('/:id', requireUserOrAdmin, validate({ ...postIdSchema, ...updatePostSchema }), requirePostOwnerOrAdmin, updatePost);
+
 /**
  * DELETE /posts/:id
  * Delete a post by ID (requires authentication)
  * Users can only delete their own posts, admins can delete any post
  */
-router.delete('/:id', requireAdmin, validate(postIdSchema), deletePost);
+router.delete('/:id', requireUserOrAdmin, validate(postIdSchema), requirePostOwnerOrAdmin, deletePost);
+
+/**
+ * POST /posts/:id/publish
+ * Publish one of your drafts now (requires authentication)
+ */
+router.post('/:id/publish', requireUserOrAdmin, validate(postIdSchema), requirePostOwnerOrAdmin, publishDraft);
+
+/**
+ * POST /posts/:id/repost
+ * Repost a post, or quote it when content is sent (requires authentication)
+ * Body:
+ * - content: Commentary for a quote post (optional, max 1000 chars)
+ */
+router.post('/:id/repost', requireUserOrAdmin, validate({ ...postIdSchema, ...repostSchema }), createRepost);
+
+/**
+ * DELETE /posts/:id/repost
+ * Undo your plain repost of a post (requires authentication)
+ */
+router.delete('/:id/repost', requireUserOrAdmin, validate(postIdSchema), undoRepost);
+
+/**
+ * POST /posts/:id/bookmark
+ * Privately bookmark a post you can see (requires authentication)
+ */
+router.post('/:id/bookmark', requireUserOrAdmin, validate(postIdSchema), bookmarkPost);
+
+/**
+ * DELETE /posts/:id/bookmark
+ * Remove your bookmark of a post (requires authentication)
+ */
+router.delete('/:id/bookmark', requireUserOrAdmin, validate(postIdSchema), removeBookmark);
+
+/**
+ * POST /posts/:id/pin
+ * Pin one of your posts to your profile, up to 3 (requires authentication)
+ */
+router.post('/:id/pin', requireUserOrAdmin, validate(postIdSchema), pinPost);
+
+/**
+ * DELETE /posts/:id/pin
+ * Unpin one of your posts (requires authentication)
+ */
+router.delete('/:id/pin', requireUserOrAdmin, validate(postIdSchema), unpinPost);
+
+/**
+ * PUT /posts/:id/poll/vote
+ * Vote in a post's poll, or change your vote until it closes (requires authentication)
+ * Body:
+ * - option: Index of the chosen option
+ */
+router.put('/:id/poll/vote', requireUserOrAdmin, validate({ ...postIdSchema, ...pollVoteSchema }), votePoll);
+
+// Comments on a post
+router.use('/:id/comments', commentRoutes);
+
+// Reactions on a post
+router.use('/:id/reactions', reactionRoutes);
 
 module.exports = router; 
\ No newline at end of file
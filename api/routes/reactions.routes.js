@@ -0,0 +1,55 @@
+/**
+ * Reactions Routes
+ * 
+ * Nested under /posts/:id/reactions
+ * Features:
+ * - Public aggregated counts and reactor listing (viewer-aware with a token)
+ * - Add and remove reactions for authenticated users
+ */
+
+const express = require('express');
+const {
+  addReaction,
+  removeReaction,
+  getReactions,
+  getReactors,
+} = require('../controllers/reactions.controller');
+const { requireUserOrAdmin, optionalAuth } = require('../middleware/authorize');
+const { validate } = require('../middleware/validator');
+const { postIdSchema } = require('../validators/post.validators');
+const { reactionParamsSchema, reactorsQuerySchema } = require('../validators/reaction.validators');
+
+// `:id` comes from the parent posts router
+const router = express.Router({ mergeParams: true });
+
+/**
+ * GET /posts/:id/reactions
+ * Aggregated reaction counts, plus the caller's own reactions when authenticated
+ */
+router.get('/', optionalAuth, validate(postIdSchema), getReactions);
+
+/**
+ * GET /posts/:id/reactions/users
+ * List who reacted, newest first
+ * Query parameters:
+ * - type: Only this reaction type
+ * - cursor: nextCursor from the previous page
+ * - page: Page number (default: 1)
+ * - limit: Reactions per page (default: 20, max: 50)
+ */
+router.get('/users', optionalAuth, validate({ ...postIdSchema, ...reactorsQuerySchema }), getReactors);
+
+/**
+ * POST /posts/:id/reactions/:type
+ * React to a post (requires authentication)
+ * Types: like, love, laugh, wow, sad, angry
+ */
+router.post('/:type', requireUserOrAdmin, validate(reactionParamsSchema), addReaction);
+
+/**
+ * DELETE /posts/:id/reactions/:type
+ * Remove your reaction (requires authentication)
+ */
+router.delete('/:type', requireUserOrAdmin, validate(reactionParamsSchema), removeReaction);
+
+module.exports = router;
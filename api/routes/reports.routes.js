@@ -0,0 +1,26 @@
+/**
+ * Reports Routes
+ * 
+ * Lets users report posts and other users to the moderators
+ */
+
+const express = require('express');
+const { createReport } = require('../controllers/moderation.controller');
+const { requireUserOrAdmin } = require('../middleware/authorize');
+const { validate } = require('../middleware/validator');
+const { createReportSchema } = require('../validators/moderation.validators');
+
+const router = express.Router();
+
+/**
+ * POST /reports
+ * Report a post or a user (requires authentication)
+ * Body:
+ * - targetType: post or user
+ * - targetId: ID of the post or user
+ * - reason: spam, harassment, hate, violence, nudity, misinformation or other
+ * - details: Free-text context (optional, max 500 chars)
+ */
+router.post('/', requireUserOrAdmin, validate(createReportSchema), createReport);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+/**
+ * Search Routes
+ * 
+ * Full-text search over posts and user names
+ */
+
+const express = require('express');
+const { search } = require('../controllers/search.controller');
+const { optionalAuth } = require('../middleware/authorize');
+const { validate } = require('../middleware/validator');
+const { searchQuerySchema } = require('../validators/search.validators');
+
+const router = express.Router();
+
+/**
+ * GET /search
+ * Search posts (default) or users, best matches first
+ * Only posts the caller may see are returned (public ones without a token)
+ * Query parameters:
+ * - q: Words to match (prefixes too) and "quoted phrases" (required)
+ * - type: posts or users (default: posts)
+ * - cursor: nextCursor from the previous page
+ * - page: Page number (default: 1)
+ * - limit: Results per page (default: 10, max: 50)
+ */
+router.get('/', optionalAuth, validate(searchQuerySchema), search);
+
+module.exports = router;
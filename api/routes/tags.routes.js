@@ -0,0 +1,25 @@
+/**
+ * Tags Routes
+ * 
+ * Posts grouped by the hashtags in their content
+ */
+
+const express = require('express');
+const { getTaggedPosts } = require('../controllers/posts.controller');
+const { optionalAuth } = require('../middleware/authorize');
+const { validate } = require('../middleware/validator');
+const { tagSchema, postListQuerySchema } = require('../validators/post.validators');
+
+const router = express.Router();
+
+/**
+ * GET /tags/:tag
+ * List posts with a hashtag (case-insensitive, without the `#`), newest first
+ * Query parameters:
+ * - cursor: nextCursor from the previous page
+ * - page: Page number (default: 1)
+ * - limit: Posts per page (default: 10, max: 50)
+ */
+router.get('/:tag', optionalAuth, validate({ ...tagSchema, ...postListQuerySchema }), getTaggedPosts);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+/**
+ * Users Routes
+ * 
+ * Read-only views of a user's activity
+ */
+
+const express = require('express');
+const { getMentions, getPinnedPosts } = require('../controllers/posts.controller');
+const { optionalAuth } = require('../middleware/authorize');
+const { validate } = require('../middleware/validator');
+const { postListQuerySchema } = require('../validators/post.validators');
+const { userIdSchema } = require('../validators/user.validators');
+
+const router = express.Router();
+
+/**
+ * GET /users/:userId/mentions
+ * List posts that @mention a user, newest first
+ * Query parameters:
+ * - cursor: nextCursor from the previous page
+ * - page: Page number (default: 1)
+ * - limit: Posts per page (default: 10, max: 50)
+ */
+router.get('/:userId/mentions', optionalAuth, validate({ ...userIdSchema, ...postListQuerySchema }), getMentions);
+
+/**
+ * GET /users/:userId/pins
+ * List the posts a user pinned to their profile, in pin order
+ */
+router.get('/:userId/pins', optionalAuth, validate(userIdSchema), getPinnedPosts);
+
+module.exports = router;
@@ -4,6 +4,9 @@ const { cors, helmet, rateLimiter, xss} = require('./security');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 const { setupProcessHandlers } = require('./middleware/processHandlers');
 const { morganMiddleware, logInfo, logError } = require('./utils/logger');
+const { initRepositories } = require('./repositories');
+const { mediaService } = require('./services/media.service');
+const { postScheduler } = require('./services/scheduler.service');
 
 // Import routes
 const routes = require('./routes');
@@ -18,7 +21,7 @@ app.use(xss);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static('public'));
-app.use(express.static('uploads'));
+app.use(express.static(mediaService.uploadDir));
 
 // HTTP request logging with Morgan
 app.use(morganMiddleware);
@@ -57,17 +60,26 @@ const NODE_ENV = process.env.NODE_ENV || 'development';
 // Start server only if not in test mode
 let server;
 if (process.env.NODE_ENV !== 'test') {
-  server = app.listen(PORT, () => {
-    logInfo(`🚀 Server started successfully`, {
-      port: PORT,
-      environment: NODE_ENV,
-      nodeVersion: process.version,
-      platform: process.platform
-    });
-  });
+  initRepositories()
+    // Publish posts that came due while the server was down
+    .then(() => postScheduler.start())
+    .then(() => {
+      server = app.listen(PORT, () => {
+        logInfo(`🚀 Server started successfully`, {
+          port: PORT,
+          environment: NODE_ENV,
+          nodeVersion: process.version,
+          platform: process.platform
+        });
+      });
 
-  // Setup process error handlers
-  setupProcessHandlers(server);
+      // Setup process error handlers
+      setupProcessHandlers(server);
+    })
+    .catch((error) => {
+      logError('Failed to initialise storage backend', error);
+      process.exit(1);
+    });
 }
 
 module.exports = app; 
\ No newline at end of file
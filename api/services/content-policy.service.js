@@ -0,0 +1,94 @@
+/**
+ * Content Policy Service
+ *
+ * Applies the enabled content rules (see utils/content-policy) to posts as
+ * they are created and edited, near-duplicate rules against the author's
+ * recent posts. Posts that are held or flagged get a report with the
+ * reason `policy` and no reporter, so they join the moderation queue next
+ * to the ones users report.
+ */
+
+const { getRepositories } = require('../repositories');
+const { compareByCreated } = require('../utils/cursor');
+const { generateId } = require('../utils/id');
+const { evaluateContent, POLICY_REPORT_REASON } = require('../utils/content-policy');
+
+/**
+ * An author's posts within the longest near-duplicate window. Drafts and
+ * plain reposts are left out: neither is something the author posted.
+ * @param {Object[]} rules - Enabled rules
+ * @param {string} author - Author ID
+ * @param {string} [exclude] - Post to leave out
+ * @param {Date} now - Current time
+ * @returns {Promise<Object[]>}
+ */
+const recentPosts = async (rules, author, exclude, now) => {
+  const windows = rules.filter(r => r.type === 'near-duplicate').map(r => r.windowMinutes);
+  if (!author || windows.length === 0) {
+    return [];
+  }
+
+  const { postRepository } = getRepositories();
+  const since = now.getTime() - Math.max(...windows) * 60 * 1000;
+  return (await postRepository.find({ author, includeUnpublished: true }))
+    .filter(p => p.id !== exclude && p.content && p.status !== 'draft')
+    .filter(p => new Date(p.created).getTime() >= since);
+};
+
+/**
+ * Create a content policy service
+ * @returns {Object} Content policy service
+ */
+const createContentPolicyService = () => ({
+  /**
+   * Check content against the enabled rules, oldest rule first
+   * @param {string} content - Post content
+   * @param {Object} [options]
+   * @param {string} [options.author] - Author, whose recent posts near-duplicate rules compare against
+   * @param {string} [options.exclude] - Post being edited, left out of that comparison
+   * @param {Object[]} [options.rules] - Rules to apply instead of the enabled ones
+   * @returns {Promise<{ outcome: string, violations: Object[] }>}
+   */
+  async check(content, { author, exclude, rules: given } = {}) {
+    const { contentRuleRepository } = getRepositories();
+    const rules = given || (await contentRuleRepository.find({ enabled: true })).sort(compareByCreated('asc'));
+    const now = new Date();
+    return evaluateContent(content, rules, { recentPosts: await recentPosts(rules, author, exclude, now), now });
+  },
+
+  /**
+   * Put a held or flagged post in the moderation queue, once while it has
+   * an open policy report
+   * @param {Object} post - Saved post
+   * @param {{ outcome: string, violations: Object[] }} result - Result of `check`
+   * @returns {Promise<Object|null>} The new report, if one was filed
+   */
+  async report(post, { outcome, violations }) {
+    if (outcome !== 'hold' && outcome !== 'flag') {
+      return null;
+    }
+
+    const { reportRepository } = getRepositories();
+    const open = await reportRepository.find({ status: 'open', targetType: 'post', target: post.id });
+    if (open.some(r => r.reason === POLICY_REPORT_REASON)) {
+      return null;
+    }
+
+    return reportRepository.create({
+      id: generateId(),
+      reporter: null,
+      targetType: 'post',
+      target: post.id,
+      reason: POLICY_REPORT_REASON,
+      details: `Matched content rules: ${violations.map(v => v.name).join(', ')}`,
+      violations,
+      status: 'open',
+      created: new Date()
+    });
+  }
+});
+
+module.exports = {
+  createContentPolicyService,
+  contentPolicyService: createContentPolicyService()
+};
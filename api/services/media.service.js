@@ -0,0 +1,171 @@
+/**
+ * Media Service
+ *
+ * Stores uploaded files in the uploads directory (served statically by
+ * `server.js`) under their SHA-256 content hash, so identical uploads share
+ * one file. Media records (`mediaRepository`) tie a file to its uploader.
+ *
+ * Deleting a post schedules cleanup of its attachments after
+ * `cleanupDelayMs`. When the timer fires, a media record no post references
+ * any more (unpublished posts included) is soft-deleted, and its file is
+ * removed once no other record shares it. Pending cleanups live in memory
+ * only.
+ *
+ * Uploads no post uses within `unattachedGraceMs` are removed the same way
+ * when their uploader next uploads, so abandoned uploads stop counting
+ * against the quota.
+ *
+ * Storing an upload and removing a file take turns per content hash
+ * (`withFileLock`), so a file is never removed between an upload finding it
+ * already there and recording its media.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getRepositories } = require('../repositories');
+const { logError } = require('../utils/logger');
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || 'uploads';
+const MAX_UPLOAD_BYTES = parseInt(process.env.MEDIA_MAX_BYTES) || 5 * 1024 * 1024;
+const UPLOAD_QUOTA_BYTES = parseInt(process.env.MEDIA_QUOTA_BYTES) || 50 * 1024 * 1024;
+const MAX_ATTACHMENTS = parseInt(process.env.POST_MAX_ATTACHMENTS) || 4;
+const DEFAULT_CLEANUP_DELAY_MS = parseInt(process.env.MEDIA_CLEANUP_DELAY_MS) || 60000;
+const DEFAULT_UNATTACHED_GRACE_MS = parseInt(process.env.MEDIA_UNATTACHED_GRACE_MS) || 24 * 3600000;
+
+/**
+ * Create a media service
+ * @param {Object} [options]
+ * @param {string} [options.uploadDir] - Directory files are written to
+ * @param {number} [options.cleanupDelayMs] - Delay before unreferenced media is removed
+ * @param {number} [options.unattachedGraceMs] - How long an upload may wait for a post
+ * @returns {Object} Media service
+ */
+const createMediaService = ({
+  uploadDir = UPLOAD_DIR,
+  cleanupDelayMs = DEFAULT_CLEANUP_DELAY_MS,
+  unattachedGraceMs = DEFAULT_UNATTACHED_GRACE_MS
+} = {}) => {
+  // Media ID -> pending cleanup timer
+  const pending = new Map();
+  // Content hash -> the last operation queued on its file
+  const fileLocks = new Map();
+
+  const withFileLock = (hash, operation) => {
+    const run = (fileLocks.get(hash) || Promise.resolve()).then(operation);
+    const tail = run.catch(() => {});
+    fileLocks.set(hash, tail);
+    tail.then(() => {
+      if (fileLocks.get(hash) === tail) {
+        fileLocks.delete(hash);
+      }
+    });
+    return run;
+  };
+
+  const removeIfUnreferenced = async (mediaId) => {
+    const { postRepository, mediaRepository } = getRepositories();
+    const media = await mediaRepository.findById(mediaId);
+    if (!media) {
+      return;
+    }
+
+    await withFileLock(media.hash, async () => {
+      if ((await postRepository.find({ attachment: mediaId, includeUnpublished: true })).length > 0) {
+        return;
+      }
+
+      await mediaRepository.update(mediaId, { isDeleted: true, deletedAt: new Date() });
+      if ((await mediaRepository.findByHash(media.hash)).length === 0) {
+        await fs.promises.rm(path.join(uploadDir, media.fileName), { force: true });
+      }
+    });
+  };
+
+  const run = async (mediaId) => {
+    pending.delete(mediaId);
+    try {
+      await removeIfUnreferenced(mediaId);
+    } catch (error) {
+      logError('Media cleanup failed', error, { mediaId });
+    }
+  };
+
+  return {
+    uploadDir,
+
+    /**
+     * Run an operation on a stored file once earlier ones on it are done
+     * @param {string} hash - Content hash of the file
+     * @param {() => Promise<*>} operation - E.g. writing the file and recording its media
+     * @returns {Promise<*>} The operation's result
+     */
+    withFileLock,
+
+    /**
+     * Write a file unless one with the same name (content hash) exists
+     * @param {string} fileName - `<hash>.<extension>`
+     * @param {Buffer} buffer - File content
+     * @returns {Promise<void>}
+     */
+    async writeFile(fileName, buffer) {
+      const target = path.join(uploadDir, fileName);
+      await fs.promises.mkdir(uploadDir, { recursive: true });
+      if (fs.existsSync(target)) {
+        return;
+      }
+
+      // Write then rename, so a half-written file is never served
+      const temporary = `${target}.${process.pid}.tmp`;
+      await fs.promises.writeFile(temporary, buffer);
+      await fs.promises.rename(temporary, target);
+    },
+
+    /**
+     * Schedule removal of media that may no longer be referenced
+     * @param {string[]} mediaIds - Attachments of a deleted post
+     */
+    scheduleCleanup(mediaIds) {
+      mediaIds.forEach((mediaId) => {
+        clearTimeout(pending.get(mediaId));
+        const timer = setTimeout(() => run(mediaId), cleanupDelayMs);
+        timer.unref();
+        pending.set(mediaId, timer);
+      });
+    },
+
+    /**
+     * Remove a user's uploads that no post has used since the grace period
+     * ran out
+     * @param {string} owner - Uploader ID
+     * @returns {Promise<void>}
+     */
+    async sweepUnattached(owner) {
+      const { mediaRepository } = getRepositories();
+      const cutoff = Date.now() - unattachedGraceMs;
+      const stale = (await mediaRepository.findByOwner(owner))
+        .filter(media => new Date(media.created).getTime() < cutoff);
+      for (const media of stale) {
+        clearTimeout(pending.get(media.id));
+        await run(media.id);
+      }
+    },
+
+    /**
+     * Run every pending cleanup now (on shutdown, or in tests)
+     * @returns {Promise<void>}
+     */
+    async flushCleanup() {
+      const mediaIds = [...pending.keys()];
+      mediaIds.forEach(mediaId => clearTimeout(pending.get(mediaId)));
+      await Promise.all(mediaIds.map(run));
+    }
+  };
+};
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  UPLOAD_QUOTA_BYTES,
+  MAX_ATTACHMENTS,
+  createMediaService,
+  mediaService: createMediaService()
+};
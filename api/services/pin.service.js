@@ -0,0 +1,60 @@
+/**
+ * Pin Service
+ *
+ * Users can pin up to `MAX_PINS` of their own posts to their profile. The
+ * pin repository keeps one record per user with the pinned post IDs in
+ * display order. Pins of posts that were deleted since are dropped when the
+ * pins are read, so they never count against the limit.
+ */
+
+const { getRepositories } = require('../repositories');
+const { generateId } = require('../utils/id');
+
+const MAX_PINS = 3;
+
+/**
+ * Create a pin service
+ * @returns {Object} Pin service
+ */
+const createPinService = () => ({
+  /**
+   * A user's pinned posts, in display order
+   * @param {string} userId - User
+   * @returns {Promise<Object[]>} Published, non-deleted posts
+   */
+  async pinnedPosts(userId) {
+    const { pinRepository, postRepository } = getRepositories();
+    const pins = await pinRepository.findByUser(userId);
+    if (!pins || pins.posts.length === 0) {
+      return [];
+    }
+
+    const byId = new Map((await postRepository.findByIds(pins.posts)).map(p => [p.id, p]));
+    return pins.posts.map(id => byId.get(id)).filter(Boolean);
+  },
+
+  /**
+   * Replace a user's pins
+   * @param {string} userId - User
+   * @param {string[]} postIds - Pinned post IDs in display order
+   * @returns {Promise<string[]>} The saved post IDs
+   */
+  async save(userId, postIds) {
+    const { pinRepository } = getRepositories();
+    const pins = await pinRepository.findByUser(userId);
+    const updatedAt = new Date();
+
+    if (pins) {
+      await pinRepository.update(pins.id, { posts: postIds, updatedAt });
+    } else {
+      await pinRepository.create({ id: generateId(), user: userId, posts: postIds, updatedAt });
+    }
+    return postIds;
+  }
+});
+
+module.exports = {
+  MAX_PINS,
+  createPinService,
+  pinService: createPinService()
+};
@@ -0,0 +1,97 @@
+/**
+ * Post Service
+ *
+ * Removing a post touches several stores: the post is soft-deleted, taken
+ * out of timelines and the search index, its plain reposts go with it (quote
+ * posts keep a tombstone), and its media is queued for cleanup. Authors
+ * deleting their posts and moderators deleting reported ones share this path.
+ *
+ * Releasing a post the content policy held puts it back in the state it
+ * was held from, publishing it if that was published or it is now due.
+ */
+
+const { getRepositories } = require('../repositories');
+const { timelineService } = require('./timeline.service');
+const { searchService } = require('./search.service');
+const { mediaService } = require('./media.service');
+const { postScheduler } = require('./scheduler.service');
+const { isPublished } = require('../utils/publishing');
+
+// A plain repost reshares a post without commentary; a quote post adds content
+const isPlainRepost = (post) => Boolean(post.repostOf) && !post.content;
+
+/**
+ * Create a post service
+ * @returns {Object} Post service
+ */
+const createPostService = () => ({
+  /**
+   * Soft-delete a post and everything that only exists because of it
+   * @param {Object} post - Post as stored
+   * @returns {Promise<Object>} The deleted post
+   */
+  async remove(post) {
+    const { postRepository } = getRepositories();
+
+    const deletedPost = await postRepository.update(post.id, {
+      isDeleted: true,
+      updatedAt: new Date()
+    });
+    await timelineService.onPostDeleted(post);
+    await searchService.onPostDeleted(post);
+    // Cancelling a scheduled post may change which post is due next
+    if (!isPublished(post)) {
+      await postScheduler.reschedule();
+    }
+    // Media no other post uses is removed after a grace period
+    if (post.attachments && post.attachments.length > 0) {
+      mediaService.scheduleCleanup(post.attachments);
+    }
+
+    // Plain reposts have nothing left to show; quote posts keep a tombstone
+    const reposts = (await postRepository.find({ repostsOf: [post.id] })).filter(isPlainRepost);
+    for (const repost of reposts) {
+      await postRepository.update(repost.id, { isDeleted: true, updatedAt: deletedPost.updatedAt });
+      await timelineService.onPostDeleted(repost);
+      await searchService.onPostDeleted(repost);
+    }
+
+    return deletedPost;
+  },
+
+  /**
+   * Release a held post
+   * @param {Object} post - Held post as stored
+   * @returns {Promise<Object>} The released post
+   */
+  async release(post) {
+    const { postRepository } = getRepositories();
+    const now = new Date();
+    const { heldStatus } = post;
+
+    if (heldStatus === 'draft' || (heldStatus === 'scheduled' && new Date(post.publishAt) > now)) {
+      const saved = await postRepository.update(post.id, { status: heldStatus, heldStatus: null, updatedAt: now });
+      if (heldStatus === 'scheduled') {
+        await postScheduler.reschedule();
+      }
+      return saved;
+    }
+
+    // Dated as the scheduler would have, had it not been held
+    const saved = await postRepository.update(post.id, {
+      status: 'published',
+      heldStatus: null,
+      created: heldStatus === 'scheduled' ? post.publishAt : post.created,
+      updatedAt: now
+    });
+    await timelineService.onPostCreated(saved);
+    await searchService.onPostCreated(saved);
+    return saved;
+  }
+});
+
+module.exports = {
+  isPlainRepost,
+  createPostService,
+  postService: createPostService()
+};
@@ -0,0 +1,73 @@
+/**
+ * Revision Service
+ *
+ * Keeps the content history of published posts in the revision repository.
+ * Revision 1 is the content the post was published with; each edit adds the
+ * next one with the editor and time. Nothing is stored until the first edit,
+ * so an unedited post's history is built from the post itself.
+ */
+
+const { getRepositories } = require('../repositories');
+const { generateId } = require('../utils/id');
+const { diffWords } = require('../utils/diff');
+
+// The original content, as revision 1
+const originalOf = (post) => ({
+  post: post.id,
+  revision: 1,
+  content: post.content,
+  editor: post.author,
+  created: post.created
+});
+
+/**
+ * Create a revision service
+ * @returns {Object} Revision service
+ */
+const createRevisionService = () => ({
+  /**
+   * Record an edit of a post's content
+   * @param {Object} post - Post before the edit
+   * @param {string} content - New content
+   * @param {string} editorId - User making the edit
+   * @param {Date} at - Time of the edit
+   * @returns {Promise<Object>} The new revision
+   */
+  async recordEdit(post, content, editorId, at) {
+    const { revisionRepository } = getRepositories();
+    const revisions = await revisionRepository.findByPost(post.id);
+    if (revisions.length === 0) {
+      revisions.push(await revisionRepository.create({ id: generateId(), ...originalOf(post) }));
+    }
+
+    return revisionRepository.create({
+      id: generateId(),
+      post: post.id,
+      revision: revisions[revisions.length - 1].revision + 1,
+      content,
+      editor: editorId,
+      created: at
+    });
+  },
+
+  /**
+   * A post's revisions, oldest first, each with a word diff from the one before
+   * @param {Object} post - Post
+   * @returns {Promise<Object[]>} Revisions with `diff` (null for the first)
+   */
+  async history(post) {
+    const { revisionRepository } = getRepositories();
+    const stored = await revisionRepository.findByPost(post.id);
+    const revisions = stored.length > 0 ? stored : [originalOf(post)];
+
+    return revisions.map((revision, i) => ({
+      ...revision,
+      diff: i === 0 ? null : diffWords(revisions[i - 1].content, revision.content)
+    }));
+  }
+});
+
+module.exports = {
+  createRevisionService,
+  revisionService: createRevisionService()
+};
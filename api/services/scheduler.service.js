@@ -0,0 +1,154 @@
+/**
+ * Post Scheduler
+ *
+ * Publishes scheduled posts (`status: 'scheduled'`) once their `publishAt`
+ * time has passed. A single timer is armed for the earliest pending post and
+ * re-armed after each run, and whenever createPost or updatePost changes the
+ * schedule.
+ *
+ * The schedule itself lives in the post repository, so nothing is lost on a
+ * restart: `start` first publishes every post that came due while the
+ * server was down, then arms the timer. A failed run is retried after
+ * `retryDelayMs`, so one bad run does not stop later posts from going out.
+ *
+ * Publishing sets `status: 'published'` and moves `created` to `publishAt`,
+ * so the post sorts where it would have had it been written at that time,
+ * then hands it to the timeline and search services like a new post.
+ */
+
+const { getRepositories } = require('../repositories');
+const { timelineService } = require('./timeline.service');
+const { searchService } = require('./search.service');
+const { logError, logInfo } = require('../utils/logger');
+
+// setTimeout fires immediately for delays above 2^31 - 1 ms (about 24.8 days)
+const MAX_TIMER_DELAY_MS = 2147483647;
+const DEFAULT_RETRY_DELAY_MS = parseInt(process.env.SCHEDULER_RETRY_DELAY_MS) || 60000;
+
+/**
+ * Create a post scheduler
+ * @param {Object} [options]
+ * @param {() => Date} [options.now] - Clock, replaceable in tests
+ * @param {number} [options.retryDelayMs] - Wait before retrying a failed run
+ * @returns {Object} Post scheduler
+ */
+const createPostScheduler = ({ now = () => new Date(), retryDelayMs = DEFAULT_RETRY_DELAY_MS } = {}) => {
+  let timer = null;
+  let running = false;
+  // Serialises runs and timer changes, so a post is never published twice
+  // and an overlapping reschedule cannot leave a second timer armed
+  let queue = Promise.resolve();
+
+  const serialise = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const pendingPosts = async () => {
+    const posts = await getRepositories().postRepository.find({ status: 'scheduled' });
+    return posts.sort((a, b) => new Date(a.publishAt) - new Date(b.publishAt));
+  };
+
+  const publish = async (post) => {
+    const { postRepository } = getRepositories();
+    const published = await postRepository.update(post.id, {
+      status: 'published',
+      created: new Date(post.publishAt),
+      updatedAt: now()
+    });
+    await timelineService.onPostCreated(published);
+    await searchService.onPostCreated(published);
+    return published;
+  };
+
+  const publishDue = (at = now()) => serialise(async () => {
+    const due = (await pendingPosts()).filter(post => new Date(post.publishAt) <= at);
+    const published = [];
+    for (const post of due) {
+      published.push(await publish(post));
+    }
+    return published;
+  });
+
+  // Wait at least `minDelay`, so a failing post is not retried in a busy loop
+  const arm = (minDelay = 0) => serialise(async () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!running) {
+      return;
+    }
+
+    const [next] = await pendingPosts();
+    if (!next || !running) {
+      return;
+    }
+
+    const delay = Math.min(Math.max(new Date(next.publishAt) - now(), minDelay), MAX_TIMER_DELAY_MS);
+    timer = setTimeout(tick, delay);
+    timer.unref();
+  });
+
+  const tick = async () => {
+    let failed = false;
+    try {
+      const published = await publishDue();
+      if (published.length > 0) {
+        logInfo('Published scheduled posts', { postIds: published.map(p => p.id) });
+      }
+    } catch (error) {
+      failed = true;
+      logError('Publishing scheduled posts failed', error);
+    }
+
+    try {
+      await arm(failed ? retryDelayMs : 0);
+    } catch (error) {
+      logError('Rescheduling posts failed', error);
+    }
+  };
+
+  return {
+    /**
+     * Publish every scheduled post that is due
+     * @param {Date} [at] - Publish posts scheduled at or before this time
+     * @returns {Promise<Object[]>} Posts published by this run
+     */
+    publishDue,
+
+    /**
+     * Catch up on posts that came due while stopped, then publish on time
+     * @returns {Promise<void>}
+     */
+    async start() {
+      running = true;
+      await tick();
+    },
+
+    /**
+     * Stop publishing (on shutdown)
+     */
+    stop() {
+      running = false;
+      clearTimeout(timer);
+      timer = null;
+    },
+
+    /**
+     * Re-arm the timer after a post was scheduled, rescheduled or cancelled
+     * @returns {Promise<void>}
+     */
+    async reschedule() {
+      try {
+        await arm();
+      } catch (error) {
+        logError('Rescheduling posts failed', error);
+      }
+    }
+  };
+};
+
+module.exports = {
+  createPostScheduler,
+  postScheduler: createPostScheduler()
+};
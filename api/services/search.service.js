@@ -0,0 +1,132 @@
+/**
+ * Search Service
+ *
+ * In-process full-text search over post content and user names, backed by
+ * the inverted indexes in `utils/search.js`. Indexes are built lazily on the
+ * first search and held per storage backend (like the timeline cache), then
+ * kept current by the post controllers:
+ *
+ * - createPost / createRepost index the new post
+ * - updatePost re-indexes the edited content
+ * - deletePost / undoRepost remove the post
+ *
+ * Only published, non-deleted posts are indexed; the scheduler indexes a
+ * scheduled post when it goes out. Users are indexed when the index is
+ * built, since the API has no endpoint that changes a user's name.
+ *
+ * Posts are ranked by relevance plus recency: every `halfLifeDays` of age
+ * halves a post's weight. The rank is computed against a fixed epoch, so it
+ * does not drift between requests and stays usable as a cursor key.
+ */
+
+const { getRepositories } = require('../repositories');
+const { createSearchIndex } = require('../utils/search');
+const { isPublished } = require('../utils/publishing');
+
+const DEFAULT_HALF_LIFE_DAYS = parseInt(process.env.SEARCH_RECENCY_HALF_LIFE_DAYS) || 30;
+const DAY_MS = 86400000;
+
+/**
+ * Create a search service
+ * @param {Object} [options]
+ * @param {number} [options.halfLifeDays] - Age at which a post's weight halves
+ * @returns {Object} Search service
+ */
+const createSearchService = ({ halfLifeDays = DEFAULT_HALF_LIFE_DAYS } = {}) => {
+  // Index state per storage backend, as a promise while it is being built
+  const states = new WeakMap();
+
+  const buildState = async (repositories) => {
+    const state = { posts: createSearchIndex(), users: createSearchIndex(), created: new Map() };
+    const [posts, users] = await Promise.all([
+      repositories.postRepository.find(),
+      repositories.userRepository.find()
+    ]);
+    posts.forEach(post => indexPost(state, post));
+    users.forEach((user) => {
+      state.users.add(user.id, user.name);
+      state.created.set(user.id, new Date(user.joined || 0));
+    });
+    return state;
+  };
+
+  const indexPost = (state, post) => {
+    state.posts.add(post.id, post.content);
+    state.created.set(post.id, new Date(post.created));
+  };
+
+  const currentState = () => {
+    const repositories = getRepositories();
+    if (!states.has(repositories)) {
+      states.set(repositories, buildState(repositories));
+    }
+    return states.get(repositories);
+  };
+
+  // Changes before the first search are picked up when the index is built
+  const builtState = () => states.get(getRepositories()) || null;
+
+  // log2 keeps the rank additive: one half-life newer is worth doubling relevance
+  const rank = (relevance, created, withRecency) =>
+    Math.log2(relevance) + (withRecency ? created.getTime() / (halfLifeDays * DAY_MS) : 0);
+
+  return {
+    /**
+     * Index a new post
+     * @param {Object} post - Created post
+     */
+    async onPostCreated(post) {
+      const state = await builtState();
+      if (state && !post.isDeleted && isPublished(post)) {
+        indexPost(state, post);
+      }
+    },
+
+    /**
+     * Re-index an edited post
+     * @param {Object} post - Updated post
+     */
+    async onPostUpdated(post) {
+      const state = await builtState();
+      if (state) {
+        if (post.isDeleted || !isPublished(post)) {
+          state.posts.remove(post.id);
+        } else {
+          indexPost(state, post);
+        }
+      }
+    },
+
+    /**
+     * Remove a deleted post from the index
+     * @param {Object} post - Deleted post
+     */
+    async onPostDeleted(post) {
+      const state = await builtState();
+      if (state) {
+        state.posts.remove(post.id);
+      }
+    },
+
+    /**
+     * Find posts or users matching a parsed query
+     * @param {Object[]} clauses - Result of `parseQuery`
+     * @param {Object} [options]
+     * @param {'posts'|'users'} [options.type] - What to search
+     * @returns {Promise<{ id: string, created: Date, relevance: number, rank: number }[]>}
+     *   Unordered hits; sort by `rank` (higher first)
+     */
+    async search(clauses, { type = 'posts' } = {}) {
+      const state = await currentState();
+      return state[type].search(clauses).map(({ id, relevance }) => {
+        const created = state.created.get(id);
+        return { id, created, relevance, rank: rank(relevance, created, type === 'posts') };
+      });
+    }
+  };
+};
+
+module.exports = {
+  createSearchService,
+  searchService: createSearchService()
+};
@@ -0,0 +1,302 @@
+/**
+ * Timeline Service
+ *
+ * Fan-out-on-write cache for home feeds. Each user's timeline is a list of
+ * post keys (`{ id, created, author }`) kept newest first, so reading a page
+ * is a binary search plus an O(page) slice instead of a scan over all posts.
+ *
+ * - createPost pushes the new post into each follower's cached timeline
+ * - deletePost removes it from those timelines
+ * - followUser backfills the followed user's recent posts
+ * - unfollowUser removes that user's posts
+ *
+ * Authors with more than `fanoutLimit` followers are not fanned out; their
+ * posts (and the reader's own posts) are merged in at read time
+ * (fan-out-on-read) with a query for the newest posts of the page only.
+ * Timelines are built lazily on first read and are held per storage backend,
+ * so they are rebuilt after a restart or backend swap. At most `maxTimelines`
+ * are cached per backend; the least recently read is dropped first.
+ *
+ * A timeline only holds followed authors, so public and followers-only posts
+ * go into it; private posts never do, except the reader's own when merged in.
+ * updatePost re-fans a post whose visibility changed (delete, then create).
+ */
+
+const { getRepositories } = require('../repositories');
+const { compareNewestFirst, pageAfter } = require('../utils/cursor');
+const { visibilityOf } = require('../utils/visibility');
+
+const DEFAULT_FANOUT_LIMIT = parseInt(process.env.TIMELINE_FANOUT_LIMIT) || 1000;
+const DEFAULT_MAX_LENGTH = parseInt(process.env.TIMELINE_MAX_LENGTH) || 800;
+const DEFAULT_MAX_TIMELINES = parseInt(process.env.TIMELINE_MAX_CACHED) || 10000;
+
+const toEntry = ({ id, created, author }) => ({ id, created: new Date(created), author });
+
+const reachesFollowers = (post) => visibilityOf(post) !== 'private';
+
+/**
+ * Index of the first entry that sorts after `key` (binary search)
+ * @param {Object[]} entries - Entries sorted newest first
+ * @param {Object} key - `{ created, id }`
+ * @returns {number} Insertion index
+ */
+const indexAfter = (entries, key) => {
+  let low = 0;
+  let high = entries.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (compareNewestFirst(entries[mid], key) <= 0) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+};
+
+/**
+ * Create a timeline service
+ * @param {Object} [options]
+ * @param {number} [options.fanoutLimit] - Follower count above which posts are pulled at read time
+ * @param {number} [options.maxLength] - Entries kept per cached timeline
+ * @param {number} [options.maxTimelines] - Timelines cached per storage backend
+ * @returns {Object} Timeline service
+ */
+const createTimelineService = ({
+  fanoutLimit = DEFAULT_FANOUT_LIMIT,
+  maxLength = DEFAULT_MAX_LENGTH,
+  maxTimelines = DEFAULT_MAX_TIMELINES
+} = {}) => {
+  // Cache state per storage backend
+  const states = new WeakMap();
+
+  const currentState = () => {
+    const repositories = getRepositories();
+    if (!states.has(repositories)) {
+      states.set(repositories, { timelines: new Map(), followerCounts: new Map() });
+    }
+    return { repositories, state: states.get(repositories) };
+  };
+
+  const followerCount = async ({ repositories, state }, authorId) => {
+    if (!state.followerCounts.has(authorId)) {
+      const followers = await repositories.followRepository.findFollowers(authorId);
+      state.followerCounts.set(authorId, followers.length);
+    }
+    return state.followerCounts.get(authorId);
+  };
+
+  const isHighFanout = async (context, authorId) => (await followerCount(context, authorId)) > fanoutLimit;
+
+  const insertEntry = (timeline, entry) => {
+    if (timeline.entries.some(e => e.id === entry.id)) {
+      return;
+    }
+    timeline.entries.splice(indexAfter(timeline.entries, entry), 0, entry);
+    if (timeline.entries.length > maxLength) {
+      timeline.entries.length = maxLength;
+      timeline.complete = false;
+    }
+  };
+
+  // The newest `limit` pushed entries for a reader, created at or before `until`
+  const collectEntries = async (context, following, { until, limit }) => {
+    const pushAuthors = [];
+    for (const authorId of following) {
+      if (!(await isHighFanout(context, authorId))) {
+        pushAuthors.push(authorId);
+      }
+    }
+
+    const posts = pushAuthors.length > 0
+      ? await context.repositories.postRepository.find({ authors: pushAuthors, until, excludePrivate: true, limit })
+      : [];
+    return posts.map(toEntry);
+  };
+
+  // Maps keep insertion order, so the first key is the least recently read
+  const cacheTimeline = (state, userId, timeline) => {
+    state.timelines.delete(userId);
+    state.timelines.set(userId, timeline);
+    if (state.timelines.size > maxTimelines) {
+      state.timelines.delete(state.timelines.keys().next().value);
+    }
+  };
+
+  const buildTimeline = async (context, userId) => {
+    const follows = await context.repositories.followRepository.findFollowing(userId);
+    const following = new Set(follows.map(f => f.following));
+    const entries = await collectEntries(context, following, { limit: maxLength + 1 });
+
+    const timeline = {
+      following,
+      entries: entries.slice(0, maxLength),
+      complete: entries.length <= maxLength
+    };
+    cacheTimeline(context.state, userId, timeline);
+    return timeline;
+  };
+
+  const getTimeline = async (context, userId) => {
+    const timeline = context.state.timelines.get(userId);
+    if (!timeline) {
+      return buildTimeline(context, userId);
+    }
+    cacheTimeline(context.state, userId, timeline);
+    return timeline;
+  };
+
+  // Crossing the fan-out limit changes which authors are pushed, so start over
+  const adjustFollowerCount = async (context, authorId, delta) => {
+    const wasHigh = await isHighFanout(context, authorId);
+    context.state.followerCounts.set(authorId, context.state.followerCounts.get(authorId) + delta);
+    if (wasHigh !== (await isHighFanout(context, authorId))) {
+      context.state.timelines.clear();
+    }
+  };
+
+  return {
+    /**
+     * Push a new post into its author's followers' timelines
+     * @param {Object} post - Created post
+     */
+    async onPostCreated(post) {
+      const context = currentState();
+      if (!reachesFollowers(post) || await isHighFanout(context, post.author)) {
+        return;
+      }
+
+      const followers = await context.repositories.followRepository.findFollowers(post.author);
+      followers.forEach(({ follower }) => {
+        const timeline = context.state.timelines.get(follower);
+        if (timeline) {
+          insertEntry(timeline, toEntry(post));
+        }
+      });
+    },
+
+    /**
+     * Remove a deleted post from its author's followers' timelines
+     * @param {Object} post - Deleted post
+     */
+    async onPostDeleted(post) {
+      const context = currentState();
+      const followers = await context.repositories.followRepository.findFollowers(post.author);
+      followers.forEach(({ follower }) => {
+        const timeline = context.state.timelines.get(follower);
+        if (timeline) {
+          timeline.entries = timeline.entries.filter(e => e.id !== post.id);
+        }
+      });
+    },
+
+    /**
+     * Backfill a newly followed user's posts
+     * @param {string} followerId - User who followed
+     * @param {string} followingId - User who was followed
+     */
+    async onFollow(followerId, followingId) {
+      const context = currentState();
+      if (context.state.followerCounts.has(followingId)) {
+        await adjustFollowerCount(context, followingId, 1);
+      }
+
+      const timeline = context.state.timelines.get(followerId);
+      if (!timeline) {
+        return;
+      }
+
+      timeline.following.add(followingId);
+      if (await isHighFanout(context, followingId)) {
+        return;
+      }
+
+      const posts = await context.repositories.postRepository.find({
+        author: followingId,
+        excludePrivate: true,
+        limit: maxLength
+      });
+      posts.map(toEntry).forEach(entry => insertEntry(timeline, entry));
+    },
+
+    /**
+     * Remove an unfollowed user's posts
+     * @param {string} followerId - User who unfollowed
+     * @param {string} followingId - User who was unfollowed
+     */
+    async onUnfollow(followerId, followingId) {
+      const context = currentState();
+      if (context.state.followerCounts.has(followingId)) {
+        await adjustFollowerCount(context, followingId, -1);
+      }
+
+      const timeline = context.state.timelines.get(followerId);
+      if (timeline) {
+        timeline.following.delete(followingId);
+        timeline.entries = timeline.entries.filter(e => e.author !== followingId);
+      }
+    },
+
+    /**
+     * Read one page of a user's home feed
+     * @param {string} userId - Reader
+     * @param {Object} options
+     * @param {{ created: Date, id: string }|null} [options.after] - Decoded cursor
+     * @param {number} options.limit - Page size
+     * @param {boolean} [options.includeOwn] - Merge in the reader's own posts
+     * @returns {Promise<{ posts: Object[], nextCursor: string|null }>}
+     */
+    async read(userId, { after = null, limit, includeOwn = false }) {
+      const context = currentState();
+      const { postRepository } = context.repositories;
+      const timeline = await getTimeline(context, userId);
+
+      let { entries } = timeline;
+      let start = after ? indexAfter(entries, after) : 0;
+      if (!timeline.complete && start + limit >= entries.length) {
+        // Paging past the cached window: read the page from the posts instead
+        entries = await collectEntries(context, timeline.following, {
+          until: after ? after.created : undefined,
+          limit: limit + 1
+        });
+        start = after ? indexAfter(entries, after) : 0;
+      }
+      const pushed = entries.slice(start, start + limit + 1);
+
+      // Fan-out-on-read for high-fanout authors and the reader's own posts,
+      // newest first from the cursor on, one page plus one at most each
+      const pullAuthors = [];
+      for (const authorId of timeline.following) {
+        if (await isHighFanout(context, authorId)) {
+          pullAuthors.push(authorId);
+        }
+      }
+      const pull = { until: after ? after.created : undefined, limit: limit + 1 };
+      const pulled = [
+        ...(pullAuthors.length > 0
+          ? await postRepository.find({ authors: pullAuthors, excludePrivate: true, ...pull })
+          : []),
+        ...(includeOwn ? await postRepository.find({ author: userId, ...pull }) : [])
+      ].map(toEntry);
+
+      const seen = new Set();
+      const merged = [...pushed, ...pulled]
+        .filter(entry => !seen.has(entry.id) && seen.add(entry.id))
+        .sort(compareNewestFirst);
+      const { items, nextCursor } = pageAfter(merged, { after, limit });
+
+      const posts = await postRepository.findByIds(items.map(e => e.id));
+      const byId = new Map(posts.map(p => [p.id, p]));
+
+      return {
+        posts: items.map(e => byId.get(e.id)).filter(Boolean),
+        nextCursor
+      };
+    }
+  };
+};
+
+module.exports = {
+  createTimelineService,
+  timelineService: createTimelineService()
+};
@@ -0,0 +1,61 @@
+/**
+ * Visibility Service
+ *
+ * Applies the rules in `utils/visibility.js` to the caller of a request.
+ * Read routes identify the caller with `optionalAuth`, so `req.user` is
+ * undefined for anonymous requests; followers are looked up in the follow
+ * repository on every call, so a follow or unfollow takes effect at once.
+ */
+
+const { getRepositories } = require('../repositories');
+const { canView } = require('../utils/visibility');
+
+/**
+ * Create a visibility service
+ * @returns {Object} Visibility service
+ */
+const createVisibilityService = () => {
+  const viewerFor = async (user) => {
+    if (!user) {
+      return null;
+    }
+
+    const follows = await getRepositories().followRepository.findFollowing(user.id);
+    return { id: user.id, following: new Set(follows.map(f => f.following)) };
+  };
+
+  return {
+    /**
+     * Resolve the caller into a viewer for `canView`
+     * @param {Object} [user] - `req.user`
+     * @returns {Promise<{ id: string, following: Set<string> }|null>} Null for anonymous callers
+     */
+    viewerFor,
+
+    /**
+     * Keep the posts the caller may see
+     * @param {Object[]} posts - Posts
+     * @param {Object} [user] - `req.user`
+     * @returns {Promise<Object[]>}
+     */
+    async filterVisible(posts, user) {
+      const viewer = await viewerFor(user);
+      return posts.filter(post => canView(post, viewer));
+    },
+
+    /**
+     * Whether the caller may see a post
+     * @param {Object} post - Post
+     * @param {Object} [user] - `req.user`
+     * @returns {Promise<boolean>}
+     */
+    async canView(post, user) {
+      return canView(post, await viewerFor(user));
+    }
+  };
+};
+
+module.exports = {
+  createVisibilityService,
+  visibilityService: createVisibilityService()
+};
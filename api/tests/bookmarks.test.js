@@ -0,0 +1,234 @@
+/**
+ * Bookmarks and Pinned Posts Tests
+ *
+ * Tests for bookmarks and pins with focus on:
+ * 1. Bookmarking, unbookmarking and listing bookmarks with cursors
+ * 2. Bookmarks of posts that are deleted or hidden later
+ * 3. Pinning, unpinning and reordering pins, and pinned-first author lists
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const { login, createPost } = require('./helpers/api');
+
+describe('Bookmarks and pinned posts', () => {
+  let adminToken;
+  let userToken;
+  let user3Token;
+  let user4Token;
+
+  const bookmark = (token, postId) =>
+    request(app)
+      .post(`/api/v1/posts/${postId}/bookmark`)
+      .set('Authorization', `Bearer ${token}`);
+
+  const bookmarkIds = async (token, query = '') => {
+    const response = await request(app)
+      .get(`/api/v1/posts/bookmarks?limit=50${query}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    return response.body.data.posts.map(p => p.id);
+  };
+
+  const pin = (token, postId) =>
+    request(app)
+      .post(`/api/v1/posts/${postId}/pin`)
+      .set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    adminToken = await login('john.doe@example.com');
+    userToken = await login('jane.doe@example.com');
+    user3Token = await login('jim.doe@example.com');
+    user4Token = await login('jill.doe@example.com');
+  });
+
+  describe('1. Bookmarks', () => {
+    it('should bookmark a post once and list it privately', async () => {
+      const post = await createPost(userToken, 'Worth keeping');
+
+      const response = await bookmark(adminToken, post.id).expect(201);
+      expect(response.body.data.bookmark.postId).toBe(post.id);
+
+      const again = await bookmark(adminToken, post.id).expect(400);
+      expect(again.body.code).toBe('ALREADY_BOOKMARKED');
+
+      expect(await bookmarkIds(adminToken)).toContain(post.id);
+      expect(await bookmarkIds(user3Token)).not.toContain(post.id);
+    });
+
+    it('should remove a bookmark and allow bookmarking again', async () => {
+      const post = await createPost(userToken, 'Maybe later');
+      await bookmark(user3Token, post.id).expect(201);
+
+      await request(app)
+        .delete(`/api/v1/posts/${post.id}/bookmark`)
+        .set('Authorization', `Bearer ${user3Token}`)
+        .expect(200);
+      expect(await bookmarkIds(user3Token)).not.toContain(post.id);
+
+      const missing = await request(app)
+        .delete(`/api/v1/posts/${post.id}/bookmark`)
+        .set('Authorization', `Bearer ${user3Token}`)
+        .expect(404);
+      expect(missing.body.code).toBe('BOOKMARK_NOT_FOUND');
+
+      await bookmark(user3Token, post.id).expect(201);
+      expect(await bookmarkIds(user3Token)).toContain(post.id);
+    });
+
+    it('should list the most recently bookmarked first, page by page', async () => {
+      // Bookmarked in a different order from the one they were posted in
+      await bookmark(user4Token, 'p10').expect(201);
+      await bookmark(user4Token, 'p30').expect(201);
+      await bookmark(user4Token, 'p20').expect(201);
+
+      const first = await request(app)
+        .get('/api/v1/posts/bookmarks?limit=2')
+        .set('Authorization', `Bearer ${user4Token}`)
+        .expect(200);
+      expect(first.body.data.posts.map(p => p.id)).toEqual(['p20', 'p30']);
+      expect(first.body.data.posts[0].bookmarkedAt).toBeDefined();
+
+      const second = await request(app)
+        .get(`/api/v1/posts/bookmarks?limit=2&cursor=${first.body.data.pagination.nextCursor}`)
+        .set('Authorization', `Bearer ${user4Token}`)
+        .expect(200);
+      expect(second.body.data.posts.map(p => p.id)).toEqual(['p10']);
+      expect(second.body.data.pagination.nextCursor).toBeNull();
+    });
+
+    it('should not bookmark posts the caller may not see', async () => {
+      const post = await createPost(userToken, 'Private note', { visibility: 'private' });
+
+      await bookmark(adminToken, post.id).expect(404);
+      await bookmark(adminToken, 'p99999').expect(404);
+      await request(app).post(`/api/v1/posts/${post.id}/bookmark`).expect(401);
+    });
+  });
+
+  describe('2. Posts that change after bookmarking', () => {
+    it('should drop bookmarks of deleted posts', async () => {
+      const post = await createPost(userToken, 'Here today');
+      await bookmark(adminToken, post.id).expect(201);
+
+      await request(app)
+        .delete(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(await bookmarkIds(adminToken)).not.toContain(post.id);
+    });
+
+    it('should drop bookmarks of posts made private', async () => {
+      const post = await createPost(userToken, 'Public for now');
+      await bookmark(adminToken, post.id).expect(201);
+
+      await request(app)
+        .patch(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ visibility: 'private' })
+        .expect(200);
+
+      expect(await bookmarkIds(adminToken)).not.toContain(post.id);
+    });
+  });
+
+  describe('3. Pins', () => {
+    it('should pin up to three of your own posts', async () => {
+      const posts = [];
+      for (const content of ['Pin one', 'Pin two', 'Pin three', 'Pin four']) {
+        posts.push(await createPost(userToken, content));
+      }
+
+      for (const post of posts.slice(0, 3)) {
+        await pin(userToken, post.id).expect(201);
+      }
+      const full = await pin(userToken, posts[3].id).expect(400);
+      expect(full.body.code).toBe('PIN_LIMIT_REACHED');
+
+      const again = await pin(userToken, posts[0].id).expect(400);
+      expect(again.body.code).toBe('ALREADY_PINNED');
+
+      const response = await request(app).get('/api/v1/users/u2/pins').expect(200);
+      expect(response.body.data.posts.map(p => p.id)).toEqual(posts.slice(0, 3).map(p => p.id));
+    });
+
+    it('should not pin other users\' posts', async () => {
+      const response = await pin(user3Token, 'p1').expect(403);
+      expect(response.body.code).toBe('PIN_PERMISSION_DENIED');
+    });
+
+    it('should unpin, reorder and free the slot of deleted posts', async () => {
+      const [a, b, c] = [
+        await createPost(user3Token, 'First'),
+        await createPost(user3Token, 'Second'),
+        await createPost(user3Token, 'Third')
+      ];
+      for (const post of [a, b, c]) {
+        await pin(user3Token, post.id).expect(201);
+      }
+
+      const reordered = await request(app)
+        .put('/api/v1/posts/pins')
+        .set('Authorization', `Bearer ${user3Token}`)
+        .send({ postIds: [c.id, a.id, b.id] })
+        .expect(200);
+      expect(reordered.body.data.pins).toEqual([c.id, a.id, b.id]);
+
+      const invalid = await request(app)
+        .put('/api/v1/posts/pins')
+        .set('Authorization', `Bearer ${user3Token}`)
+        .send({ postIds: [c.id, a.id] })
+        .expect(400);
+      expect(invalid.body.code).toBe('INVALID_PIN_ORDER');
+
+      const unpinned = await request(app)
+        .delete(`/api/v1/posts/${a.id}/pin`)
+        .set('Authorization', `Bearer ${user3Token}`)
+        .expect(200);
+      expect(unpinned.body.data.pins).toEqual([c.id, b.id]);
+
+      await request(app)
+        .delete(`/api/v1/posts/${c.id}`)
+        .set('Authorization', `Bearer ${user3Token}`)
+        .expect(200);
+      const response = await request(app).get('/api/v1/users/u3/pins').expect(200);
+      expect(response.body.data.posts.map(p => p.id)).toEqual([b.id]);
+
+      const missing = await request(app)
+        .delete(`/api/v1/posts/${c.id}/pin`)
+        .set('Authorization', `Bearer ${user3Token}`)
+        .expect(404);
+      expect(missing.body.code).toBe('PIN_NOT_FOUND');
+    });
+
+    it('should list an author\'s pinned posts first when asked', async () => {
+      await pin(user4Token, 'p3').expect(201);
+      await pin(user4Token, 'p99').expect(201);
+
+      const response = await request(app)
+        .get('/api/v1/posts?author=u4&pinnedFirst=true&limit=4')
+        .expect(200);
+      const { posts } = response.body.data;
+      expect(posts.slice(0, 2).map(p => [p.id, p.pinned])).toEqual([['p3', true], ['p99', true]]);
+      expect(posts[2].pinned).toBe(false);
+
+      const next = await request(app)
+        .get(`/api/v1/posts?author=u4&pinnedFirst=true&limit=4&cursor=${response.body.data.pagination.nextCursor}`)
+        .expect(200);
+      const ids = next.body.data.posts.map(p => p.id);
+      expect(ids).not.toContain('p3');
+      expect(ids).not.toContain('p99');
+
+      const plain = await request(app).get('/api/v1/posts?author=u4&limit=1').expect(200);
+      expect(plain.body.data.posts[0].pinned).toBeUndefined();
+    });
+
+    it('should only put pins first for one author in newest-first order', async () => {
+      const noAuthor = await request(app).get('/api/v1/posts?pinnedFirst=true').expect(400);
+      expect(noAuthor.body.code).toBe('INVALID_PINNED_FIRST');
+
+      await request(app).get('/api/v1/posts?author=u4&pinnedFirst=true&sortBy=comments').expect(400);
+    });
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * Comments Tests
+ *
+ * Tests for /posts/:id/comments with focus on:
+ * 1. Creating and listing comments
+ * 2. Owner and admin permissions for edit and delete
+ * 3. Comment counts and sortBy=comments on GET /posts
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const { login, createPost } = require('./helpers/api');
+
+describe('/posts/:id/comments', () => {
+  let adminToken;
+  let userToken;
+  let user3Token;
+
+  const comment = (token, postId, content) =>
+    request(app)
+      .post(`/api/v1/posts/${postId}/comments`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ content });
+
+  beforeAll(async () => {
+    adminToken = await login('john.doe@example.com');
+    userToken = await login('jane.doe@example.com');
+    user3Token = await login('jim.doe@example.com');
+  });
+
+  describe('1. Creating and listing comments', () => {
+    it('should create a comment and count it on the post', async () => {
+      const post = await createPost(userToken, 'Comment on me');
+      expect(post.commentCount).toBe(0);
+
+      const response = await comment(user3Token, post.id, '  First!  ').expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.message).toBe('Comment created successfully');
+      expect(response.body.data.comment).toMatchObject({
+        post: post.id,
+        author: 'u3',
+        authorName: 'Jim Doe',
+        content: 'First!'
+      });
+
+      const fetched = await request(app).get(`/api/v1/posts/${post.id}`).expect(200);
+      expect(fetched.body.data.post.commentCount).toBe(1);
+    });
+
+    it('should list comments oldest first with cursor pagination', async () => {
+      const post = await createPost(userToken, 'Busy thread');
+      for (const content of ['one', 'two', 'three']) {
+        await comment(user3Token, post.id, content).expect(201);
+      }
+
+      const first = await request(app)
+        .get(`/api/v1/posts/${post.id}/comments?limit=2`)
+        .expect(200);
+      expect(first.body.data.comments.map(c => c.content)).toEqual(['one', 'two']);
+      expect(first.body.data.pagination).toMatchObject({ total: 3, hasNextPage: true });
+      expect(first.headers.link).toContain('rel="next"');
+
+      const second = await request(app)
+        .get(`/api/v1/posts/${post.id}/comments?limit=2&cursor=${first.body.data.pagination.nextCursor}`)
+        .expect(200);
+      expect(second.body.data.comments.map(c => c.content)).toEqual(['three']);
+      expect(second.body.data.pagination.hasNextPage).toBe(false);
+    });
+
+    it('should return 404 for a missing or deleted post', async () => {
+      const post = await createPost(userToken, 'Deleted with comments');
+      await request(app)
+        .delete(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      const list = await request(app).get(`/api/v1/posts/${post.id}/comments`).expect(404);
+      expect(list.body.code).toBe('POST_NOT_FOUND');
+
+      const create = await comment(userToken, 'nonexistent', 'Hello?').expect(404);
+      expect(create.body.code).toBe('POST_NOT_FOUND');
+    });
+
+    it('should validate content and require authentication', async () => {
+      const empty = await comment(userToken, 'p1', '   ').expect(400);
+      expect(empty.body.code).toBe('VALIDATION_ERROR');
+
+      await comment(userToken, 'p1', 'a'.repeat(501)).expect(400);
+
+      const anonymous = await request(app)
+        .post('/api/v1/posts/p1/comments')
+        .send({ content: 'Anonymous' })
+        .expect(401);
+      expect(anonymous.body.code).toBe('AUTH_HEADER_ERROR');
+    });
+  });
+
+  describe('2. Edit and delete permissions', () => {
+    let post;
+
+    beforeAll(async () => {
+      post = await createPost(userToken, 'Moderated thread');
+    });
+
+    it('should let the owner and an admin edit, but not another user', async () => {
+      const created = (await comment(user3Token, post.id, 'Typo hre').expect(201)).body.data.comment;
+      const url = `/api/v1/posts/${post.id}/comments/${created.id}`;
+
+      const owner = await request(app)
+        .patch(url)
+        .set('Authorization', `Bearer ${user3Token}`)
+        .send({ content: 'Typo here' })
+        .expect(200);
+      expect(owner.body.message).toBe('Comment updated successfully');
+      expect(owner.body.data.comment.content).toBe('Typo here');
+
+      const other = await request(app)
+        .patch(url)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ content: 'Not mine' })
+        .expect(403);
+      expect(other.body.code).toBe('UPDATE_PERMISSION_DENIED');
+      expect(other.body.message).toBe('You can only update your own comments');
+
+      const admin = await request(app)
+        .patch(url)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ content: 'Edited by a moderator' })
+        .expect(200);
+      expect(admin.body.data.comment.author).toBe('u3');
+      expect(admin.body.data.comment.authorName).toBe('Jim Doe');
+    });
+
+    it('should soft delete for the owner and hide the comment', async () => {
+      const created = (await comment(user3Token, post.id, 'Delete me').expect(201)).body.data.comment;
+      const url = `/api/v1/posts/${post.id}/comments/${created.id}`;
+      const before = await request(app).get(`/api/v1/posts/${post.id}`).expect(200);
+
+      const other = await request(app)
+        .delete(url)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+      expect(other.body.code).toBe('DELETE_PERMISSION_DENIED');
+
+      const response = await request(app)
+        .delete(url)
+        .set('Authorization', `Bearer ${user3Token}`)
+        .expect(200);
+      expect(response.body.message).toBe('Comment deleted successfully');
+      expect(response.body.data.deletedComment.id).toBe(created.id);
+
+      const list = await request(app).get(`/api/v1/posts/${post.id}/comments`).expect(200);
+      expect(list.body.data.comments.some(c => c.id === created.id)).toBe(false);
+
+      const after = await request(app).get(`/api/v1/posts/${post.id}`).expect(200);
+      expect(after.body.data.post.commentCount).toBe(before.body.data.post.commentCount - 1);
+
+      const again = await request(app)
+        .delete(url)
+        .set('Authorization', `Bearer ${user3Token}`)
+        .expect(404);
+      expect(again.body.code).toBe('COMMENT_NOT_FOUND');
+    });
+
+    it('should return 404 for a comment addressed through another post', async () => {
+      const created = (await comment(user3Token, post.id, 'Wrong post').expect(201)).body.data.comment;
+
+      const response = await request(app)
+        .patch(`/api/v1/posts/p1/comments/${created.id}`)
+        .set('Authorization', `Bearer ${user3Token}`)
+        .send({ content: 'Moved' })
+        .expect(404);
+      expect(response.body.code).toBe('COMMENT_NOT_FOUND');
+    });
+
+    it('should return 404 for comments on missing posts or posts the caller can no longer see', async () => {
+      const closed = await createPost(userToken, 'Soon private');
+      const created = (await comment(user3Token, closed.id, 'Still mine').expect(201)).body.data.comment;
+      await request(app)
+        .patch(`/api/v1/posts/${closed.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ visibility: 'private' })
+        .expect(200);
+
+      const edit = await request(app)
+        .patch(`/api/v1/posts/${closed.id}/comments/${created.id}`)
+        .set('Authorization', `Bearer ${user3Token}`)
+        .send({ content: 'Edited anyway' })
+        .expect(404);
+      expect(edit.body.code).toBe('POST_NOT_FOUND');
+      await request(app)
+        .delete(`/api/v1/posts/${closed.id}/comments/${created.id}`)
+        .set('Authorization', `Bearer ${user3Token}`)
+        .expect(404);
+
+      const missing = await request(app)
+        .delete(`/api/v1/posts/p999/comments/${created.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+      expect(missing.body.code).toBe('POST_NOT_FOUND');
+    });
+  });
+
+  describe('3. sortBy=comments on GET /posts', () => {
+    it('should order posts by comment count', async () => {
+      const response = await request(app)
+        .get('/api/v1/posts?sortBy=comments&limit=20')
+        .expect(200);
+
+      const counts = response.body.data.posts.map(p => p.commentCount);
+      expect(counts[0]).toBeGreaterThan(0);
+      expect([...counts].sort((a, b) => b - a)).toEqual(counts);
+    });
+
+    it('should page by comment count with cursors', async () => {
+      const all = await request(app).get('/api/v1/posts?sortBy=comments&limit=6').expect(200);
+      const first = await request(app).get('/api/v1/posts?sortBy=comments&limit=3').expect(200);
+      const second = await request(app)
+        .get(`/api/v1/posts?sortBy=comments&limit=3&cursor=${first.body.data.pagination.nextCursor}`)
+        .expect(200);
+
+      const ids = [...first.body.data.posts, ...second.body.data.posts].map(p => p.id);
+      expect(ids).toEqual(all.body.data.posts.map(p => p.id));
+    });
+
+    it('should reject a cursor from a different sort', async () => {
+      const byCreated = await request(app).get('/api/v1/posts?limit=3').expect(200);
+
+      const response = await request(app)
+        .get(`/api/v1/posts?sortBy=comments&cursor=${byCreated.body.data.pagination.nextCursor}`)
+        .expect(400);
+      expect(response.body.code).toBe('INVALID_CURSOR');
+    });
+  });
+});
@@ -0,0 +1,310 @@
+/**
+ * Content Policy Tests
+ *
+ * Tests for the content-policy pipeline with focus on:
+ * 1. Checking content against rules offline (leet-speak, links, repeats)
+ * 2. Managing rules through the admin API and trying them on sample text
+ * 3. Rejecting, holding and flagging posts as they are created and edited
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const { login, sendPost } = require('./helpers/api');
+const { logger } = require('../utils/logger');
+const { evaluateContent, normalizeText, countLinks, longestRun } = require('../utils/content-policy');
+
+describe('Content policy', () => {
+  let adminToken;
+  let userToken;
+  let user3Token;
+
+  const addRule = async (rule) => {
+    const response = await request(app)
+      .post('/api/v1/content-rules')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(rule)
+      .expect(201);
+    return response.body.data.rule;
+  };
+
+  const policyReports = async () => {
+    const response = await request(app)
+      .get('/api/v1/moderation/queue?targetType=post&limit=50')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    return response.body.data.queue.filter(entry => entry.reasons.policy);
+  };
+
+  beforeAll(async () => {
+    adminToken = await login('john.doe@example.com');
+    userToken = await login('jane.doe@example.com');
+    user3Token = await login('jim.doe@example.com');
+  });
+
+  // Rules apply to every post, so each test starts without any
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    const response = await request(app)
+      .get('/api/v1/content-rules')
+      .set('Authorization', `Bearer ${adminToken}`);
+    for (const rule of response.body.data.rules) {
+      await request(app)
+        .delete(`/api/v1/content-rules/${rule.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+    }
+  });
+
+  describe('1. Checking content offline', () => {
+    const banned = { id: 'r1', name: 'Spam words', type: 'banned-words', action: 'reject', words: ['spam', 'scam'] };
+
+    it('should find banned words despite leet-speak, accents, separators and stretched letters', () => {
+      for (const content of ['Buy SPAM now', 'sp4m', 'Sp4aaaam!!', 's.p.a.m', '$cam alert', 'spåm', 'spam-free deals']) {
+        expect(evaluateContent(content, [banned]).violations).toEqual([
+          expect.objectContaining({ rule: 'r1', name: 'Spam words', action: 'reject' })
+        ]);
+      }
+      expect(normalizeText('H3LL0 W0rld')).toBe('hello world');
+    });
+
+    it('should only match whole words', () => {
+      for (const content of ['I spammed nobody', 'Scampi for dinner', 'Sam said pam']) {
+        expect(evaluateContent(content, [banned]).outcome).toBe('allow');
+      }
+    });
+
+    it('should count links and repeated characters', () => {
+      expect(countLinks('See https://a.example and www.b.example, not c.example')).toBe(2);
+      expect(longestRun('Nooooo!!!')).toBe(5);
+      expect(longestRun('a    b')).toBe(1);
+
+      const rules = [
+        { id: 'links', name: 'Links', type: 'link-limit', action: 'hold', limit: 1 },
+        { id: 'repeats', name: 'Repeats', type: 'repeated-characters', action: 'flag', limit: 4 }
+      ];
+      expect(evaluateContent('http://a.example http://b.example', rules).violations)
+        .toEqual([expect.objectContaining({ rule: 'links', count: 2 })]);
+      expect(evaluateContent('Wooooow', rules).violations)
+        .toEqual([expect.objectContaining({ rule: 'repeats', count: 5 })]);
+    });
+
+    it('should let the most severe action decide', () => {
+      const rules = [
+        { id: 'a', name: 'Flag', type: 'repeated-characters', action: 'flag', limit: 2 },
+        { id: 'b', name: 'Hold', type: 'link-limit', action: 'hold', limit: 0 },
+        banned
+      ];
+      expect(evaluateContent('Hiii', rules).outcome).toBe('flag');
+      expect(evaluateContent('Hiii www.a.example', rules).outcome).toBe('hold');
+      expect(evaluateContent('Hiii www.a.example spam', rules)).toMatchObject({
+        outcome: 'reject',
+        violations: [{ rule: 'a' }, { rule: 'b' }, { rule: 'r1', match: 'spam' }]
+      });
+      expect(evaluateContent('Hello', rules)).toEqual({ outcome: 'allow', violations: [] });
+    });
+  });
+
+  describe('2. Managing rules', () => {
+    it('should create, list, change and delete rules', async () => {
+      const audit = jest.spyOn(logger, 'info');
+      const words = await addRule({ name: 'Slurs', type: 'banned-words', action: 'reject', words: ['Badword'] });
+      const links = await addRule({ name: 'Links', type: 'link-limit', action: 'hold', limit: 3 });
+      expect(words).toMatchObject({ enabled: true, words: ['badword'], limit: null, createdBy: 'u1' });
+      expect(audit).toHaveBeenCalledWith('Audit contentRules.create', expect.objectContaining({ rule: words.id }));
+
+      const updated = await request(app)
+        .patch(`/api/v1/content-rules/${links.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ limit: 5, enabled: false })
+        .expect(200);
+      expect(updated.body.data.rule).toMatchObject({ limit: 5, enabled: false });
+
+      const list = await request(app)
+        .get('/api/v1/content-rules')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(list.body.data.rules.map(r => r.id)).toEqual([words.id, links.id]);
+
+      await request(app)
+        .delete(`/api/v1/content-rules/${words.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      const gone = await request(app)
+        .patch(`/api/v1/content-rules/${words.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ enabled: false })
+        .expect(404);
+      expect(gone.body.code).toBe('RULE_NOT_FOUND');
+    });
+
+    it('should require the settings that fit the rule type', async () => {
+      const invalid = [
+        { name: 'No words', type: 'banned-words', action: 'reject' },
+        { name: 'No limit', type: 'link-limit', action: 'hold' },
+        { name: 'Mixed', type: 'repeated-characters', action: 'flag', limit: 5, words: ['x'] },
+        { name: 'Two words', type: 'banned-words', action: 'reject', words: ['two words'] },
+        { name: 'Unknown', type: 'regex', action: 'reject' },
+        { name: 'Ban', type: 'link-limit', action: 'ban', limit: 1 }
+      ];
+      for (const rule of invalid) {
+        const response = await request(app)
+          .post('/api/v1/content-rules')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send(rule)
+          .expect(400);
+        expect(response.body.code).toBe('VALIDATION_ERROR');
+      }
+
+      const rule = await addRule({ name: 'Repeats', type: 'repeated-characters', action: 'flag', limit: 10 });
+      const response = await request(app)
+        .patch(`/api/v1/content-rules/${rule.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ words: ['spam'] })
+        .expect(400);
+      expect(response.body.code).toBe('INVALID_RULE_FIELD');
+    });
+
+    it('should try content against saved or draft rules without posting', async () => {
+      await addRule({ name: 'Spam words', type: 'banned-words', action: 'hold', words: ['spam'] });
+
+      const saved = await request(app)
+        .post('/api/v1/content-rules/test')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ content: 'Fr33 sp4m' })
+        .expect(200);
+      expect(saved.body.data).toMatchObject({ outcome: 'hold', normalized: 'free spam' });
+
+      const draft = await request(app)
+        .post('/api/v1/content-rules/test')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          content: 'Fr33 sp4m',
+          rules: [{ name: 'Free', type: 'banned-words', action: 'reject', words: ['free'] }]
+        })
+        .expect(200);
+      expect(draft.body.data.outcome).toBe('reject');
+      expect(draft.body.data.violations).toEqual([expect.objectContaining({ name: 'Free', match: 'free' })]);
+    });
+
+    it('should be for admins only', async () => {
+      await request(app)
+        .get('/api/v1/content-rules')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+      await request(app)
+        .post('/api/v1/content-rules/test')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ content: 'Hello' })
+        .expect(403);
+    });
+  });
+
+  describe('3. Applying rules to posts', () => {
+    it('should reject posts that break a reject rule', async () => {
+      await addRule({ name: 'Spam words', type: 'banned-words', action: 'reject', words: ['spam'] });
+
+      const response = await sendPost(userToken, 'Great deals, no sp@m').expect(400);
+      expect(response.body).toMatchObject({
+        code: 'CONTENT_POLICY_VIOLATION',
+        message: 'Post violates the content policy: Spam words'
+      });
+
+      await sendPost(userToken, 'Great deals').expect(201);
+    });
+
+    it('should hold posts for review until a moderator releases them', async () => {
+      await addRule({ name: 'Links', type: 'link-limit', action: 'hold', limit: 1 });
+
+      const created = await sendPost(userToken, 'Visit http://a.example and http://b.example').expect(201);
+      const post = created.body.data.post;
+      expect(created.body.message).toBe('Post held for review');
+      expect(post.status).toBe('held');
+
+      await request(app).get(`/api/v1/posts/${post.id}`).expect(404);
+      await request(app)
+        .get(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      const edit = await request(app)
+        .patch(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ content: 'Just one link: http://a.example' })
+        .expect(400);
+      expect(edit.body.code).toBe('POST_HELD');
+
+      const [entry] = (await policyReports()).filter(e => e.targetId === post.id);
+      expect(entry.target.status).toBe('held');
+      expect(entry.reports[0]).toMatchObject({ reporter: null, reason: 'policy', details: 'Matched content rules: Links' });
+
+      const dismissed = await request(app)
+        .post(`/api/v1/moderation/post/${post.id}/actions`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ action: 'dismiss', note: 'Links are fine' })
+        .expect(200);
+      expect(dismissed.body.data.action.released).toBe(true);
+
+      const released = await request(app).get(`/api/v1/posts/${post.id}`).expect(200);
+      expect(released.body.data.post.status).toBe('published');
+    });
+
+    it('should publish flagged posts and queue them for moderators', async () => {
+      await addRule({ name: 'Shouting', type: 'repeated-characters', action: 'flag', limit: 5 });
+
+      const created = await sendPost(userToken, 'Noooooooo way').expect(201);
+      const post = created.body.data.post;
+      expect(post.status).toBe('published');
+      await request(app).get(`/api/v1/posts/${post.id}`).expect(200);
+
+      expect((await policyReports()).map(e => e.targetId)).toContain(post.id);
+    });
+
+    it('should check edited content and quote posts', async () => {
+      const created = await sendPost(user3Token, 'A clean post').expect(201);
+      const post = created.body.data.post;
+      await addRule({ name: 'Spam words', type: 'banned-words', action: 'reject', words: ['scam'] });
+      await addRule({ name: 'Links', type: 'link-limit', action: 'hold', limit: 0 });
+
+      const rejected = await request(app)
+        .patch(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${user3Token}`)
+        .send({ content: 'A clean $cam' })
+        .expect(400);
+      expect(rejected.body.code).toBe('CONTENT_POLICY_VIOLATION');
+
+      // Leaving the content alone does not re-check it
+      await request(app)
+        .patch(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${user3Token}`)
+        .send({ visibility: 'followers' })
+        .expect(200);
+
+      const held = await request(app)
+        .patch(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${user3Token}`)
+        .send({ content: 'Now with www.a.example' })
+        .expect(200);
+      expect(held.body.data.post.status).toBe('held');
+      await request(app)
+        .get(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+
+      const quote = await request(app)
+        .post('/api/v1/posts/p1/repost')
+        .set('Authorization', `Bearer ${user3Token}`)
+        .send({ content: 'What a scam' })
+        .expect(400);
+      expect(quote.body.code).toBe('CONTENT_POLICY_VIOLATION');
+    });
+
+    it('should ignore disabled rules', async () => {
+      const rule = await addRule({ name: 'Spam words', type: 'banned-words', action: 'reject', words: ['spam'] });
+      await request(app)
+        .patch(`/api/v1/content-rules/${rule.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ enabled: false })
+        .expect(200);
+
+      await sendPost(userToken, 'spam is a kind of tinned meat').expect(201);
+    });
+  });
+});
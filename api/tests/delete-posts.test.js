@@ -3,7 +3,7 @@
  * 
  * Tests for DELETE /posts/:id endpoint with focus on:
  * 1. Successful delete by admin
- * 2. Forbidden delete by normal user
+ * 2. Forbidden delete of another user's post
  * 3. Missing/invalid token
  */
 
@@ -95,8 +95,8 @@ describe('DELETE /posts/:id', () => {
     });
   });
 
-  describe('2. Forbidden delete by normal user', () => {
-    it('should return 403 when user tries to delete any post', async () => {
+  describe('2. Forbidden delete of another user\'s post', () => {
+    it('should return 403 when user tries to delete another user\'s post', async () => {
       // Create a post as admin
       const createResponse = await request(app)
         .post('/api/v1/posts')
@@ -114,33 +114,33 @@ describe('DELETE /posts/:id', () => {
         .expect(403);
 
       expect(deleteResponse.body.success).toBe(false);
-      expect(deleteResponse.body.message).toContain('Access denied');
-      expect(deleteResponse.body.code).toBe('INSUFFICIENT_PERMISSIONS');
+      expect(deleteResponse.body.message).toBe('You can only delete your own posts');
+      expect(deleteResponse.body.code).toBe('DELETE_PERMISSION_DENIED');
       expect(deleteResponse.body.statusCode).toBe(403);
-      expect(deleteResponse.body.requiredRoles).toEqual(['admin']);
+      expect(deleteResponse.body.requiredRole).toBe('admin or post owner');
       expect(deleteResponse.body.userRole).toBe('user');
     });
 
-    it('should return 403 when user tries to delete their own post', async () => {
+    it('should allow user to delete their own post', async () => {
       // Create a post as user
       const createResponse = await request(app)
         .post('/api/v1/posts')
         .set('Authorization', `Bearer ${userToken}`)
         .send({
-          content: 'User\'s own post that they try to delete'
+          content: 'User\'s own post that they delete'
         });
 
       const postId = createResponse.body.data.post.id;
 
-      // Try to delete as user (should still be forbidden)
+      // Delete as the owner
       const deleteResponse = await request(app)
         .delete(`/api/v1/posts/${postId}`)
         .set('Authorization', `Bearer ${userToken}`)
-        .expect(403);
+        .expect(200);
 
-      expect(deleteResponse.body.success).toBe(false);
-      expect(deleteResponse.body.code).toBe('INSUFFICIENT_PERMISSIONS');
-      expect(deleteResponse.body.userRole).toBe('user');
+      expect(deleteResponse.body.success).toBe(true);
+      expect(deleteResponse.body.data.deletedPost.id).toBe(postId);
+      expect(deleteResponse.body.data.deletedPost.author).toBe('u2');
     });
   });
 
@@ -0,0 +1,193 @@
+/**
+ * Drafts Tests
+ *
+ * Tests for posts saved with `draft: true`, with focus on:
+ * 1. Keeping drafts private to their author
+ * 2. Listing, editing and publishing drafts
+ * 3. The audit-logged admin flag on GET /posts
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const { login } = require('./helpers/api');
+const { logger } = require('../utils/logger');
+
+describe('Drafts', () => {
+  let adminToken;
+  let userToken;
+  let user3Token;
+
+  const saveDraft = async (token, content) => {
+    const response = await request(app)
+      .post('/api/v1/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ content, draft: true })
+      .expect(201);
+    return response.body.data.post;
+  };
+
+  const listDrafts = (token, query = '') =>
+    request(app)
+      .get(`/api/v1/posts/drafts${query}`)
+      .set('Authorization', `Bearer ${token}`);
+
+  const publish = (token, postId) =>
+    request(app)
+      .post(`/api/v1/posts/${postId}/publish`)
+      .set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    adminToken = await login('john.doe@example.com');
+    userToken = await login('jane.doe@example.com');
+    user3Token = await login('jim.doe@example.com');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('1. Privacy', () => {
+    it('should save a draft that only its author can see', async () => {
+      const draft = await saveDraft(userToken, 'Half an idea about zeppelins');
+      expect(draft.status).toBe('draft');
+
+      await request(app)
+        .get(`/api/v1/posts/${draft.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      await request(app)
+        .get(`/api/v1/posts/${draft.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+      await request(app).get(`/api/v1/posts/${draft.id}`).expect(404);
+    });
+
+    it('should keep drafts out of lists, feeds and search, even for admins', async () => {
+      const draft = await saveDraft(userToken, 'Secret zeppelin plans');
+
+      const list = await request(app)
+        .get('/api/v1/posts?author=u2&limit=50')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(list.body.data.posts.some(p => p.id === draft.id)).toBe(false);
+
+      const feed = await request(app)
+        .get('/api/v1/posts/feed?limit=50')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(feed.body.data.posts.some(p => p.id === draft.id)).toBe(false);
+
+      const search = await request(app).get('/api/v1/search?q=zeppelin').expect(200);
+      expect(search.body.data.posts).toEqual([]);
+    });
+
+    it('should not let others edit or publish a draft', async () => {
+      const draft = await saveDraft(userToken, 'Mine alone');
+
+      await request(app)
+        .patch(`/api/v1/posts/${draft.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ content: 'Edited by someone else' })
+        .expect(404);
+      await publish(user3Token, draft.id).expect(404);
+    });
+
+    it('should reject a post that is both a draft and scheduled', async () => {
+      const response = await request(app)
+        .post('/api/v1/posts')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ content: 'Confused', draft: true, publishAt: new Date(Date.now() + 3600000).toISOString() })
+        .expect(400);
+
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('2. Managing drafts', () => {
+    it('should list the author\'s drafts, newest first', async () => {
+      const older = await saveDraft(user3Token, 'First draft');
+      const newer = await saveDraft(user3Token, 'Second draft');
+
+      const response = await listDrafts(user3Token).expect(200);
+      expect(response.body.data.posts.map(p => p.id)).toEqual([newer.id, older.id]);
+      expect(response.body.data.posts[0]).toMatchObject({ status: 'draft', authorName: 'Jim Doe' });
+
+      const others = await listDrafts(adminToken).expect(200);
+      expect(others.body.data.posts).toEqual([]);
+
+      await request(app).get('/api/v1/posts/drafts').expect(401);
+    });
+
+    it('should publish a draft with a fresh created time', async () => {
+      const draft = await saveDraft(userToken, 'Ready at last about gondolas');
+
+      const response = await publish(userToken, draft.id).expect(200);
+      expect(response.body.message).toBe('Draft published successfully');
+      expect(response.body.data.post.status).toBe('published');
+      expect(new Date(response.body.data.post.created).getTime())
+        .toBeGreaterThanOrEqual(new Date(draft.created).getTime());
+
+      const list = await request(app).get('/api/v1/posts?limit=1').expect(200);
+      expect(list.body.data.posts[0].id).toBe(draft.id);
+
+      const feed = await request(app)
+        .get('/api/v1/posts/feed')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(feed.body.data.posts[0].id).toBe(draft.id);
+
+      const search = await request(app).get('/api/v1/search?q=gondolas').expect(200);
+      expect(search.body.data.posts.map(p => p.id)).toEqual([draft.id]);
+
+      const drafts = await listDrafts(userToken).expect(200);
+      expect(drafts.body.data.posts.some(p => p.id === draft.id)).toBe(false);
+    });
+
+    it('should only publish drafts', async () => {
+      const response = await publish(adminToken, 'p1').expect(400);
+      expect(response.body.code).toBe('POST_NOT_DRAFT');
+    });
+
+    it('should schedule a draft when it is given a publish time', async () => {
+      const draft = await saveDraft(userToken, 'Save for later');
+      const publishAt = new Date(Date.now() + 3600000).toISOString();
+
+      const response = await request(app)
+        .patch(`/api/v1/posts/${draft.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ publishAt })
+        .expect(200);
+
+      expect(response.body.data.post).toMatchObject({ status: 'scheduled', publishAt });
+    });
+  });
+
+  describe('3. Admin access', () => {
+    it('should list drafts for admins who ask, and audit-log it', async () => {
+      const draft = await saveDraft(userToken, 'Draft for review');
+      const info = jest.spyOn(logger, 'info');
+
+      const response = await request(app)
+        .get('/api/v1/posts?author=u2&includeDrafts=true&limit=50')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.posts.find(p => p.id === draft.id)).toMatchObject({ status: 'draft' });
+      expect(info).toHaveBeenCalledWith('Audit posts.listDrafts', expect.objectContaining({
+        audit: true,
+        userId: 'u1',
+        author: 'u2'
+      }));
+    });
+
+    it('should refuse the flag to everyone else', async () => {
+      const response = await request(app)
+        .get('/api/v1/posts?includeDrafts=true')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+      expect(response.body.code).toBe('INSUFFICIENT_PERMISSIONS');
+
+      await request(app).get('/api/v1/posts?includeDrafts=true').expect(403);
+    });
+  });
+});
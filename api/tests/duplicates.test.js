@@ -0,0 +1,257 @@
+/**
+ * Duplicate Post Detection Tests
+ *
+ * Tests for near-duplicate detection with focus on:
+ * 1. Shingle and MinHash similarity, and clustering similar texts
+ * 2. Near-duplicate content rules on new and edited posts
+ * 3. The admin listing of clusters of similar posts across users
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const { login, sendPost, createPost } = require('./helpers/api');
+const {
+  normalizeForSimilarity, shingles, signature, similarity, clusterSimilar, BUCKET_NEIGHBOURS
+} = require('../utils/similarity');
+const { getRepositories } = require('../repositories');
+
+describe('Duplicate post detection', () => {
+  let adminToken;
+  let userToken;
+  let user3Token;
+  let added = [];
+
+  const addRule = async (rule) => {
+    const response = await request(app)
+      .post('/api/v1/content-rules')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Repeated posts', type: 'near-duplicate', ...rule })
+      .expect(201);
+    added.push(response.body.data.rule.id);
+    return response.body.data.rule;
+  };
+
+  const alike = (a, b) => similarity(signature(a), signature(b));
+
+  beforeAll(async () => {
+    adminToken = await login('john.doe@example.com');
+    userToken = await login('jane.doe@example.com');
+    user3Token = await login('jim.doe@example.com');
+  });
+
+  // Remove the rules a test added; the default rule stays
+  afterEach(async () => {
+    for (const id of added) {
+      await request(app)
+        .delete(`/api/v1/content-rules/${id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+    }
+    added = [];
+  });
+
+  describe('1. Similarity', () => {
+    it('should ignore case, accents, punctuation and numbers', () => {
+      expect(normalizeForSimilarity('Café   time!! [Post #42]')).toBe('cafe time post 0');
+      expect(alike('Debugging is fun! [Post #10]', 'debugging is FUN [post #30]')).toBe(1);
+      expect([...shingles('Hi!')]).toEqual(['hi']);
+    });
+
+    it('should score near copies high and unrelated text low', () => {
+      expect(alike(
+        'Huge sale on designer watches, visit my profile today',
+        'Huge sale on designer watches, visit my profile now!'
+      )).toBeGreaterThanOrEqual(0.8);
+      expect(alike('Huge sale on designer watches', 'Walked the dog by the river')).toBeLessThan(0.2);
+      expect(alike('!!!', '???')).toBe(0);
+    });
+
+    it('should cluster similar texts transitively and leave unique ones out', () => {
+      const items = [
+        { id: 'a', text: 'Buy followers cheap at our site, best prices guaranteed' },
+        { id: 'b', text: 'Buy followers cheap at our site, best prices guaranteed!!' },
+        { id: 'c', text: 'Buy followers cheap at our site, best prices guaranteed today' },
+        { id: 'd', text: 'A quiet afternoon reading in the park' }
+      ].map(item => ({ ...item, signature: signature(item.text) }));
+
+      const clusters = clusterSimilar(items, 0.8);
+      expect(clusters).toHaveLength(1);
+      expect(clusters[0].items.map(i => i.id)).toEqual(['a', 'b', 'c']);
+      expect(clusters[0].similarity).toBeGreaterThanOrEqual(0.8);
+    });
+
+    it('should compare only nearby texts in a bucket and still join every copy', () => {
+      const copy = signature('Follow me for daily giveaways');
+      const items = Array.from({ length: BUCKET_NEIGHBOURS * 4 }, (_, i) => ({ id: `c${i}`, signature: copy }));
+
+      const clusters = clusterSimilar(items, 0.8);
+      expect(clusters).toHaveLength(1);
+      expect(clusters[0].items).toHaveLength(items.length);
+      expect(clusters[0].similarity).toBe(1);
+    });
+  });
+
+  describe('2. Near-duplicate rules', () => {
+    it('should flag repeated posts with the default rule', async () => {
+      const rules = await request(app)
+        .get('/api/v1/content-rules')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(rules.body.data.rules).toEqual([
+        expect.objectContaining({ type: 'near-duplicate', action: 'flag', similarity: 0.8, windowMinutes: 60 })
+      ]);
+
+      const first = await createPost(user3Token, 'Selling my old bike, barely used, DM me');
+      const second = await createPost(user3Token, 'Selling my old bike - barely used, DM me!');
+
+      const queue = await request(app)
+        .get('/api/v1/moderation/queue?targetType=post&limit=50')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      const [entry] = queue.body.data.queue.filter(e => e.targetId === second.id);
+      expect(entry.reports[0]).toMatchObject({ reason: 'policy', details: 'Matched content rules: Repeated posts' });
+      expect(queue.body.data.queue.map(e => e.targetId)).not.toContain(first.id);
+    });
+
+    it('should reject a post repeating the author\'s recent one', async () => {
+      await addRule({ action: 'reject', windowMinutes: 60 });
+
+      await sendPost(userToken, 'Check out my new mixtape, link in bio [1]').expect(201);
+      const response = await sendPost(userToken, 'Check out my NEW mixtape - link in bio [2]').expect(400);
+      expect(response.body).toMatchObject({
+        code: 'CONTENT_POLICY_VIOLATION',
+        message: 'Post violates the content policy: Repeated posts'
+      });
+
+      // Other authors, and the author's older posts, do not count
+      await sendPost(user3Token, 'Check out my new mixtape, link in bio [1]').expect(201);
+      await sendPost(user3Token, 'Learning new things every day. [Post #2]').expect(201);
+    });
+
+    it('should compare edits with the author\'s other posts, not the post itself', async () => {
+      await addRule({ action: 'reject', windowMinutes: 60 });
+      await sendPost(user3Token, 'Morning run along the harbour, 10k done').expect(201);
+      const post = await createPost(user3Token, 'Lunch with the team');
+
+      await request(app)
+        .patch(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${user3Token}`)
+        .send({ content: 'Lunch with the whole team' })
+        .expect(200);
+
+      const response = await request(app)
+        .patch(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${user3Token}`)
+        .send({ content: 'Morning run along the harbour, 12k done' })
+        .expect(400);
+      expect(response.body.code).toBe('CONTENT_POLICY_VIOLATION');
+    });
+
+    it('should not count drafts', async () => {
+      await addRule({ action: 'reject', windowMinutes: 60 });
+
+      await sendPost(userToken, 'Thoughts on the new release notes', { draft: true }).expect(201);
+      await sendPost(userToken, 'Thoughts on the new release notes').expect(201);
+    });
+
+    it('should try rules against a user\'s recent posts without posting', async () => {
+      // The newest seeded post, p100 by u5, is a day old
+      const response = await request(app)
+        .post('/api/v1/content-rules/test')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          content: 'Documenting the API. [Post #101]',
+          author: 'u5',
+          rules: [{ name: 'Two days', type: 'near-duplicate', action: 'hold', windowMinutes: 2 * 24 * 60 }]
+        })
+        .expect(200);
+      expect(response.body.data.outcome).toBe('hold');
+      expect(response.body.data.violations).toEqual([
+        expect.objectContaining({ name: 'Two days', post: 'p100', similarity: 1 })
+      ]);
+    });
+
+    it('should require a window for near-duplicate rules', async () => {
+      const response = await request(app)
+        .post('/api/v1/content-rules')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'No window', type: 'near-duplicate', action: 'flag' })
+        .expect(400);
+      expect(response.body.message).toBe('windowMinutes is required for near-duplicate rules');
+
+      const rule = await addRule({ action: 'flag', windowMinutes: 30 });
+      expect(rule).toMatchObject({ similarity: 0.8, windowMinutes: 30, words: null, limit: null });
+      const invalid = await request(app)
+        .patch(`/api/v1/content-rules/${rule.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ limit: 3 })
+        .expect(400);
+      expect(invalid.body.code).toBe('INVALID_RULE_FIELD');
+    });
+  });
+
+  describe('3. Clusters of similar posts', () => {
+    it('should group the seeded copies, largest clusters first', async () => {
+      const response = await request(app)
+        .get('/api/v1/moderation/duplicates?limit=50')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      const { clusters } = response.body.data;
+
+      const seeded = clusters.find(c => c.id === 'p1');
+      expect(seeded).toMatchObject({ size: 5, authors: ['u2'], similarity: 1 });
+      expect(seeded.posts.map(p => p.id)).toEqual(['p1', 'p21', 'p41', 'p61', 'p81']);
+      expect(clusters.map(c => c.size)).toEqual([...clusters.map(c => c.size)].sort((a, b) => b - a));
+    });
+
+    it('should group copies across users, page by page', async () => {
+      const since = new Date().toISOString();
+      await sendPost(userToken, 'Win a free phone, just click the link in my profile').expect(201);
+      await sendPost(user3Token, 'Win a FREE phone! Just click the link in my profile').expect(201);
+      await sendPost(adminToken, 'Win a free phone - just click the link in my profile!!').expect(201);
+      await sendPost(userToken, 'Cheap flights to anywhere, message me for deals').expect(201);
+      await sendPost(user3Token, 'Cheap flights to anywhere - message me for deals').expect(201);
+
+      const first = await request(app)
+        .get(`/api/v1/moderation/duplicates?since=${since}&limit=1`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(first.body.data.clusters).toHaveLength(1);
+      expect(first.body.data.clusters[0]).toMatchObject({ size: 3, authors: ['u2', 'u3', 'u1'] });
+
+      const second = await request(app)
+        .get(`/api/v1/moderation/duplicates?since=${since}&limit=1&cursor=${first.body.data.pagination.nextCursor}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(second.body.data.clusters[0]).toMatchObject({ size: 2, authors: ['u2', 'u3'] });
+      expect(second.body.data.pagination.nextCursor).toBeNull();
+    });
+
+    it('should store each post\'s signature when it is written', async () => {
+      const { postRepository } = getRepositories();
+      const post = await createPost(userToken, 'Garage sale this weekend, everything must go');
+      expect(post).not.toHaveProperty('signature');
+      expect((await postRepository.findById(post.id)).signature)
+        .toEqual(signature('Garage sale this weekend, everything must go'));
+
+      await request(app)
+        .patch(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ content: 'Garage sale on Sunday only' })
+        .expect(200);
+      expect((await postRepository.findById(post.id)).signature).toEqual(signature('Garage sale on Sunday only'));
+    });
+
+    it('should be for admins only and validate the threshold', async () => {
+      await request(app)
+        .get('/api/v1/moderation/duplicates')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+
+      const response = await request(app)
+        .get('/api/v1/moderation/duplicates?similarity=0.2')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+    });
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Hashtag and Mention Tests
+ *
+ * Tests for entity extraction on create and edit, GET /tags/:tag and
+ * GET /users/:userId/mentions
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const { login, createPost } = require('./helpers/api');
+const { parseEntities } = require('../utils/entities');
+
+describe('Hashtags and mentions', () => {
+  let userToken;
+  let user3Token;
+
+  beforeAll(async () => {
+    userToken = await login('jane.doe@example.com');
+    user3Token = await login('jim.doe@example.com');
+  });
+
+  describe('parseEntities', () => {
+    it('should find hashtags and mentions with offsets', () => {
+      const content = 'Ask @JaneDoe about #NodeJS';
+      const { hashtags, mentions } = parseEntities(content);
+
+      expect(hashtags).toEqual([{ tag: 'nodejs', text: '#NodeJS', start: 19, end: 26 }]);
+      expect(mentions).toEqual([{ username: 'janedoe', text: '@JaneDoe', start: 4, end: 12 }]);
+      expect(content.slice(mentions[0].start, mentions[0].end)).toBe('@JaneDoe');
+    });
+
+    it('should ignore numbers, emails and tags inside words', () => {
+      const { hashtags, mentions } = parseEntities('[Post #12] mail jim@janedoe.com, a#b &#39;');
+
+      expect(hashtags).toEqual([]);
+      expect(mentions).toEqual([]);
+    });
+  });
+
+  describe('Extraction on create and edit', () => {
+    it('should store entities and keep unknown mentions as plain text', async () => {
+      const post = await createPost(user3Token, 'Pairing with @janedoe and @nobody on #Testing');
+
+      expect(post.content).toBe('Pairing with @janedoe and @nobody on #Testing');
+      expect(post.entities).toEqual({
+        hashtags: [{ tag: 'testing', text: '#Testing', start: 37, end: 45 }],
+        mentions: [{ userId: 'u2', username: 'janedoe', text: '@janedoe', start: 13, end: 21 }]
+      });
+
+      const fetched = await request(app).get(`/api/v1/posts/${post.id}`).expect(200);
+      expect(fetched.body.data.post.entities).toEqual(post.entities);
+    });
+
+    it('should re-extract entities when the content is edited', async () => {
+      const post = await createPost(userToken, 'Draft about #before');
+
+      const response = await request(app)
+        .patch(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ content: 'Final about #after with @jimdoe' })
+        .expect(200);
+
+      const { entities } = response.body.data.post;
+      expect(entities.hashtags.map(h => h.tag)).toEqual(['after']);
+      expect(entities.mentions.map(m => m.userId)).toEqual(['u3']);
+
+      const before = await request(app).get('/api/v1/tags/before').expect(200);
+      expect(before.body.data.posts.some(p => p.id === post.id)).toBe(false);
+    });
+
+    it('should return empty entities for posts without any', async () => {
+      const response = await request(app).get('/api/v1/posts/p1').expect(200);
+
+      expect(response.body.data.post.entities).toEqual({ hashtags: [], mentions: [] });
+    });
+  });
+
+  describe('GET /tags/:tag', () => {
+    it('should list tagged posts newest first, matching case-insensitively', async () => {
+      const first = await createPost(userToken, 'One for #Pagination');
+      const second = await createPost(user3Token, 'Two for #pagination');
+
+      const response = await request(app).get('/api/v1/tags/PAGINATION').expect(200);
+      const ids = response.body.data.posts.map(p => p.id);
+
+      expect(ids.slice(0, 2)).toEqual([second.id, first.id]);
+      expect(response.body.data.posts[0].authorName).toBe('Jim Doe');
+      expect(response.body.data.pagination).toMatchObject({ hasNextPage: false });
+    });
+
+    it('should page with cursors', async () => {
+      for (const n of [1, 2, 3]) {
+        await createPost(userToken, `Cursor ${n} #paged`);
+      }
+
+      const first = await request(app).get('/api/v1/tags/paged?limit=2').expect(200);
+      const second = await request(app)
+        .get(`/api/v1/tags/paged?limit=2&cursor=${first.body.data.pagination.nextCursor}`)
+        .expect(200);
+
+      const contents = [...first.body.data.posts, ...second.body.data.posts].map(p => p.content);
+      expect(contents).toEqual(['Cursor 3 #paged', 'Cursor 2 #paged', 'Cursor 1 #paged']);
+    });
+
+    it('should drop posts once they are deleted', async () => {
+      const post = await createPost(userToken, 'Short-lived #ephemeral');
+      await request(app)
+        .delete(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      const response = await request(app).get('/api/v1/tags/ephemeral').expect(200);
+      expect(response.body.data.posts).toEqual([]);
+    });
+
+    it('should reject invalid tags', async () => {
+      const response = await request(app).get('/api/v1/tags/not-a-tag').expect(400);
+
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('GET /users/:userId/mentions', () => {
+    it('should list posts that mention the user', async () => {
+      const post = await createPost(user3Token, 'Thanks @JackDoe!');
+
+      const response = await request(app).get('/api/v1/users/u5/mentions').expect(200);
+
+      expect(response.body.data.posts[0]).toMatchObject({ id: post.id, author: 'u3' });
+      expect(response.body.data.posts.every(p =>
+        p.entities.mentions.some(m => m.userId === 'u5')
+      )).toBe(true);
+    });
+
+    it('should return 404 for an unknown user', async () => {
+      const response = await request(app).get('/api/v1/users/u999/mentions').expect(404);
+
+      expect(response.body.code).toBe('USER_NOT_FOUND');
+    });
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Home Feed Tests
+ *
+ * Tests for GET /posts/feed: follow-based merging, ordering, cursor
+ * pagination and author embedding
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const { login } = require('./helpers/api');
+
+describe('GET /posts/feed', () => {
+  let adminToken;
+  let userToken;
+
+  const getFeed = (token, query = '') =>
+    request(app)
+      .get(`/api/v1/posts/feed${query}`)
+      .set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    // u1 (admin) follows u2 and u3
+    adminToken = await login('john.doe@example.com');
+    userToken = await login('jane.doe@example.com');
+  });
+
+  it('should return posts from followed users, newest first, with author names', async () => {
+    const response = await getFeed(adminToken, '?limit=20').expect(200);
+    const { posts, pagination } = response.body.data;
+
+    expect(response.body.success).toBe(true);
+    expect(posts).toHaveLength(20);
+    expect(posts.every(p => ['u2', 'u3'].includes(p.author))).toBe(true);
+    expect(posts.find(p => p.author === 'u2').authorName).toBe('Jane Doe');
+    expect(posts.find(p => p.author === 'u3').authorName).toBe('Jim Doe');
+
+    const times = posts.map(p => new Date(p.created).getTime());
+    expect([...times].sort((a, b) => b - a)).toEqual(times);
+    expect(pagination.hasNextPage).toBe(true);
+    expect(pagination.nextCursor).toEqual(expect.any(String));
+  });
+
+  it('should page with cursors without skipping or repeating posts', async () => {
+    const all = await getFeed(adminToken, '?limit=50').expect(200);
+    const first = await getFeed(adminToken, '?limit=5').expect(200);
+
+    // A post created between requests must not shift the next page
+    const created = await request(app)
+      .post('/api/v1/posts')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ content: 'Posted between pages' })
+      .expect(201);
+
+    const second = await getFeed(adminToken, `?limit=5&cursor=${first.body.data.pagination.nextCursor}`).expect(200);
+
+    const ids = [...first.body.data.posts, ...second.body.data.posts].map(p => p.id);
+    expect(ids).toEqual(all.body.data.posts.slice(0, 10).map(p => p.id));
+
+    // ...but it is at the top of a fresh feed
+    const fresh = await getFeed(adminToken, '?limit=1').expect(200);
+    expect(fresh.body.data.posts[0].id).toBe(created.body.data.post.id);
+  });
+
+  it('should only include the caller\'s own posts when requested', async () => {
+    const own = await request(app)
+      .post('/api/v1/posts')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ content: 'My own feed post' })
+      .expect(201);
+
+    const without = await getFeed(adminToken, '?limit=50').expect(200);
+    expect(without.body.data.posts.some(p => p.author === 'u1')).toBe(false);
+
+    const withOwn = await getFeed(adminToken, '?limit=1&includeOwn=true').expect(200);
+    expect(withOwn.body.data.posts[0].id).toBe(own.body.data.post.id);
+    expect(withOwn.body.data.posts[0].authorName).toBe('John Doe');
+  });
+
+  it('should exclude deleted posts', async () => {
+    const post = await request(app)
+      .post('/api/v1/posts')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ content: 'Deleted before reading' })
+      .expect(201);
+
+    await request(app)
+      .delete(`/api/v1/posts/${post.body.data.post.id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    const response = await getFeed(adminToken, '?limit=50').expect(200);
+    expect(response.body.data.posts.some(p => p.id === post.body.data.post.id)).toBe(false);
+  });
+
+  it('should return 400 for a malformed cursor', async () => {
+    const response = await getFeed(adminToken, '?cursor=not-a-cursor').expect(400);
+
+    expect(response.body.code).toBe('INVALID_CURSOR');
+  });
+
+  it('should return 400 for a limit above 50', async () => {
+    const response = await getFeed(adminToken, '?limit=51').expect(400);
+
+    expect(response.body.code).toBe('VALIDATION_ERROR');
+  });
+
+  it('should return 401 without a token', async () => {
+    const response = await request(app)
+      .get('/api/v1/posts/feed')
+      .expect(401);
+
+    expect(response.body.code).toBe('AUTH_HEADER_ERROR');
+  });
+});
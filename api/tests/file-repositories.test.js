@@ -0,0 +1,128 @@
+/**
+ * File Store Tests
+ *
+ * Tests for the journaled file backend: durability across restarts, journal
+ * replay, torn writes and compaction.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openFileRepositories } = require('../repositories/file');
+
+describe('File Store Backend', () => {
+  let dir;
+  let seed;
+
+  const journalLines = () =>
+    fs.readFileSync(path.join(dir, 'journal.log'), 'utf8').split('\n').filter(Boolean);
+
+  const newPost = (id) => ({
+    id,
+    author: 'u1',
+    content: `Post ${id}`,
+    created: new Date('2024-05-01T10:00:00Z'),
+    isDeleted: false,
+    updatedAt: new Date('2024-05-01T10:00:00Z')
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-store-'));
+    seed = {
+      users: [{ id: 'u1', name: 'Alice', email: 'alice@example.com', role: 'user' }],
+      posts: [],
+      follows: []
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should write an initial snapshot from the seed data', async () => {
+    const repositories = openFileRepositories(dir, { seed });
+
+    expect(fs.existsSync(path.join(dir, 'snapshot.json'))).toBe(true);
+    expect((await repositories.userRepository.findById('u1')).name).toBe('Alice');
+
+    await repositories.close();
+  });
+
+  it('should journal mutations before compaction', async () => {
+    const repositories = openFileRepositories(dir, { seed });
+
+    await repositories.postRepository.create(newPost('p1'));
+    await repositories.postRepository.update('p1', { isDeleted: true });
+
+    const entries = journalLines().map(line => JSON.parse(line));
+    expect(entries.map(e => e.op)).toEqual(['insert', 'update']);
+    expect(entries.map(e => e.seq)).toEqual([1, 2]);
+  });
+
+  it('should replay the journal after a crash', async () => {
+    const repositories = openFileRepositories(dir, { seed });
+    await repositories.postRepository.create(newPost('p1'));
+    await repositories.followRepository.create({ id: 'f1', follower: 'u1', following: 'u2', created: new Date(), isDeleted: false });
+    // Simulate a crash: no close(), so nothing is compacted
+
+    const reopened = openFileRepositories(dir, { seed });
+    const post = await reopened.postRepository.findById('p1');
+
+    expect(post.content).toBe('Post p1');
+    expect(post.created).toBeInstanceOf(Date);
+    expect(await reopened.followRepository.findActive('u1', 'u2')).not.toBeNull();
+    await reopened.close();
+  });
+
+  it('should discard a torn final journal entry', async () => {
+    const repositories = openFileRepositories(dir, { seed });
+    await repositories.postRepository.create(newPost('p1'));
+    fs.appendFileSync(path.join(dir, 'journal.log'), '{"seq":2,"op":"ins');
+
+    const reopened = openFileRepositories(dir, { seed });
+
+    expect(await reopened.postRepository.find()).toHaveLength(1);
+    await reopened.postRepository.create(newPost('p2'));
+    await reopened.close();
+
+    const again = openFileRepositories(dir, { seed });
+    expect((await again.postRepository.find()).map(p => p.id)).toEqual(['p1', 'p2']);
+    await again.close();
+  });
+
+  it('should refuse to open a journal corrupted before its last entry', () => {
+    openFileRepositories(dir, { seed });
+    fs.writeFileSync(path.join(dir, 'journal.log'), 'garbage\n{"seq":1}\n');
+
+    expect(() => openFileRepositories(dir, { seed })).toThrow('Corrupt journal entry at line 1');
+  });
+
+  it('should compact the journal into a snapshot periodically', async () => {
+    const repositories = openFileRepositories(dir, { seed, compactEvery: 3 });
+
+    await repositories.postRepository.create(newPost('p1'));
+    await repositories.postRepository.create(newPost('p2'));
+    expect(journalLines()).toHaveLength(2);
+
+    await repositories.postRepository.create(newPost('p3'));
+    expect(journalLines()).toHaveLength(0);
+
+    const snapshot = JSON.parse(fs.readFileSync(path.join(dir, 'snapshot.json'), 'utf8'));
+    expect(snapshot.seq).toBe(3);
+    expect(snapshot.data.posts).toHaveLength(3);
+  });
+
+  it('should skip journal entries already folded into the snapshot', async () => {
+    const repositories = openFileRepositories(dir, { seed });
+    await repositories.postRepository.create(newPost('p1'));
+    const staleJournal = fs.readFileSync(path.join(dir, 'journal.log'), 'utf8');
+    await repositories.close();
+
+    // Simulate a crash between the snapshot rename and the journal truncate
+    fs.writeFileSync(path.join(dir, 'journal.log'), staleJournal);
+
+    const reopened = openFileRepositories(dir, { seed });
+    expect(await reopened.postRepository.find()).toHaveLength(1);
+    await reopened.close();
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * HTTP Test Helpers
+ *
+ * Fixture helpers shared by the API tests: log a seeded user in and create
+ * posts through `POST /posts`. Seeded users all have the password `password`.
+ */
+
+const request = require('supertest');
+const app = require('../../server');
+
+/**
+ * Log a seeded user in
+ * @param {string} email - User's email
+ * @returns {Promise<string>} Access token
+ */
+const login = async (email) => {
+  const response = await request(app)
+    .post('/api/v1/auth/login')
+    .send({ email, password: 'password' });
+  return response.body.data.token;
+};
+
+/**
+ * Send `POST /posts`, for tests that check the response themselves
+ * @param {string} token - Access token
+ * @param {string} content - Post content
+ * @param {Object} [extra] - Other body fields, e.g. `visibility` or `replyTo`
+ * @returns {import('supertest').Test} The pending request
+ */
+const sendPost = (token, content, extra = {}) =>
+  request(app)
+    .post('/api/v1/posts')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ content, ...extra });
+
+/**
+ * Create a post, expecting 201
+ * @param {string} token - Access token
+ * @param {string} content - Post content
+ * @param {Object} [extra] - Other body fields, e.g. `visibility` or `replyTo`
+ * @returns {Promise<Object>} The created post
+ */
+const createPost = async (token, content, extra = {}) => {
+  const response = await sendPost(token, content, extra).expect(201);
+  return response.body.data.post;
+};
+
+module.exports = {
+  login,
+  sendPost,
+  createPost
+};
@@ -0,0 +1,175 @@
+/**
+ * In-memory MongoDB Stand-in
+ *
+ * Implements the subset of the MongoDB driver's Db/Collection API used by
+ * `repositories/mongo`, so the Mongo backend can be tested without a server.
+ * Supports equality, `$ne`, `$in`, `$nin`, `$lte` and `$exists` filters (equality
+ * and `$in` match any element of an array field), `$set` updates, `sort` and
+ * `limit` on `find` cursors, and unique or sparse unique indexes (duplicate
+ * keys throw an error with code 11000).
+ */
+
+const clone = (value) => (value ? structuredClone(value) : null);
+
+const isEqual = (a, b) => {
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime();
+  }
+  return a === b;
+};
+
+const matchesCondition = (value, condition) => {
+  if (Array.isArray(value) && !(condition && (condition.$ne !== undefined || condition.$nin))) {
+    return value.some(item => matchesCondition(item, condition));
+  }
+  if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case '$ne':
+          return !isEqual(value, operand);
+        case '$in':
+          return operand.some(item => isEqual(value, item));
+        case '$nin':
+          return !operand.some(item => isEqual(value, item));
+        case '$lte':
+          return value !== undefined && value <= operand;
+        case '$exists':
+          return (value !== undefined) === operand;
+        default:
+          throw new Error(`Unsupported operator ${operator}`);
+      }
+    });
+  }
+  return isEqual(value, condition);
+};
+
+const matches = (document, filter = {}) =>
+  Object.entries(filter).every(([field, condition]) => matchesCondition(document[field], condition));
+
+// Comparator for a sort specification such as `{ created: -1, _id: -1 }`
+const compareBy = (spec) => (a, b) => {
+  for (const [field, direction] of Object.entries(spec)) {
+    const [x, y] = [a[field], b[field]];
+    if (x < y || x > y) {
+      return (x < y ? -1 : 1) * direction;
+    }
+  }
+  return 0;
+};
+
+const duplicateKeyError = (keys) => {
+  const error = new Error(`E11000 duplicate key error: ${keys.join(', ')}`);
+  error.code = 11000;
+  return error;
+};
+
+const createCollection = () => {
+  const documents = [];
+  const uniqueIndexes = [{ keys: ['_id'], sparse: false }];
+
+  const assertUnique = (candidate, ignore) => {
+    uniqueIndexes.forEach(({ keys, sparse }) => {
+      if (sparse && keys.some(key => candidate[key] === undefined)) {
+        return;
+      }
+      const clash = documents.find(document =>
+        document !== ignore && keys.every(key => isEqual(document[key], candidate[key]))
+      );
+      if (clash) {
+        throw duplicateKeyError(keys);
+      }
+    });
+  };
+
+  return {
+    documents,
+    indexes: [],
+
+    async createIndex(keys, options = {}) {
+      this.indexes.push({ keys, options });
+      if (options.unique) {
+        uniqueIndexes.push({ keys: Object.keys(keys), sparse: Boolean(options.sparse) });
+      }
+      return Object.keys(keys).join('_');
+    },
+
+    async findOne(filter) {
+      return clone(documents.find(document => matches(document, filter)));
+    },
+
+    find(filter) {
+      let order = null;
+      let count = 0;
+      const cursor = {
+        sort(spec) {
+          order = spec;
+          return cursor;
+        },
+        limit(value) {
+          count = value;
+          return cursor;
+        },
+        async toArray() {
+          const found = documents.filter(document => matches(document, filter));
+          if (order) {
+            found.sort(compareBy(order));
+          }
+          return (count ? found.slice(0, count) : found).map(clone);
+        }
+      };
+      return cursor;
+    },
+
+    async countDocuments(filter) {
+      return documents.filter(document => matches(document, filter)).length;
+    },
+
+    async insertOne(document) {
+      assertUnique(document);
+      documents.push(clone(document));
+      return { acknowledged: true, insertedId: document._id };
+    },
+
+    async insertMany(newDocuments) {
+      for (const document of newDocuments) {
+        await this.insertOne(document);
+      }
+      return { acknowledged: true, insertedCount: newDocuments.length };
+    },
+
+    async findOneAndUpdate(filter, update, { returnDocument = 'before' } = {}) {
+      const document = documents.find(candidate => matches(candidate, filter));
+      if (!document) {
+        return null;
+      }
+
+      const before = clone(document);
+      const after = { ...document, ...clone(update.$set) };
+      assertUnique(after, document);
+      Object.assign(document, after);
+      return returnDocument === 'after' ? clone(document) : before;
+    }
+  };
+};
+
+/**
+ * Create an in-memory database
+ * @returns {{ collection: (name: string) => Object, collections: Object }}
+ */
+const createInMemoryDb = () => {
+  const collections = {};
+
+  return {
+    collections,
+    collection(name) {
+      if (!collections[name]) {
+        collections[name] = createCollection();
+      }
+      return collections[name];
+    }
+  };
+};
+
+module.exports = {
+  createInMemoryDb
+};
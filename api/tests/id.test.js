@@ -0,0 +1,131 @@
+/**
+ * ID Generation Tests
+ *
+ * Tests for ULID generation and for accepting both ULIDs and legacy IDs
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const { createIdGenerator, isUlid, isLegacyId, idTimestamp, ID_PATTERN } = require('../utils/id');
+
+describe('ID generation', () => {
+  describe('createIdGenerator', () => {
+    const fixedBytes = (value) => (size) => Buffer.alloc(size, value);
+
+    it('should generate 26-character ULIDs encoding the timestamp', () => {
+      const time = Date.UTC(2024, 0, 1);
+      const generateId = createIdGenerator({ now: () => time });
+      const id = generateId();
+
+      expect(id).toHaveLength(26);
+      expect(isUlid(id)).toBe(true);
+      expect(idTimestamp(id).getTime()).toBe(time);
+    });
+
+    it('should stay unique and sorted within the same millisecond', () => {
+      const generateId = createIdGenerator({ now: () => 1000, randomBytes: fixedBytes(0) });
+      const ids = Array.from({ length: 50 }, () => generateId());
+
+      expect(new Set(ids).size).toBe(50);
+      expect([...ids].sort()).toEqual(ids);
+    });
+
+    it('should throw rather than repeat an ID when a millisecond is exhausted', () => {
+      const generateId = createIdGenerator({ now: () => 1000, randomBytes: fixedBytes(31) });
+      generateId();
+
+      expect(() => generateId()).toThrow('ID space exhausted for this millisecond');
+    });
+
+    it('should sort by creation time across milliseconds', () => {
+      let time = 1000;
+      const generateId = createIdGenerator({ now: () => time, randomBytes: fixedBytes(31) });
+      const first = generateId();
+      time = 1001;
+      const second = generateId();
+
+      expect(first < second).toBe(true);
+    });
+
+    it('should stay monotonic when the clock goes backwards', () => {
+      let time = 2000;
+      const generateId = createIdGenerator({ now: () => time });
+      const first = generateId();
+      time = 1000;
+      const second = generateId();
+
+      expect(first < second).toBe(true);
+      expect(idTimestamp(second).getTime()).toBe(2000);
+    });
+  });
+
+  describe('ID formats', () => {
+    it('should recognise legacy IDs', () => {
+      ['p1', 'u1', 'f12', 'p1718000000000'].forEach(id => {
+        expect(isLegacyId(id)).toBe(true);
+        expect(isUlid(id)).toBe(false);
+        expect(idTimestamp(id)).toBeNull();
+        expect(ID_PATTERN.test(id)).toBe(true);
+      });
+    });
+
+    it('should reject IDs in neither format', () => {
+      ['', '123', '-p1', 'invalid@id', '01HQ'.padEnd(26, 'U')].forEach(id => {
+        expect(ID_PATTERN.test(id)).toBe(false);
+      });
+    });
+  });
+
+  describe('API', () => {
+    let userToken;
+
+    beforeAll(async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'jane.doe@example.com', password: 'password' });
+      userToken = response.body.data.token;
+    });
+
+    it('should give concurrently created posts distinct ULIDs that can be fetched', async () => {
+      const responses = await Promise.all([1, 2, 3].map(n =>
+        request(app)
+          .post('/api/v1/posts')
+          .set('Authorization', `Bearer ${userToken}`)
+          .send({ content: `Concurrent post ${n}` })
+          .expect(201)
+      ));
+      const ids = responses.map(r => r.body.data.post.id);
+
+      expect(new Set(ids).size).toBe(3);
+      expect(ids.every(isUlid)).toBe(true);
+
+      const fetched = await request(app).get(`/api/v1/posts/${ids[0]}`).expect(200);
+      expect(fetched.body.data.post.id).toBe(ids[0]);
+    });
+
+    it('should still accept legacy post IDs', async () => {
+      const response = await request(app).get('/api/v1/posts/p1').expect(200);
+
+      expect(response.body.data.post.id).toBe('p1');
+    });
+
+    it('should not reuse follow IDs after an unfollow', async () => {
+      const follow = () => request(app)
+        .post('/api/v1/follows/u4')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(201);
+
+      const first = await follow();
+      await request(app)
+        .delete('/api/v1/follows/u4')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      const second = await follow();
+
+      const firstId = first.body.data.follow.id;
+      const secondId = second.body.data.follow.id;
+      expect(isUlid(firstId)).toBe(true);
+      expect(secondId).not.toBe(firstId);
+    });
+  });
+});
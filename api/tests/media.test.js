@@ -0,0 +1,267 @@
+/**
+ * Media Upload Tests
+ *
+ * Tests for POST /media and post attachments with focus on:
+ * 1. Type sniffing, size limits, quotas and content-hash file names
+ * 2. Attaching media to posts
+ * 3. Cleaning up media once no post references it, or none ever used it
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Small limits and a throwaway uploads directory, read when the app loads
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+const previousEnv = { ...process.env };
+Object.assign(process.env, {
+  UPLOAD_DIR: uploadDir,
+  MEDIA_MAX_BYTES: '1024',
+  MEDIA_QUOTA_BYTES: '2048'
+});
+
+const request = require('supertest');
+const app = require('../server');
+const { login, sendPost, createPost } = require('./helpers/api');
+const { createMediaService, mediaService } = require('../services/media.service');
+const { contentHash } = require('../utils/media');
+const { getRepositories } = require('../repositories');
+
+describe('Media uploads', () => {
+  let userToken;
+  let user3Token;
+  let user4Token;
+
+  // A PNG signature followed by filler, unique per label
+  const png = (label, size = 64) => {
+    const buffer = Buffer.alloc(size, label);
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buffer);
+    return buffer;
+  };
+
+  const upload = (token, buffer, filename = 'image.png') =>
+    request(app)
+      .post('/api/v1/media')
+      .set('Authorization', `Bearer ${token}`)
+      .attach('file', buffer, filename);
+
+  beforeAll(async () => {
+    userToken = await login('jane.doe@example.com');
+    user3Token = await login('jim.doe@example.com');
+    user4Token = await login('jill.doe@example.com');
+  });
+
+  afterAll(() => {
+    process.env = previousEnv;
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  });
+
+  describe('1. Uploading', () => {
+    it('should store the file under its content hash and serve it', async () => {
+      const buffer = png('a');
+
+      const response = await upload(userToken, buffer, 'holiday.jpg').expect(201);
+      const { media, quota } = response.body.data;
+
+      expect(media).toMatchObject({
+        url: `/${contentHash(buffer)}.png`,
+        mimeType: 'image/png',
+        size: 64
+      });
+      expect(quota).toEqual({ used: 64, limit: 2048 });
+      expect(fs.readFileSync(path.join(uploadDir, `${contentHash(buffer)}.png`))).toEqual(buffer);
+
+      const served = await request(app).get(media.url).expect(200);
+      expect(served.headers['content-type']).toBe('image/png');
+    });
+
+    it('should return the existing media when the same content is uploaded again', async () => {
+      const buffer = png('b');
+      const first = await upload(userToken, buffer).expect(201);
+
+      const again = await upload(userToken, buffer).expect(200);
+
+      expect(again.body.message).toBe('Media already uploaded');
+      expect(again.body.data.media.id).toBe(first.body.data.media.id);
+    });
+
+    it('should sniff the type from the content, not the name', async () => {
+      const response = await upload(userToken, Buffer.from('just text'), 'fake.png').expect(415);
+
+      expect(response.body.code).toBe('UNSUPPORTED_MEDIA_TYPE');
+    });
+
+    it('should enforce the size limit and the per-user quota', async () => {
+      const tooLarge = await upload(user4Token, png('c', 2000)).expect(413);
+      expect(tooLarge.body.code).toBe('FILE_TOO_LARGE');
+
+      await upload(user4Token, png('d', 1000)).expect(201);
+      await upload(user4Token, png('e', 1000)).expect(201);
+      const overQuota = await upload(user4Token, png('f', 100)).expect(413);
+      expect(overQuota.body.code).toBe('UPLOAD_QUOTA_EXCEEDED');
+      expect(overQuota.body.quota).toEqual({ used: 2000, limit: 2048 });
+    });
+
+    it('should require a file and authentication', async () => {
+      const missing = await request(app)
+        .post('/api/v1/media')
+        .set('Authorization', `Bearer ${userToken}`)
+        .field('caption', 'no file')
+        .expect(400);
+      expect(missing.body.code).toBe('FILE_REQUIRED');
+
+      await request(app).post('/api/v1/media').attach('file', png('g'), 'a.png').expect(401);
+    });
+  });
+
+  describe('2. Attachments', () => {
+    it('should attach uploaded media to a post', async () => {
+      const media = (await upload(userToken, png('h')).expect(201)).body.data.media;
+
+      const created = await sendPost(userToken, 'With a picture', { attachments: [media.id] }).expect(201);
+      expect(created.body.data.post.attachments).toEqual([media]);
+
+      const fetched = await request(app).get(`/api/v1/posts/${created.body.data.post.id}`).expect(200);
+      expect(fetched.body.data.post.attachments).toEqual([media]);
+
+      const plain = await request(app).get('/api/v1/posts/p1').expect(200);
+      expect(plain.body.data.post.attachments).toEqual([]);
+    });
+
+    it('should reject media uploaded by someone else or unknown IDs', async () => {
+      const media = (await upload(userToken, png('i')).expect(201)).body.data.media;
+
+      const foreign = await sendPost(user3Token, 'Not mine', { attachments: [media.id] }).expect(400);
+      expect(foreign.body.code).toBe('INVALID_ATTACHMENT');
+
+      const unknown = await sendPost(userToken, 'Missing', { attachments: ['m404'] }).expect(400);
+      expect(unknown.body.code).toBe('INVALID_ATTACHMENT');
+    });
+
+    it('should limit the number of attachments', async () => {
+      const response = await sendPost(userToken, 'Too many', {
+        attachments: ['m1', 'm2', 'm3', 'm4', 'm5']
+      }).expect(400);
+
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('3. Cleanup', () => {
+    const deletePost = (token, id) =>
+      request(app)
+        .delete(`/api/v1/posts/${id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+    it('should delete media once its only post is deleted', async () => {
+      const buffer = png('j');
+      const media = (await upload(userToken, buffer).expect(201)).body.data.media;
+      const post = await createPost(userToken, 'Short-lived', { attachments: [media.id] });
+
+      await deletePost(userToken, post.id);
+      expect(fs.existsSync(path.join(uploadDir, `${contentHash(buffer)}.png`))).toBe(true);
+
+      await mediaService.flushCleanup();
+      expect(fs.existsSync(path.join(uploadDir, `${contentHash(buffer)}.png`))).toBe(false);
+
+      const reuse = await sendPost(userToken, 'Again', { attachments: [media.id] }).expect(400);
+      expect(reuse.body.code).toBe('INVALID_ATTACHMENT');
+    });
+
+    it('should keep media that another post still references', async () => {
+      const buffer = png('k');
+      const media = (await upload(userToken, buffer).expect(201)).body.data.media;
+      const first = await createPost(userToken, 'First', { attachments: [media.id] });
+      const second = await createPost(userToken, 'Second', { attachments: [media.id] });
+
+      await deletePost(userToken, first.id);
+      await mediaService.flushCleanup();
+
+      const fetched = await request(app).get(`/api/v1/posts/${second.id}`).expect(200);
+      expect(fetched.body.data.post.attachments).toEqual([media]);
+      expect(fs.existsSync(path.join(uploadDir, `${contentHash(buffer)}.png`))).toBe(true);
+    });
+
+    it('should keep media that a draft still references', async () => {
+      const buffer = png('m');
+      const media = (await upload(userToken, buffer).expect(201)).body.data.media;
+      const published = await createPost(userToken, 'Out now', { attachments: [media.id] });
+      const draft = await createPost(userToken, 'Later', { attachments: [media.id], draft: true });
+
+      await deletePost(userToken, published.id);
+      await mediaService.flushCleanup();
+      expect(fs.existsSync(path.join(uploadDir, `${contentHash(buffer)}.png`))).toBe(true);
+
+      const publishedDraft = await request(app)
+        .post(`/api/v1/posts/${draft.id}/publish`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      expect(publishedDraft.body.data.post.attachments).toEqual([media]);
+    });
+
+    it('should keep a shared file until the last uploader\'s media is gone', async () => {
+      const buffer = png('l');
+      const mine = (await upload(userToken, buffer).expect(201)).body.data.media;
+      await upload(user3Token, buffer).expect(201);
+      const post = await createPost(userToken, 'Shared file', { attachments: [mine.id] });
+
+      await deletePost(userToken, post.id);
+      await mediaService.flushCleanup();
+
+      expect(fs.existsSync(path.join(uploadDir, `${contentHash(buffer)}.png`))).toBe(true);
+    });
+
+    it('should not remove a file that is uploaded again while it is cleaned up', async () => {
+      const buffer = png('q');
+      const media = (await upload(userToken, buffer).expect(201)).body.data.media;
+      const post = await createPost(userToken, 'Going, going', { attachments: [media.id] });
+      await deletePost(userToken, post.id);
+
+      // Someone uploads the same content just after cleanup saw no other media for it
+      const { mediaRepository } = getRepositories();
+      const findByHash = mediaRepository.findByHash.bind(mediaRepository);
+      let again;
+      const spy = jest.spyOn(mediaRepository, 'findByHash').mockImplementationOnce(async (hash) => {
+        const found = await findByHash(hash);
+        again = Promise.resolve(upload(user3Token, buffer));
+        await Promise.race([again, new Promise(resolve => setTimeout(resolve, 200))]);
+        return found;
+      });
+
+      try {
+        await mediaService.flushCleanup();
+        expect((await again).status).toBe(201);
+      } finally {
+        spy.mockRestore();
+      }
+      expect(fs.existsSync(path.join(uploadDir, `${contentHash(buffer)}.png`))).toBe(true);
+    });
+
+    it('should sweep uploads no post used within the grace period', async () => {
+      const sweeper = createMediaService({ uploadDir, unattachedGraceMs: 1 });
+      const sweep = async () => {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await sweeper.sweepUnattached('u4');
+      };
+
+      // The uploads that filled the quota earlier were never attached
+      await sweep();
+      const abandoned = png('n');
+      const kept = png('o');
+      const unused = (await upload(user4Token, abandoned).expect(201)).body.data.media;
+      const used = (await upload(user4Token, kept).expect(201)).body.data.media;
+      await sendPost(user4Token, 'Keeping this one', { attachments: [used.id] }).expect(201);
+
+      await sweep();
+      expect(fs.existsSync(path.join(uploadDir, `${contentHash(abandoned)}.png`))).toBe(false);
+      expect(fs.existsSync(path.join(uploadDir, `${contentHash(kept)}.png`))).toBe(true);
+      const reuse = await sendPost(user4Token, 'Too late', { attachments: [unused.id] }).expect(400);
+      expect(reuse.body.code).toBe('INVALID_ATTACHMENT');
+
+      // Only the attached upload still counts
+      const response = await upload(user4Token, png('p')).expect(201);
+      expect(response.body.data.quota.used).toBe(128);
+    });
+  });
+});
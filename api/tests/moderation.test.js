@@ -0,0 +1,257 @@
+/**
+ * Reporting and Moderation Tests
+ *
+ * Tests for reports and the admin moderation queue with focus on:
+ * 1. Reporting posts and users with a reason category
+ * 2. The queue of open reports grouped by target
+ * 3. Dismiss, hide, delete and suspend actions and the moderation log
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const { login, createPost } = require('./helpers/api');
+const { logger } = require('../utils/logger');
+
+describe('Reporting and moderation', () => {
+  let adminToken;
+  let userToken;
+  let user3Token;
+  let user4Token;
+  let user5Token;
+
+  const report = (token, targetType, targetId, reason = 'spam', details) =>
+    request(app)
+      .post('/api/v1/reports')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ targetType, targetId, reason, details });
+
+  const queue = async (query = '') => {
+    const response = await request(app)
+      .get(`/api/v1/moderation/queue?limit=50${query}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    return response.body.data.queue;
+  };
+
+  const moderate = (targetType, targetId, action, note = 'Reviewed') =>
+    request(app)
+      .post(`/api/v1/moderation/${targetType}/${targetId}/actions`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ action, note });
+
+  beforeAll(async () => {
+    adminToken = await login('john.doe@example.com');
+    userToken = await login('jane.doe@example.com');
+    user3Token = await login('jim.doe@example.com');
+    user4Token = await login('jill.doe@example.com');
+    user5Token = await login('jack.doe@example.com');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('1. Reporting', () => {
+    it('should report a post once per user', async () => {
+      const post = await createPost(userToken, 'Buy cheap watches');
+
+      const response = await report(user3Token, 'post', post.id, 'spam', 'Posted ten times').expect(201);
+      expect(response.body.data.report).toMatchObject({
+        reporter: 'u3',
+        targetType: 'post',
+        targetId: post.id,
+        reason: 'spam',
+        details: 'Posted ten times',
+        status: 'open'
+      });
+
+      const again = await report(user3Token, 'post', post.id, 'other').expect(400);
+      expect(again.body.code).toBe('ALREADY_REPORTED');
+    });
+
+    it('should report users', async () => {
+      const response = await report(user3Token, 'user', 'u4', 'harassment').expect(201);
+      expect(response.body.data.report.targetId).toBe('u4');
+
+      const missing = await report(user3Token, 'user', 'u999').expect(404);
+      expect(missing.body.code).toBe('USER_NOT_FOUND');
+    });
+
+    it('should not report yourself, your own posts or posts you cannot see', async () => {
+      const own = await createPost(userToken, 'My own words');
+      expect((await report(userToken, 'post', own.id).expect(400)).body.code).toBe('CANNOT_REPORT_SELF');
+      expect((await report(userToken, 'user', 'u2').expect(400)).body.code).toBe('CANNOT_REPORT_SELF');
+
+      const secret = await createPost(userToken, 'Private', { visibility: 'private' });
+      expect((await report(user3Token, 'post', secret.id).expect(404)).body.code).toBe('POST_NOT_FOUND');
+    });
+
+    it('should validate reason categories and require authentication', async () => {
+      const response = await report(user3Token, 'post', 'p1', 'boring').expect(400);
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+
+      await report(user3Token, 'comment', 'p1').expect(400);
+      await request(app).post('/api/v1/reports').send({ targetType: 'post', targetId: 'p1', reason: 'spam' }).expect(401);
+    });
+  });
+
+  describe('2. Moderation queue', () => {
+    it('should group open reports by target, most reported first', async () => {
+      const post = await createPost(userToken, 'Widely disliked');
+      await report(user3Token, 'post', post.id, 'hate').expect(201);
+      await report(user4Token, 'post', post.id, 'hate').expect(201);
+      await report(adminToken, 'post', post.id, 'violence').expect(201);
+
+      const [top] = await queue();
+      expect(top).toMatchObject({
+        targetType: 'post',
+        targetId: post.id,
+        reportCount: 3,
+        reasons: { hate: 2, violence: 1 },
+        target: { id: post.id, author: 'u2', content: 'Widely disliked', status: 'published' }
+      });
+      expect(top.reports.map(r => r.reporter)).toEqual(['u3', 'u4', 'u1']);
+
+      const users = await queue('&targetType=user');
+      expect(users.every(entry => entry.targetType === 'user')).toBe(true);
+    });
+
+    it('should be for admins only', async () => {
+      const response = await request(app)
+        .get('/api/v1/moderation/queue')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+      expect(response.body.code).toBe('INSUFFICIENT_PERMISSIONS');
+
+      await request(app)
+        .post('/api/v1/moderation/post/p1/actions')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ action: 'dismiss', note: 'No' })
+        .expect(403);
+    });
+  });
+
+  describe('3. Actions', () => {
+    it('should dismiss reports and record the moderator and note', async () => {
+      const post = await createPost(userToken, 'Harmless joke');
+      await report(user3Token, 'post', post.id, 'other').expect(201);
+      const audit = jest.spyOn(logger, 'info');
+
+      const response = await moderate('post', post.id, 'dismiss', 'Satire, allowed').expect(200);
+      expect(response.body.data.action).toMatchObject({
+        action: 'dismiss',
+        moderator: 'u1',
+        moderatorName: 'John Doe',
+        note: 'Satire, allowed'
+      });
+      expect(response.body.data.action.reports).toHaveLength(1);
+      expect(audit).toHaveBeenCalledWith('Audit moderation.dismiss', expect.objectContaining({
+        userId: 'u1', target: post.id, note: 'Satire, allowed'
+      }));
+
+      expect((await queue()).map(entry => entry.targetId)).not.toContain(post.id);
+      await request(app).get(`/api/v1/posts/${post.id}`).expect(200);
+
+      const log = await request(app)
+        .get(`/api/v1/moderation/actions?targetType=post&targetId=${post.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(log.body.data.actions.map(a => [a.action, a.note])).toEqual([['dismiss', 'Satire, allowed']]);
+    });
+
+    it('should hide a post from everyone but its author', async () => {
+      const post = await createPost(userToken, 'Borderline #hidden');
+      await report(user3Token, 'post', post.id, 'nudity').expect(201);
+
+      await moderate('post', post.id, 'hide').expect(200);
+
+      await request(app).get(`/api/v1/posts/${post.id}`).expect(404);
+      const own = await request(app)
+        .get(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      expect(own.body.data.post.status).toBe('hidden');
+
+      const tagged = await request(app).get('/api/v1/tags/hidden').expect(200);
+      expect(tagged.body.data.posts).toEqual([]);
+
+      const edit = await request(app)
+        .patch(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ publishAt: new Date(Date.now() + 60000).toISOString() })
+        .expect(400);
+      expect(edit.body.code).toBe('POST_HIDDEN');
+    });
+
+    it('should let admins delete a hidden post', async () => {
+      const post = await createPost(userToken, 'Hidden, then removed');
+      await report(user3Token, 'post', post.id, 'spam').expect(201);
+      await moderate('post', post.id, 'hide').expect(200);
+
+      await request(app)
+        .delete(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      await request(app)
+        .get(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(404);
+    });
+
+    it('should delete a post', async () => {
+      const post = await createPost(userToken, 'Clearly against the rules');
+      await report(user3Token, 'post', post.id, 'violence').expect(201);
+
+      await moderate('post', post.id, 'delete', 'Threat').expect(200);
+
+      await request(app)
+        .get(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(404);
+    });
+
+    it('should reject actions that do not fit the target, missing notes and unreported targets', async () => {
+      await report(user3Token, 'user', 'u2', 'spam').expect(201);
+
+      const wrong = await moderate('user', 'u2', 'hide').expect(400);
+      expect(wrong.body.code).toBe('INVALID_MODERATION_ACTION');
+
+      const noNote = await moderate('user', 'u2', 'dismiss', '').expect(400);
+      expect(noNote.body.code).toBe('VALIDATION_ERROR');
+
+      const none = await moderate('post', 'p42', 'dismiss').expect(404);
+      expect(none.body.code).toBe('NO_OPEN_REPORTS');
+
+      await report(user3Token, 'user', 'u1', 'other').expect(201);
+      const admin = await moderate('user', 'u1', 'suspend').expect(400);
+      expect(admin.body.code).toBe('CANNOT_SUSPEND_ADMIN');
+    });
+
+    it('should suspend a post\'s author, locking them out', async () => {
+      const post = await createPost(user5Token, 'Spam spam spam');
+      await report(user3Token, 'post', post.id, 'spam').expect(201);
+
+      const response = await moderate('post', post.id, 'suspend', 'Repeat spammer').expect(200);
+      expect(response.body.data.action.suspendedUser).toBe('u5');
+
+      const blocked = await request(app)
+        .post('/api/v1/posts')
+        .set('Authorization', `Bearer ${user5Token}`)
+        .send({ content: 'Still here?' })
+        .expect(403);
+      expect(blocked.body.code).toBe('ACCOUNT_SUSPENDED');
+
+      const loginAttempt = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'jack.doe@example.com', password: 'password' })
+        .expect(403);
+      expect(loginAttempt.body.code).toBe('ACCOUNT_SUSPENDED');
+
+      const log = await request(app)
+        .get('/api/v1/moderation/actions?targetType=post')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(log.body.data.actions[0]).toMatchObject({ action: 'suspend', targetId: post.id, note: 'Repeat spammer' });
+    });
+  });
+});
@@ -0,0 +1,254 @@
+/**
+ * MongoDB Backend Tests
+ *
+ * Runs the Mongo repositories against an in-memory Mongo stand-in, both
+ * directly and through the HTTP API.
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const { createInMemoryDb } = require('./helpers/inMemoryMongo');
+const { createMongoRepositories, prepareDatabase } = require('../repositories/mongo');
+const { getRepositories, setRepositories } = require('../repositories');
+
+describe('MongoDB Backend', () => {
+  let db;
+  let repositories;
+  let previousRepositories;
+
+  beforeEach(async () => {
+    db = createInMemoryDb();
+    await prepareDatabase(db, { seed: true });
+    repositories = createMongoRepositories(db);
+    previousRepositories = getRepositories();
+    setRepositories(repositories);
+  });
+
+  afterEach(() => {
+    setRepositories(previousRepositories);
+  });
+
+  describe('Database preparation', () => {
+    it('should create the indexes defined in db/aggregation.js', () => {
+      expect(db.collections.follows.indexes).toContainEqual({
+        keys: { follower: 1, following: 1 },
+        options: { unique: true }
+      });
+      expect(db.collections.posts.indexes.map(i => i.keys)).toEqual([
+        { author: 1, created: -1 },
+        { created: -1 },
+        { conversationId: 1, created: 1 },
+        { replyTo: 1 },
+        { repostOf: 1 },
+        { hashtags: 1, created: -1 },
+        { mentionedUsers: 1, created: -1 },
+        { attachments: 1 },
+        { status: 1, publishAt: 1 }
+      ]);
+      expect(db.collections.users.indexes.map(i => i.keys)).toContainEqual({ email: 1 });
+      expect(db.collections.comments.indexes.map(i => i.keys)).toEqual([{ post: 1, created: 1 }]);
+      expect(db.collections.reactions.indexes).toContainEqual({
+        keys: { post: 1, user: 1, type: 1 },
+        options: { unique: true }
+      });
+      expect(db.collections.revisions.indexes).toContainEqual({
+        keys: { post: 1, revision: 1 },
+        options: { unique: true }
+      });
+      expect(db.collections.bookmarks.indexes).toContainEqual({
+        keys: { user: 1, post: 1 },
+        options: { unique: true }
+      });
+      expect(db.collections.pins.indexes).toContainEqual({ keys: { user: 1 }, options: { unique: true } });
+      expect(db.collections.votes.indexes).toContainEqual({
+        keys: { post: 1, user: 1 },
+        options: { unique: true }
+      });
+      expect(db.collections.reports.indexes.map(i => i.keys)).toEqual([{ status: 1, targetType: 1, target: 1 }]);
+      expect(db.collections.moderationActions.indexes.map(i => i.keys)).toEqual([{ targetType: 1, target: 1 }]);
+    });
+
+    it('should seed empty collections keyed by _id', () => {
+      expect(db.collections.users.documents.find(u => u._id === 'u1').name).toBe('John Doe');
+      expect(db.collections.posts.documents.length).toBeGreaterThan(0);
+    });
+  });
+
+  describe('Repositories', () => {
+    it('should map _id to id and hide deleted posts', async () => {
+      const post = await repositories.postRepository.findById('p1');
+      expect(post.id).toBe('p1');
+      expect(post._id).toBeUndefined();
+
+      await repositories.postRepository.update('p1', { isDeleted: true });
+      expect(await repositories.postRepository.findById('p1')).toBeNull();
+      expect(await repositories.postRepository.findById('p1', { includeDeleted: true })).not.toBeNull();
+    });
+
+    it('should filter posts by several authors', async () => {
+      const posts = await repositories.postRepository.find({ authors: ['u2', 'u3'] });
+
+      expect(posts.length).toBeGreaterThan(0);
+      expect(posts.every(p => ['u2', 'u3'].includes(p.author))).toBe(true);
+    });
+
+    it('should return only the newest posts up to a time when given a limit', async () => {
+      const posts = await repositories.postRepository.find({ authors: ['u2', 'u3'], limit: 3 });
+
+      // Seeded posts are a day apart, written by u2, u3, u4 and u5 in turn
+      expect(posts.map(p => p.id)).toEqual(['p98', 'p97', 'p94']);
+
+      const older = await repositories.postRepository.find({ authors: ['u2', 'u3'], until: posts[1].created, limit: 2 });
+      expect(older.map(p => p.id)).toEqual(['p97', 'p94']);
+    });
+
+    it('should find posts by hashtag and mentioned user, and users by username', async () => {
+      await repositories.postRepository.create({
+        id: 'p999', author: 'u2', content: '#a #b @jimdoe', hashtags: ['a', 'b'], mentionedUsers: ['u3'],
+        created: new Date(), isDeleted: false
+      });
+
+      expect((await repositories.postRepository.find({ hashtag: 'b' })).map(p => p.id)).toEqual(['p999']);
+      expect((await repositories.postRepository.find({ mentionedUser: 'u3' })).map(p => p.id)).toEqual(['p999']);
+      expect((await repositories.userRepository.findByUsernames(['JimDoe', 'nobody'])).map(u => u.id))
+        .toEqual(['u3']);
+    });
+
+    it('should hide scheduled posts unless asked for them', async () => {
+      await repositories.postRepository.create({
+        id: 'p998', author: 'u2', content: 'Later', status: 'scheduled', publishAt: new Date(Date.now() + 60000),
+        created: new Date(), isDeleted: false
+      });
+
+      expect(await repositories.postRepository.findById('p998')).toBeNull();
+      expect(await repositories.postRepository.findById('p998', { includeUnpublished: true })).not.toBeNull();
+      expect((await repositories.postRepository.find({ author: 'u2' })).some(p => p.id === 'p998')).toBe(false);
+      expect((await repositories.postRepository.find({ status: 'scheduled' })).map(p => p.id)).toEqual(['p998']);
+    });
+
+    it('should revive a soft-deleted follow instead of violating the unique index', async () => {
+      const follow = await repositories.followRepository.findActive('u1', 'u2');
+      await repositories.followRepository.update(follow.id, { isDeleted: true });
+
+      const revived = await repositories.followRepository.create({
+        id: 'f99',
+        follower: 'u1',
+        following: 'u2',
+        created: new Date(),
+        isDeleted: false
+      });
+
+      expect(revived.id).toBe(follow.id);
+      expect(await repositories.followRepository.findActive('u1', 'u2')).not.toBeNull();
+    });
+
+    it('should revive a removed reaction instead of violating the unique index', async () => {
+      const reaction = await repositories.reactionRepository.findActive('p100', 'u1', 'like');
+      await repositories.reactionRepository.update(reaction.id, { isDeleted: true });
+      expect(await repositories.reactionRepository.findActive('p100', 'u1', 'like')).toBeNull();
+
+      const revived = await repositories.reactionRepository.create({
+        id: 'r99', post: 'p100', user: 'u1', type: 'like', created: new Date(), isDeleted: false
+      });
+
+      expect(revived.id).toBe(reaction.id);
+      expect((await repositories.reactionRepository.findByPosts(['p100'])).map(r => r.type).sort())
+        .toEqual(['like', 'love']);
+    });
+
+    it('should revive a removed bookmark and keep pins in order', async () => {
+      const bookmark = await repositories.bookmarkRepository.create({
+        id: 'b1', user: 'u1', post: 'p5', created: new Date(), isDeleted: false
+      });
+      await repositories.bookmarkRepository.update(bookmark.id, { isDeleted: true });
+      expect(await repositories.bookmarkRepository.findByUser('u1')).toEqual([]);
+
+      const revived = await repositories.bookmarkRepository.create({
+        id: 'b2', user: 'u1', post: 'p5', created: new Date(), isDeleted: false
+      });
+      expect(revived.id).toBe('b1');
+
+      const pins = await repositories.pinRepository.create({ id: 'pin1', user: 'u2', posts: ['p5', 'p1'] });
+      await repositories.pinRepository.update(pins.id, { posts: ['p1', 'p5'] });
+      expect((await repositories.pinRepository.findByUser('u2')).posts).toEqual(['p1', 'p5']);
+    });
+
+    it('should turn a racing second first vote into a change of the stored vote', async () => {
+      const now = new Date();
+      await repositories.voteRepository.create({ id: 'v1', post: 'p1', user: 'u2', option: 0, created: now, updatedAt: now });
+      const second = await repositories.voteRepository.create({
+        id: 'v2', post: 'p1', user: 'u2', option: 1, created: now, updatedAt: now
+      });
+
+      expect(second).toMatchObject({ id: 'v1', option: 1 });
+      expect((await repositories.voteRepository.findByPosts(['p1'])).map(v => v.id)).toEqual(['v1']);
+    });
+
+    it('should count comments per post, ignoring deleted ones', async () => {
+      await repositories.commentRepository.create({
+        id: 'c99', post: 'p1', author: 'u1', content: 'Hi', created: new Date(), isDeleted: false
+      });
+      await repositories.commentRepository.create({
+        id: 'c100', post: 'p1', author: 'u2', content: 'Gone', created: new Date(), isDeleted: true
+      });
+
+      const counts = await repositories.commentRepository.countByPosts(['p1', 'p100']);
+      expect(counts.get('p1')).toBe(1);
+      expect(counts.get('p100')).toBe(3);
+      expect((await repositories.commentRepository.findByPost('p1')).map(c => c.id)).toEqual(['c99']);
+    });
+  });
+
+  describe('HTTP API on MongoDB', () => {
+    let userToken;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'jane.doe@example.com', password: 'password' });
+
+      userToken = response.body.data.token;
+    });
+
+    it('should store created posts in the posts collection', async () => {
+      const response = await request(app)
+        .post('/api/v1/posts')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ content: 'Stored in Mongo' })
+        .expect(201);
+
+      const { id } = response.body.data.post;
+      expect(db.collections.posts.documents.find(p => p._id === id).content).toBe('Stored in Mongo');
+
+      const fetched = await request(app)
+        .get(`/api/v1/posts/${id}`)
+        .expect(200);
+
+      expect(fetched.body.data.post.content).toBe('Stored in Mongo');
+    });
+
+    it('should follow, unfollow and follow again', async () => {
+      await request(app)
+        .post('/api/v1/follows/u4')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(201);
+
+      await request(app)
+        .delete('/api/v1/follows/u4')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/v1/follows/u4')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(201);
+
+      const stats = await request(app)
+        .get('/api/v1/follows/stats/u4')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(stats.body.data.followersCount).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Pagination Tests
+ *
+ * Tests for the shared pagination envelope, cursor (keyset) pagination and
+ * Link headers on GET /posts and the follows lists
+ */
+
+const request = require('supertest');
+const app = require('../server');
+
+describe('Pagination', () => {
+  let userToken;
+
+  beforeAll(async () => {
+    const response = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'jane.doe@example.com', password: 'password' });
+    userToken = response.body.data.token;
+  });
+
+  describe('GET /posts', () => {
+    it('should return the shared envelope with deprecated aliases in page mode', async () => {
+      const response = await request(app)
+        .get('/api/v1/posts?page=2&limit=5')
+        .expect(200);
+
+      const { pagination } = response.body.data;
+      expect(pagination).toMatchObject({
+        page: 2,
+        limit: 5,
+        hasPrevPage: true,
+        hasNextPage: true,
+        nextCursor: expect.any(String),
+        currentPage: 2,
+        postsPerPage: 5
+      });
+      expect(pagination.totalPages).toBe(Math.ceil(pagination.total / 5));
+      expect(pagination.totalPosts).toBe(pagination.total);
+    });
+
+    it('should page with cursors without skipping or repeating posts', async () => {
+      const all = await request(app).get('/api/v1/posts?limit=10').expect(200);
+      const first = await request(app).get('/api/v1/posts?limit=5').expect(200);
+
+      // A post created between requests must not shift the next page
+      await request(app)
+        .post('/api/v1/posts')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ content: 'Posted between pages' })
+        .expect(201);
+
+      const second = await request(app)
+        .get(`/api/v1/posts?limit=5&cursor=${first.body.data.pagination.nextCursor}`)
+        .expect(200);
+
+      const ids = [...first.body.data.posts, ...second.body.data.posts].map(p => p.id);
+      expect(ids).toEqual(all.body.data.posts.map(p => p.id));
+      expect(second.body.data.pagination.page).toBeNull();
+      expect(second.body.data.pagination.hasPrevPage).toBe(true);
+    });
+
+    it('should keep cursors consistent with the sort order and author filter', async () => {
+      const all = await request(app).get('/api/v1/posts?author=u3&sortOrder=asc&limit=50').expect(200);
+      const first = await request(app).get('/api/v1/posts?author=u3&sortOrder=asc&limit=3').expect(200);
+      const second = await request(app)
+        .get(`/api/v1/posts?author=u3&sortOrder=asc&limit=3&cursor=${first.body.data.pagination.nextCursor}`)
+        .expect(200);
+
+      const ids = [...first.body.data.posts, ...second.body.data.posts].map(p => p.id);
+      expect(ids).toEqual(all.body.data.posts.slice(0, 6).map(p => p.id));
+    });
+
+    it('should set a Link header with first, next, prev and last relations', async () => {
+      const response = await request(app)
+        .get('/api/v1/posts?page=2&limit=5')
+        .expect(200);
+
+      const link = response.headers.link;
+      expect(link).toMatch(/<[^>]*\/api\/v1\/posts\?limit=5>; rel="first"/);
+      expect(link).toContain(`cursor=${response.body.data.pagination.nextCursor}`);
+      expect(link).toContain('rel="next"');
+      expect(link).toMatch(/page=1[^>]*>; rel="prev"/);
+      expect(link).toMatch(new RegExp(`page=${response.body.data.pagination.totalPages}[^>]*>; rel="last"`));
+    });
+
+    it('should start cursor mode with an empty cursor and link back to it', async () => {
+      const first = await request(app).get('/api/v1/posts?cursor=&limit=5').expect(200);
+      expect(first.body.data.pagination).toMatchObject({ page: null, hasPrevPage: false, hasNextPage: true });
+
+      const second = await request(app)
+        .get(`/api/v1/posts?limit=5&cursor=${first.body.data.pagination.nextCursor}`)
+        .expect(200);
+      expect(second.headers.link).toMatch(/posts\?limit=5&cursor=>; rel="first"/);
+
+      const search = await request(app).get('/api/v1/search?q=learning&cursor=').expect(200);
+      expect(search.body.data.pagination.page).toBeNull();
+    });
+
+    it('should end with a null cursor and no next link', async () => {
+      const response = await request(app)
+        .get('/api/v1/posts?author=u3&limit=50')
+        .expect(200);
+
+      expect(response.body.data.pagination.hasNextPage).toBe(false);
+      expect(response.body.data.pagination.nextCursor).toBeNull();
+      expect(response.headers.link).not.toContain('rel="next"');
+    });
+
+    it('should return 400 for a malformed cursor', async () => {
+      const response = await request(app)
+        .get('/api/v1/posts?cursor=not-a-cursor')
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_CURSOR');
+    });
+  });
+
+  describe('GET /follows/followers/:userId and /follows/following/:userId', () => {
+    it('should keep the original order in page mode', async () => {
+      const first = await request(app)
+        .get('/api/v1/follows/followers/u1?page=1&limit=2')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      expect(first.body.data.followers.map(f => f.id)).toEqual(['f3', 'f4']);
+      expect(first.body.data.pagination).toMatchObject({ page: 1, hasNextPage: true, nextCursor: null });
+      expect(first.headers.link).toContain('page=2&limit=2>; rel="next"');
+
+      const second = await request(app)
+        .get('/api/v1/follows/followers/u1?page=2&limit=2')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      expect(second.body.data.followers.map(f => f.id)).toEqual(['f5']);
+      expect(second.body.data.pagination.hasNextPage).toBe(false);
+    });
+
+    it('should page followers with cursors, newest first', async () => {
+      const all = await request(app)
+        .get('/api/v1/follows/followers/u1?cursor=')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      const followers = all.body.data.followers;
+      expect(followers.length).toBeGreaterThan(1);
+
+      const times = followers.map(f => new Date(f.created).getTime());
+      expect([...times].sort((a, b) => b - a)).toEqual(times);
+
+      const first = await request(app)
+        .get('/api/v1/follows/followers/u1?cursor=&limit=1')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      expect(first.body.data.pagination).toMatchObject({ page: null, limit: 1, hasNextPage: true, hasPrevPage: false });
+      expect(first.body.data.pagination.pages).toBe(first.body.data.pagination.totalPages);
+
+      const second = await request(app)
+        .get(`/api/v1/follows/followers/u1?limit=1&cursor=${first.body.data.pagination.nextCursor}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      const ids = [...first.body.data.followers, ...second.body.data.followers].map(f => f.id);
+      expect(ids).toEqual(followers.slice(0, 2).map(f => f.id));
+      expect(second.headers.link).toMatch(/cursor=>; rel="first"/);
+    });
+
+    it('should page following with cursors', async () => {
+      const first = await request(app)
+        .get('/api/v1/follows/following/u1?cursor=&limit=1')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      const second = await request(app)
+        .get(`/api/v1/follows/following/u1?limit=1&cursor=${first.body.data.pagination.nextCursor}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(first.body.data.following).toHaveLength(1);
+      expect(second.body.data.following).toHaveLength(1);
+      expect(second.body.data.following[0].id).not.toBe(first.body.data.following[0].id);
+    });
+
+    it('should return 400 for a malformed cursor', async () => {
+      const response = await request(app)
+        .get('/api/v1/follows/following/u1?cursor=not-a-cursor')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_CURSOR');
+    });
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Poll Tests
+ *
+ * Tests for polls attached to posts with focus on:
+ * 1. Creating posts with polls and validating options and closing times
+ * 2. Voting once and changing the vote until the poll closes
+ * 3. Hiding tallies until the viewer votes or the poll closes
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const { login } = require('./helpers/api');
+const { getRepositories } = require('../repositories');
+const { summarizePoll } = require('../utils/polls');
+
+describe('Polls', () => {
+  let adminToken;
+  let userToken;
+  let user3Token;
+
+  const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+  const createPoll = async (options = ['Tea', 'Coffee', 'Water'], extra = {}) => {
+    const response = await request(app)
+      .post('/api/v1/posts')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ content: 'Which one?', poll: { options, closesAt: inOneHour() }, ...extra })
+      .expect(201);
+    return response.body.data.post;
+  };
+
+  const vote = (token, postId, option) =>
+    request(app)
+      .put(`/api/v1/posts/${postId}/poll/vote`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ option });
+
+  const getPoll = async (token, postId) => {
+    const req = request(app).get(`/api/v1/posts/${postId}`);
+    const response = await (token ? req.set('Authorization', `Bearer ${token}`) : req).expect(200);
+    return response.body.data.post.poll;
+  };
+
+  // Polls cannot be created already closed, so close them in storage
+  const closePoll = async (postId) => {
+    const { postRepository } = getRepositories();
+    const post = await postRepository.findById(postId);
+    await postRepository.update(postId, { poll: { ...post.poll, closesAt: new Date(Date.now() - 1000) } });
+  };
+
+  beforeAll(async () => {
+    adminToken = await login('john.doe@example.com');
+    userToken = await login('jane.doe@example.com');
+    user3Token = await login('jim.doe@example.com');
+  });
+
+  describe('1. Creating polls', () => {
+    it('should create a post with a poll', async () => {
+      const post = await createPoll(['Yes', 'No']);
+
+      expect(post.poll).toMatchObject({
+        options: [{ text: 'Yes', votes: null }, { text: 'No', votes: null }],
+        closed: false,
+        resultsVisible: false,
+        totalVotes: null,
+        viewerVote: null
+      });
+    });
+
+    it('should report posts without a poll as having none', async () => {
+      expect(await getPoll(null, 'p1')).toBeNull();
+    });
+
+    it('should reject polls with too few, too many or repeated options', async () => {
+      for (const options of [['Only'], ['A', 'B', 'C', 'D', 'E'], ['Same', 'Same']]) {
+        const response = await request(app)
+          .post('/api/v1/posts')
+          .set('Authorization', `Bearer ${userToken}`)
+          .send({ content: 'Bad poll', poll: { options, closesAt: inOneHour() } })
+          .expect(400);
+        expect(response.body.code).toBe('VALIDATION_ERROR');
+      }
+    });
+
+    it('should require a future closing time, after a scheduled post is published', async () => {
+      await request(app)
+        .post('/api/v1/posts')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ content: 'Too late', poll: { options: ['A', 'B'], closesAt: new Date(Date.now() - 1000).toISOString() } })
+        .expect(400);
+
+      await request(app)
+        .post('/api/v1/posts')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({
+          content: 'Closes before it opens',
+          publishAt: new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString(),
+          poll: { options: ['A', 'B'], closesAt: inOneHour() }
+        })
+        .expect(400);
+    });
+  });
+
+  describe('2. Voting', () => {
+    it('should record a vote and show the voter the tallies', async () => {
+      const post = await createPoll();
+
+      const response = await vote(adminToken, post.id, 1).expect(201);
+      expect(response.body.data.poll).toMatchObject({
+        options: [{ text: 'Tea', votes: 0 }, { text: 'Coffee', votes: 1 }, { text: 'Water', votes: 0 }],
+        totalVotes: 1,
+        viewerVote: 1,
+        resultsVisible: true
+      });
+    });
+
+    it('should let voters change their vote, keeping one vote each', async () => {
+      const post = await createPoll();
+      await vote(adminToken, post.id, 0).expect(201);
+      await vote(user3Token, post.id, 0).expect(201);
+
+      const response = await vote(adminToken, post.id, 2).expect(200);
+      expect(response.body.message).toBe('Vote changed successfully');
+      expect(response.body.data.poll.options.map(o => o.votes)).toEqual([1, 0, 1]);
+      expect(response.body.data.poll.totalVotes).toBe(2);
+    });
+
+    it('should reject votes for options the poll does not have', async () => {
+      const post = await createPoll(['Left', 'Right']);
+
+      const response = await vote(adminToken, post.id, 2).expect(400);
+      expect(response.body.code).toBe('INVALID_POLL_OPTION');
+      await vote(adminToken, post.id, -1).expect(400);
+      await vote(adminToken, post.id, 'left').expect(400);
+    });
+
+    it('should reject votes once the poll has closed', async () => {
+      const post = await createPoll();
+      await vote(adminToken, post.id, 0).expect(201);
+      await closePoll(post.id);
+
+      const response = await vote(adminToken, post.id, 1).expect(400);
+      expect(response.body.code).toBe('POLL_CLOSED');
+    });
+
+    it('should reject votes on posts without a poll, hidden posts and anonymous callers', async () => {
+      const none = await vote(adminToken, 'p1', 0).expect(404);
+      expect(none.body.code).toBe('POLL_NOT_FOUND');
+
+      const hidden = await createPoll(['A', 'B'], { visibility: 'private' });
+      const response = await vote(adminToken, hidden.id, 0).expect(404);
+      expect(response.body.code).toBe('POST_NOT_FOUND');
+
+      await request(app).put(`/api/v1/posts/${hidden.id}/poll/vote`).send({ option: 0 }).expect(401);
+    });
+  });
+
+  describe('3. Hidden results', () => {
+    it('should hide tallies from viewers who have not voted', async () => {
+      const post = await createPoll();
+      await vote(adminToken, post.id, 1).expect(201);
+
+      const unvoted = await getPoll(user3Token, post.id);
+      expect(unvoted.options.map(o => o.votes)).toEqual([null, null, null]);
+      expect(unvoted.totalVotes).toBeNull();
+
+      const voted = await getPoll(adminToken, post.id);
+      expect(voted.options.map(o => o.votes)).toEqual([0, 1, 0]);
+
+      const list = await request(app)
+        .get('/api/v1/posts?author=u2&limit=5')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(list.body.data.posts.find(p => p.id === post.id).poll.viewerVote).toBe(1);
+    });
+
+    it('should show everyone the tallies once the poll has closed', async () => {
+      const post = await createPoll();
+      await vote(adminToken, post.id, 0).expect(201);
+      await closePoll(post.id);
+
+      const poll = await getPoll(null, post.id);
+      expect(poll).toMatchObject({ closed: true, resultsVisible: true, totalVotes: 1, viewerVote: null });
+      expect(poll.options.map(o => o.votes)).toEqual([1, 0, 0]);
+    });
+
+    it('should summarize polls for one viewer', () => {
+      const poll = { options: ['A', 'B'], closesAt: new Date('2030-01-01') };
+      const votes = [{ user: 'u1', option: 0 }, { user: 'u2', option: 0 }, { user: 'u3', option: 1 }];
+      const before = new Date('2029-01-01');
+
+      expect(summarizePoll(poll, votes, 'u4', before).totalVotes).toBeNull();
+      expect(summarizePoll(poll, votes, 'u3', before)).toMatchObject({
+        options: [{ text: 'A', votes: 2 }, { text: 'B', votes: 1 }],
+        viewerVote: 1
+      });
+      expect(summarizePoll(poll, votes, null, new Date('2030-01-01')).closed).toBe(true);
+    });
+  });
+});
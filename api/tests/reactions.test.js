@@ -0,0 +1,169 @@
+/**
+ * Reactions Tests
+ *
+ * Tests for /posts/:id/reactions with focus on:
+ * 1. Adding and removing reactions
+ * 2. Aggregated counts and reactor listing
+ * 3. Viewer-aware reaction data and sortBy=reactions on posts
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const { login, createPost } = require('./helpers/api');
+
+describe('/posts/:id/reactions', () => {
+  let adminToken;
+  let userToken;
+  let user3Token;
+
+  const react = (token, postId, type) =>
+    request(app)
+      .post(`/api/v1/posts/${postId}/reactions/${type}`)
+      .set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    adminToken = await login('john.doe@example.com');
+    userToken = await login('jane.doe@example.com');
+    user3Token = await login('jim.doe@example.com');
+  });
+
+  describe('1. Adding and removing reactions', () => {
+    it('should add a reaction and return the updated counts', async () => {
+      const post = await createPost(userToken, 'React to me');
+
+      const response = await react(user3Token, post.id, 'like').expect(201);
+
+      expect(response.body.message).toBe('Reaction added successfully');
+      expect(response.body.data.reaction).toMatchObject({ post: post.id, user: 'u3', type: 'like' });
+      expect(response.body.data.reactions).toEqual({
+        reactionCount: 1,
+        reactionCounts: { like: 1 },
+        viewerReactions: ['like']
+      });
+    });
+
+    it('should allow several types per user but each type only once', async () => {
+      const post = await createPost(userToken, 'Mixed feelings');
+      await react(user3Token, post.id, 'like').expect(201);
+      await react(user3Token, post.id, 'wow').expect(201);
+
+      const duplicate = await react(user3Token, post.id, 'like').expect(400);
+      expect(duplicate.body.code).toBe('ALREADY_REACTED');
+    });
+
+    it('should remove a reaction and allow adding it again', async () => {
+      const post = await createPost(userToken, 'Changed my mind');
+      await react(user3Token, post.id, 'love').expect(201);
+
+      const removed = await request(app)
+        .delete(`/api/v1/posts/${post.id}/reactions/love`)
+        .set('Authorization', `Bearer ${user3Token}`)
+        .expect(200);
+      expect(removed.body.message).toBe('Reaction removed successfully');
+      expect(removed.body.data.reactions.reactionCount).toBe(0);
+
+      const missing = await request(app)
+        .delete(`/api/v1/posts/${post.id}/reactions/love`)
+        .set('Authorization', `Bearer ${user3Token}`)
+        .expect(404);
+      expect(missing.body.code).toBe('REACTION_NOT_FOUND');
+
+      await react(user3Token, post.id, 'love').expect(201);
+    });
+
+    it('should reject unknown types, missing posts and anonymous callers', async () => {
+      const unknown = await react(userToken, 'p1', 'meh').expect(400);
+      expect(unknown.body.code).toBe('VALIDATION_ERROR');
+
+      const missing = await react(userToken, 'nonexistent', 'like').expect(404);
+      expect(missing.body.code).toBe('POST_NOT_FOUND');
+
+      await request(app).post('/api/v1/posts/p1/reactions/like').expect(401);
+    });
+  });
+
+  describe('2. Counts and reactors', () => {
+    let post;
+
+    beforeAll(async () => {
+      post = await createPost(userToken, 'Popular post');
+      await react(adminToken, post.id, 'like');
+      await react(user3Token, post.id, 'like');
+      await react(user3Token, post.id, 'laugh');
+    });
+
+    it('should aggregate counts for anonymous and authenticated callers', async () => {
+      const anonymous = await request(app).get(`/api/v1/posts/${post.id}/reactions`).expect(200);
+      expect(anonymous.body.data.reactions).toEqual({
+        reactionCount: 3,
+        reactionCounts: { like: 2, laugh: 1 },
+        viewerReactions: []
+      });
+      expect(anonymous.body.data.emoji.like).toBe('👍');
+
+      const viewer = await request(app)
+        .get(`/api/v1/posts/${post.id}/reactions`)
+        .set('Authorization', `Bearer ${user3Token}`)
+        .expect(200);
+      expect(viewer.body.data.reactions.viewerReactions.sort()).toEqual(['laugh', 'like']);
+    });
+
+    it('should list who reacted, newest first, filtered by type', async () => {
+      const all = await request(app).get(`/api/v1/posts/${post.id}/reactions/users`).expect(200);
+      expect(all.body.data.reactions.map(r => r.type)).toEqual(['laugh', 'like', 'like']);
+      expect(all.body.data.reactions[0].user).toEqual({ id: 'u3', name: 'Jim Doe' });
+
+      const likes = await request(app).get(`/api/v1/posts/${post.id}/reactions/users?type=like&limit=1`).expect(200);
+      expect(likes.body.data.reactions).toHaveLength(1);
+      expect(likes.body.data.pagination).toMatchObject({ total: 2, hasNextPage: true });
+    });
+  });
+
+  describe('3. Reaction data on posts', () => {
+    it('should include counts and the viewer\'s reactions on GET /posts/:id', async () => {
+      const post = await createPost(userToken, 'Viewer aware');
+      await react(user3Token, post.id, 'sad');
+
+      const anonymous = await request(app).get(`/api/v1/posts/${post.id}`).expect(200);
+      expect(anonymous.body.data.post).toMatchObject({
+        reactionCount: 1,
+        reactionCounts: { sad: 1 },
+        viewerReactions: []
+      });
+
+      const viewer = await request(app)
+        .get(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${user3Token}`)
+        .expect(200);
+      expect(viewer.body.data.post.viewerReactions).toEqual(['sad']);
+    });
+
+    it('should include the viewer\'s reactions on GET /posts', async () => {
+      const response = await request(app)
+        .get('/api/v1/posts?author=u5&limit=50')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      // Seeded: u1 liked p100
+      const p100 = response.body.data.posts.find(p => p.id === 'p100');
+      expect(p100.viewerReactions).toEqual(['like']);
+      expect(p100.reactionCount).toBeGreaterThanOrEqual(2);
+    });
+
+    it('should order posts by reaction count', async () => {
+      const response = await request(app)
+        .get('/api/v1/posts?sortBy=reactions&limit=10')
+        .expect(200);
+
+      const counts = response.body.data.posts.map(p => p.reactionCount);
+      expect(counts[0]).toBeGreaterThan(0);
+      expect([...counts].sort((a, b) => b - a)).toEqual(counts);
+
+      const next = await request(app)
+        .get(`/api/v1/posts?sortBy=reactions&limit=10&cursor=${response.body.data.pagination.nextCursor}`)
+        .expect(200);
+      const ids = new Set(response.body.data.posts.map(p => p.id));
+      expect(next.body.data.posts.some(p => ids.has(p.id))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Repository Layer Tests
+ *
+ * Tests for the in-memory storage backend and the repository contract
+ */
+
+const { createMemoryRepositories } = require('../repositories/memory');
+const { assertRepositories } = require('../repositories/interfaces');
+const { getRepositories, setRepositories } = require('../repositories');
+
+describe('Repository Layer', () => {
+  let data;
+  let repositories;
+
+  beforeEach(() => {
+    data = {
+      users: [
+        { id: 'u1', name: 'Alice', email: 'alice@example.com', role: 'admin', isActive: true },
+        { id: 'u2', name: 'Bob', email: 'bob@example.com', role: 'user', isActive: true },
+        { id: 'u3', name: 'Gone', email: 'gone@example.com', role: 'user', isDeleted: true }
+      ],
+      posts: [
+        { id: 'p1', author: 'u1', content: 'First', created: new Date('2024-01-01'), isDeleted: false },
+        { id: 'p2', author: 'u2', content: 'Second', created: new Date('2024-01-02'), isDeleted: false },
+        { id: 'p3', author: 'u2', content: 'Deleted', created: new Date('2024-01-03'), isDeleted: true }
+      ],
+      follows: [
+        { id: 'f1', follower: 'u1', following: 'u2', created: new Date('2024-01-01'), isDeleted: false },
+        { id: 'f2', follower: 'u2', following: 'u1', created: new Date('2024-01-02'), isDeleted: true }
+      ],
+      comments: [
+        { id: 'c1', post: 'p1', author: 'u2', content: 'Nice', created: new Date('2024-01-02'), isDeleted: false },
+        { id: 'c2', post: 'p1', author: 'u1', content: 'Removed', created: new Date('2024-01-03'), isDeleted: true },
+        { id: 'c3', post: 'p2', author: 'u1', content: 'Agreed', created: new Date('2024-01-03'), isDeleted: false }
+      ]
+    };
+    repositories = createMemoryRepositories(data);
+  });
+
+  describe('PostRepository', () => {
+    it('should find non-deleted posts by id', async () => {
+      expect((await repositories.postRepository.findById('p1')).content).toBe('First');
+      expect(await repositories.postRepository.findById('p3')).toBeNull();
+      expect(await repositories.postRepository.findById('p3', { includeDeleted: true })).not.toBeNull();
+    });
+
+    it('should filter posts by author', async () => {
+      const posts = await repositories.postRepository.find({ author: 'u2' });
+
+      expect(posts.map(p => p.id)).toEqual(['p2']);
+    });
+
+    it('should persist changes only through update', async () => {
+      const post = await repositories.postRepository.findById('p1');
+      post.content = 'Mutated';
+
+      expect((await repositories.postRepository.findById('p1')).content).toBe('First');
+
+      const updated = await repositories.postRepository.update('p1', { content: 'Updated' });
+      expect(updated.content).toBe('Updated');
+      expect(data.posts[0].content).toBe('Updated');
+    });
+
+    it('should return null when updating a missing post', async () => {
+      expect(await repositories.postRepository.update('missing', { content: 'x' })).toBeNull();
+    });
+  });
+
+  describe('FollowRepository', () => {
+    it('should only return active relationships', async () => {
+      expect(await repositories.followRepository.findActive('u1', 'u2')).not.toBeNull();
+      expect(await repositories.followRepository.findActive('u2', 'u1')).toBeNull();
+      expect(await repositories.followRepository.findFollowers('u1')).toHaveLength(0);
+      expect(await repositories.followRepository.findFollowing('u1')).toHaveLength(1);
+    });
+
+    it('should count every relationship including unfollowed ones', async () => {
+      await repositories.followRepository.create({ id: 'f3', follower: 'u2', following: 'u1', isDeleted: false });
+
+      expect(await repositories.followRepository.count()).toBe(3);
+      expect(await repositories.followRepository.findFollowers('u1')).toHaveLength(1);
+    });
+  });
+
+  describe('CommentRepository', () => {
+    it('should list and count non-deleted comments per post', async () => {
+      expect((await repositories.commentRepository.findByPost('p1')).map(c => c.id)).toEqual(['c1']);
+      expect(await repositories.commentRepository.findById('c2')).toBeNull();
+      expect(await repositories.commentRepository.findById('c2', { includeDeleted: true })).not.toBeNull();
+
+      const counts = await repositories.commentRepository.countByPosts(['p1', 'p2', 'p3']);
+      expect(Object.fromEntries(counts)).toEqual({ p1: 1, p2: 1, p3: 0 });
+    });
+  });
+
+  describe('UserRepository', () => {
+    it('should never return deleted users', async () => {
+      expect(await repositories.userRepository.findById('u3')).toBeNull();
+      expect(await repositories.userRepository.findByIds(['u1', 'u3'])).toHaveLength(1);
+      expect((await repositories.userRepository.findByEmail('bob@example.com')).id).toBe('u2');
+      expect(await repositories.userRepository.find()).toHaveLength(2);
+    });
+  });
+
+  describe('Backend registry', () => {
+    it('should reject backends that do not implement the contract', () => {
+      expect(() => assertRepositories({ ...repositories, userRepository: {} }))
+        .toThrow('userRepository does not implement findById()');
+    });
+
+    it('should swap the active backend', () => {
+      const previous = getRepositories();
+
+      setRepositories(repositories);
+      expect(getRepositories()).toBe(repositories);
+
+      setRepositories(previous);
+    });
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Reposts Tests
+ *
+ * Tests for /posts/:id/repost with focus on:
+ * 1. Plain reposts, quote posts and undoing a repost
+ * 2. Attribution of the original in lists and feeds
+ * 3. Repost counts and deleted originals
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const { login, createPost } = require('./helpers/api');
+
+describe('/posts/:id/repost', () => {
+  let adminToken;
+  let userToken;
+  let user3Token;
+
+  const repost = (token, postId, body = {}) =>
+    request(app)
+      .post(`/api/v1/posts/${postId}/repost`)
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+
+  const undo = (token, postId) =>
+    request(app)
+      .delete(`/api/v1/posts/${postId}/repost`)
+      .set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    adminToken = await login('john.doe@example.com');
+    userToken = await login('jane.doe@example.com');
+    user3Token = await login('jim.doe@example.com');
+  });
+
+  describe('1. Reposting and quoting', () => {
+    it('should repost a post once and attribute the original', async () => {
+      const post = await createPost(userToken, 'Worth sharing');
+
+      const response = await repost(user3Token, post.id).expect(201);
+      expect(response.body.message).toBe('Post reposted successfully');
+      expect(response.body.data.post).toMatchObject({
+        author: 'u3',
+        content: '',
+        repostOf: post.id,
+        original: {
+          id: post.id,
+          author: 'u2',
+          authorName: 'Jane Doe',
+          content: 'Worth sharing',
+          isDeleted: false
+        }
+      });
+
+      const again = await repost(user3Token, post.id).expect(400);
+      expect(again.body.code).toBe('ALREADY_REPOSTED');
+    });
+
+    it('should not allow reposting your own post', async () => {
+      const post = await createPost(userToken, 'Mine');
+
+      const response = await repost(userToken, post.id).expect(400);
+      expect(response.body.code).toBe('CANNOT_REPOST_OWN_POST');
+    });
+
+    it('should create quote posts with commentary, including of your own post', async () => {
+      const post = await createPost(userToken, 'Original thought');
+
+      const response = await repost(userToken, post.id, { content: '  Still stand by this  ' }).expect(201);
+      expect(response.body.message).toBe('Quote post created successfully');
+      expect(response.body.data.post).toMatchObject({
+        author: 'u2',
+        content: 'Still stand by this',
+        repostOf: post.id,
+        original: { id: post.id, content: 'Original thought' }
+      });
+    });
+
+    it('should reshare the original when reposting a plain repost', async () => {
+      const post = await createPost(userToken, 'Pass it on');
+      const first = (await repost(user3Token, post.id).expect(201)).body.data.post;
+
+      const response = await repost(adminToken, first.id).expect(201);
+      expect(response.body.data.post.repostOf).toBe(post.id);
+    });
+
+    it('should not turn a plain repost into a quote by editing it', async () => {
+      const post = await createPost(userToken, 'Share as is');
+      const shared = (await repost(user3Token, post.id).expect(201)).body.data.post;
+
+      for (const method of ['patch', 'put']) {
+        const response = await request(app)[method](`/api/v1/posts/${shared.id}`)
+          .set('Authorization', `Bearer ${user3Token}`)
+          .send({ content: 'Now with commentary' })
+          .expect(400);
+        expect(response.body.code).toBe('REPOST_NOT_EDITABLE');
+      }
+
+      const original = await request(app).get(`/api/v1/posts/${post.id}`).expect(200);
+      expect(original.body.data.post).toMatchObject({ repostCount: 1, quoteCount: 0 });
+    });
+
+    it('should undo a plain repost', async () => {
+      const post = await createPost(userToken, 'Changed my mind');
+      await repost(user3Token, post.id).expect(201);
+
+      const response = await undo(user3Token, post.id).expect(200);
+      expect(response.body.message).toBe('Repost removed successfully');
+      expect(response.body.data.removed.repostOf).toBe(post.id);
+
+      const again = await undo(user3Token, post.id).expect(404);
+      expect(again.body.code).toBe('REPOST_NOT_FOUND');
+
+      await repost(user3Token, post.id).expect(201);
+    });
+
+    it('should return 404 for missing posts and require authentication', async () => {
+      const missing = await repost(user3Token, 'nonexistent').expect(404);
+      expect(missing.body.code).toBe('POST_NOT_FOUND');
+
+      const anonymous = await request(app).post('/api/v1/posts/p1/repost').expect(401);
+      expect(anonymous.body.code).toBe('AUTH_HEADER_ERROR');
+    });
+  });
+
+  describe('2. Attribution in lists and feeds', () => {
+    it('should embed the original in GET /posts and GET /posts/:id', async () => {
+      const post = await createPost(userToken, 'Listed original');
+      const shared = (await repost(user3Token, post.id).expect(201)).body.data.post;
+
+      const list = await request(app).get('/api/v1/posts?author=u3&limit=5').expect(200);
+      const item = list.body.data.posts.find(p => p.id === shared.id);
+      expect(item.original).toMatchObject({ id: post.id, authorName: 'Jane Doe' });
+
+      const fetched = await request(app).get(`/api/v1/posts/${shared.id}`).expect(200);
+      expect(fetched.body.data.post.original.content).toBe('Listed original');
+
+      const plain = await request(app).get(`/api/v1/posts/${post.id}`).expect(200);
+      expect(plain.body.data.post).toMatchObject({ repostOf: null, original: null });
+    });
+
+    it('should show reposts by followed users in the feed', async () => {
+      const post = await createPost(userToken, 'Feed original');
+      const shared = (await repost(user3Token, post.id).expect(201)).body.data.post;
+
+      const feed = await request(app)
+        .get('/api/v1/posts/feed')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      const item = feed.body.data.posts.find(p => p.id === shared.id);
+      expect(item.original).toMatchObject({ id: post.id, author: 'u2' });
+    });
+  });
+
+  describe('3. Counts and deleted originals', () => {
+    it('should count reposts and quotes and flag the viewer\'s repost', async () => {
+      const post = await createPost(userToken, 'Count me');
+      await repost(user3Token, post.id).expect(201);
+      await repost(adminToken, post.id).expect(201);
+      await repost(adminToken, post.id, { content: 'Quoting this' }).expect(201);
+
+      const response = await request(app)
+        .get(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${user3Token}`)
+        .expect(200);
+      expect(response.body.data.post).toMatchObject({
+        repostCount: 2,
+        quoteCount: 1,
+        viewerReposted: true
+      });
+
+      const anonymous = await request(app).get(`/api/v1/posts/${post.id}`).expect(200);
+      expect(anonymous.body.data.post.viewerReposted).toBe(false);
+    });
+
+    it('should remove plain reposts and keep quotes with a tombstone when the original is deleted', async () => {
+      const post = await createPost(userToken, 'Here today');
+      const shared = (await repost(user3Token, post.id).expect(201)).body.data.post;
+      const quote = (await repost(user3Token, post.id, { content: 'Gone tomorrow' }).expect(201)).body.data.post;
+
+      await request(app)
+        .delete(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      await request(app).get(`/api/v1/posts/${shared.id}`).expect(404);
+
+      const response = await request(app).get(`/api/v1/posts/${quote.id}`).expect(200);
+      expect(response.body.data.post.content).toBe('Gone tomorrow');
+      expect(response.body.data.post.original).toEqual({
+        id: post.id,
+        isDeleted: true,
+        author: null,
+        authorName: null,
+        content: null,
+        created: null
+      });
+
+      const missing = await repost(adminToken, post.id).expect(404);
+      expect(missing.body.code).toBe('POST_NOT_FOUND');
+    });
+  });
+});
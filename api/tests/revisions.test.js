@@ -0,0 +1,178 @@
+/**
+ * Revision History Tests
+ *
+ * Tests for post revisions with focus on:
+ * 1. Recording edits with editor and time, and the "edited" marker
+ * 2. Listing revisions with word diffs
+ * 3. Admin restore of an earlier revision
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const { login, createPost } = require('./helpers/api');
+const { diffWords } = require('../utils/diff');
+
+describe('Post revisions', () => {
+  let adminToken;
+  let userToken;
+  let user3Token;
+
+  const edit = (token, postId, content) =>
+    request(app)
+      .patch(`/api/v1/posts/${postId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ content });
+
+  const revisions = async (postId, token) => {
+    const req = request(app).get(`/api/v1/posts/${postId}/revisions`);
+    const response = await (token ? req.set('Authorization', `Bearer ${token}`) : req).expect(200);
+    return response.body.data.revisions;
+  };
+
+  const restore = (token, postId, revision) =>
+    request(app)
+      .post(`/api/v1/posts/${postId}/revisions/${revision}/restore`)
+      .set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    adminToken = await login('john.doe@example.com');
+    userToken = await login('jane.doe@example.com');
+    user3Token = await login('jim.doe@example.com');
+  });
+
+  describe('1. Recording edits', () => {
+    it('should mark edited posts and keep unedited ones unmarked', async () => {
+      const post = await createPost(userToken, 'First take');
+      expect(post).toMatchObject({ edited: false, editedAt: null });
+
+      const response = await edit(userToken, post.id, 'Second take').expect(200);
+      expect(response.body.data.post.edited).toBe(true);
+      expect(response.body.data.post.editedAt).toBe(response.body.data.post.updatedAt);
+
+      const fetched = await request(app).get(`/api/v1/posts/${post.id}`).expect(200);
+      expect(fetched.body.data.post.edited).toBe(true);
+    });
+
+    it('should keep every version with its editor and time', async () => {
+      const post = await createPost(userToken, 'Version one');
+      await edit(userToken, post.id, 'Version two').expect(200);
+      await edit(adminToken, post.id, 'Version three').expect(200);
+
+      const list = await revisions(post.id);
+      expect(list.map(r => [r.revision, r.content, r.editor])).toEqual([
+        [1, 'Version one', 'u2'],
+        [2, 'Version two', 'u2'],
+        [3, 'Version three', 'u1']
+      ]);
+      expect(list[0].created).toBe(post.created);
+      expect(list[2].editorName).toBe('John Doe');
+    });
+
+    it('should not record changes that leave the content as it was', async () => {
+      const post = await createPost(userToken, 'Same words');
+
+      const response = await edit(userToken, post.id, 'Same words').expect(200);
+      expect(response.body.data.post.edited).toBe(false);
+      expect(await revisions(post.id)).toHaveLength(1);
+    });
+
+    it('should not keep history for drafts before they are published', async () => {
+      const draft = await createPost(userToken, 'Rough', { draft: true });
+      await edit(userToken, draft.id, 'Polished').expect(200);
+
+      await request(app)
+        .post(`/api/v1/posts/${draft.id}/publish`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      const list = await revisions(draft.id);
+      expect(list.map(r => r.content)).toEqual(['Polished']);
+    });
+  });
+
+  describe('2. Listing and diffs', () => {
+    it('should diff words, keeping whitespace', () => {
+      const parts = diffWords('the quick brown fox', 'the slow brown  fox jumps');
+
+      expect(parts).toEqual([
+        { type: 'equal', text: 'the ' },
+        { type: 'delete', text: 'quick' },
+        { type: 'insert', text: 'slow' },
+        { type: 'equal', text: ' brown' },
+        { type: 'delete', text: ' ' },
+        { type: 'insert', text: '  ' },
+        { type: 'equal', text: 'fox' },
+        { type: 'insert', text: ' jumps' }
+      ]);
+      const rebuild = (types) => parts.filter(p => types.includes(p.type)).map(p => p.text).join('');
+      expect(rebuild(['equal', 'delete'])).toBe('the quick brown fox');
+      expect(rebuild(['equal', 'insert'])).toBe('the slow brown  fox jumps');
+    });
+
+    it('should include a diff from the previous revision', async () => {
+      const post = await createPost(userToken, 'Meet at noon');
+      await edit(userToken, post.id, 'Meet at one').expect(200);
+
+      const [first, second] = await revisions(post.id);
+      expect(first.diff).toBeNull();
+      expect(second.diff).toEqual([
+        { type: 'equal', text: 'Meet at ' },
+        { type: 'delete', text: 'noon' },
+        { type: 'insert', text: 'one' }
+      ]);
+    });
+
+    it('should list the original for unedited posts', async () => {
+      const list = await revisions('p1');
+      expect(list).toHaveLength(1);
+      expect(list[0]).toMatchObject({ revision: 1, editor: 'u2', diff: null });
+    });
+
+    it('should hide revisions of posts the caller may not see', async () => {
+      const post = await createPost(userToken, 'Private thoughts', { visibility: 'private' });
+
+      await request(app).get(`/api/v1/posts/${post.id}/revisions`).expect(404);
+      await revisions(post.id, userToken);
+    });
+  });
+
+  describe('3. Restoring', () => {
+    it('should let admins restore an earlier revision as a new one', async () => {
+      const post = await createPost(userToken, 'Original #kept');
+      await edit(userToken, post.id, 'Vandalised').expect(200);
+
+      const response = await restore(adminToken, post.id, 1).expect(200);
+      expect(response.body.data.revision).toBe(3);
+      expect(response.body.data.post).toMatchObject({ content: 'Original #kept', edited: true });
+      expect(response.body.data.post.entities.hashtags.map(h => h.tag)).toEqual(['kept']);
+
+      const list = await revisions(post.id);
+      expect(list.map(r => [r.content, r.editor])).toEqual([
+        ['Original #kept', 'u2'],
+        ['Vandalised', 'u2'],
+        ['Original #kept', 'u1']
+      ]);
+    });
+
+    it('should only let admins restore', async () => {
+      const post = await createPost(userToken, 'Mine');
+      await edit(userToken, post.id, 'Still mine').expect(200);
+
+      const response = await restore(userToken, post.id, 1).expect(403);
+      expect(response.body.code).toBe('INSUFFICIENT_PERMISSIONS');
+      await restore(user3Token, post.id, 1).expect(403);
+    });
+
+    it('should reject unknown and current revisions', async () => {
+      const post = await createPost(userToken, 'Only version');
+
+      const missing = await restore(adminToken, post.id, 5).expect(404);
+      expect(missing.body.code).toBe('REVISION_NOT_FOUND');
+
+      const current = await restore(adminToken, post.id, 1).expect(400);
+      expect(current.body.code).toBe('REVISION_IS_CURRENT');
+
+      await restore(adminToken, post.id, 0).expect(400);
+    });
+  });
+});
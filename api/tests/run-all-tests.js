@@ -13,7 +13,31 @@ const testFiles = [
   'auth-comprehensive.test.js',
   'posts-comprehensive.test.js',
   'follows-comprehensive.test.js',
-  'delete-posts.test.js'
+  'delete-posts.test.js',
+  'repositories.test.js',
+  'mongo-repositories.test.js',
+  'file-repositories.test.js',
+  'update-posts.test.js',
+  'feed.test.js',
+  'timeline.test.js',
+  'pagination.test.js',
+  'id.test.js',
+  'comments.test.js',
+  'reactions.test.js',
+  'threads.test.js',
+  'reposts.test.js',
+  'entities.test.js',
+  'search.test.js',
+  'media.test.js',
+  'scheduled.test.js',
+  'drafts.test.js',
+  'visibility.test.js',
+  'revisions.test.js',
+  'bookmarks.test.js',
+  'polls.test.js',
+  'moderation.test.js',
+  'content-policy.test.js',
+  'duplicates.test.js'
 ];
 
 let totalTests = 0;
@@ -0,0 +1,255 @@
+/**
+ * Scheduled Posts Tests
+ *
+ * Tests for posts created with `publishAt`, with focus on:
+ * 1. Hiding scheduled posts from everyone but their author
+ * 2. Listing, editing and cancelling scheduled posts
+ * 3. Publishing on time and catching up after a restart
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const { login } = require('./helpers/api');
+const { getRepositories } = require('../repositories');
+const { createPostScheduler, postScheduler } = require('../services/scheduler.service');
+
+describe('Scheduled posts', () => {
+  let adminToken;
+  let userToken;
+  let user3Token;
+
+  const HOUR_MS = 3600000;
+  const inHours = (hours) => new Date(Date.now() + hours * HOUR_MS).toISOString();
+
+  const schedule = async (token, content, publishAt) => {
+    const response = await request(app)
+      .post('/api/v1/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ content, publishAt })
+      .expect(201);
+    return response.body.data.post;
+  };
+
+  const listScheduled = (token, query = '') =>
+    request(app)
+      .get(`/api/v1/posts/scheduled${query}`)
+      .set('Authorization', `Bearer ${token}`);
+
+  // Publish everything scheduled so far, as if the clock had moved on
+  const publishAll = () => postScheduler.publishDue(new Date(Date.now() + 1000 * HOUR_MS));
+
+  beforeAll(async () => {
+    adminToken = await login('john.doe@example.com');
+    userToken = await login('jane.doe@example.com');
+    user3Token = await login('jim.doe@example.com');
+  });
+
+  describe('1. Visibility before publishing', () => {
+    it('should schedule a post and show it only to its author', async () => {
+      const publishAt = inHours(2);
+      const post = await schedule(userToken, 'See you tomorrow', publishAt);
+      expect(post).toMatchObject({ status: 'scheduled', publishAt });
+
+      const own = await request(app)
+        .get(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      expect(own.body.data.post).toMatchObject({ id: post.id, status: 'scheduled' });
+
+      const other = await request(app)
+        .get(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${user3Token}`)
+        .expect(404);
+      expect(other.body.code).toBe('POST_NOT_FOUND');
+      await request(app).get(`/api/v1/posts/${post.id}`).expect(404);
+    });
+
+    it('should leave scheduled posts out of lists and feeds', async () => {
+      const post = await schedule(userToken, 'Not yet', inHours(1));
+
+      const list = await request(app).get('/api/v1/posts?author=u2&limit=50').expect(200);
+      expect(list.body.data.posts.some(p => p.id === post.id)).toBe(false);
+
+      const feed = await request(app)
+        .get('/api/v1/posts/feed?limit=50')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(feed.body.data.posts.some(p => p.id === post.id)).toBe(false);
+    });
+
+    it('should not let others edit, delete or repost a scheduled post', async () => {
+      const post = await schedule(userToken, 'Hands off', inHours(1));
+
+      await request(app)
+        .patch(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${user3Token}`)
+        .send({ content: 'Mine now' })
+        .expect(404);
+      await request(app)
+        .delete(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+      await request(app)
+        .post(`/api/v1/posts/${post.id}/repost`)
+        .set('Authorization', `Bearer ${user3Token}`)
+        .expect(404);
+    });
+
+    it('should reject publish times in the past', async () => {
+      const response = await request(app)
+        .post('/api/v1/posts')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ content: 'Too late', publishAt: inHours(-1) })
+        .expect(400);
+
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('2. Managing scheduled posts', () => {
+    it('should list the author\'s scheduled posts, soonest first', async () => {
+      const later = await schedule(user3Token, 'Later', inHours(5));
+      const sooner = await schedule(user3Token, 'Sooner', inHours(3));
+
+      const response = await listScheduled(user3Token).expect(200);
+      expect(response.body.data.posts.map(p => p.id)).toEqual([sooner.id, later.id]);
+
+      const first = await listScheduled(user3Token, '?limit=1').expect(200);
+      const second = await listScheduled(user3Token, `?limit=1&cursor=${first.body.data.pagination.nextCursor}`)
+        .expect(200);
+      expect(second.body.data.posts.map(p => p.id)).toEqual([later.id]);
+
+      const others = await listScheduled(adminToken).expect(200);
+      expect(others.body.data.posts.some(p => p.author === 'u3')).toBe(false);
+
+      await request(app).get('/api/v1/posts/scheduled').expect(401);
+    });
+
+    it('should edit and reschedule a scheduled post', async () => {
+      const post = await schedule(userToken, 'Draft wording', inHours(4));
+      const publishAt = inHours(6);
+
+      const response = await request(app)
+        .patch(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ content: 'Final wording', publishAt })
+        .expect(200);
+
+      expect(response.body.data.post).toMatchObject({
+        content: 'Final wording',
+        status: 'scheduled',
+        publishAt
+      });
+    });
+
+    it('should cancel a scheduled post', async () => {
+      const post = await schedule(userToken, 'Never mind', inHours(2));
+
+      await request(app)
+        .delete(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      const response = await listScheduled(userToken).expect(200);
+      expect(response.body.data.posts.some(p => p.id === post.id)).toBe(false);
+      expect((await publishAll()).some(p => p.id === post.id)).toBe(false);
+    });
+
+    it('should not reschedule a published post', async () => {
+      const response = await request(app)
+        .patch('/api/v1/posts/p1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ publishAt: inHours(1) })
+        .expect(400);
+
+      expect(response.body.code).toBe('POST_ALREADY_PUBLISHED');
+    });
+  });
+
+  describe('3. Publishing', () => {
+    it('should publish only posts that are due', async () => {
+      const due = await schedule(userToken, 'Due soon', inHours(1));
+      const notDue = await schedule(userToken, 'Due much later', inHours(48));
+
+      const published = await postScheduler.publishDue(new Date(Date.now() + 2 * HOUR_MS));
+      const ids = published.map(p => p.id);
+      expect(ids).toContain(due.id);
+      expect(ids).not.toContain(notDue.id);
+
+      const response = await request(app).get(`/api/v1/posts/${due.id}`).expect(200);
+      expect(response.body.data.post).toMatchObject({ status: 'published', created: due.publishAt });
+      await request(app).get(`/api/v1/posts/${notDue.id}`).expect(404);
+    });
+
+    it('should catch up on every missed post and add them to feeds and search', async () => {
+      const post = await schedule(userToken, 'Overdue wombat announcement', inHours(1));
+
+      // Build the follower's timeline first, so publishing has to update it
+      await request(app)
+        .get('/api/v1/posts/feed')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await publishAll();
+
+      const feed = await request(app)
+        .get('/api/v1/posts/feed?limit=50')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(feed.body.data.posts.some(p => p.id === post.id)).toBe(true);
+
+      const search = await request(app).get('/api/v1/search?q=wombat').expect(200);
+      expect(search.body.data.posts.map(p => p.id)).toEqual([post.id]);
+
+      const scheduled = await listScheduled(userToken).expect(200);
+      expect(scheduled.body.data.posts).toEqual([]);
+    });
+
+    it('should retry after a failed run', async () => {
+      const post = await schedule(userToken, 'Second time lucky', inHours(1));
+      const scheduler = createPostScheduler({ now: () => new Date(Date.now() + 2 * HOUR_MS), retryDelayMs: 20 });
+      const find = jest.spyOn(getRepositories().postRepository, 'find')
+        .mockRejectedValueOnce(new Error('Store unavailable'));
+
+      try {
+        await scheduler.start();
+        await request(app).get(`/api/v1/posts/${post.id}`).expect(404);
+
+        await new Promise(resolve => setTimeout(resolve, 250));
+        await request(app).get(`/api/v1/posts/${post.id}`).expect(200);
+      } finally {
+        scheduler.stop();
+        find.mockRestore();
+      }
+    });
+
+    it('should keep one timer when reschedules overlap', async () => {
+      await schedule(userToken, 'Next week', inHours(7 * 24));
+      const scheduler = createPostScheduler();
+
+      // Track the scheduler's timers, the only ones set hours ahead
+      const armed = new Set();
+      const { setTimeout: setTimer, clearTimeout: clearTimer } = global;
+      jest.spyOn(global, 'setTimeout').mockImplementation((callback, delay, ...args) => {
+        const timer = setTimer(callback, delay, ...args);
+        if (delay > HOUR_MS) {
+          armed.add(timer);
+        }
+        return timer;
+      });
+      jest.spyOn(global, 'clearTimeout').mockImplementation((timer) => {
+        armed.delete(timer);
+        clearTimer(timer);
+      });
+
+      try {
+        await scheduler.start();
+        await Promise.all([scheduler.reschedule(), scheduler.reschedule()]);
+        expect(armed.size).toBe(1);
+      } finally {
+        scheduler.stop();
+      }
+      expect(armed.size).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Search Tests
+ *
+ * Tests for GET /search with focus on:
+ * 1. Word, prefix and phrase matching with highlighted snippets
+ * 2. Keeping the index current on create, edit and delete
+ * 3. Ranking, user search and pagination
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const { login, createPost } = require('./helpers/api');
+const { parseQuery, highlight } = require('../utils/search');
+
+describe('GET /search', () => {
+  let userToken;
+  let user3Token;
+
+  const search = (query) => request(app).get(`/api/v1/search?q=${encodeURIComponent(query)}`);
+
+  beforeAll(async () => {
+    userToken = await login('jane.doe@example.com');
+    user3Token = await login('jim.doe@example.com');
+  });
+
+  describe('1. Matching and snippets', () => {
+    it('should find posts by word, case- and accent-insensitively, with highlights', async () => {
+      const post = await createPost(userToken, 'Tried the Zéphyrine café today');
+
+      const response = await search('ZEPHYRINE').expect(200);
+      const [result] = response.body.data.posts;
+
+      expect(result).toMatchObject({ id: post.id, author: 'u2', authorName: 'Jane Doe' });
+      expect(result.snippet).toBe('Tried the Zéphyrine café today');
+      expect(result.highlights).toEqual([{ start: 10, end: 19 }]);
+      expect(result.relevance).toBeGreaterThan(0);
+    });
+
+    it('should match prefixes and require every word', async () => {
+      const post = await createPost(userToken, 'Marmalade sandwiches for everyone');
+
+      const prefix = await search('marmal sandw').expect(200);
+      expect(prefix.body.data.posts.map(p => p.id)).toEqual([post.id]);
+
+      const missing = await search('marmalade pancakes').expect(200);
+      expect(missing.body.data.posts).toEqual([]);
+    });
+
+    it('should match quoted phrases word for word', async () => {
+      const phrase = await createPost(userToken, 'Notes on the quantum lattice model');
+      await createPost(userToken, 'A lattice of quantum dots');
+
+      const response = await search('"quantum lattice"').expect(200);
+
+      expect(response.body.data.posts.map(p => p.id)).toEqual([phrase.id]);
+      expect(response.body.data.posts[0].highlights).toEqual([
+        { start: 13, end: 20 },
+        { start: 21, end: 28 }
+      ]);
+    });
+
+    it('should cut long content to a snippet around the first match', () => {
+      const text = `${'filler '.repeat(40)}the needle is here ${'filler '.repeat(40)}`;
+      const { snippet, highlights } = highlight(text, parseQuery('needle'), { length: 60 });
+
+      expect(snippet.startsWith('…')).toBe(true);
+      expect(snippet.endsWith('…')).toBe(true);
+      expect(snippet.length).toBeLessThanOrEqual(62);
+      expect(snippet.slice(highlights[0].start, highlights[0].end)).toBe('needle');
+    });
+  });
+
+  describe('2. Keeping the index current', () => {
+    it('should re-index edited posts', async () => {
+      const post = await createPost(userToken, 'Thinking about pelicans');
+      await search('pelicans').expect(200);
+
+      await request(app)
+        .patch(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ content: 'Thinking about flamingos' })
+        .expect(200);
+
+      const before = await search('pelicans').expect(200);
+      expect(before.body.data.posts.some(p => p.id === post.id)).toBe(false);
+
+      const after = await search('flamingos').expect(200);
+      expect(after.body.data.posts.map(p => p.id)).toEqual([post.id]);
+    });
+
+    it('should never return deleted posts', async () => {
+      const post = await createPost(userToken, 'Ephemeral axolotl sighting');
+      await search('axolotl').expect(200);
+
+      await request(app)
+        .delete(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      const response = await search('axolotl').expect(200);
+      expect(response.body.data.posts).toEqual([]);
+      expect(response.body.data.pagination.total).toBe(0);
+    });
+  });
+
+  describe('3. Ranking, users and pagination', () => {
+    it('should rank by relevance, then recency', async () => {
+      const once = await createPost(userToken, 'One mention of kumquat');
+      const twice = await createPost(userToken, 'Kumquat kumquat everywhere');
+      const newer = await createPost(user3Token, 'One mention of kumquat');
+
+      const response = await search('kumquat').expect(200);
+
+      expect(response.body.data.posts.map(p => p.id)).toEqual([twice.id, newer.id, once.id]);
+    });
+
+    it('should search user names', async () => {
+      const response = await request(app).get('/api/v1/search?q=jan&type=users').expect(200);
+
+      expect(response.body.data.users).toEqual([
+        expect.objectContaining({
+          id: 'u2',
+          name: 'Jane Doe',
+          snippet: 'Jane Doe',
+          highlights: [{ start: 0, end: 4 }]
+        })
+      ]);
+    });
+
+    it('should page results with cursors', async () => {
+      for (const n of [1, 2, 3]) {
+        await createPost(userToken, `Capybara fact ${n}`);
+      }
+
+      const all = await request(app).get('/api/v1/search?q=capybara').expect(200);
+      const first = await request(app).get('/api/v1/search?q=capybara&limit=2').expect(200);
+      expect(first.body.data.pagination).toMatchObject({ total: 3, hasNextPage: true });
+
+      const second = await request(app)
+        .get(`/api/v1/search?q=capybara&limit=2&cursor=${first.body.data.pagination.nextCursor}`)
+        .expect(200);
+
+      const ids = [...first.body.data.posts, ...second.body.data.posts].map(p => p.id);
+      expect(ids).toEqual(all.body.data.posts.map(p => p.id));
+    });
+
+    it('should reject empty and punctuation-only queries', async () => {
+      const missing = await request(app).get('/api/v1/search').expect(400);
+      expect(missing.body.code).toBe('VALIDATION_ERROR');
+
+      const punctuation = await search('?!').expect(400);
+      expect(punctuation.body.code).toBe('INVALID_SEARCH_QUERY');
+    });
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Threaded Replies Tests
+ *
+ * Tests for replyTo on POST /posts, reply counts and
+ * GET /posts/:id/conversation with focus on:
+ * 1. Creating replies
+ * 2. Conversation trees and depth limits
+ * 3. Tombstones for deleted parents
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const { login, createPost } = require('./helpers/api');
+
+describe('Threaded replies', () => {
+  let userToken;
+  let user3Token;
+
+  const getConversation = (id, query = '') =>
+    request(app).get(`/api/v1/posts/${id}/conversation${query}`);
+
+  beforeAll(async () => {
+    userToken = await login('jane.doe@example.com');
+    user3Token = await login('jim.doe@example.com');
+  });
+
+  describe('1. Creating replies', () => {
+    it('should create a reply and count it on the parent', async () => {
+      const parent = await createPost(userToken, 'Start of a thread');
+      const reply = await createPost(user3Token, 'A reply', { replyTo: parent.id });
+
+      expect(reply.replyTo).toBe(parent.id);
+      expect(parent.replyTo).toBeNull();
+
+      const fetched = await request(app).get(`/api/v1/posts/${parent.id}`).expect(200);
+      expect(fetched.body.data.post.replyCount).toBe(1);
+
+      const replyFetched = await request(app).get(`/api/v1/posts/${reply.id}`).expect(200);
+      expect(replyFetched.body.data.post.replyTo).toBe(parent.id);
+    });
+
+    it('should return 404 when replying to a missing or deleted post', async () => {
+      const missing = await request(app)
+        .post('/api/v1/posts')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ content: 'Into the void', replyTo: 'nonexistent' })
+        .expect(404);
+      expect(missing.body.code).toBe('REPLY_PARENT_NOT_FOUND');
+
+      const parent = await createPost(userToken, 'Gone soon');
+      await request(app)
+        .delete(`/api/v1/posts/${parent.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/v1/posts')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ content: 'Too late', replyTo: parent.id })
+        .expect(404);
+    });
+
+    it('should not move a post to another thread on PUT', async () => {
+      const post = await createPost(userToken, 'Stay put');
+
+      await request(app)
+        .put(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ content: 'Edited', replyTo: 'p1' })
+        .expect(200);
+
+      const fetched = await request(app).get(`/api/v1/posts/${post.id}`).expect(200);
+      expect(fetched.body.data.post.replyTo).toBeNull();
+    });
+  });
+
+  describe('2. Conversation trees', () => {
+    let root;
+    let a;
+    let a1;
+    let a1x;
+
+    beforeAll(async () => {
+      root = await createPost(userToken, 'Root');
+      a = await createPost(user3Token, 'A', { replyTo: root.id });
+      await createPost(userToken, 'B', { replyTo: root.id });
+      a1 = await createPost(userToken, 'A1', { replyTo: a.id });
+      a1x = await createPost(user3Token, 'A1x', { replyTo: a1.id });
+    });
+
+    it('should return the nested tree, oldest replies first', async () => {
+      const response = await getConversation(root.id).expect(200);
+      const { post, ancestors, conversationId } = response.body.data;
+
+      expect(conversationId).toBe(root.id);
+      expect(ancestors).toEqual([]);
+      expect(post.replyCount).toBe(2);
+      expect(post.replies.map(r => r.content)).toEqual(['A', 'B']);
+      expect(post.replies[0].authorName).toBe('Jim Doe');
+      expect(post.replies[0].replies[0].replies[0].id).toBe(a1x.id);
+    });
+
+    it('should stop at the depth limit and flag truncated nodes', async () => {
+      const response = await getConversation(root.id, '?depth=1').expect(200);
+      const [first, second] = response.body.data.post.replies;
+
+      expect(first.replies).toEqual([]);
+      expect(first.hasMoreReplies).toBe(true);
+      expect(first.replyCount).toBe(1);
+      expect(second.hasMoreReplies).toBe(false);
+    });
+
+    it('should include ancestors when starting from a nested reply', async () => {
+      const response = await getConversation(a1.id).expect(200);
+
+      expect(response.body.data.conversationId).toBe(root.id);
+      expect(response.body.data.ancestors.map(p => p.id)).toEqual([root.id, a.id]);
+      expect(response.body.data.post.replies.map(r => r.id)).toEqual([a1x.id]);
+    });
+
+    it('should reject a depth above 10', async () => {
+      const response = await getConversation(root.id, '?depth=11').expect(400);
+
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('3. Tombstones', () => {
+    it('should keep a deleted parent as a tombstone above its replies', async () => {
+      const root = await createPost(userToken, 'Root to delete');
+      const reply = await createPost(user3Token, 'Survivor', { replyTo: root.id });
+      const leaf = await createPost(user3Token, 'Deleted leaf', { replyTo: root.id });
+
+      for (const [id, token] of [[root.id, userToken], [leaf.id, user3Token]]) {
+        await request(app)
+          .delete(`/api/v1/posts/${id}`)
+          .set('Authorization', `Bearer ${token}`)
+          .expect(200);
+      }
+
+      const response = await getConversation(root.id).expect(200);
+      const { post } = response.body.data;
+
+      expect(post).toMatchObject({ id: root.id, isDeleted: true, author: null, content: null });
+      expect(post.replies.map(r => r.id)).toEqual([reply.id]);
+      expect(post.replyCount).toBe(1);
+
+      const fromReply = await getConversation(reply.id).expect(200);
+      expect(fromReply.body.data.ancestors).toEqual([
+        expect.objectContaining({ id: root.id, isDeleted: true, content: null })
+      ]);
+
+      // Deleted posts without replies are gone
+      const gone = await getConversation(leaf.id).expect(404);
+      expect(gone.body.code).toBe('POST_NOT_FOUND');
+    });
+  });
+});
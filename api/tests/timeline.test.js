@@ -0,0 +1,174 @@
+/**
+ * Timeline Service Tests
+ *
+ * Tests for the fan-out-on-write home feed cache
+ */
+
+const { createMemoryRepositories } = require('../repositories/memory');
+const { getRepositories, setRepositories } = require('../repositories');
+const { createTimelineService } = require('../services/timeline.service');
+const { decodeCursor } = require('../utils/cursor');
+
+describe('Timeline Service', () => {
+  let data;
+  let repositories;
+  let previousRepositories;
+  let clock;
+
+  const post = (id, author) => ({
+    id,
+    author,
+    content: `Post ${id}`,
+    created: new Date(Date.UTC(2024, 0, 1, 0, clock++)),
+    isDeleted: false
+  });
+
+  const createPost = async (timeline, id, author) => {
+    const created = await repositories.postRepository.create(post(id, author));
+    await timeline.onPostCreated(created);
+    return created;
+  };
+
+  const readIds = async (timeline, userId, options = {}) => {
+    const { posts } = await timeline.read(userId, { limit: 50, ...options });
+    return posts.map(p => p.id);
+  };
+
+  beforeEach(() => {
+    clock = 0;
+    data = {
+      users: ['u1', 'u2', 'u3', 'u4'].map(id => ({ id, name: id })),
+      posts: [],
+      follows: [
+        { id: 'f1', follower: 'u1', following: 'u2', isDeleted: false },
+        { id: 'f2', follower: 'u1', following: 'u3', isDeleted: false },
+        { id: 'f3', follower: 'u4', following: 'u3', isDeleted: false }
+      ]
+    };
+    data.posts.push(post('p1', 'u2'), post('p2', 'u3'), post('p3', 'u4'));
+    repositories = createMemoryRepositories(data);
+    previousRepositories = getRepositories();
+    setRepositories(repositories);
+  });
+
+  afterEach(() => {
+    setRepositories(previousRepositories);
+  });
+
+  it('should build a timeline from follows on first read', async () => {
+    const timeline = createTimelineService();
+
+    expect(await readIds(timeline, 'u1')).toEqual(['p2', 'p1']);
+  });
+
+  it('should push new posts to followers and serve reads without scanning posts', async () => {
+    const timeline = createTimelineService();
+    await readIds(timeline, 'u1');
+
+    await createPost(timeline, 'p4', 'u2');
+    const find = jest.spyOn(repositories.postRepository, 'find');
+
+    expect(await readIds(timeline, 'u1')).toEqual(['p4', 'p2', 'p1']);
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  it('should remove deleted posts', async () => {
+    const timeline = createTimelineService();
+    await readIds(timeline, 'u1');
+
+    const deleted = await repositories.postRepository.update('p2', { isDeleted: true });
+    await timeline.onPostDeleted(deleted);
+
+    expect(await readIds(timeline, 'u1')).toEqual(['p1']);
+  });
+
+  it('should remove entries on unfollow and backfill on follow', async () => {
+    const timeline = createTimelineService();
+    await readIds(timeline, 'u1');
+
+    await repositories.followRepository.update('f1', { isDeleted: true });
+    await timeline.onUnfollow('u1', 'u2');
+    expect(await readIds(timeline, 'u1')).toEqual(['p2']);
+
+    await repositories.followRepository.create({ id: 'f4', follower: 'u1', following: 'u4', isDeleted: false });
+    await timeline.onFollow('u1', 'u4');
+    expect(await readIds(timeline, 'u1')).toEqual(['p3', 'p2']);
+  });
+
+  it('should merge the reader\'s own posts at read time when requested', async () => {
+    const timeline = createTimelineService();
+    await createPost(timeline, 'p4', 'u1');
+
+    expect(await readIds(timeline, 'u1')).toEqual(['p2', 'p1']);
+    expect(await readIds(timeline, 'u1', { includeOwn: true })).toEqual(['p4', 'p2', 'p1']);
+  });
+
+  it('should fall back to fan-out-on-read for authors with many followers', async () => {
+    // u3 has two followers, above the limit of one
+    const timeline = createTimelineService({ fanoutLimit: 1 });
+    await readIds(timeline, 'u1');
+    await readIds(timeline, 'u4');
+
+    await createPost(timeline, 'p4', 'u3');
+    await createPost(timeline, 'p5', 'u2');
+
+    expect(await readIds(timeline, 'u1')).toEqual(['p5', 'p4', 'p2', 'p1']);
+    expect(await readIds(timeline, 'u4')).toEqual(['p4', 'p2']);
+  });
+
+  it('should pull one page at a time from authors with many followers', async () => {
+    const timeline = createTimelineService({ fanoutLimit: 1 });
+    await createPost(timeline, 'p4', 'u3');
+    await createPost(timeline, 'p5', 'u3');
+    await createPost(timeline, 'p6', 'u2');
+    const find = jest.spyOn(repositories.postRepository, 'find');
+
+    const ids = [];
+    let after = null;
+    do {
+      const page = await timeline.read('u1', { limit: 2, after });
+      ids.push(...page.posts.map(p => p.id));
+      after = page.nextCursor && decodeCursor(page.nextCursor);
+    } while (after);
+
+    expect(ids).toEqual(['p6', 'p5', 'p4', 'p2', 'p1']);
+    expect(find).toHaveBeenCalledWith(expect.objectContaining({ authors: ['u3'], excludePrivate: true, limit: 3 }));
+  });
+
+  it('should drop the least recently read timeline once the cache is full', async () => {
+    const timeline = createTimelineService({ maxTimelines: 2 });
+    await readIds(timeline, 'u1');
+    await readIds(timeline, 'u4');
+    await readIds(timeline, 'u1');
+    await readIds(timeline, 'u2');
+    const find = jest.spyOn(repositories.postRepository, 'find');
+
+    expect(await readIds(timeline, 'u1')).toEqual(['p2', 'p1']);
+    expect(find).not.toHaveBeenCalled();
+
+    expect(await readIds(timeline, 'u4')).toEqual(['p2']);
+    expect(find).toHaveBeenCalledTimes(1);
+  });
+
+  it('should page past a capped timeline', async () => {
+    const timeline = createTimelineService({ maxLength: 2 });
+    await createPost(timeline, 'p4', 'u2');
+    await createPost(timeline, 'p5', 'u3');
+
+    const first = await timeline.read('u1', { limit: 2 });
+    expect(first.posts.map(p => p.id)).toEqual(['p5', 'p4']);
+
+    const second = await timeline.read('u1', { limit: 2, after: decodeCursor(first.nextCursor) });
+    expect(second.posts.map(p => p.id)).toEqual(['p2', 'p1']);
+    expect(second.nextCursor).toBeNull();
+  });
+
+  it('should keep separate caches per storage backend', async () => {
+    const timeline = createTimelineService();
+    expect(await readIds(timeline, 'u1')).toEqual(['p2', 'p1']);
+
+    setRepositories(createMemoryRepositories({ users: data.users, posts: [], follows: data.follows }));
+
+    expect(await readIds(timeline, 'u1')).toEqual([]);
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Update Posts Tests
+ *
+ * Tests for PUT and PATCH /posts/:id with focus on:
+ * 1. Owner and admin updates
+ * 2. Forbidden update by another user
+ * 3. Validation of full and partial updates
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const { login, createPost } = require('./helpers/api');
+
+describe('PUT/PATCH /posts/:id', () => {
+  let adminToken;
+  let userToken;
+  let user3Token;
+
+  beforeAll(async () => {
+    adminToken = await login('john.doe@example.com');
+    userToken = await login('jane.doe@example.com');
+    user3Token = await login('jim.doe@example.com');
+  });
+
+  describe('1. Owner and admin updates', () => {
+    it('should allow the owner to replace their post with PUT', async () => {
+      const post = await createPost(userToken, 'Original content');
+
+      const response = await request(app)
+        .put(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ id: post.id, content: '  Edited content  ' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.message).toBe('Post updated successfully');
+      expect(response.body.data.post.id).toBe(post.id);
+      expect(response.body.data.post.author).toBe('u2');
+      expect(response.body.data.post.content).toBe('Edited content');
+      expect(response.body.data.post.isDeleted).toBe(false);
+      expect(new Date(response.body.data.post.updatedAt).getTime())
+        .toBeGreaterThanOrEqual(new Date(post.created).getTime());
+
+      const fetched = await request(app)
+        .get(`/api/v1/posts/${post.id}`)
+        .expect(200);
+
+      expect(fetched.body.data.post).toEqual(response.body.data.post);
+    });
+
+    it('should allow the owner to partially update with PATCH', async () => {
+      const post = await createPost(userToken, 'Before patch');
+
+      const response = await request(app)
+        .patch(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ content: 'After patch' })
+        .expect(200);
+
+      expect(response.body.data.post.content).toBe('After patch');
+    });
+
+    it('should allow an admin to update another user\'s post', async () => {
+      const post = await createPost(userToken, 'User post edited by admin');
+
+      const response = await request(app)
+        .patch(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ content: 'Moderated content' })
+        .expect(200);
+
+      expect(response.body.data.post.author).toBe('u2');
+      expect(response.body.data.post.content).toBe('Moderated content');
+    });
+  });
+
+  describe('2. Forbidden update by another user', () => {
+    it('should return 403 when a user updates someone else\'s post', async () => {
+      const post = await createPost(userToken, 'Not yours');
+
+      const response = await request(app)
+        .put(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${user3Token}`)
+        .send({ content: 'Hijacked' })
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('You can only update your own posts');
+      expect(response.body.code).toBe('UPDATE_PERMISSION_DENIED');
+      expect(response.body.statusCode).toBe(403);
+    });
+
+    it('should return 401 without a token', async () => {
+      const response = await request(app)
+        .patch('/api/v1/posts/p1')
+        .send({ content: 'Anonymous edit' })
+        .expect(401);
+
+      expect(response.body.code).toBe('AUTH_HEADER_ERROR');
+    });
+  });
+
+  describe('3. Validation', () => {
+    it('should require content for PUT', async () => {
+      const post = await createPost(userToken, 'Needs content');
+
+      const response = await request(app)
+        .put(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({})
+        .expect(400);
+
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should reject an empty PATCH body', async () => {
+      const post = await createPost(userToken, 'Needs a change');
+
+      const response = await request(app)
+        .patch(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({})
+        .expect(400);
+
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should reject content over 1000 characters', async () => {
+      const post = await createPost(userToken, 'Too long soon');
+
+      await request(app)
+        .patch(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ content: 'a'.repeat(1001) })
+        .expect(400);
+    });
+
+    it('should return 404 for a missing or deleted post', async () => {
+      const post = await createPost(adminToken, 'Soon deleted');
+      await request(app)
+        .delete(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .patch(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ content: 'Too late' })
+        .expect(404);
+
+      expect(response.body.code).toBe('POST_NOT_FOUND');
+    });
+  });
+});
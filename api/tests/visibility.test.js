@@ -0,0 +1,266 @@
+/**
+ * Post Visibility Tests
+ *
+ * Tests for the `visibility` field on posts with focus on:
+ * 1. Public, followers-only and private posts in GET /posts and GET /posts/:id
+ * 2. Feeds, search, conversations, comments and reposts
+ * 3. Changing a post's visibility and following or unfollowing its author
+ *
+ * Seed follows: u1 follows u2 and u3; u2, u3 and u4 follow u1; u5 follows u2.
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const { login, createPost } = require('./helpers/api');
+const { canView } = require('../utils/visibility');
+
+describe('Post visibility', () => {
+  let adminToken;
+  let userToken;
+  let user4Token;
+  let user5Token;
+
+  const getPost = (token, postId) => {
+    const req = request(app).get(`/api/v1/posts/${postId}`);
+    return token ? req.set('Authorization', `Bearer ${token}`) : req;
+  };
+
+  const listIds = async (token, query = '') => {
+    const req = request(app).get(`/api/v1/posts?author=u2&limit=50${query}`);
+    const response = await (token ? req.set('Authorization', `Bearer ${token}`) : req).expect(200);
+    return response.body.data.posts.map(p => p.id);
+  };
+
+  beforeAll(async () => {
+    adminToken = await login('john.doe@example.com');
+    userToken = await login('jane.doe@example.com');
+    user4Token = await login('jill.doe@example.com');
+    user5Token = await login('jack.doe@example.com');
+  });
+
+  describe('1. Lists and single posts', () => {
+    it('should decide visibility from the author and the viewer\'s follows', () => {
+      const viewer = { id: 'u1', following: new Set(['u2']) };
+
+      expect(canView({ author: 'u2' }, null)).toBe(true);
+      expect(canView({ author: 'u2', visibility: 'followers' }, viewer)).toBe(true);
+      expect(canView({ author: 'u4', visibility: 'followers' }, viewer)).toBe(false);
+      expect(canView({ author: 'u2', visibility: 'followers' }, null)).toBe(false);
+      expect(canView({ author: 'u2', visibility: 'private' }, viewer)).toBe(false);
+      expect(canView({ author: 'u1', visibility: 'private' }, viewer)).toBe(true);
+    });
+
+    it('should default to public and report the visibility', async () => {
+      const post = await createPost(userToken, 'Hello everyone');
+      expect(post.visibility).toBe('public');
+
+      const response = await getPost(null, 'p1').expect(200);
+      expect(response.body.data.post.visibility).toBe('public');
+    });
+
+    it('should show followers-only posts to followers and the author', async () => {
+      const post = await createPost(userToken, 'Just for my followers', { visibility: 'followers' });
+
+      await getPost(adminToken, post.id).expect(200);
+      await getPost(user5Token, post.id).expect(200);
+      await getPost(userToken, post.id).expect(200);
+      await getPost(user4Token, post.id).expect(404);
+      await getPost(null, post.id).expect(404);
+
+      expect(await listIds(adminToken)).toContain(post.id);
+      expect(await listIds(user4Token)).not.toContain(post.id);
+      expect(await listIds(null)).not.toContain(post.id);
+    });
+
+    it('should show private posts to the author alone', async () => {
+      const post = await createPost(userToken, 'Note to self', { visibility: 'private' });
+
+      await getPost(userToken, post.id).expect(200);
+      await getPost(adminToken, post.id).expect(404);
+
+      expect(await listIds(userToken)).toContain(post.id);
+      expect(await listIds(adminToken)).not.toContain(post.id);
+    });
+
+    it('should show anonymous callers public posts only', async () => {
+      const response = await request(app).get('/api/v1/posts?limit=50').expect(200);
+      expect(response.body.data.posts.every(p => p.visibility === 'public')).toBe(true);
+    });
+
+    it('should answer edits and deletes of posts the caller cannot see like a missing post', async () => {
+      const post = await createPost(userToken, 'Followers, keep this quiet', { visibility: 'followers' });
+
+      const hidden = await request(app)
+        .patch(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${user4Token}`)
+        .send({ content: 'Found it' })
+        .expect(404);
+      expect(hidden.body.code).toBe('POST_NOT_FOUND');
+      expect(hidden.body).not.toHaveProperty('postAuthor');
+      await request(app)
+        .delete(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${user4Token}`)
+        .expect(404);
+
+      // A follower sees the post, so is told they may not change it
+      const seen = await request(app)
+        .delete(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${user5Token}`)
+        .expect(403);
+      expect(seen.body.code).toBe('DELETE_PERMISSION_DENIED');
+      expect(seen.body).not.toHaveProperty('postAuthor');
+    });
+
+    it('should reject unknown visibilities', async () => {
+      const response = await request(app)
+        .post('/api/v1/posts')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ content: 'Hmm', visibility: 'secret' })
+        .expect(400);
+
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('2. Feeds, search, conversations, comments and reposts', () => {
+    it('should put followers-only posts in followers\' feeds but keep private posts out', async () => {
+      const followers = await createPost(userToken, 'Feed followers only', { visibility: 'followers' });
+      const secret = await createPost(userToken, 'Feed private', { visibility: 'private' });
+
+      const feed = await request(app)
+        .get('/api/v1/posts/feed?limit=50')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      const ids = feed.body.data.posts.map(p => p.id);
+      expect(ids).toContain(followers.id);
+      expect(ids).not.toContain(secret.id);
+
+      const own = await request(app)
+        .get('/api/v1/posts/feed?limit=50&includeOwn=true')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      expect(own.body.data.posts.map(p => p.id)).toContain(secret.id);
+    });
+
+    it('should search only posts the caller may see', async () => {
+      const open = await createPost(userToken, 'Narwhal facts for all');
+      const closed = await createPost(userToken, 'Narwhal facts for followers', { visibility: 'followers' });
+
+      const anonymous = await request(app).get('/api/v1/search?q=narwhal').expect(200);
+      expect(anonymous.body.data.posts.map(p => p.id)).toEqual([open.id]);
+      expect(anonymous.body.data.pagination.total).toBe(1);
+
+      const follower = await request(app)
+        .get('/api/v1/search?q=narwhal')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(follower.body.data.posts.map(p => p.id).sort()).toEqual([open.id, closed.id].sort());
+    });
+
+    it('should hide restricted replies in conversations and restricted posts\' comments', async () => {
+      const root = await createPost(userToken, 'Open thread');
+      const reply = await request(app)
+        .post('/api/v1/posts')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ content: 'Private aside', replyTo: root.id, visibility: 'private' })
+        .expect(201);
+
+      const conversation = await request(app).get(`/api/v1/posts/${root.id}/conversation`).expect(200);
+      expect(conversation.body.data.post.replies).toEqual([]);
+      await request(app).get(`/api/v1/posts/${reply.body.data.post.id}/conversation`).expect(404);
+
+      const restricted = await createPost(userToken, 'Comment carefully', { visibility: 'followers' });
+      await request(app).get(`/api/v1/posts/${restricted.id}/comments`).expect(404);
+      await request(app)
+        .get(`/api/v1/posts/${restricted.id}/comments`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+    });
+
+    it('should not count replies and quotes the viewer may not see', async () => {
+      const root = await createPost(userToken, 'Count carefully');
+      await request(app)
+        .post('/api/v1/posts')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ content: 'For my followers', replyTo: root.id, visibility: 'followers' })
+        .expect(201);
+      const quote = await request(app)
+        .post(`/api/v1/posts/${root.id}/repost`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ content: 'Noted' })
+        .expect(201);
+      await request(app)
+        .patch(`/api/v1/posts/${quote.body.data.post.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ visibility: 'private' })
+        .expect(200);
+
+      const counts = async (token) => {
+        const { replyCount, quoteCount } = (await getPost(token, root.id).expect(200)).body.data.post;
+        return { replyCount, quoteCount };
+      };
+      expect(await counts(null)).toEqual({ replyCount: 0, quoteCount: 0 });
+      expect(await counts(user5Token)).toEqual({ replyCount: 0, quoteCount: 0 });
+      expect(await counts(userToken)).toEqual({ replyCount: 1, quoteCount: 0 });
+      expect(await counts(adminToken)).toEqual({ replyCount: 1, quoteCount: 1 });
+    });
+
+    it('should only repost public posts', async () => {
+      const post = await createPost(userToken, 'Followers only, please', { visibility: 'followers' });
+
+      const response = await request(app)
+        .post(`/api/v1/posts/${post.id}/repost`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+      expect(response.body.code).toBe('CANNOT_REPOST_RESTRICTED_POST');
+
+      await request(app)
+        .post(`/api/v1/posts/${post.id}/repost`)
+        .set('Authorization', `Bearer ${user4Token}`)
+        .expect(404);
+    });
+  });
+
+  describe('3. Changes over time', () => {
+    it('should apply a visibility change to lists and feeds', async () => {
+      const post = await createPost(userToken, 'Second thoughts');
+
+      await request(app)
+        .patch(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ visibility: 'private' })
+        .expect(200);
+
+      expect(await listIds(null)).not.toContain(post.id);
+      const feed = await request(app)
+        .get('/api/v1/posts/feed?limit=50')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(feed.body.data.posts.map(p => p.id)).not.toContain(post.id);
+
+      await request(app)
+        .patch(`/api/v1/posts/${post.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ visibility: 'public' })
+        .expect(200);
+      expect(await listIds(null)).toContain(post.id);
+    });
+
+    it('should follow the follows relation as it changes', async () => {
+      const post = await createPost(userToken, 'Welcome, new followers', { visibility: 'followers' });
+      await getPost(user4Token, post.id).expect(404);
+
+      await request(app)
+        .post('/api/v1/follows/u2')
+        .set('Authorization', `Bearer ${user4Token}`)
+        .expect(201);
+      await getPost(user4Token, post.id).expect(200);
+
+      await request(app)
+        .delete('/api/v1/follows/u2')
+        .set('Authorization', `Bearer ${user4Token}`)
+        .expect(200);
+      await getPost(user4Token, post.id).expect(404);
+    });
+  });
+});
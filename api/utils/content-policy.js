@@ -0,0 +1,193 @@
+/**
+ * Content Policy
+ *
+ * Posts are checked against admin-managed rules when they are created and
+ * when their content is edited. Each rule has a type and an action:
+ * - banned-words: any of `words` appears as a whole word, also when spelled
+ *   with leet-speak digits and symbols, accents, separators or stretched
+ *   letters (`Sp4aaam`, `s.p.a.m`)
+ * - link-limit: the post has more than `limit` links
+ * - repeated-characters: one character repeats more than `limit` times in a row
+ * - near-duplicate: the author posted something at least `similarity` alike
+ *   (see utils/similarity) in the last `windowMinutes`
+ *
+ * The most severe action among the rules a post breaks decides its fate:
+ * `reject` refuses it, `hold` keeps it from readers until a moderator
+ * reviews it, and `flag` publishes it but puts it in the moderation queue.
+ *
+ * Everything here is pure, so rules can be tried on sample text without
+ * touching any post (POST /content-rules/test).
+ */
+
+const { signature, similarity } = require('./similarity');
+
+/**
+ * Rule types and the settings each one takes
+ */
+const RULE_FIELDS = {
+  'banned-words': ['words'],
+  'link-limit': ['limit'],
+  'repeated-characters': ['limit'],
+  'near-duplicate': ['similarity', 'windowMinutes']
+};
+
+const RULE_TYPES = Object.keys(RULE_FIELDS);
+
+// Least to most severe
+const RULE_ACTIONS = ['flag', 'hold', 'reject'];
+
+// Reason of the reports filed for flagged and held posts
+const POLICY_REPORT_REASON = 'policy';
+
+const LEET = {
+  0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', 9: 'g',
+  '@': 'a', $: 's', '!': 'i', '|': 'l', '+': 't'
+};
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+
+/**
+ * Lower-case text and strip accents
+ * @param {string} text
+ * @returns {string}
+ */
+const foldText = (text) => text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+/**
+ * Lower-case text, strip accents and read leet-speak characters as letters
+ * @param {string} text
+ * @returns {string}
+ */
+const normalizeText = (text) => Array.from(foldText(text), c => LEET[c] || c).join('');
+
+/**
+ * Words of a text as they may have been meant: each whitespace-separated
+ * token with and without leet-speak reading, with separators dropped and
+ * split at them
+ * @param {string} text
+ * @returns {Set<string>} Letters-only candidate words
+ */
+const candidateWords = (text) => {
+  const words = new Set();
+  foldText(text).split(/\s+/).filter(Boolean).forEach((token) => {
+    [token, normalizeText(token)].forEach((form) => {
+      words.add(form.replace(/[^a-z]/g, ''));
+      form.split(/[^a-z]+/).forEach(part => words.add(part));
+    });
+  });
+  words.delete('');
+  return words;
+};
+
+/**
+ * Match a banned word with its letters stretched (`spam` matches `spaaam`)
+ * @param {string} word - Banned word
+ * @returns {RegExp}
+ */
+const stretchedPattern = (word) => {
+  const letters = normalizeText(word).replace(/[^a-z]/g, '');
+  const runs = letters.match(/(.)\1*/g) || [];
+  return new RegExp(`^${runs.map(run => `${run[0]}{${run.length},}`).join('')}$`);
+};
+
+/**
+ * Count the links in a text
+ * @param {string} text
+ * @returns {number}
+ */
+const countLinks = (text) => (text.match(LINK_PATTERN) || []).length;
+
+/**
+ * Length of the longest run of one repeated non-space character
+ * @param {string} text
+ * @returns {number}
+ */
+const longestRun = (text) => {
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  for (const c of Array.from(text)) {
+    run = c === previous ? run + 1 : 1;
+    previous = c;
+    if (!/\s/.test(c)) {
+      longest = Math.max(longest, run);
+    }
+  }
+  return longest;
+};
+
+const checks = {
+  'banned-words': (rule, content) => {
+    const words = candidateWords(content);
+    const banned = rule.words.find((word) => {
+      const pattern = stretchedPattern(word);
+      return [...words].some(candidate => pattern.test(candidate));
+    });
+    return banned ? { match: banned } : null;
+  },
+
+  'link-limit': (rule, content) => {
+    const count = countLinks(content);
+    return count > rule.limit ? { count } : null;
+  },
+
+  'repeated-characters': (rule, content) => {
+    const count = longestRun(content);
+    return count > rule.limit ? { count } : null;
+  },
+
+  'near-duplicate': (rule, content, { recentPosts = [], now = new Date() }) => {
+    const since = now.getTime() - rule.windowMinutes * 60 * 1000;
+    const own = signature(content);
+    let closest = null;
+    recentPosts
+      .filter(post => new Date(post.created).getTime() >= since)
+      .forEach((post) => {
+        const score = similarity(own, post.signature || signature(post.content));
+        if (score >= rule.similarity && (!closest || score > closest.similarity)) {
+          closest = { post: post.id, similarity: score };
+        }
+      });
+    return closest;
+  }
+};
+
+/**
+ * Check content against rules
+ * @param {string} content - Post content
+ * @param {Object[]} rules - Rules to apply, in order
+ * @param {Object} [context]
+ * @param {Object[]} [context.recentPosts] - The author's other posts (`id`,
+ *   `content`, `created` and the stored `signature`, if any), for near-duplicate rules
+ * @param {Date} [context.now] - Current time
+ * @returns {{ outcome: 'allow'|'flag'|'hold'|'reject', violations: Object[] }}
+ *   `violations` lists each broken rule (`rule`, `name`, `type`, `action`)
+ *   with the banned word it found (`match`), the link or run `count`, or
+ *   the most similar recent `post` and its `similarity`
+ */
+const evaluateContent = (content, rules, context = {}) => {
+  const violations = [];
+  rules.forEach((rule) => {
+    const found = checks[rule.type](rule, content, context);
+    if (found) {
+      violations.push({ rule: rule.id, name: rule.name, type: rule.type, action: rule.action, ...found });
+    }
+  });
+
+  const severity = Math.max(-1, ...violations.map(v => RULE_ACTIONS.indexOf(v.action)));
+  return {
+    outcome: severity === -1 ? 'allow' : RULE_ACTIONS[severity],
+    violations
+  };
+};
+
+module.exports = {
+  RULE_FIELDS,
+  RULE_TYPES,
+  RULE_ACTIONS,
+  POLICY_REPORT_REASON,
+  normalizeText,
+  countLinks,
+  longestRun,
+  evaluateContent
+};
@@ -0,0 +1,113 @@
+/**
+ * Keyset Cursor Helpers
+ *
+ * Cursors are opaque base64url strings encoding the `(created, id)` key of
+ * the last item on a page. Lists are ordered by `created` (newest first by
+ * default), with `id` as the tie-breaker, so a cursor keeps its position when
+ * new items are inserted. Lists sorted by a numeric field first (such as
+ * `commentCount`) also encode that field's value in the cursor.
+ */
+
+/**
+ * Encode the key of an item as a cursor
+ * @param {{ created: Date|string, id: string }} item - Last item on the page
+ * @param {string} [sortField] - Numeric field the list is sorted by before `created`
+ * @returns {string} Opaque cursor
+ */
+const encodeCursor = (item, sortField) => {
+  const key = { c: new Date(item.created).toISOString(), i: item.id };
+  if (sortField) {
+    key.f = sortField;
+    key.v = item[sortField];
+  }
+  return Buffer.from(JSON.stringify(key)).toString('base64url');
+};
+
+/**
+ * Decode a cursor
+ * @param {string} cursor - Opaque cursor
+ * @returns {{ created: Date, id: string }|null} Key (plus the sort field, if any), or null if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { c, i, f, v } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const created = new Date(c);
+    if (typeof i !== 'string' || Number.isNaN(created.getTime())) {
+      return null;
+    }
+    if (f === undefined) {
+      return { created, id: i };
+    }
+    if (typeof f !== 'string' || !Number.isFinite(v)) {
+      return null;
+    }
+    return { created, id: i, [f]: v };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build a comparator on `(created, id)`
+ * @param {'asc'|'desc'} order - Sort order
+ * @returns {(a: Object, b: Object) => number} Comparator
+ */
+const compareByCreated = (order) => {
+  const direction = order === 'asc' ? 1 : -1;
+  return (a, b) => {
+    const byCreated = new Date(a.created) - new Date(b.created);
+    if (byCreated !== 0) {
+      return byCreated * direction;
+    }
+    if (a.id === b.id) {
+      return 0;
+    }
+    return (a.id < b.id ? -1 : 1) * direction;
+  };
+};
+
+/**
+ * Compare two items newest first by `(created, id)`
+ */
+const compareNewestFirst = compareByCreated('desc');
+
+/**
+ * Build a comparator on `(field, created, id)` for a numeric field. The
+ * comparator's `sortField` tells `pageAfter` to encode the field in cursors.
+ * @param {string} field - Numeric field, e.g. `commentCount`
+ * @param {'asc'|'desc'} order - Sort order
+ * @returns {(a: Object, b: Object) => number} Comparator
+ */
+const compareByField = (field, order) => {
+  const direction = order === 'asc' ? 1 : -1;
+  const byCreated = compareByCreated(order);
+  const compare = (a, b) => ((a[field] - b[field]) * direction) || byCreated(a, b);
+  compare.sortField = field;
+  return compare;
+};
+
+/**
+ * Take one page from a sorted list
+ * @param {Object[]} items - Items sorted with `compare`
+ * @param {Object} options
+ * @param {{ created: Date, id: string }|null} [options.after] - Decoded cursor
+ * @param {number} options.limit - Page size
+ * @param {Function} [options.compare] - Comparator the list is sorted with
+ * @returns {{ items: Object[], nextCursor: string|null }}
+ */
+const pageAfter = (items, { after, limit, compare = compareNewestFirst }) => {
+  const start = after ? items.filter(item => compare(after, item) < 0) : items;
+  const page = start.slice(0, limit);
+  const nextCursor = start.length > limit ? encodeCursor(page[page.length - 1], compare.sortField) : null;
+
+  return { items: page, nextCursor };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  compareByCreated,
+  compareNewestFirst,
+  compareByField,
+  pageAfter
+};
@@ -0,0 +1,66 @@
+/**
+ * Text Diffs
+ *
+ * Word-level diffs between two versions of a post, computed from the longest
+ * common subsequence of their tokens. Whitespace runs are tokens too, so the
+ * parts of a diff concatenate back to either version exactly. Posts are at
+ * most 1000 characters, which keeps the quadratic table small.
+ */
+
+const tokenize = (text) => text.split(/(\s+)/).filter(Boolean);
+
+// Merge adjacent parts of the same type
+const push = (parts, type, text) => {
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) {
+    last.text += text;
+  } else {
+    parts.push({ type, text });
+  }
+};
+
+/**
+ * Diff two texts word by word
+ * @param {string} before - Earlier version
+ * @param {string} after - Later version
+ * @returns {{ type: 'equal'|'insert'|'delete', text: string }[]} Parts in
+ *   reading order; `equal` and `delete` parts rebuild `before`, `equal` and
+ *   `insert` parts rebuild `after`
+ */
+const diffWords = (before, after) => {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // lengths[i][j]: LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push(parts, 'equal', a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push(parts, 'delete', a[i++]);
+    } else {
+      push(parts, 'insert', b[j++]);
+    }
+  }
+  a.slice(i).forEach(token => push(parts, 'delete', token));
+  b.slice(j).forEach(token => push(parts, 'insert', token));
+
+  return parts;
+};
+
+module.exports = {
+  diffWords
+};
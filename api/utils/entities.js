@@ -0,0 +1,61 @@
+/**
+ * Post Entities
+ *
+ * Extracts `#hashtags` and `@mentions` from post content. Each entity keeps
+ * its `text` and character offsets into the content (`start` inclusive,
+ * `end` exclusive, as JavaScript string indices), so clients can link them
+ * without parsing the content again.
+ *
+ * A hashtag needs at least one letter (`#1` is not a tag) and is matched
+ * case-insensitively. A mention names a user's `username`; mentions of
+ * unknown users are dropped and stay plain text.
+ */
+
+// Not preceded by a word character, so `a#b`, `&#39;` and emails don't match
+const HASHTAG_PATTERN = /(?<![\p{L}\p{N}_&#])#([\p{L}\p{N}_]*\p{L}[\p{L}\p{N}_]*)/gu;
+const MENTION_PATTERN = /(?<![\p{L}\p{N}_.@])@([A-Za-z0-9_]{1,30})(?![A-Za-z0-9_])/gu;
+
+const toEntity = (match, key, value) => ({
+  [key]: value,
+  text: match[0],
+  start: match.index,
+  end: match.index + match[0].length
+});
+
+/**
+ * Find hashtag and mention candidates in post content
+ * @param {string} content - Post content
+ * @returns {{ hashtags: Object[], mentions: Object[] }} Hashtags as
+ *   `{tag, text, start, end}` and mentions as `{username, text, start, end}`,
+ *   in order of appearance
+ */
+const parseEntities = (content) => ({
+  hashtags: [...content.matchAll(HASHTAG_PATTERN)].map(m => toEntity(m, 'tag', m[1].toLowerCase())),
+  mentions: [...content.matchAll(MENTION_PATTERN)].map(m => toEntity(m, 'username', m[1].toLowerCase()))
+});
+
+/**
+ * Build the entity fields stored on a post
+ * @param {{ hashtags: Object[], mentions: Object[] }} parsed - Result of `parseEntities`
+ * @param {Object[]} users - Users whose usernames were mentioned
+ * @returns {{ entities: Object, hashtags: string[], mentionedUsers: string[] }}
+ *   `entities` with offsets, plus the distinct tags and mentioned user IDs
+ *   used to look posts up
+ */
+const linkEntities = ({ hashtags, mentions }, users) => {
+  const userIds = new Map(users.map(u => [u.username, u.id]));
+  const known = mentions
+    .filter(m => userIds.has(m.username))
+    .map(m => ({ userId: userIds.get(m.username), ...m }));
+
+  return {
+    entities: { hashtags, mentions: known },
+    hashtags: [...new Set(hashtags.map(h => h.tag))],
+    mentionedUsers: [...new Set(known.map(m => m.userId))]
+  };
+};
+
+module.exports = {
+  parseEntities,
+  linkEntities
+};
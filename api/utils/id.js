@@ -0,0 +1,120 @@
+/**
+ * ID Generation
+ *
+ * New entities get ULIDs: 26 Crockford base32 characters, a 48-bit
+ * millisecond timestamp followed by 80 random bits. They sort by creation
+ * time as plain strings, and IDs generated in the same millisecond increment
+ * the random part, so they stay unique and monotonic within a process.
+ *
+ * Seeded and older records keep their legacy IDs (`p1`, `u1`, `f1`,
+ * `p1718000000000`), which always start with a letter and so never clash
+ * with a ULID (whose first character is a digit).
+ */
+
+const crypto = require('crypto');
+
+const ENCODING = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const TIME_LENGTH = 10;
+const RANDOM_LENGTH = 16;
+const MAX_TIME = 2 ** 48 - 1;
+
+const ULID_PATTERN = /^[0-7][0-9A-HJKMNP-TV-Z]{25}$/;
+const LEGACY_ID_PATTERN = /^[a-zA-Z][a-zA-Z0-9_-]{0,63}$/;
+
+/**
+ * Pattern accepted for entity IDs in request parameters (ULID or legacy)
+ */
+const ID_PATTERN = /^(?:[0-7][0-9A-HJKMNP-TV-Z]{25}|[a-zA-Z][a-zA-Z0-9_-]{0,63})$/;
+
+const encodeTime = (time) => {
+  let remaining = time;
+  let encoded = '';
+  for (let i = 0; i < TIME_LENGTH; i++) {
+    encoded = ENCODING[remaining % 32] + encoded;
+    remaining = Math.floor(remaining / 32);
+  }
+  return encoded;
+};
+
+// 256 is a multiple of 32, so `byte % 32` is unbiased
+const randomDigits = (randomBytes) => Array.from(randomBytes(RANDOM_LENGTH), byte => byte % 32);
+
+// Add one to a base32 digit array; false on overflow
+const increment = (digits) => {
+  for (let i = digits.length - 1; i >= 0; i--) {
+    if (digits[i] < 31) {
+      digits[i] += 1;
+      return true;
+    }
+    digits[i] = 0;
+  }
+  return false;
+};
+
+/**
+ * Create a monotonic ULID generator
+ * @param {Object} [options]
+ * @param {() => number} [options.now] - Clock in milliseconds
+ * @param {(size: number) => Buffer} [options.randomBytes] - Random source
+ * @returns {() => string} Generator returning a new ULID per call
+ */
+const createIdGenerator = ({ now = Date.now, randomBytes = crypto.randomBytes } = {}) => {
+  let lastTime = -1;
+  let lastRandom = null;
+
+  return () => {
+    const time = now();
+    if (!Number.isInteger(time) || time < 0 || time > MAX_TIME) {
+      throw new Error(`Cannot generate an ID for timestamp ${time}`);
+    }
+
+    // Same millisecond, or the clock went backwards: keep ordering by
+    // reusing the last timestamp and incrementing the random part
+    if (time <= lastTime) {
+      if (!increment(lastRandom)) {
+        throw new Error('ID space exhausted for this millisecond');
+      }
+    } else {
+      lastTime = time;
+      lastRandom = randomDigits(randomBytes);
+    }
+
+    return encodeTime(lastTime) + lastRandom.map(digit => ENCODING[digit]).join('');
+  };
+};
+
+/**
+ * Whether an ID is a ULID
+ * @param {string} id
+ * @returns {boolean}
+ */
+const isUlid = (id) => typeof id === 'string' && ULID_PATTERN.test(id);
+
+/**
+ * Whether an ID uses the legacy format (`p1`, `u1`, `f1`, ...)
+ * @param {string} id
+ * @returns {boolean}
+ */
+const isLegacyId = (id) => typeof id === 'string' && LEGACY_ID_PATTERN.test(id);
+
+/**
+ * Creation time encoded in a ULID
+ * @param {string} id
+ * @returns {Date|null} Timestamp, or null for legacy IDs
+ */
+const idTimestamp = (id) => {
+  if (!isUlid(id)) {
+    return null;
+  }
+  const time = [...id.slice(0, TIME_LENGTH)].reduce((value, char) => value * 32 + ENCODING.indexOf(char), 0);
+  return new Date(time);
+};
+
+module.exports = {
+  ID_PATTERN,
+  createIdGenerator,
+  generateId: createIdGenerator(),
+  isUlid,
+  isLegacyId,
+  idTimestamp
+};
@@ -197,6 +197,16 @@ const logAuth = (action, userId, success, meta = {}) => {
   });
 };
 
+// Audit logging for privileged access (e.g. admins reading private data)
+const logAudit = (action, userId, meta = {}) => {
+  logger.info(`Audit ${action}`, {
+    audit: true,
+    action,
+    userId,
+    ...meta
+  });
+};
+
 // API endpoint logging
 const logApi = (method, endpoint, statusCode, duration, userId = null, meta = {}) => {
   const level = statusCode >= 400 ? 'warn' : 'info';
@@ -221,5 +231,6 @@ module.exports = {
   logPerformance,
   logDatabase,
   logAuth,
+  logAudit,
   logApi
 }; 
\ No newline at end of file
@@ -0,0 +1,66 @@
+/**
+ * Media Types
+ *
+ * Detects an upload's type from its leading bytes ("magic numbers") rather
+ * than trusting the client's Content-Type or file name, and maps it to the
+ * extension used for the stored file. Files are served from the site root
+ * (`express.static` over the uploads directory).
+ */
+
+const crypto = require('crypto');
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+const ascii = (text) => [...text].map(char => char.charCodeAt(0));
+
+// Checked in order; the first match wins
+const SIGNATURES = [
+  { mimeType: 'image/jpeg', extension: 'jpg', matches: b => startsWith(b, [0xff, 0xd8, 0xff]) },
+  { mimeType: 'image/png', extension: 'png', matches: b => startsWith(b, [0x89, ...ascii('PNG\r\n'), 0x1a, 0x0a]) },
+  { mimeType: 'image/gif', extension: 'gif', matches: b => startsWith(b, ascii('GIF87a')) || startsWith(b, ascii('GIF89a')) },
+  { mimeType: 'image/webp', extension: 'webp', matches: b => startsWith(b, ascii('RIFF')) && startsWith(b, ascii('WEBP'), 8) },
+  { mimeType: 'video/mp4', extension: 'mp4', matches: b => startsWith(b, ascii('ftyp'), 4) }
+];
+
+/**
+ * MIME types accepted for uploads
+ */
+const MEDIA_TYPES = SIGNATURES.map(s => s.mimeType);
+
+/**
+ * Detect a file's type from its content
+ * @param {Buffer} buffer - File content
+ * @returns {{ mimeType: string, extension: string }|null} Null for unsupported types
+ */
+const sniffMediaType = (buffer) => {
+  const signature = SIGNATURES.find(s => s.matches(buffer));
+  return signature ? { mimeType: signature.mimeType, extension: signature.extension } : null;
+};
+
+/**
+ * SHA-256 of a file's content, used as its stored file name
+ * @param {Buffer} buffer - File content
+ * @returns {string} Hex digest
+ */
+const contentHash = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Public fields of a media record
+ * @param {Object} media - Media record
+ * @returns {Object} `{ id, url, mimeType, size, created }`
+ */
+const toMediaResponse = (media) => ({
+  id: media.id,
+  url: `/${media.fileName}`,
+  mimeType: media.mimeType,
+  size: media.size,
+  created: media.created
+});
+
+module.exports = {
+  MEDIA_TYPES,
+  sniffMediaType,
+  contentHash,
+  toMediaResponse
+};
@@ -0,0 +1,65 @@
+/**
+ * Moderation Helpers
+ *
+ * Users report posts or other users with a reason category. Open reports are
+ * grouped by target into the admin moderation queue; a moderator action on a
+ * target resolves all of its open reports and is kept in the moderation log.
+ */
+
+const REPORT_TARGET_TYPES = ['post', 'user'];
+
+const REPORT_REASONS = ['spam', 'harassment', 'hate', 'violence', 'nudity', 'misinformation', 'other'];
+
+/**
+ * Actions a moderator can take, and the target types each applies to.
+ * Suspending from a post suspends its author.
+ */
+const MODERATION_ACTIONS = {
+  dismiss: ['post', 'user'],
+  hide: ['post'],
+  delete: ['post'],
+  suspend: ['post', 'user']
+};
+
+/**
+ * Group open reports by target
+ * @param {Object[]} reports - Open reports
+ * @returns {Object[]} One entry per target: `id` (`<targetType>:<target>`),
+ *   `targetType`, `target`, `reportCount`, per-reason `reasons`, `reports`
+ *   oldest first, `firstReportedAt` and `created` (the latest report's time)
+ */
+const groupReports = (reports) => {
+  const groups = new Map();
+
+  [...reports]
+    .sort((a, b) => new Date(a.created) - new Date(b.created))
+    .forEach((report) => {
+      const key = `${report.targetType}:${report.target}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          id: key,
+          targetType: report.targetType,
+          target: report.target,
+          reportCount: 0,
+          reasons: {},
+          reports: [],
+          firstReportedAt: report.created
+        });
+      }
+
+      const group = groups.get(key);
+      group.reportCount += 1;
+      group.reasons[report.reason] = (group.reasons[report.reason] || 0) + 1;
+      group.reports.push(report);
+      group.created = report.created;
+    });
+
+  return [...groups.values()];
+};
+
+module.exports = {
+  REPORT_TARGET_TYPES,
+  REPORT_REASONS,
+  MODERATION_ACTIONS,
+  groupReports
+};
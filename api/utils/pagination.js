@@ -0,0 +1,161 @@
+/**
+ * Shared Pagination
+ *
+ * Every list endpoint returns the same `pagination` envelope and an RFC 8288
+ * `Link` header. Two modes are supported:
+ *
+ * - cursor (keyset): `?cursor=<nextCursor>&limit=10`. Stable when items are
+ *   created between requests. An empty `cursor` asks for the first page.
+ * - page number: `?page=2&limit=10`. Kept for backward compatibility.
+ *
+ * `nextCursor` is returned in both modes, so clients can switch to cursors
+ * after the first page.
+ */
+
+const { encodeCursor, decodeCursor, compareNewestFirst, pageAfter } = require('./cursor');
+
+/**
+ * Read pagination parameters from a query string
+ * @param {Object} query - `req.query`
+ * @param {Object} [defaults]
+ * @param {number} [defaults.limit] - Default page size
+ * @param {number} [defaults.maxLimit] - Largest allowed page size
+ * @param {string} [defaults.sortField] - Field the cursor must carry (see `compareByField`)
+ * @returns {{ page: number, limit: number, cursor: string|undefined, after: Object|null, error: string|null }}
+ */
+const readPagination = (query, { limit: defaultLimit = 10, maxLimit = 50, sortField } = {}) => {
+  const { cursor } = query;
+  const page = cursor !== undefined ? 1 : parseInt(query.page === undefined ? 1 : query.page);
+  const limit = Math.min(parseInt(query.limit === undefined ? defaultLimit : query.limit), maxLimit);
+
+  if (Number.isNaN(page) || Number.isNaN(limit) || page < 1 || limit < 1) {
+    return { page, limit, cursor, after: null, error: 'INVALID_PAGINATION' };
+  }
+
+  const after = cursor ? decodeCursor(cursor) : null;
+  if (cursor && (!after || (sortField && after[sortField] === undefined))) {
+    return { page, limit, cursor, after, error: 'INVALID_CURSOR' };
+  }
+
+  return { page, limit, cursor, after, error: null };
+};
+
+/**
+ * Send the 400 response for a pagination error from `readPagination`
+ * @param {Object} res - Express response
+ * @param {string} code - `INVALID_PAGINATION` or `INVALID_CURSOR`
+ */
+const sendPaginationError = (res, code) =>
+  res.status(400).json({
+    success: false,
+    message: code === 'INVALID_CURSOR' ? 'Invalid pagination cursor' : 'Invalid pagination parameters',
+    code,
+    statusCode: 400
+  });
+
+/**
+ * Paginate a fully sorted list
+ * @param {Object[]} items - Items sorted with `compare`
+ * @param {Object} params - Result of `readPagination`
+ * @param {Function} [compare] - Comparator the list is sorted with
+ * @param {Object} [options]
+ * @param {boolean} [options.pageCursors] - Whether page-mode pages offer a
+ *   `nextCursor`; not when page mode lists items in another order than `compare`
+ * @returns {{ items: Object[], pagination: Object }}
+ */
+const paginate = (items, { page, limit, cursor, after }, compare = compareNewestFirst, { pageCursors = true } = {}) => {
+  const total = items.length;
+  const totalPages = Math.ceil(total / limit);
+
+  if (cursor !== undefined) {
+    const result = pageAfter(items, { after, limit, compare });
+    return {
+      items: result.items,
+      pagination: buildPagination({ limit, total, nextCursor: result.nextCursor, hasPrevPage: Boolean(cursor) })
+    };
+  }
+
+  const skip = (page - 1) * limit;
+  const pageItems = items.slice(skip, skip + limit);
+  const hasNextPage = page < totalPages;
+
+  return {
+    items: pageItems,
+    pagination: buildPagination({
+      limit,
+      total,
+      page,
+      totalPages,
+      hasPrevPage: page > 1,
+      hasNextPage,
+      nextCursor: hasNextPage && pageCursors && pageItems.length > 0
+        ? encodeCursor(pageItems[pageItems.length - 1], compare.sortField)
+        : null
+    })
+  };
+};
+
+/**
+ * Build the shared pagination envelope
+ * @param {Object} fields
+ * @param {number} fields.limit - Page size
+ * @param {string|null} fields.nextCursor - Cursor for the next page
+ * @param {number|null} [fields.total] - Total items, when known
+ * @param {number|null} [fields.page] - Page number (page mode only)
+ * @param {number|null} [fields.totalPages] - Total pages, when known
+ * @param {boolean} [fields.hasPrevPage] - Whether an earlier page exists
+ * @param {boolean} [fields.hasNextPage] - Whether a later page exists (defaults to having a `nextCursor`)
+ * @returns {Object} Pagination envelope
+ */
+const buildPagination = ({
+  limit, nextCursor, total = null, page = null, totalPages = null, hasPrevPage = false, hasNextPage = nextCursor !== null
+}) => ({
+  limit,
+  total,
+  page,
+  totalPages: totalPages === null && total !== null ? Math.ceil(total / limit) : totalPages,
+  hasNextPage,
+  hasPrevPage,
+  nextCursor
+});
+
+/**
+ * Set an RFC 8288 `Link` header for a paginated response
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} pagination - Envelope from `paginate`/`buildPagination`
+ */
+const setLinkHeader = (req, res, pagination) => {
+  const path = req.path === '/' ? '' : req.path;
+  const base = `${req.protocol}://${req.get('host')}${req.baseUrl}${path}`;
+  const link = (params, rel) => {
+    const search = new URLSearchParams(
+      Object.entries({ ...req.query, ...params }).filter(([, value]) => value !== undefined && value !== null)
+    );
+    return `<${base}?${search.toString()}>; rel="${rel}"`;
+  };
+
+  // Cursor mode stays in cursor mode: its first page is the empty cursor
+  const links = [link({ cursor: pagination.page === null ? '' : undefined, page: undefined }, 'first')];
+  if (pagination.nextCursor) {
+    links.push(link({ cursor: pagination.nextCursor, page: undefined }, 'next'));
+  } else if (pagination.page !== null && pagination.hasNextPage) {
+    links.push(link({ page: pagination.page + 1 }, 'next'));
+  }
+  if (pagination.page !== null && pagination.hasPrevPage) {
+    links.push(link({ page: pagination.page - 1 }, 'prev'));
+  }
+  if (pagination.page !== null && pagination.totalPages > 0) {
+    links.push(link({ page: pagination.totalPages }, 'last'));
+  }
+
+  res.set('Link', links.join(', '));
+};
+
+module.exports = {
+  readPagination,
+  sendPaginationError,
+  paginate,
+  buildPagination,
+  setLinkHeader
+};
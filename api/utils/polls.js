@@ -0,0 +1,54 @@
+/**
+ * Poll Helpers
+ *
+ * A post can carry a poll: `{ options: string[], closesAt: Date }`. Votes
+ * are stored one record per `(post, user)` with the index of the chosen
+ * option, and tallied on read. Tallies are only shown to viewers who have
+ * voted, or to everyone once the poll has closed.
+ */
+
+const MIN_POLL_OPTIONS = 2;
+const MAX_POLL_OPTIONS = 4;
+
+/**
+ * Whether a poll has closed
+ * @param {Object} poll - Stored poll
+ * @param {Date} [now] - Current time
+ * @returns {boolean}
+ */
+const isPollClosed = (poll, now = new Date()) => new Date(poll.closesAt) <= now;
+
+/**
+ * Summarize a poll for one viewer
+ * @param {Object} poll - Stored poll
+ * @param {Object[]} votes - All votes in the poll
+ * @param {string} [viewerId] - Current user, if authenticated
+ * @param {Date} [now] - Current time
+ * @returns {{ options: { text: string, votes: number|null }[], closesAt: Date, closed: boolean,
+ *   resultsVisible: boolean, totalVotes: number|null, viewerVote: number|null }}
+ *   Vote counts are null while the results are hidden from the viewer
+ */
+const summarizePoll = (poll, votes, viewerId, now = new Date()) => {
+  const own = viewerId ? votes.find(v => v.user === viewerId) : null;
+  const closed = isPollClosed(poll, now);
+  const resultsVisible = closed || Boolean(own);
+
+  return {
+    options: poll.options.map((text, option) => ({
+      text,
+      votes: resultsVisible ? votes.filter(v => v.option === option).length : null
+    })),
+    closesAt: poll.closesAt,
+    closed,
+    resultsVisible,
+    totalVotes: resultsVisible ? votes.length : null,
+    viewerVote: own ? own.option : null
+  };
+};
+
+module.exports = {
+  MIN_POLL_OPTIONS,
+  MAX_POLL_OPTIONS,
+  isPollClosed,
+  summarizePoll
+};
@@ -0,0 +1,36 @@
+/**
+ * Post Publishing States
+ *
+ * Posts without a `status` are published. A scheduled post
+ * (`status: 'scheduled'`, with a `publishAt` time) is visible only to its
+ * author until the scheduler publishes it; a draft (`status: 'draft'`) until
+ * its author publishes it. A post a moderator hid (`status: 'hidden'`) stays
+ * visible only to its author, as does one the content policy holds for
+ * review (`status: 'held'`, with the status it would otherwise have in
+ * `heldStatus`). Repositories leave unpublished posts out of every read
+ * unless asked for them.
+ */
+
+/**
+ * Statuses of posts that are not visible to readers yet
+ */
+const UNPUBLISHED_STATUSES = ['scheduled', 'draft', 'hidden', 'held'];
+
+/**
+ * Whether a post is visible to readers
+ * @param {Object} post
+ * @returns {boolean}
+ */
+const isPublished = (post) => !UNPUBLISHED_STATUSES.includes(post.status);
+
+/**
+ * Statuses set by moderation (a moderator or the content policy), under
+ * which admins can still manage a post
+ */
+const MODERATED_STATUSES = ['hidden', 'held'];
+
+module.exports = {
+  UNPUBLISHED_STATUSES,
+  MODERATED_STATUSES,
+  isPublished
+};
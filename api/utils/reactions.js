@@ -0,0 +1,51 @@
+/**
+ * Reaction Helpers
+ *
+ * Reactions are stored one record per `(post, user, type)`, so a user can
+ * react to a post with several types. Counts are aggregated on read.
+ */
+
+/**
+ * Supported reaction types and the emoji clients should render for them
+ */
+const REACTION_EMOJI = {
+  like: '👍',
+  love: '❤️',
+  laugh: '😂',
+  wow: '😮',
+  sad: '😢',
+  angry: '😠'
+};
+
+const REACTION_TYPES = Object.keys(REACTION_EMOJI);
+
+/**
+ * Aggregate reactions per post
+ * @param {Object[]} reactions - Non-deleted reactions on the posts
+ * @param {string[]} postIds - Posts to summarize (posts without reactions get zero counts)
+ * @param {string} [viewerId] - Current user, if authenticated
+ * @returns {Map<string, { reactionCount: number, reactionCounts: Object<string, number>, viewerReactions: string[] }>}
+ */
+const summarizeReactions = (reactions, postIds, viewerId) => {
+  const summaries = new Map(postIds.map(id => [id, { reactionCount: 0, reactionCounts: {}, viewerReactions: [] }]));
+
+  reactions.forEach(({ post, user, type }) => {
+    const summary = summaries.get(post);
+    if (!summary) {
+      return;
+    }
+    summary.reactionCount += 1;
+    summary.reactionCounts[type] = (summary.reactionCounts[type] || 0) + 1;
+    if (viewerId && user === viewerId) {
+      summary.viewerReactions.push(type);
+    }
+  });
+
+  return summaries;
+};
+
+module.exports = {
+  REACTION_EMOJI,
+  REACTION_TYPES,
+  summarizeReactions
+};
@@ -0,0 +1,248 @@
+/**
+ * Full-text Search
+ *
+ * A positional inverted index (term -> document -> word positions) with a
+ * sorted vocabulary for prefix lookups, plus the query parser and snippet
+ * highlighter used by `services/search.service.js`.
+ *
+ * Text is split into runs of letters and digits, lowercased and stripped of
+ * accents, so `Café` matches `cafe`. Queries are a list of clauses that must
+ * all match:
+ * - a bare word matches words equal to it, or (at half weight) starting with it
+ * - a quoted single word matches that word exactly
+ * - a quoted phrase matches those words consecutively, in order
+ */
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+const PREFIX_WEIGHT = 0.5;
+const PHRASE_BOOST = 1.5;
+
+const normalize = (word) => word.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+
+/**
+ * Split text into normalized terms with their offsets
+ * @param {string} text
+ * @returns {{ term: string, start: number, end: number }[]}
+ */
+const tokenize = (text) =>
+  [...text.matchAll(TOKEN_PATTERN)].map(m => ({
+    term: normalize(m[0]),
+    start: m.index,
+    end: m.index + m[0].length
+  }));
+
+/**
+ * Parse a search query into clauses
+ * @param {string} query - e.g. `node "unit tests" deploy`
+ * @returns {Object[]} `{ type: 'term', term, prefix }` and `{ type: 'phrase', terms }`
+ *   clauses; empty when the query has no letters or digits
+ */
+const parseQuery = (query) => {
+  const clauses = [];
+  // An unterminated quote runs to the end of the query
+  for (const match of query.matchAll(/"([^"]*)"?|([^\s"]+)/g)) {
+    const quoted = match[1] !== undefined;
+    const terms = tokenize(quoted ? match[1] : match[2]).map(t => t.term);
+    if (quoted && terms.length > 1) {
+      clauses.push({ type: 'phrase', terms });
+    } else {
+      terms.forEach(term => clauses.push({ type: 'term', term, prefix: !quoted }));
+    }
+  }
+  return clauses;
+};
+
+// Index of the first vocabulary entry >= term (binary search)
+const lowerBound = (terms, term) => {
+  let low = 0;
+  let high = terms.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (terms[mid] < term) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+};
+
+// Start positions of `terms` as consecutive words, given each term's positions
+const phraseStarts = (positionLists) =>
+  positionLists[0].filter(start =>
+    positionLists.every((positions, offset) => positions.includes(start + offset))
+  );
+
+/**
+ * Create an empty search index
+ * @returns {Object} Index with `add`, `remove`, `size` and `search`
+ */
+const createSearchIndex = () => {
+  const postings = new Map();
+  const vocabulary = [];
+  const documents = new Map();
+
+  const remove = (id) => {
+    const terms = documents.get(id);
+    if (!terms) {
+      return;
+    }
+    terms.forEach((term) => {
+      const docs = postings.get(term);
+      docs.delete(id);
+      if (docs.size === 0) {
+        postings.delete(term);
+        vocabulary.splice(lowerBound(vocabulary, term), 1);
+      }
+    });
+    documents.delete(id);
+  };
+
+  const add = (id, text) => {
+    remove(id);
+    const terms = new Set();
+    tokenize(text).forEach(({ term }, position) => {
+      if (!postings.has(term)) {
+        postings.set(term, new Map());
+        vocabulary.splice(lowerBound(vocabulary, term), 0, term);
+      }
+      const docs = postings.get(term);
+      if (!docs.has(id)) {
+        docs.set(id, []);
+      }
+      docs.get(id).push(position);
+      terms.add(term);
+    });
+    if (terms.size > 0) {
+      documents.set(id, terms);
+    }
+  };
+
+  // Vocabulary terms a term clause matches, with their weight
+  const expand = ({ term, prefix }) => {
+    if (!prefix) {
+      return postings.has(term) ? [[term, 1]] : [];
+    }
+    const matches = [];
+    for (let i = lowerBound(vocabulary, term); i < vocabulary.length && vocabulary[i].startsWith(term); i++) {
+      matches.push([vocabulary[i], vocabulary[i] === term ? 1 : PREFIX_WEIGHT]);
+    }
+    return matches;
+  };
+
+  const idf = (matchingDocs) => Math.log(1 + documents.size / matchingDocs);
+
+  // Saturating term-frequency score per document for one clause
+  const scoreClause = (clause) => {
+    const frequencies = new Map();
+    if (clause.type === 'phrase') {
+      const lists = clause.terms.map(term => postings.get(term));
+      if (lists.some(docs => !docs)) {
+        return frequencies;
+      }
+      lists[0].forEach((positions, id) => {
+        if (lists.every(docs => docs.has(id))) {
+          const count = phraseStarts(lists.map(docs => docs.get(id))).length;
+          if (count > 0) {
+            frequencies.set(id, count * PHRASE_BOOST);
+          }
+        }
+      });
+    } else {
+      expand(clause).forEach(([term, weight]) => {
+        postings.get(term).forEach((positions, id) => {
+          frequencies.set(id, (frequencies.get(id) || 0) + positions.length * weight);
+        });
+      });
+    }
+
+    const weight = idf(frequencies.size) * (clause.type === 'phrase' ? clause.terms.length : 1);
+    const scores = new Map();
+    frequencies.forEach((tf, id) => scores.set(id, weight * tf / (tf + 1)));
+    return scores;
+  };
+
+  return {
+    add,
+    remove,
+
+    get size() {
+      return documents.size;
+    },
+
+    /**
+     * Documents matching every clause
+     * @param {Object[]} clauses - Result of `parseQuery`
+     * @returns {{ id: string, relevance: number }[]} Unordered matches
+     */
+    search(clauses) {
+      if (clauses.length === 0) {
+        return [];
+      }
+      const [first, ...rest] = clauses.map(scoreClause);
+      return [...first]
+        .filter(([id]) => rest.every(scores => scores.has(id)))
+        .map(([id, score]) => ({
+          id,
+          relevance: rest.reduce((total, scores) => total + scores.get(id), score)
+        }));
+    }
+  };
+};
+
+/**
+ * Cut a snippet around the first match and mark the matched words
+ * @param {string} text - Document text
+ * @param {Object[]} clauses - Result of `parseQuery`
+ * @param {Object} [options]
+ * @param {number} [options.length] - Longest snippet, in characters
+ * @returns {{ snippet: string, highlights: { start: number, end: number }[] }}
+ *   Highlight offsets index into `snippet`
+ */
+const highlight = (text, clauses, { length = 160 } = {}) => {
+  const tokens = tokenize(text);
+  const marked = new Set();
+
+  clauses.forEach((clause) => {
+    if (clause.type === 'phrase') {
+      tokens.forEach((token, i) => {
+        if (clause.terms.every((term, offset) => tokens[i + offset] && tokens[i + offset].term === term)) {
+          clause.terms.forEach((term, offset) => marked.add(i + offset));
+        }
+      });
+    } else {
+      tokens.forEach((token, i) => {
+        if (token.term === clause.term || (clause.prefix && token.term.startsWith(clause.term))) {
+          marked.add(i);
+        }
+      });
+    }
+  });
+
+  const ranges = tokens.filter((token, i) => marked.has(i));
+  let start = 0;
+  if (text.length > length && ranges.length > 0) {
+    // Keep some context before the first match, starting on a word
+    start = Math.max(0, Math.min(ranges[0].start - Math.floor(length / 3), text.length - length));
+    const wordStart = tokens.find(token => token.start >= start);
+    start = wordStart && wordStart.start <= ranges[0].start ? wordStart.start : ranges[0].start;
+  }
+  const end = Math.min(text.length, start + length);
+
+  const lead = start > 0 ? '…' : '';
+  const snippet = end < text.length
+    ? `${lead}${text.slice(start, end).trimEnd()}…`
+    : lead + text.slice(start);
+  const highlights = ranges
+    .filter(range => range.start >= start && range.end <= end)
+    .map(range => ({ start: range.start - start + lead.length, end: range.end - start + lead.length }));
+
+  return { snippet, highlights };
+};
+
+module.exports = {
+  tokenize,
+  parseQuery,
+  createSearchIndex,
+  highlight
+};
@@ -0,0 +1,167 @@
+/**
+ * Text Similarity
+ *
+ * Near-duplicate detection with shingles and MinHash. Text is normalized
+ * (case, accents, punctuation, and numbers, so counters like `[Post #12]`
+ * do not make copies differ), cut into overlapping 5-character shingles and
+ * reduced to a fixed-size MinHash signature. The share of equal signature
+ * slots estimates the Jaccard similarity of the two shingle sets: 1 for
+ * identical text, falling towards 0 as texts share fewer shingles.
+ *
+ * `clusterSimilar` groups many texts at once with locality-sensitive hashing:
+ * signatures are cut into bands, only texts sharing a band are compared, and
+ * pairs above the threshold are joined into clusters. Within a band's bucket
+ * each text is compared with the next `BUCKET_NEIGHBOURS` texts only, so a
+ * bucket of thousands of copies costs linear, not quadratic, comparisons;
+ * copies still end up in one cluster because joining is transitive.
+ */
+
+const SHINGLE_SIZE = 5;
+const SIGNATURE_SIZE = 64;
+const BAND_SIZE = 4;
+const BUCKET_NEIGHBOURS = 32;
+
+// MurmurHash3 finalizer: mixes a 32-bit integer
+const mix = (value) => {
+  let h = value;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+};
+
+// FNV-1a hash of a string
+const hashString = (text) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+};
+
+// One fixed seed per signature slot, so signatures are comparable everywhere
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, i) => mix(i + 1));
+
+/**
+ * Normalize text for comparison: lower case without accents, numbers as
+ * `0`, and punctuation as single spaces
+ * @param {string} text
+ * @returns {string}
+ */
+const normalizeForSimilarity = (text) => text
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/\d+/g, '0')
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+/**
+ * Overlapping character shingles of normalized text
+ * @param {string} text
+ * @returns {Set<string>} Shingles; text shorter than a shingle is one shingle
+ */
+const shingles = (text) => {
+  const normalized = normalizeForSimilarity(text) || text.trim().toLowerCase();
+  const result = new Set();
+  if (normalized.length <= SHINGLE_SIZE) {
+    result.add(normalized);
+    return result;
+  }
+  for (let i = 0; i <= normalized.length - SHINGLE_SIZE; i++) {
+    result.add(normalized.slice(i, i + SHINGLE_SIZE));
+  }
+  return result;
+};
+
+/**
+ * MinHash signature of a text
+ * @param {string} text
+ * @returns {number[]} `SIGNATURE_SIZE` 32-bit minimums
+ */
+const signature = (text) => {
+  const hashes = [...shingles(text)].map(hashString);
+  return SEEDS.map(seed => Math.min(...hashes.map(h => mix(h ^ seed))));
+};
+
+/**
+ * Estimated Jaccard similarity of two signatures
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number} Between 0 and 1
+ */
+const similarity = (a, b) => a.filter((value, i) => value === b[i]).length / a.length;
+
+/**
+ * Group texts whose estimated similarity reaches a threshold. Similarity is
+ * joined transitively: A and C share a cluster when both are like B. Pass
+ * items in a stable order, such as oldest first: only nearby items in a
+ * bucket are compared.
+ * @param {Object[]} items - Items with an `id` and a `signature`
+ * @param {number} threshold - Lowest similarity joined, between 0 and 1
+ * @returns {Object[]} Clusters of two or more: `{ items, similarity }`, the
+ *   latter the lowest similarity among the matching pairs joined into it
+ */
+const clusterSimilar = (items, threshold) => {
+  const parent = items.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const lowest = new Map();
+
+  const compared = new Set();
+  for (let start = 0; start < SIGNATURE_SIZE; start += BAND_SIZE) {
+    const buckets = new Map();
+    items.forEach((item, i) => {
+      const key = item.signature.slice(start, start + BAND_SIZE).join(',');
+      if (!buckets.has(key)) {
+        buckets.set(key, []);
+      }
+      buckets.get(key).push(i);
+    });
+
+    buckets.forEach((members) => {
+      for (let x = 0; x < members.length; x++) {
+        for (let y = x + 1; y < Math.min(members.length, x + 1 + BUCKET_NEIGHBOURS); y++) {
+          const pair = `${members[x]}:${members[y]}`;
+          if (compared.has(pair)) {
+            continue;
+          }
+          compared.add(pair);
+
+          const score = similarity(items[members[x]].signature, items[members[y]].signature);
+          if (score >= threshold) {
+            const [a, b] = [find(members[x]), find(members[y])];
+            const joined = Math.min(score, lowest.get(a) ?? 1, lowest.get(b) ?? 1);
+            parent[b] = a;
+            lowest.set(a, joined);
+          }
+        }
+      }
+    });
+  }
+
+  const clusters = new Map();
+  items.forEach((item, i) => {
+    const root = find(i);
+    if (!clusters.has(root)) {
+      clusters.set(root, []);
+    }
+    clusters.get(root).push(item);
+  });
+
+  return [...clusters.entries()]
+    .filter(([, members]) => members.length > 1)
+    .map(([root, members]) => ({ items: members, similarity: lowest.get(root) }));
+};
+
+module.exports = {
+  SIGNATURE_SIZE,
+  BUCKET_NEIGHBOURS,
+  normalizeForSimilarity,
+  shingles,
+  signature,
+  similarity,
+  clusterSimilar
+};
@@ -0,0 +1,69 @@
+/**
+ * Conversation Threads
+ *
+ * A reply stores `replyTo` (its parent) and `conversationId` (the root of the
+ * thread); top-level posts have neither. Deleted posts stay in the tree as
+ * tombstones while they still have visible replies, so deleting a parent
+ * never orphans the conversation below it.
+ */
+
+const { compareByCreated } = require('./cursor');
+
+const compareOldestFirst = compareByCreated('asc');
+
+/**
+ * Build the reply tree below a post
+ * @param {Object[]} posts - Every post in the conversation, including deleted ones
+ * @param {string} postId - Post to start from
+ * @param {Object} options
+ * @param {number} options.depth - Reply levels to include below the post
+ * @param {(post: Object) => Object} options.toNode - Formats a live post or a tombstone
+ * @returns {{ ancestors: Object[], post: Object }|null} Null if the post is deleted and has no visible replies
+ */
+const buildThread = (posts, postId, { depth, toNode }) => {
+  const byId = new Map(posts.map(p => [p.id, p]));
+  const children = new Map();
+  posts.forEach((post) => {
+    if (post.replyTo) {
+      children.set(post.replyTo, [...(children.get(post.replyTo) || []), post]);
+    }
+  });
+
+  // A post is visible if it is live or still has a visible reply
+  const visibility = new Map();
+  const isVisible = (post) => {
+    if (!visibility.has(post.id)) {
+      visibility.set(post.id, !post.isDeleted || (children.get(post.id) || []).some(isVisible));
+    }
+    return visibility.get(post.id);
+  };
+
+  const buildNode = (post, level) => {
+    const replies = (children.get(post.id) || []).filter(isVisible).sort(compareOldestFirst);
+    const expand = level < depth;
+
+    return {
+      ...toNode(post),
+      replyCount: replies.filter(r => !r.isDeleted).length,
+      hasMoreReplies: !expand && replies.length > 0,
+      replies: expand ? replies.map(reply => buildNode(reply, level + 1)) : []
+    };
+  };
+
+  const post = byId.get(postId);
+  if (!post || !isVisible(post)) {
+    return null;
+  }
+
+  // Root first, down to the post's parent
+  const ancestors = [];
+  for (let parent = byId.get(post.replyTo); parent; parent = byId.get(parent.replyTo)) {
+    ancestors.unshift(toNode(parent));
+  }
+
+  return { ancestors, post: buildNode(post, 0) };
+};
+
+module.exports = {
+  buildThread
+};
@@ -0,0 +1,48 @@
+/**
+ * Post Visibility
+ *
+ * Every post has a `visibility`: `public` posts are visible to everyone
+ * (including anonymous callers), `followers` posts to the author's current
+ * followers, and `private` posts to the author alone. Posts stored before the
+ * field existed are public.
+ */
+
+/**
+ * Allowed `visibility` values
+ */
+const VISIBILITIES = ['public', 'followers', 'private'];
+
+/**
+ * A post's visibility, defaulting to public
+ * @param {Object} post - Post
+ * @returns {'public'|'followers'|'private'}
+ */
+const visibilityOf = (post) => post.visibility || 'public';
+
+/**
+ * Whether a viewer may see a post
+ * @param {Object} post - Post
+ * @param {{ id: string, following: Set<string> }|null} viewer - Caller and the
+ *   users they follow, or null for anonymous callers
+ * @returns {boolean}
+ */
+const canView = (post, viewer) => {
+  if (viewer && post.author === viewer.id) {
+    return true;
+  }
+
+  switch (visibilityOf(post)) {
+    case 'public':
+      return true;
+    case 'followers':
+      return Boolean(viewer) && viewer.following.has(post.author);
+    default:
+      return false;
+  }
+};
+
+module.exports = {
+  VISIBILITIES,
+  visibilityOf,
+  canView
+};
@@ -0,0 +1,75 @@
+const Joi = require('joi');
+const { ID_PATTERN } = require('../utils/id');
+
+// Used for both creating and editing a comment
+const commentBodySchema = {
+  body: Joi.object({
+    content: Joi.string()
+      .trim()
+      .min(1)
+      .max(500)
+      .required()
+      .messages({
+        'string.empty': 'Comment content cannot be empty',
+        'string.min': 'Comment content must be at least 1 character long',
+        'string.max': 'Comment content cannot exceed 500 characters',
+        'any.required': 'Comment content is required',
+      }),
+  }),
+};
+
+const commentIdSchema = {
+  params: Joi.object({
+    id: Joi.string()
+      .required()
+      .pattern(ID_PATTERN)
+      .messages({
+        'any.required': 'Post ID is required',
+        'string.pattern.base': 'Post ID must be a ULID or a legacy ID starting with a letter (letters, numbers, hyphens, and underscores only)',
+      }),
+    commentId: Joi.string()
+      .required()
+      .pattern(ID_PATTERN)
+      .messages({
+        'any.required': 'Comment ID is required',
+        'string.pattern.base': 'Comment ID must be a ULID or a legacy ID starting with a letter (letters, numbers, hyphens, and underscores only)',
+      }),
+  }),
+};
+
+const commentQuerySchema = {
+  query: Joi.object({
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .messages({
+        'number.base': 'Page must be a number',
+        'number.integer': 'Page must be an integer',
+        'number.min': 'Page must be at least 1',
+      }),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(50)
+      .default(20)
+      .messages({
+        'number.base': 'Limit must be a number',
+        'number.integer': 'Limit must be an integer',
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 50',
+      }),
+    cursor: Joi.string()
+      .allow('')
+      .max(200)
+      .messages({
+        'string.base': 'Cursor must be a string',
+        'string.max': 'Cursor is too long',
+      }),
+  }),
+};
+
+module.exports = {
+  commentBodySchema,
+  commentIdSchema,
+  commentQuerySchema,
+};
@@ -0,0 +1,178 @@
+const Joi = require('joi');
+const { ID_PATTERN } = require('../utils/id');
+const { RULE_FIELDS, RULE_TYPES, RULE_ACTIONS } = require('../utils/content-policy');
+
+// Rule types that take a setting
+const typesWith = field => RULE_TYPES.filter(type => RULE_FIELDS[type].includes(field));
+
+const name = Joi.string()
+  .trim()
+  .min(1)
+  .max(50)
+  .messages({
+    'string.empty': 'name cannot be empty',
+    'string.max': 'name cannot exceed 50 characters',
+    'any.required': 'name is required',
+  });
+
+const action = Joi.string()
+  .valid(...RULE_ACTIONS)
+  .messages({
+    'any.only': `action must be one of: ${RULE_ACTIONS.join(', ')}`,
+    'any.required': 'action is required',
+  });
+
+const enabled = Joi.boolean()
+  .messages({
+    'boolean.base': 'enabled must be true or false',
+  });
+
+// Single words with at least one letter, compared case-insensitively
+const words = Joi.array()
+  .items(
+    Joi.string()
+      .trim()
+      .lowercase()
+      .max(50)
+      .pattern(/^\S*[a-z]\S*$/i)
+      .messages({
+        'string.max': 'Banned words cannot exceed 50 characters',
+        'string.pattern.base': 'Banned words must be single words with at least one letter',
+      })
+  )
+  .min(1)
+  .max(500)
+  .unique()
+  .messages({
+    'array.base': 'words must be a list of words',
+    'array.min': 'words must list at least one word',
+    'array.max': 'words cannot list more than 500 words',
+    'array.unique': 'words cannot contain the same word twice',
+    'any.required': 'words is required for banned-words rules',
+  });
+
+const limit = Joi.number()
+  .integer()
+  .min(0)
+  .max(1000)
+  .messages({
+    'number.base': 'limit must be a number',
+    'number.integer': 'limit must be an integer',
+    'number.min': 'limit cannot be negative',
+    'number.max': 'limit cannot exceed 1000',
+    'any.required': `limit is required for ${typesWith('limit').join(' and ')} rules`,
+  });
+
+const similarity = Joi.number()
+  .min(0.5)
+  .max(1)
+  .messages({
+    'number.base': 'similarity must be a number',
+    'number.min': 'similarity must be at least 0.5',
+    'number.max': 'similarity cannot exceed 1',
+  });
+
+const windowMinutes = Joi.number()
+  .integer()
+  .min(1)
+  .max(7 * 24 * 60)
+  .messages({
+    'number.base': 'windowMinutes must be a number',
+    'number.integer': 'windowMinutes must be an integer',
+    'number.min': 'windowMinutes must be at least 1',
+    'number.max': 'windowMinutes cannot exceed a week (10080)',
+    'any.required': 'windowMinutes is required for near-duplicate rules',
+  });
+
+// A setting is required by (or defaults for) the types that take it, and forbidden for the rest
+const settingFor = (field, schema) => Joi.any().when('type', {
+  is: Joi.valid(...typesWith(field)),
+  then: schema,
+  otherwise: Joi.forbidden().messages({
+    'any.unknown': `${field} only applies to ${typesWith(field).join(' and ')} rules`,
+  }),
+});
+
+const rule = Joi.object({
+  name: name.required(),
+  type: Joi.string()
+    .valid(...RULE_TYPES)
+    .required()
+    .messages({
+      'any.only': `type must be one of: ${RULE_TYPES.join(', ')}`,
+      'any.required': 'type is required',
+    }),
+  action: action.required(),
+  enabled: enabled.default(true),
+  words: settingFor('words', words.required()),
+  limit: settingFor('limit', limit.required()),
+  similarity: settingFor('similarity', similarity.default(0.8)),
+  windowMinutes: settingFor('windowMinutes', windowMinutes.required()),
+});
+
+const ruleIdSchema = {
+  params: Joi.object({
+    id: Joi.string()
+      .required()
+      .pattern(ID_PATTERN)
+      .messages({
+        'any.required': 'Rule ID is required',
+        'string.pattern.base': 'Rule ID must be a valid ID',
+      }),
+  }),
+};
+
+const createContentRuleSchema = {
+  body: rule,
+};
+
+// The type of a rule is fixed; its settings must fit it
+const updateContentRuleSchema = {
+  ...ruleIdSchema,
+  body: Joi.object({
+    name,
+    action,
+    enabled,
+    words,
+    limit,
+    similarity,
+    windowMinutes,
+  })
+    .min(1)
+    .messages({
+      'object.min': 'Provide at least one of name, action, enabled, or the rule\'s settings',
+    }),
+};
+
+const testContentRulesSchema = {
+  body: Joi.object({
+    content: Joi.string()
+      .min(1)
+      .max(1000)
+      .required()
+      .messages({
+        'string.empty': 'content cannot be empty',
+        'string.max': 'content cannot exceed 1000 characters',
+        'any.required': 'content is required',
+      }),
+    rules: Joi.array()
+      .items(rule)
+      .max(50)
+      .messages({
+        'array.base': 'rules must be a list of rules',
+        'array.max': 'Test at most 50 rules at once',
+      }),
+    author: Joi.string()
+      .pattern(ID_PATTERN)
+      .messages({
+        'string.pattern.base': 'author must be a valid user ID',
+      }),
+  }),
+};
+
+module.exports = {
+  ruleIdSchema,
+  createContentRuleSchema,
+  updateContentRuleSchema,
+  testContentRulesSchema,
+};
@@ -22,6 +22,13 @@ const followQuerySchema = {
         'number.min': 'Limit must be at least 1',
         'number.max': 'Limit cannot exceed 50',
       }),
+    cursor: Joi.string()
+      .allow('')
+      .max(200)
+      .messages({
+        'string.base': 'Cursor must be a string',
+        'string.max': 'Cursor is too long',
+      }),
   }),
 };
 
@@ -0,0 +1,143 @@
+const Joi = require('joi');
+const { ID_PATTERN } = require('../utils/id');
+const { REPORT_TARGET_TYPES, REPORT_REASONS, MODERATION_ACTIONS } = require('../utils/moderation');
+
+const ACTIONS = Object.keys(MODERATION_ACTIONS);
+
+const targetType = Joi.string()
+  .valid(...REPORT_TARGET_TYPES)
+  .messages({
+    'any.only': `targetType must be one of: ${REPORT_TARGET_TYPES.join(', ')}`,
+    'any.required': 'targetType is required',
+  });
+
+const targetId = Joi.string()
+  .pattern(ID_PATTERN)
+  .messages({
+    'string.pattern.base': 'targetId must be a valid post or user ID',
+    'any.required': 'targetId is required',
+  });
+
+// limit, page and cursor, as in the other list endpoints
+const pageFields = {
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(50)
+    .default(10)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.integer': 'Limit must be an integer',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 50',
+    }),
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.integer': 'Page must be an integer',
+      'number.min': 'Page must be at least 1',
+    }),
+  cursor: Joi.string()
+    .allow('')
+    .max(200)
+    .messages({
+      'string.base': 'Cursor must be a string',
+      'string.max': 'Cursor is too long',
+    }),
+};
+
+const createReportSchema = {
+  body: Joi.object({
+    targetType: targetType.required(),
+    targetId: targetId.required(),
+    reason: Joi.string()
+      .valid(...REPORT_REASONS)
+      .required()
+      .messages({
+        'any.only': `reason must be one of: ${REPORT_REASONS.join(', ')}`,
+        'any.required': 'reason is required',
+      }),
+    details: Joi.string()
+      .trim()
+      .max(500)
+      .allow('')
+      .messages({
+        'string.max': 'details cannot exceed 500 characters',
+      }),
+  }),
+};
+
+const moderationQueueQuerySchema = {
+  query: Joi.object({
+    targetType,
+    ...pageFields,
+  }),
+};
+
+const moderationTargetSchema = {
+  params: Joi.object({
+    targetType: targetType.required(),
+    targetId: targetId.required(),
+  }),
+};
+
+const moderationActionSchema = {
+  body: Joi.object({
+    action: Joi.string()
+      .valid(...ACTIONS)
+      .required()
+      .messages({
+        'any.only': `action must be one of: ${ACTIONS.join(', ')}`,
+        'any.required': 'action is required',
+      }),
+    note: Joi.string()
+      .trim()
+      .min(1)
+      .max(500)
+      .required()
+      .messages({
+        'string.empty': 'A note is required',
+        'string.max': 'note cannot exceed 500 characters',
+        'any.required': 'A note is required',
+      }),
+  }),
+};
+
+const moderationLogQuerySchema = {
+  query: Joi.object({
+    targetType,
+    targetId,
+    ...pageFields,
+  }),
+};
+
+const duplicateClustersQuerySchema = {
+  query: Joi.object({
+    similarity: Joi.number()
+      .min(0.5)
+      .max(1)
+      .messages({
+        'number.base': 'similarity must be a number',
+        'number.min': 'similarity must be at least 0.5',
+        'number.max': 'similarity cannot exceed 1',
+      }),
+    since: Joi.date()
+      .iso()
+      .messages({
+        'date.base': 'since must be a date',
+        'date.format': 'since must be an ISO 8601 date',
+      }),
+    ...pageFields,
+  }),
+};
+
+module.exports = {
+  createReportSchema,
+  moderationQueueQuerySchema,
+  moderationTargetSchema,
+  moderationActionSchema,
+  moderationLogQuerySchema,
+  duplicateClustersQuerySchema,
+};
@@ -1,41 +1,149 @@
 const Joi = require('joi');
+const { ID_PATTERN } = require('../utils/id');
+const { MAX_ATTACHMENTS } = require('../services/media.service');
+const { VISIBILITIES } = require('../utils/visibility');
+const { MAX_PINS } = require('../services/pin.service');
+const { MIN_POLL_OPTIONS, MAX_POLL_OPTIONS } = require('../utils/polls');
+
+const postContent = Joi.string()
+  .min(1)
+  .max(1000)
+  .messages({
+    'string.empty': 'Post content cannot be empty',
+    'string.min': 'Post content must be at least 1 character long',
+    'string.max': 'Post content cannot exceed 1000 characters',
+    'any.required': 'Post content is required',
+  });
+
+const publishAt = Joi.date()
+  .iso()
+  .greater('now')
+  .messages({
+    'date.base': 'publishAt must be a date',
+    'date.format': 'publishAt must be an ISO 8601 date',
+    'date.greater': 'publishAt must be in the future',
+  });
+
+const visibility = Joi.string()
+  .valid(...VISIBILITIES)
+  .messages({
+    'any.only': `visibility must be one of: ${VISIBILITIES.join(', ')}`,
+  });
+
+const poll = Joi.object({
+  options: Joi.array()
+    .items(Joi.string().trim().min(1).max(80))
+    .min(MIN_POLL_OPTIONS)
+    .max(MAX_POLL_OPTIONS)
+    .unique()
+    .required()
+    .messages({
+      'array.base': 'Poll options must be a list of strings',
+      'array.min': `A poll needs at least ${MIN_POLL_OPTIONS} options`,
+      'array.max': `A poll can have at most ${MAX_POLL_OPTIONS} options`,
+      'array.unique': 'Poll options must be different',
+      'string.empty': 'Poll options cannot be empty',
+      'string.max': 'Poll options cannot exceed 80 characters',
+      'any.required': 'Poll options are required',
+    }),
+  // A scheduled post's poll must still be open when the post is published
+  closesAt: Joi.date()
+    .iso()
+    .greater('now')
+    .required()
+    .when('...publishAt', {
+      is: Joi.exist(),
+      then: Joi.date().greater(Joi.ref('...publishAt')).messages({
+        'date.greater': 'The poll must close after the post is published',
+      }),
+    })
+    .messages({
+      'date.base': 'closesAt must be a date',
+      'date.format': 'closesAt must be an ISO 8601 date',
+      'date.greater': 'closesAt must be in the future',
+      'any.required': 'closesAt is required',
+    }),
+});
 
 const createPostSchema = {
   body: Joi.object({
-    content: Joi.string()
-      .min(1)
-      .max(1000)
-      .required()
+    content: postContent.required(),
+    replyTo: Joi.string()
+      .pattern(ID_PATTERN)
+      .messages({
+        'string.base': 'replyTo must be a post ID',
+        'string.pattern.base': 'replyTo must be a valid post ID',
+      }),
+    attachments: Joi.array()
+      .items(Joi.string().pattern(ID_PATTERN))
+      .max(MAX_ATTACHMENTS)
+      .unique()
+      .messages({
+        'array.base': 'attachments must be a list of media IDs',
+        'array.max': `A post can have at most ${MAX_ATTACHMENTS} attachments`,
+        'array.unique': 'attachments cannot contain the same media twice',
+        'string.pattern.base': 'attachments must contain valid media IDs',
+      }),
+    publishAt,
+    draft: Joi.boolean()
+      .when('publishAt', { is: Joi.exist(), then: Joi.valid(false) })
       .messages({
-        'string.empty': 'Post content cannot be empty',
-        'string.min': 'Post content must be at least 1 character long',
-        'string.max': 'Post content cannot exceed 1000 characters',
-        'any.required': 'Post content is required',
+        'boolean.base': 'draft must be true or false',
+        'any.only': 'A post cannot be both a draft and scheduled',
       }),
+    visibility,
+    poll,
+  }),
+};
+
+// PUT replaces the editable fields only; a post cannot move to another thread
+const replacePostSchema = {
+  body: Joi.object({
+    content: postContent.required(),
   }),
 };
 
 const updatePostSchema = {
   body: Joi.object({
-    content: Joi.string()
-      .min(1)
-      .max(1000)
+    content: postContent,
+    publishAt,
+    visibility,
+  })
+    .min(1)
+    .messages({
+      'object.min': 'At least one field must be provided to update a post',
+    }),
+};
+
+const postIdSchema = {
+  params: Joi.object({
+    id: Joi.string()
+      .required()
+      .pattern(ID_PATTERN)
       .messages({
-        'string.empty': 'Post content cannot be empty',
-        'string.min': 'Post content must be at least 1 character long',
-        'string.max': 'Post content cannot exceed 1000 characters',
+        'any.required': 'Post ID is required',
+        'string.pattern.base': 'Post ID must be a ULID or a legacy ID starting with a letter (letters, numbers, hyphens, and underscores only)',
       }),
   }),
 };
 
-const postIdSchema = {
+const revisionParamsSchema = {
   params: Joi.object({
     id: Joi.string()
       .required()
-      .pattern(/^[a-zA-Z0-9_-]+$/)
+      .pattern(ID_PATTERN)
       .messages({
         'any.required': 'Post ID is required',
-        'string.pattern.base': 'Post ID contains invalid characters. Only letters, numbers, hyphens, and underscores are allowed.',
+        'string.pattern.base': 'Post ID must be a ULID or a legacy ID starting with a letter (letters, numbers, hyphens, and underscores only)',
+      }),
+    revision: Joi.number()
+      .integer()
+      .min(1)
+      .required()
+      .messages({
+        'number.base': 'Revision must be a number',
+        'number.integer': 'Revision must be an integer',
+        'number.min': 'Revision must be at least 1',
       }),
   }),
 };
@@ -63,13 +171,135 @@ const feedQuerySchema = {
         'number.min': 'Limit must be at least 1',
         'number.max': 'Limit cannot exceed 50',
       }),
+    cursor: Joi.string()
+      .allow('')
+      .max(200)
+      .messages({
+        'string.base': 'Cursor must be a string',
+        'string.max': 'Cursor is too long',
+      }),
+    includeOwn: Joi.boolean()
+      .default(false)
+      .messages({
+        'boolean.base': 'includeOwn must be true or false',
+      }),
+  }),
+};
+
+const postListQuerySchema = {
+  query: Joi.object({
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(50)
+      .default(10)
+      .messages({
+        'number.base': 'Limit must be a number',
+        'number.integer': 'Limit must be an integer',
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 50',
+      }),
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .messages({
+        'number.base': 'Page must be a number',
+        'number.integer': 'Page must be an integer',
+        'number.min': 'Page must be at least 1',
+      }),
+    cursor: Joi.string()
+      .allow('')
+      .max(200)
+      .messages({
+        'string.base': 'Cursor must be a string',
+        'string.max': 'Cursor is too long',
+      }),
+  }),
+};
+
+const tagSchema = {
+  params: Joi.object({
+    tag: Joi.string()
+      .max(100)
+      .pattern(/^[\p{L}\p{N}_]+$/u)
+      .lowercase()
+      .required()
+      .messages({
+        'string.max': 'Tag cannot exceed 100 characters',
+        'string.pattern.base': 'Tag can only contain letters, numbers and underscores',
+        'any.required': 'Tag is required',
+      }),
+  }),
+};
+
+const repostSchema = {
+  body: Joi.object({
+    content: postContent,
+  }),
+};
+
+const pinOrderSchema = {
+  body: Joi.object({
+    postIds: Joi.array()
+      .items(Joi.string().pattern(ID_PATTERN))
+      .max(MAX_PINS)
+      .unique()
+      .required()
+      .messages({
+        'array.base': 'postIds must be a list of post IDs',
+        'array.max': `You can pin at most ${MAX_PINS} posts`,
+        'array.unique': 'postIds cannot contain the same post twice',
+        'string.pattern.base': 'postIds must contain valid post IDs',
+        'any.required': 'postIds is required',
+      }),
+  }),
+};
+
+const pollVoteSchema = {
+  body: Joi.object({
+    option: Joi.number()
+      .integer()
+      .min(0)
+      .max(MAX_POLL_OPTIONS - 1)
+      .required()
+      .messages({
+        'number.base': 'option must be the index of a poll option',
+        'number.integer': 'option must be the index of a poll option',
+        'number.min': 'option must be the index of a poll option',
+        'number.max': 'option must be the index of a poll option',
+        'any.required': 'option is required',
+      }),
+  }),
+};
+
+const conversationQuerySchema = {
+  query: Joi.object({
+    depth: Joi.number()
+      .integer()
+      .min(0)
+      .max(10)
+      .default(5)
+      .messages({
+        'number.base': 'Depth must be a number',
+        'number.integer': 'Depth must be an integer',
+        'number.min': 'Depth cannot be negative',
+        'number.max': 'Depth cannot exceed 10',
+      }),
   }),
 };
 
 module.exports = {
   createPostSchema,
+  replacePostSchema,
   updatePostSchema,
   postIdSchema,
+  revisionParamsSchema,
   userIdSchema,
   feedQuerySchema,
+  conversationQuerySchema,
+  repostSchema,
+  pinOrderSchema,
+  pollVoteSchema,
+  postListQuerySchema,
+  tagSchema,
 };
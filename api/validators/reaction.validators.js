@@ -0,0 +1,61 @@
+const Joi = require('joi');
+const { ID_PATTERN } = require('../utils/id');
+const { REACTION_TYPES } = require('../utils/reactions');
+
+const reactionType = Joi.string()
+  .valid(...REACTION_TYPES)
+  .messages({
+    'any.only': `Reaction type must be one of: ${REACTION_TYPES.join(', ')}`,
+  });
+
+const reactionParamsSchema = {
+  params: Joi.object({
+    id: Joi.string()
+      .required()
+      .pattern(ID_PATTERN)
+      .messages({
+        'any.required': 'Post ID is required',
+        'string.pattern.base': 'Post ID must be a ULID or a legacy ID starting with a letter (letters, numbers, hyphens, and underscores only)',
+      }),
+    type: reactionType.required().messages({
+      'any.required': 'Reaction type is required',
+    }),
+  }),
+};
+
+const reactorsQuerySchema = {
+  query: Joi.object({
+    type: reactionType,
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .messages({
+        'number.base': 'Page must be a number',
+        'number.integer': 'Page must be an integer',
+        'number.min': 'Page must be at least 1',
+      }),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(50)
+      .default(20)
+      .messages({
+        'number.base': 'Limit must be a number',
+        'number.integer': 'Limit must be an integer',
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 50',
+      }),
+    cursor: Joi.string()
+      .allow('')
+      .max(200)
+      .messages({
+        'string.base': 'Cursor must be a string',
+        'string.max': 'Cursor is too long',
+      }),
+  }),
+};
+
+module.exports = {
+  reactionParamsSchema,
+  reactorsQuerySchema,
+};
@@ -0,0 +1,52 @@
+const Joi = require('joi');
+
+const searchQuerySchema = {
+  query: Joi.object({
+    q: Joi.string()
+      .trim()
+      .min(1)
+      .max(200)
+      .required()
+      .messages({
+        'string.empty': 'Search query cannot be empty',
+        'string.max': 'Search query cannot exceed 200 characters',
+        'any.required': 'Search query is required',
+      }),
+    type: Joi.string()
+      .valid('posts', 'users')
+      .default('posts')
+      .messages({
+        'any.only': 'Type must be one of: posts, users',
+      }),
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .messages({
+        'number.base': 'Page must be a number',
+        'number.integer': 'Page must be an integer',
+        'number.min': 'Page must be at least 1',
+      }),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(50)
+      .default(10)
+      .messages({
+        'number.base': 'Limit must be a number',
+        'number.integer': 'Limit must be an integer',
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 50',
+      }),
+    cursor: Joi.string()
+      .allow('')
+      .max(200)
+      .messages({
+        'string.base': 'Cursor must be a string',
+        'string.max': 'Cursor is too long',
+      }),
+  }),
+};
+
+module.exports = {
+  searchQuerySchema,
+};
@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { ID_PATTERN } = require('../utils/id');
 
 const loginSchema = {
   body: Joi.object({
@@ -56,8 +57,10 @@ const userIdSchema = {
   params: Joi.object({
     userId: Joi.string()
       .required()
+      .pattern(ID_PATTERN)
       .messages({
         'any.required': 'User ID is required',
+        'string.pattern.base': 'User ID must be a ULID or a legacy ID starting with a letter (letters, numbers, hyphens, and underscores only)',
       }),
   }),
 };
@@ -0,0 +1,61 @@
+import React from 'react';
+import { BarChart2 } from 'lucide-react';
+import { Poll } from '../services/api';
+
+interface PollWidgetProps {
+  poll: Poll;
+  onVote: (option: number) => void;
+  disabled?: boolean;
+}
+
+const PollWidget: React.FC<PollWidgetProps> = ({ poll, onVote, disabled = false }) => {
+  const total = poll.totalVotes ?? 0;
+  const closesAt = new Date(poll.closesAt).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  return (
+    <div className="mt-3 space-y-2">
+      {poll.options.map((option, index) => {
+        const isChoice = poll.viewerVote === index;
+        const percent = poll.resultsVisible && total > 0
+          ? Math.round(((option.votes ?? 0) / total) * 100)
+          : 0;
+
+        return (
+          <button
+            key={index}
+            type="button"
+            onClick={() => onVote(index)}
+            disabled={disabled || poll.closed || isChoice}
+            className={`relative w-full overflow-hidden rounded-md border px-3 py-2 text-left text-sm transition-colors ${
+              isChoice ? 'border-blue-500' : 'border-gray-200 hover:bg-gray-50'
+            } disabled:cursor-default`}
+          >
+            {poll.resultsVisible && (
+              <span
+                className={`absolute inset-y-0 left-0 ${isChoice ? 'bg-blue-100' : 'bg-gray-100'}`}
+                style={{ width: `${percent}%` }}
+              />
+            )}
+            <span className="relative flex justify-between">
+              <span className={isChoice ? 'font-medium text-blue-800' : 'text-gray-900'}>{option.text}</span>
+              {poll.resultsVisible && <span className="text-gray-600">{percent}%</span>}
+            </span>
+          </button>
+        );
+      })}
+      <div className="flex items-center text-xs text-gray-500">
+        <BarChart2 className="h-3 w-3 mr-1" />
+        {poll.resultsVisible ? <span>{total} votes</span> : <span>Vote to see the results</span>}
+        <span className="mx-2">•</span>
+        <span>{poll.closed ? 'Poll closed' : `Closes ${closesAt}`}</span>
+      </div>
+    </div>
+  );
+};
+
+export default PollWidget;
@@ -4,6 +4,7 @@ import { useForm } from 'react-hook-form'
 import { toast } from 'react-hot-toast'
 import { useAuth } from '../hooks/useAuth'
 import { postsAPI, Post } from '../services/api'
+import PollWidget from '../components/PollWidget'
 import {
   Plus,
   Trash2,
@@ -12,6 +13,7 @@ import {
   User,
   AlertCircle,
   Filter,
+  MessageCircle,
 } from 'lucide-react'
 import { useRef, useCallback, useEffect } from 'react';
 
@@ -92,6 +94,17 @@ const Posts = () => {
   })
 
 
+  // Vote mutation; the response carries the updated tallies
+  const voteMutation = useMutation({
+    mutationFn: postsAPI.vote,
+    onSuccess: (res, { id }) => {
+      setPosts((prev) => prev.map((post) => (post.id === id ? { ...post, poll: res.data?.poll } : post)))
+    },
+    onError: (error: Error) => {
+      toast.error(error.message || 'Failed to vote')
+    },
+  })
+
   const onSubmit = (data: any) => {
     createMutation.mutate(data)
   }
@@ -157,7 +170,7 @@ const Posts = () => {
       if (res.data && res.data.posts.length > 0) {
         setPosts((prev) => [...prev, ...res.data!.posts]);
         setFilters((prev) => ({ ...prev, page: nextPage }));
-        setHasMore(res.data!.pagination.hasNext);
+        setHasMore(res.data!.pagination.hasNextPage);
       } else {
         setHasMore(false);
       }
@@ -177,7 +190,7 @@ const Posts = () => {
       const res = await postsAPI.getAll({ ...filters, page: 1 });
       if (res.data) {
         setPosts(res.data.posts);
-        setHasMore(res.data.pagination.hasNext);
+        setHasMore(res.data.pagination.hasNextPage);
       }
     })();
   }, [filters.author, filters.sortBy, filters.sortOrder]);
@@ -314,6 +327,13 @@ const Posts = () => {
                   <div className="flex items-center justify-between">
                     <div className="flex-1">
                       <p className="text-sm text-gray-900">{post.content}</p>
+                      {post.poll && (
+                        <PollWidget
+                          poll={post.poll}
+                          onVote={(option) => voteMutation.mutate({ id: post.id, option })}
+                          disabled={voteMutation.isPending}
+                        />
+                      )}
                     </div>
                   </div>
                   <div className="flex items-center justify-between mt-2">
@@ -336,6 +356,9 @@ const Posts = () => {
                           You
                         </span>
                       )}
+                      <span className="mx-2">•</span>
+                      <MessageCircle className="h-4 w-4 mr-1" />
+                      <span>{post.commentCount ?? 0} comments</span>
                     </div>
                     <div className="flex items-center gap-4">
                       {canEditPost(post) && (
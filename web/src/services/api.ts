@@ -17,12 +17,29 @@ export interface User {
   role: string;
 }
 
+export interface PollOption {
+  text: string;
+  // null until the viewer has voted or the poll has closed
+  votes: number | null;
+}
+
+export interface Poll {
+  options: PollOption[];
+  closesAt: string;
+  closed: boolean;
+  resultsVisible: boolean;
+  totalVotes: number | null;
+  viewerVote: number | null;
+}
+
 export interface Post {
   id: string;
   content: string;
   author: User;
   created: string;
   updatedAt: string;
+  commentCount?: number;
+  poll?: Poll | null;
 }
 
 export interface Follow {
@@ -164,6 +181,11 @@ export const postsAPI = {
     const response = await api.delete(`/posts/${id}`);
     return response.data;
   },
+
+  vote: async (data: { id: string; option: number }): Promise<ApiResponse<{ poll: Poll }>> => {
+    const response = await api.put(`/posts/${data.id}/poll/vote`, { option: data.option });
+    return response.data;
+  },
 };
 
 // Also export the original postsApi for backward compatibility